@@ -0,0 +1,130 @@
+/**
+ * Reference sync server for Vehicle Check It. No dependencies; keeps everything
+ * in one JSON file. Good for trying sync on a LAN or in development, not meant
+ * to face the internet.
+ *
+ *   npm run sync-server            → http://localhost:8787
+ *   PORT=9000 SYNC_DATA=/srv/vc.json SYNC_TOKEN=secret npm run sync-server
+ *
+ * POST /sync  { deviceId, since, changes: [envelope] }
+ *   → { meta: { updatedAt }, accepted: [recordKey], changes: [envelope] }
+ * Incoming envelopes are stored when they win compareVersions() against the
+ * stored one; `changes` lists every record stored after `since` except the
+ * ones this request just wrote. Envelopes keep the sender's `schema`, so the
+ * device that pulls an older record can migrate it. GET /sync?since=… is the same without pushing.
+ * meta.updatedAt only moves forward, one millisecond per stored record at
+ * least, so it works as the clients' pull cursor.
+ */
+import { createServer } from "node:http";
+import { existsSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { compareVersions, envelopeError, nextStamp, recordKey } from "../src/lib/sync-protocol.js";
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.SYNC_DATA || fileURLToPath(new URL("./sync-data.json", import.meta.url));
+const TOKEN = process.env.SYNC_TOKEN || "";
+const MAX_BODY = 25 * 1024 * 1024;
+
+function loadStore() {
+  if (!existsSync(DATA_FILE)) return { meta: { updatedAt: "" }, records: {} };
+  const parsed = JSON.parse(readFileSync(DATA_FILE, "utf8"));
+  return { meta: { updatedAt: parsed?.meta?.updatedAt || "" }, records: parsed?.records || {} };
+}
+
+// Write to a temp file first so a crash never leaves half a store behind.
+function saveStore(store) {
+  const tmp = `${DATA_FILE}.tmp`;
+  writeFileSync(tmp, JSON.stringify(store));
+  renameSync(tmp, DATA_FILE);
+}
+
+const store = loadStore();
+
+function tick() {
+  store.meta.updatedAt = nextStamp(new Date().toISOString(), store.meta.updatedAt);
+  return store.meta.updatedAt;
+}
+
+function applyChanges(changes) {
+  const accepted = [];
+  for (const env of changes) {
+    if (envelopeError(env)) continue;
+    const key = recordKey(env.kind, env.id);
+    const current = store.records[key];
+    if (current && compareVersions(env, current) <= 0) continue;
+    const { kind, id, updatedAt, deviceId, hash, deleted, schema, data } = env;
+    store.records[key] = deleted
+      ? { kind, id, updatedAt, deviceId: deviceId || "", hash: "", deleted: true, syncedAt: tick() }
+      : { kind, id, updatedAt, deviceId: deviceId || "", hash: hash || "", schema: Number(schema) || 0, data, syncedAt: tick() };
+    accepted.push(key);
+  }
+  if (accepted.length) saveStore(store);
+  return accepted;
+}
+
+function changesSince(since, skip = new Set()) {
+  return Object.entries(store.records)
+    .filter(([key, r]) => (!since || r.syncedAt > since) && !skip.has(key))
+    .map(([, r]) => r)
+    .sort((a, b) => (a.syncedAt < b.syncedAt ? -1 : 1));
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(Object.assign(new Error("Request too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : {});
+      } catch {
+        reject(Object.assign(new Error("Invalid JSON"), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (url.pathname === "/health") return send(res, 200, { ok: true, meta: store.meta });
+  if (url.pathname !== "/sync") return send(res, 404, { error: "Not found" });
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: "Wrong or missing access token" });
+
+  try {
+    if (req.method === "GET") {
+      return send(res, 200, { meta: store.meta, accepted: [], changes: changesSince(url.searchParams.get("since") || "") });
+    }
+    if (req.method !== "POST") return send(res, 405, { error: "Method not allowed" });
+
+    const body = await readJson(req);
+    const accepted = applyChanges(Array.isArray(body?.changes) ? body.changes : []);
+    send(res, 200, { meta: store.meta, accepted, changes: changesSince(String(body?.since || ""), new Set(accepted)) });
+    if (accepted.length) console.log(`${new Date().toISOString()} ${body.deviceId || "?"}: stored ${accepted.length}`);
+  } catch (e) {
+    send(res, e.status || 500, { error: e.message || "Server error" });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Vehicle Check It sync server on http://localhost:${PORT} (data: ${DATA_FILE}${TOKEN ? ", token required" : ""})`);
+});
@@ -3,8 +3,9 @@ import React, { useCallback, useEffect, useMemo, useRef, useState } from "react"
 /**
  * ToolStack — Vehicle Check-It — module-ready MVP
  * Master Pack v1.1 applied (Netto-It / Check-It UI lock)
- * - Offline-first autosave (localStorage)
- * - Vehicle check template (sections/items)
+ * - Offline-first autosave (IndexedDB, localStorage fallback)
+ * - Checklist templates (editable library, picked per vehicle)
+ * - Versioned data migrations (meta.schema)
  * - Save checks history
  * - Print Preview (prints only preview sheet)
  * - Export/Import JSON
@@ -19,31 +20,161 @@ import {
   APP_ID,
   APP_VERSION,
   TEMPLATE_REV,
+  SCHEMA_VERSION,
   KEY,
   PROFILE_KEY,
+  DRAFTS_KEY,
   HUB_URL,
   FUEL_OPTIONS,
+  DEFAULT_TEMPLATE_ID,
   blankVehicle,
 } from "./app/constants";
 
+import { defaultTemplate } from "./app/template";
+
 import {
   safeParse,
   isoToday,
   uid,
   normalizeVehicleId,
   formatVehicleLabel,
+  SEVERITIES,
 } from "./lib/core";
 
+import {
+  addSection,
+  renameTemplate,
+  renameSection,
+  moveSection,
+  removeSection,
+  addItem,
+  renameItem,
+  moveItem,
+  removeItem,
+  commitTemplate,
+  commitTemplates,
+  draftFromTemplate,
+  templateForVehicle,
+  createTemplate,
+  duplicateTemplate,
+} from "./lib/templates";
+
+import { migrateState, migrateCheck, migrationChangeText } from "./lib/migrate";
+
+import { applyUpdate, registerServiceWorker, useOnlineStatus } from "./lib/pwa";
+
+import { amendCheck, diffChecks, formatChange, summarizeSections } from "./lib/audit";
+
+import { hasInk, isCheckLocked, removeSignature, signBlocker, signCheck } from "./lib/signatures";
+
+import {
+  buildSyncRequest,
+  defaultSyncState,
+  finishSync,
+  loadSyncState,
+  pendingCount,
+  postSync,
+  queueLocalChanges,
+  resetSyncState,
+  saveSyncState,
+  SYNC_ERROR_CODES,
+  SYNC_INTERVAL_MS,
+  syncErrorKey,
+} from "./lib/sync";
+import { compareVersions, hashRecord, nextStamp, recordKey } from "./lib/sync-protocol";
+
+import { activeDriver, createDriver, currentUserName, exportableProfile, hashPin, keepLocalPins, isValidPin, preparedByName, removeDriver, toHex, verifyPin } from "./lib/drivers";
+
+import {
+  approveCheck,
+  canTransition,
+  checkStatus,
+  checkStatusLabel,
+  lastReview,
+  pendingApproval,
+  rejectCheck,
+  reviewerName,
+  submitCheck,
+} from "./lib/approval";
+
+import { putPhoto, getPhoto, deletePhotos, collectPhotoIds, prunePhotos, exportPhotos, importPhotos, imageToDataUrl } from "./lib/attachments";
+
+import { assembleState, isQuotaError, storageErrorText, loadStoredState, saveStoredState, saveProfile, storageEstimate, requestPersistentStorage } from "./lib/storage";
+
+import {
+  DEFAULT_HISTORY_FILTER,
+  DEFAULT_HISTORY_SORT,
+  filterChecks,
+  isFilterActive,
+  matchesCheck,
+  paginate,
+  sortChecks,
+  toggleSort,
+} from "./lib/history";
+
+import { defectStatusLabel, isDefectOpen, openDefectsFor, preflagDraft, setDefectStatus, syncDefects } from "./lib/defects";
+
+import {
+  DEFAULT_REMINDER_SETTINGS,
+  buildIcs,
+  buildReminders,
+  daysUntil,
+  describeDays,
+  describeDistance,
+  reminderStatusLabel,
+  parseDueDate,
+  reminderSettings,
+  reminderStatus,
+} from "./lib/reminders";
+
+import {
+  ODOMETER_UNITS,
+  checkOdometer,
+  distanceByMonth,
+  formatOdometer,
+  mileageTimeline,
+  parseOdometer,
+  previousReading,
+  unitForVehicle,
+} from "./lib/odometer";
+
+import { addMonths, cleanIntervals, createInterval, markServiceDone, nextServiceDue } from "./lib/service";
+
+import { buildChecksCsv, csvCell, csvDelimiter, toCsv } from "./lib/csv";
+
+import { createPdfDocument, jpegInfo } from "./lib/pdf";
+import { buildReportPdf, renderChecksPdf } from "./lib/report-pdf";
+import { EXPORT_SCHEMA, formatSchemaErrors, validateAgainst, validateImportPayload } from "./lib/schema";
+import { buildChecksBundle, bundleFileName } from "./lib/bundle";
+import { applyMerge, diffFields, isEmptyPlan, planMerge } from "./lib/merge";
+import {
+  DEFAULT_LANGUAGE,
+  I18nContext,
+  LANGUAGES,
+  catalogGaps,
+  createT,
+  formatDate,
+  formatDateTime,
+  fuelLabel,
+  hasMessage,
+  itemLabel,
+  normalizeLanguage,
+  sectionTitle,
+  templateName,
+  translate,
+  useT,
+} from "./lib/i18n";
+
+import { loadDrafts, saveDrafts, isDraftDirty, withDraft, withoutDraft } from "./lib/drafts";
+
 function badgeFor(sev) {
   if (sev === "issue") return "bg-red-100 text-red-800 border-red-200";
   if (sev === "note") return "bg-amber-100 text-amber-800 border-amber-200";
   return "bg-emerald-100 text-emerald-800 border-emerald-200";
 }
 
-function labelFor(sev) {
-  if (sev === "issue") return "Issue";
-  if (sev === "note") return "Note";
-  return "OK";
+function labelFor(sev, lang = DEFAULT_LANGUAGE) {
+  return translate(lang, `severity.${sev === "issue" || sev === "note" ? sev : "ok"}`);
 }
 
 function isTestsMode() {
@@ -61,23 +192,30 @@ function isHubPlaceholder() {
   return !HUB_URL || HUB_URL.includes("YOUR-WIX-HUB-URL-HERE");
 }
 
-function buildCheckSummaryText(check) {
+function buildCheckSummaryText(check, lang = DEFAULT_LANGUAGE) {
   const c = check || {};
+  const t = (key, vars) => translate(lang, key, vars);
 
   const lines = [];
-  lines.push("Vehicle Check Report");
-  lines.push("-------------------");
-  lines.push(`Date: ${c.date || "-"}`);
-  lines.push(`Vehicle: ${c.vehicleLabel || c.vehicleId || "-"}`);
-  lines.push(`Odometer: ${c.odometer || "-"}`);
+  const title = t("report.title");
+  lines.push(title);
+  lines.push("-".repeat(title.length));
+  lines.push(`${t("report.date")}: ${c.date || "-"}`);
+  lines.push(`${t("report.vehicle")}: ${c.vehicleLabel || c.vehicleId || "-"}`);
+  if (c.driverName) lines.push(`${t("report.preparedBy")}: ${c.driverName}`);
+  lines.push(`${t("report.odometer")}: ${formatOdometer(c.odometer, c.odometerUnit) || c.odometerRaw || "-"}`);
   lines.push(
-    `Items: ${(c.summary?.doneCount ?? 0)}/${(c.summary?.totalItems ?? 0)}`
+    `${t("report.items")}: ${(c.summary?.doneCount ?? 0)}/${(c.summary?.totalItems ?? 0)}`
   );
-  lines.push(`Issues: ${(c.summary?.issueCount ?? 0)}`);
+  lines.push(`${t("report.issues")}: ${(c.summary?.issueCount ?? 0)}`);
+  const review = lastReview(c);
+  const reviewedBy = review && checkStatus(c) === review.status && review.by ? ` (${review.by})` : "";
+  lines.push(`${t("approval.status")}: ${checkStatusLabel(checkStatus(c), lang)}${reviewedBy}`);
+  if (checkStatus(c) === "rejected" && review?.comment) lines.push(`${t("approval.comment")}: ${review.comment}`);
 
   if (c.generalNotes) {
     lines.push("");
-    lines.push("General notes:");
+    lines.push(`${t("report.generalNotes")}:`);
     lines.push(String(c.generalNotes));
   }
 
@@ -86,33 +224,32 @@ function buildCheckSummaryText(check) {
     for (const it of s.items || []) {
       if (it?.severity === "issue" || it?.severity === "note") {
         const note = it.note ? ` — ${it.note}` : "";
-        findings.push(`• ${s.title}: ${it.label}${note}`);
+        const photos = it.photos?.length ? ` [${t("report.photoCount", { n: it.photos.length })}]` : "";
+        findings.push(`• ${sectionTitle(s, lang)}: ${itemLabel(it, lang)}${note}${photos}`);
       }
     }
   }
 
   if (findings.length) {
     lines.push("");
-    lines.push("Findings:");
+    lines.push(`${t("report.findings")}:`);
     for (const f of findings.slice(0, 80)) lines.push(f);
     if (findings.length > 80)
-      lines.push(`…and ${findings.length - 80} more`);
+      lines.push(t("common.andMore", { n: findings.length - 80 }));
   }
 
   lines.push("");
-  lines.push(
-    "Tip: Open this check in the app and use Preview → Print/Save PDF to attach a clean PDF."
-  );
+  lines.push(t("report.textTip"));
 
   return lines.join("\n");
 }
 
-function buildCheckEmail(check) {
+function buildCheckEmail(check, lang = DEFAULT_LANGUAGE) {
   const c = check || {};
-  const subject = `Vehicle Check — ${c.date || isoToday()} — ${
+  const subject = `${translate(lang, "report.emailSubject")} — ${c.date || isoToday()} — ${
     c.vehicleLabel || c.vehicleId || ""
   }`.trim();
-  const body = buildCheckSummaryText(c);
+  const body = buildCheckSummaryText(c, lang);
   return { subject, body };
 }
 
@@ -148,13 +285,23 @@ function copyTextToClipboard(text) {
   }
 }
 
-function parseImportPayload(text) {
-  const parsed = JSON.parse(String(text || ""));
+// Payloads are checked against EXPORT_SCHEMA (src/lib/schema.js) before use.
+function parseImportPayload(text, lang = DEFAULT_LANGUAGE) {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(text || ""));
+  } catch {
+    throw new Error(translate(lang, "import.notJson"));
+  }
+  const { errors } = validateImportPayload(parsed);
+  if (errors.length) throw new Error(translate(lang, "import.schemaMismatch", { errors: formatSchemaErrors(errors, 8, lang) }));
+
   if (parsed?.data?.checks && Array.isArray(parsed.data.checks)) {
     return {
       kind: "full",
       profile: parsed?.profile || null,
       data: parsed.data,
+      attachments: parsed?.attachments || null,
     };
   }
   if (parsed?.check && typeof parsed.check === "object") {
@@ -162,11 +309,23 @@ function parseImportPayload(text) {
       kind: "check",
       profile: parsed?.profile || null,
       check: parsed.check,
+      attachments: parsed?.attachments || null,
+    };
+  }
+  if (Array.isArray(parsed?.checks)) {
+    return {
+      kind: "checks",
+      profile: parsed?.profile || null,
+      checks: parsed.checks,
+      attachments: parsed?.attachments || null,
     };
   }
-  throw new Error("Invalid import file");
+  throw new Error(translate(lang, "import.invalid"));
 }
 
+// Set while the self-tests render the whole app, so TestsPanel does not run them again.
+let smokeRendering = false;
+
 function runSelfTests() {
   const results = [];
   const assert = (name, cond) => {
@@ -301,78 +460,376 @@ function runSelfTests() {
   const k1 = parseImportPayload(fullPayload);
   assert("parseImportPayload full kind", k1.kind === "full");
 
-  const onePayload = JSON.stringify({ profile: { user: "x" }, check: { id: "c1" } });
+  const onePayload = JSON.stringify({ profile: { user: "x" }, check: { id: "c1", sections: [] } });
   const k2 = parseImportPayload(onePayload);
   assert("parseImportPayload check kind", k2.kind === "check");
 
-  return results;
-}
-
-function defaultTemplate() {
-  const sid = () => uid("s");
-  const iid = () => uid("i");
+  const t0 = { rev: 9, sections: [{ id: "s1", title: "A", items: [{ id: "i1", label: "One" }, { id: "i2", label: "Two" }] }] };
+  const t1 = moveItem(renameSection(t0, "s1", "Renamed"), "s1", "i2", -1);
+  assert("template ops rename section", t1.sections[0].title === "Renamed");
+  assert("template ops reorder items", t1.sections[0].items[0].id === "i2");
+  assert("template ops are immutable", t0.sections[0].title === "A");
+  const t2 = commitTemplate(t0, addItem(removeItem(t0, "s1", "i1"), "s1", "  "));
+  assert("commitTemplate drops blank items", t2.sections[0].items.length === 1);
+  assert("commitTemplate marks customized + bumps rev", t2.customized === true && t2.rev === 10);
+  const dr = draftFromTemplate(t0, { date: "2026-01-07", vehicleId: "v1" }, {
+    sections: [{ id: "s1", items: [{ id: "i1", severity: "issue", note: "x", done: true }] }],
+  });
+  assert("draftFromTemplate keeps state of existing items", dr.sections[0].items[0].severity === "issue");
+  assert("draftFromTemplate starts new items at ok", dr.sections[0].items[1].severity === "ok");
+  assert("draftFromTemplate records template id + rev", dr.templateId === "" && dr.templateRev === 9);
 
-  return {
-    rev: TEMPLATE_REV,
-    name: "Default Vehicle Check",
-    sections: [
-      {
-        id: sid(),
-        title: "Exterior",
-        items: [
-          { id: iid(), label: "Tyres (pressure / condition)", severity: "ok" },
-          { id: iid(), label: "Lights (all working)", severity: "ok" },
-          { id: iid(), label: "Windows / mirrors clean", severity: "ok" },
-          { id: iid(), label: "Body damage check", severity: "ok" },
-        ],
-      },
-      {
-        id: sid(),
-        title: "Interior",
-        items: [
-          { id: iid(), label: "Cabin clean", severity: "ok" },
-          { id: iid(), label: "Cabin damage", severity: "ok" },
-          { id: iid(), label: "Documents present (registration/insurance)", severity: "ok" },
-          { id: iid(), label: "Charging cables / accessories", severity: "ok" },
-        ],
-      },
-      {
-        id: sid(),
-        title: "Safety",
-        items: [
-          { id: iid(), label: "Warning triangle", severity: "ok" },
-          { id: iid(), label: "High-visibility vest", severity: "ok" },
-          { id: iid(), label: "First aid kit", severity: "ok" },
-          { id: iid(), label: "Spare tyre / Puncture Kit", severity: "ok" },
-          { id: iid(), label: "Jack & tools", severity: "ok" },
-        ],
-      },
-      {
-        id: sid(),
-        title: "Vehicle status",
-        items: [
-          { id: iid(), label: "Oil level", severity: "ok" },
-          { id: iid(), label: "Coolant level", severity: "ok" },
-          { id: iid(), label: "No warning lights", severity: "ok" },
-          { id: iid(), label: "Wipers / washer fluid", severity: "ok" },
-          { id: iid(), label: "AdBlue level (if applicable)", severity: "ok" },
-        ],
-      },
+  const lib = [defaultTemplate(), { ...t0, id: "ev", name: "EV" }];
+  assert("templateForVehicle picks vehicle template", templateForVehicle(lib, { templateId: "ev" }, DEFAULT_TEMPLATE_ID)?.id === "ev");
+  assert(
+    "templateForVehicle falls back to default",
+    templateForVehicle(lib, { templateId: "gone" }, DEFAULT_TEMPLATE_ID)?.id === DEFAULT_TEMPLATE_ID
+  );
+  const v1 = {
+    template: { rev: 8, sections: [{ id: "x1", title: "Safety", items: [{ id: "x2", label: "Warning triangle" }] }] },
+    checks: [{ id: "c1", sections: [{ id: "x1", title: "Safety", items: [{ id: "x2", label: "Warning triangle", severity: "issue" }] }] }],
+  };
+  const m1 = migrateState(v1);
+  assert("migrateState reports from/to schema", m1.report.from === 1 && m1.report.to === SCHEMA_VERSION);
+  assert("migrateState lifts legacy template into library", m1.state.templates[0]?.id === DEFAULT_TEMPLATE_ID && !m1.state.template);
+  assert("migrateState refreshes untouched default template", m1.state.templates[0].rev === TEMPLATE_REV);
+  assert("migrateState maps check items to stable ids", m1.state.checks[0].sections[0].items[0].id === "i-warning-triangle");
+  assert("migrateState links checks to template", m1.state.checks[0].templateId === DEFAULT_TEMPLATE_ID);
+  assert("migrateState lists changes", m1.report.changes.length > 0);
+  const m2 = migrateState({ ...v1, template: { ...v1.template, customized: true } });
+  assert("migrateState keeps customized template", m2.state.templates[0].rev === 8 && m2.state.templates[0].sections.length === 1);
+  assert("migrateState is a no-op on current schema", migrateState(m1.state).report.changes.length === 0);
+  assert("migrateCheck re-keys a single check", migrateCheck(v1.checks[0]).sections[0].id === "s-safety");
+  assert("defaultTemplate ids are stable", defaultTemplate().sections[0].items[0].id === defaultTemplate().sections[0].items[0].id);
+  const committed = commitTemplates(lib, [lib[0], { ...lib[1], name: "EV 2" }]);
+  assert("commitTemplates keeps untouched templates", committed[0] === lib[0]);
+  assert("commitTemplates bumps edited templates", committed[1].rev === 10 && committed[1].name === "EV 2");
+
+  const cleanDraft = draftFromTemplate(t0, { date: "2026-01-07", vehicleId: "v1" });
+  assert("isDraftDirty false for a fresh draft", isDraftDirty(cleanDraft, "", "") === false);
+  assert("isDraftDirty true with odometer text", isDraftDirty(cleanDraft, "123", "") === true);
+  assert("isDraftDirty true with a flagged item", isDraftDirty(dr, "", "") === true);
+  const dIdx = withDraft({}, "v1", { draft: dr });
+  assert("withDraft keys entries by vehicle", !!dIdx.v1?.updatedAt);
+  assert("withoutDraft removes only that vehicle", Object.keys(withoutDraft({ ...dIdx, v2: {} }, "v1")).join() === "v2");
+
+  const saved = { id: "c9", date: "2026-01-07", odometer: "100", generalNotes: "", sections: sample.sections.map((x, i) => ({ ...x, id: `s${i}`, items: x.items.map((it, j) => ({ ...it, id: `i${i}${j}` })) })) };
+  const amended = amendCheck(saved, { odometer: "1000", sections: saved.sections.map((x) => ({ ...x, items: x.items.map((it) => ({ ...it, severity: "ok" })) })) }, "Ana");
+  assert("amendCheck appends a revision", amended.revisions?.length === 1 && amended.revisions[0].by === "Ana");
+  assert("amendCheck records field-level diff", amended.revisions[0].changes.some((c) => c.path === "odometer" && c.to === "1000"));
+  assert("amendCheck records a unit change", amendCheck({ ...saved, odometerUnit: "km" }, { odometerUnit: "mi" }, "Ana").revisions[0].changes.some((c) => c.path === "odometerUnit" && c.to === "mi"));
+  assert("amendCheck records item severity change", amended.revisions[0].changes.some((c) => c.path === "items.i00.severity"));
+  assert("amendCheck recomputes summary", amended.summary.issueCount === 0 && summarizeSections(saved.sections).issueCount === 1);
+  assert("amendCheck without changes returns same check", amendCheck(saved, { odometer: "100" }, "Ana") === saved);
+
+  const withPhotos = [{ sections: [{ items: [{ photos: ["p1", "p2"] }, { photos: ["p2"] }] }] }, { sections: [{ items: [{}] }] }];
+  assert("collectPhotoIds dedupes ids across checks", collectPhotoIds(withPhotos).join() === "p1,p2");
+  assert("draftFromTemplate keeps item photos", draftFromTemplate(t0, {}, { sections: [{ items: [{ id: "i1", photos: ["p1"] }] }] }).sections[0].items[0].photos[0] === "p1");
+  assert("diffChecks reports photo count change", diffChecks(saved, amendCheck(saved, { sections: saved.sections.map((x) => ({ ...x, items: x.items.map((it) => ({ ...it, photos: ["p1"] })) })) }, "")).length === 2);
+
+  assert("isQuotaError detects QuotaExceededError", isQuotaError({ name: "QuotaExceededError" }) && !isQuotaError(new Error("x")));
+  const stored = assembleState({ meta: {}, checkOrder: ["b", "a"] }, [{ id: "a" }, { id: "c", createdAt: "2026-01-02" }, { id: "b" }]);
+  assert("assembleState keeps check order, unknown records last", stored.checks.map((c) => c.id).join() === "b,a,c" && !("checkOrder" in stored));
+  assert("hydrateState without stored data returns the default library", hydrateState(null).state.templates[0].id === DEFAULT_TEMPLATE_ID && hydrateState(null).report === null);
+
+  const hist = [
+    { id: "h1", createdAt: "1", date: "2026-01-01", vehicleId: "v1", vehicleLabel: "VW Golf", odometer: 900, odometerUnit: "km", summary: { issueCount: 0 }, sections: [] },
+    { id: "h2", createdAt: "2", date: "2026-02-01", vehicleId: "v2", vehicleLabel: "Audi A4", odometer: 12000, odometerUnit: "km", generalNotes: "Wiper streaks", summary: { issueCount: 1 }, sections: [] },
+    { id: "h3", createdAt: "3", date: "2026-03-01", vehicleId: "v1", vehicleLabel: "VW Golf", odometer: null, summary: { issueCount: 2 }, sections: [{ title: "Safety", items: [{ label: "Warning triangle", note: "" }] }] },
+  ];
+  assert("filterChecks by vehicle", filterChecks(hist, { vehicleId: "v1" }).map((c) => c.id).join() === "h1,h3");
+  assert("filterChecks by date range", filterChecks(hist, { from: "2026-01-15", to: "2026-02-28" }).map((c) => c.id).join() === "h2");
+  assert("filterChecks issues only", filterChecks(hist, { issuesOnly: true }).length === 2);
+  assert("filterChecks searches notes and item labels", filterChecks(hist, { q: "wiper" })[0]?.id === "h2" && filterChecks(hist, { q: "triangle" })[0]?.id === "h3");
+  assert("filterChecks without filter returns the same list", filterChecks(hist, DEFAULT_HISTORY_FILTER) === hist);
+  assert("sortChecks by odometer puts missing readings last", sortChecks(hist, { key: "odometer", dir: "desc" }).map((c) => c.id).join() === "h2,h1,h3");
+  assert("sortChecks by vehicle ascending", sortChecks(hist, { key: "vehicle", dir: "asc" })[0].id === "h2");
+  assert("toggleSort flips direction on the same column", toggleSort({ key: "date", dir: "desc" }, "date").dir === "asc");
+  const pg = paginate(Array.from({ length: 30 }, (_, i) => i), 9, 25);
+  assert("paginate clamps page and slices", pg.page === 2 && pg.pages === 2 && pg.items.length === 5 && pg.start === 25);
+
+  const chk = { id: "c1", date: "2026-03-01", vehicleId: "v1", odometer: "5000", sections: [{ title: "Safety", items: [{ id: "i1", label: "Tyres", severity: "issue", note: "worn" }, { id: "i2", label: "Lights", severity: "ok" }] }] };
+  const reg = syncDefects([], chk);
+  assert("syncDefects opens a defect per issue", reg.length === 1 && reg[0].status === "open" && reg[0].itemId === "i1" && reg[0].openedOdometer === 5000);
+  const reg2 = syncDefects(reg, { ...chk, id: "c2", date: "2026-03-08" });
+  assert("syncDefects refreshes an open defect instead of duplicating", reg2.length === 1 && reg2[0].lastCheckId === "c2");
+  const flagged = preflagDraft(draftFromTemplate({ sections: chk.sections }, { vehicleId: "v1" }), reg);
+  assert("preflagDraft flags items with open defects", flagged.sections[0].items[0].severity === "issue" && flagged.sections[0].items[0].defectId === reg[0].id);
+  assert("preflagged draft is not dirty until edited", isDraftDirty(flagged, "", "") === false);
+  assert("preflagDraft ignores other vehicles", preflagDraft(draftFromTemplate({ sections: chk.sections }, { vehicleId: "v2" }), reg).sections[0].items[0].severity === "ok");
+  const fixed = setDefectStatus(reg[0], "resolved", { by: "Ana", odometer: "5100", date: "2026-03-10" });
+  assert("setDefectStatus records resolution", fixed.resolvedBy === "Ana" && fixed.resolvedOdometer === 5100 && fixed.resolvedAt === "2026-03-10");
+  assert("setDefectStatus reopen clears resolution", !("resolvedBy" in setDefectStatus(fixed, "open")) && openDefectsFor([fixed], "v1").length === 0);
+  assert("syncDefects opens a new defect after resolution", syncDefects([fixed], chk).length === 2);
+  assert("migrateState v4 derives defects from the latest check", migrateState({ meta: { schema: 3 }, templates: [], checks: [chk] }).state.defects.length === 1);
+
+  assert("parseDueDate reads YYYY-MM as end of month", parseDueDate("2026-02") === "2026-02-28" && parseDueDate("03/2026") === "");
+  assert("daysUntil counts calendar days", daysUntil("2026-03-01", "2026-02-27") === 2);
+  const rem = buildReminders(
+    [
+      { id: "a", tuvUntil: "2026-01-10", serviceDue: "2026-01-20" },
+      { id: "b", tuvUntil: "2026-03-30" },
     ],
+    { today: "2026-01-15", settings: { reminders: { warnDays: 30, urgentDays: 7 } } }
+  );
+  assert("buildReminders sorts soonest first with status", rem.map((r) => `${r.id}:${r.status}`).join() === "a-tuv:overdue,a-service:urgent,b-tuv:ok");
+  assert("reminderStatus honours the warning window", reminderStatus(20, { reminders: { warnDays: 30, urgentDays: 7 } }) === "soon");
+  const ics = buildIcs([{ ...rem[0], vehicleLabel: "Mercedes-Benz Vito 119 CDI Tourer Pro Langversion (Kennzeichen M-AB 1234)" }], { settings: { reminders: { warnDays: 30, urgentDays: 7 } }, now: new Date("2026-01-15T08:00:00Z") });
+  assert("buildIcs writes all-day events with alarms", ics.includes("DTSTART;VALUE=DATE:20260110") && ics.includes("DTEND;VALUE=DATE:20260111") && ics.includes("TRIGGER:-P7D"));
+  assert("buildIcs uses CRLF and folds long lines", ics.split("\r\n").every((l) => new TextEncoder().encode(l).length <= 75));
+
+  assert("parseOdometer reads separators and units", parseOdometer("123.456") === 123456 && parseOdometer("123,456 km") === 123456 && parseOdometer("12 345") === 12345);
+  assert("parseOdometer rejects typos", parseOdometer("12a45") === null && parseOdometer("") === null);
+  const odoChecks = [
+    { id: "o1", vehicleId: "v1", date: "2026-01-01", odometer: 10000, odometerUnit: "km" },
+    { id: "o2", vehicleId: "v1", date: "2026-01-31", odometer: 11500, odometerUnit: "km" },
+    { id: "o3", vehicleId: "v1", date: "2026-02-15", odometer: 12100, odometerUnit: "km" },
+    { id: "o4", vehicleId: "v2", date: "2026-02-20", odometer: 500, odometerUnit: "km" },
+  ];
+  const prevOdo = previousReading(odoChecks, "v1", "km");
+  assert("checkOdometer warns when lower than the previous check", prevOdo.value === 12100 && !!checkOdometer("12000", prevOdo).warning && !checkOdometer("12200", prevOdo).warning);
+  assert("checkOdometer flags unreadable input", !!checkOdometer("abc", prevOdo).error);
+  const tl = mileageTimeline(odoChecks, "v1", "km");
+  assert("mileageTimeline computes distance and days", tl.length === 3 && tl[1].distance === 1500 && tl[1].days === 30 && tl[0].distance === null);
+  assert("distanceByMonth groups by month", distanceByMonth(tl).map((m) => `${m.month}:${m.distance}`).join() === "2026-01:1500,2026-02:600");
+  assert("previousReading converts units", previousReading([{ ...odoChecks[0], odometerUnit: "mi" }], "v1", "km").value === 16093);
+  const m5 = migrateState({ meta: { schema: 4 }, templates: [], checks: [{ id: "x", odometer: "98.765 km" }, { id: "y", odometer: "n/a" }], defects: [] });
+  assert("migrateState v5 parses odometer strings", m5.state.checks[0].odometer === 98765 && m5.state.checks[1].odometer === null && m5.state.checks[1].odometerRaw === "n/a");
+
+  assert("addMonths clamps to month end", addMonths("2026-01-31", 1) === "2026-02-28" && addMonths("2026-11-15", 3) === "2027-02-15");
+  const svcTl = [
+    { date: "2026-01-01", value: 10000 },
+    { date: "2026-03-01", value: 16000 },
+  ];
+  const byDistance = nextServiceDue({ everyDistance: 15000, everyMonths: 12, lastDoneDate: "2026-01-01", lastDoneOdometer: 10000 }, { timeline: svcTl, today: "2026-03-01" });
+  assert("nextServiceDue projects the distance limit from mileage", byDistance.by === "distance" && byDistance.remainingDistance === 9000 && byDistance.date === "2026-05-29");
+  const byTime = nextServiceDue({ everyDistance: 15000, everyMonths: 3, lastDoneDate: "2026-01-01", lastDoneOdometer: 10000 }, { timeline: svcTl, today: "2026-03-01" });
+  assert("nextServiceDue picks the time limit when it comes first", byTime.by === "time" && byTime.date === "2026-04-01");
+  const svcRem = buildReminders(
+    [{ id: "v1", serviceIntervals: [{ id: "r1", name: "Oil", everyDistance: 5000, everyMonths: 12, lastDoneDate: "2026-01-01", lastDoneOdometer: 10000 }] }],
+    { today: "2026-03-01", checks: [{ id: "k1", vehicleId: "v1", date: "2026-01-01", odometer: 10000 }, { id: "k2", vehicleId: "v1", date: "2026-03-01", odometer: 15500 }] }
+  );
+  assert("interval reminder is overdue once the distance is exceeded", svcRem[0]?.kind === "interval" && svcRem[0].status === "overdue" && svcRem[0].remainingDistance === -500);
+  assert("cleanIntervals drops rules without limits", cleanIntervals([{ name: "", everyDistance: "", everyMonths: "" }, { name: " Oil ", everyDistance: "15000" }]).map((r) => `${r.name}:${r.everyDistance}`).join() === "Oil:15000");
+
+  assert("csvDelimiter uses ';' for comma-decimal locales", csvDelimiter("de-DE") === ";" && csvDelimiter("en-US") === ",");
+  assert("csvCell quotes delimiters, quotes and newlines", csvCell('a;"b"', ";") === '"a;""b"""' && csvCell("x\ny") === '"x\ny"' && csvCell("plain") === "plain");
+  assert("csvCell neutralises formulas but keeps negative numbers", csvCell("=SUM(A1)") === "'=SUM(A1)" && csvCell("-5") === "-5" && csvCell(-5) === "-5");
+  const csv = toCsv([["a", "b"], [1, "c,d"]], { delimiter: "," });
+  assert("toCsv writes BOM and CRLF", csv === "\uFEFFa,b\r\n1,\"c,d\"\r\n");
+  const csvChecks = [{ id: "c1", date: "2026-01-02", vehicleId: "v1", vehicleLabel: "Golf", odometer: 1200, odometerUnit: "km", summary: { doneCount: 1, totalItems: 2, issueCount: 1 }, sections: [{ title: "Safety", items: [{ label: "Tyres", severity: "issue", note: "worn" }, { label: "Lights", severity: "ok" }] }] }];
+  assert("buildChecksCsv checks mode has one row per check", buildChecksCsv(csvChecks, "checks", { locale: "en-US" }).trim().split("\r\n").length === 2);
+  const findings = buildChecksCsv(csvChecks, "findings", { locale: "de-DE" });
+  const keyedCsv = [{ id: "k1", date: "2026-01-02", templateKey: "default", templateName: "Default Vehicle Check", sections: [{ key: "safety", title: "Safety", items: [{ key: "warning_triangle", label: "Warning triangle", severity: "issue" }] }] }];
+  const findingsDe = buildChecksCsv(keyedCsv, "findings", { locale: "de-DE", lang: "DE" });
+  assert("CSV exports follow the language", findingsDe.includes("Warndreieck") && findingsDe.includes(";Mangel;") && !findingsDe.includes("Severity") && buildChecksCsv(keyedCsv, "checks", { lang: "DE" }).includes("Entwurf"));
+  assert("buildChecksCsv findings mode lists non-ok items", findings.trim().split("\r\n").length === 2 && findings.includes(";Safety;Tyres;Issue;worn;"));
+
+  const pdfDoc = createPdfDocument();
+  assert("pdf wrap respects the width", pdfDoc.wrap("Bremsflüssigkeit prüfen und Warnleuchten kontrollieren", 100, 10).every((l) => pdfDoc.widthOf(l, 10) <= 100));
+  assert("pdf widthOf uses Helvetica metrics", Math.round(pdfDoc.widthOf("Hello", 10)) === 23);
+  assert("jpegInfo reads the SOF header", jpegInfo(new Uint8Array([0xff, 0xd8, 0xff, 0xc0, 0, 17, 8, 0, 20, 0, 40, 3, 0, 0, 0, 0, 0, 0, 0])).width === 40);
+  const pdfBytes = renderChecksPdf([chk, { ...chk, id: "c2", generalNotes: "Größere Delle – hinten links (€ 120)" }], { profile: { org: "Fleet GmbH", address: "Hauptstr. 1\n80331 München", user: "Ana" } });
+  const pdfText = new TextDecoder("latin1").decode(pdfBytes);
+  assert("renderChecksPdf writes a valid PDF skeleton", pdfText.startsWith("%PDF-1.4") && pdfText.trimEnd().endsWith("%%EOF") && /\/Count [2-9]/.test(pdfText));
+  const xrefAt = Number(pdfText.match(/startxref\n(\d+)/)[1]);
+  assert("renderChecksPdf xref offset points at the table", pdfText.slice(xrefAt, xrefAt + 4) === "xref");
+  assert("renderChecksPdf prints the org address line by line", pdfText.includes("(Hauptstr. 1)") && pdfText.includes("(80331 M\\374nchen)"));
+
+  const sigImg = "data:image/jpeg;base64,AAAA";
+  const unsigned = { id: "cs", date: "2026-01-07", generalNotes: "", sections: [] };
+  assert("approver cannot sign before the preparer", signBlocker(unsigned, "approver") === "signature.needsPreparer" && signCheck(unsigned, "approver", { name: "Bo", image: sigImg }) === unsigned);
+  assert("signCheck needs a name and an image", signCheck(unsigned, "preparer", { name: " ", image: sigImg }) === unsigned);
+  const prepared = signCheck(unsigned, "preparer", { name: " Ana ", image: sigImg, at: "2026-01-07T08:00:00Z" });
+  assert("signCheck stores name, time and image", prepared.signatures.preparer.name === "Ana" && prepared.signatures.preparer.at === "2026-01-07T08:00:00Z" && !isCheckLocked(prepared));
+  assert("amending drops the preparer signature", !amendCheck(prepared, { generalNotes: "late note" }, "Ana").signatures.preparer);
+  const countersigned = signCheck(prepared, "approver", { name: "Bo", image: sigImg });
+  assert("countersigning locks the check", isCheckLocked(countersigned) && signBlocker(countersigned, "preparer") === "signature.locked");
+  assert("locked checks ignore amendments and removals", amendCheck(countersigned, { generalNotes: "x" }, "Ana") === countersigned && removeSignature(countersigned, "preparer") === countersigned);
+  assert("removeSignature clears an uncountersigned signature", !removeSignature(prepared, "preparer").signatures.preparer);
+  assert("hasInk spots strokes on a white canvas", !hasInk({ data: [255, 255, 255, 255] }) && hasInk({ data: [255, 255, 255, 255, 20, 20, 20, 255] }));
+  const signedPdf = new TextDecoder("latin1").decode(renderChecksPdf([countersigned], { profile: {}, lang: "EN" }));
+  assert("renderChecksPdf prints signer names", signedPdf.includes("(Ana)") && signedPdf.includes("(Bo)"));
+
+  const draftCheck = { id: "ca", date: "2026-01-07", summary: { issueCount: 1 }, sections: [] };
+  assert("checks without a status are drafts", checkStatus(draftCheck) === "draft" && checkStatusLabel("submitted", "DE") === "Wartet auf Freigabe");
+  assert("only submitted checks can be approved", approveCheck(draftCheck, "Max") === draftCheck);
+  const submitted = submitCheck(draftCheck, "Ana");
+  assert("submitCheck logs the transition", submitted.status === "submitted" && submitted.statusLog[0].by === "Ana" && pendingApproval([draftCheck, submitted]).length === 1);
+  assert("rejectCheck needs a comment", rejectCheck(submitted, "Max", "  ") === submitted);
+  const rejected = rejectCheck(submitted, "Max", "Photo of the dent missing");
+  assert("rejected checks carry reviewer and comment", lastReview(rejected).by === "Max" && lastReview(rejected).comment === "Photo of the dent missing");
+  assert("rejected checks can be resubmitted", submitCheck(rejected, "Ana").status === "submitted");
+  const approved = approveCheck(submitted, reviewerName({ user: "Ana", reviewer: " Max " }));
+  assert("approveCheck uses the reviewer from the profile", approved.status === "approved" && lastReview(approved).by === "Max" && reviewerName({ user: "Ana" }) === "Ana");
+  assert("amending an approved check puts it back in the queue", amendCheck(approved, { generalNotes: "later" }, "Ana").status === "submitted");
+  assert("summary text includes status and rejection comment", buildCheckSummaryText(rejected).includes("Status: Rejected (Max)") && buildCheckSummaryText(rejected).includes("Photo of the dent missing"));
+  const lockedSubmitted = { ...submitted, signatures: { preparer: { name: "Ana", image: sigImg }, approver: { name: "Max", image: sigImg } } };
+  assert("locked check cannot be approved or rejected", approveCheck(lockedSubmitted, "Max") === lockedSubmitted && rejectCheck(lockedSubmitted, "Max", "late") === lockedSubmitted && !canTransition(lockedSubmitted, "approved"));
+  assert("history filters by approval status", filterChecks([draftCheck, submitted], { status: "submitted" }).length === 1);
+
+  assert("PINs are 4 to 8 digits", isValidPin("1234") && isValidPin("12345678") && !isValidPin("123") && !isValidPin("12a4") && !isValidPin(""));
+  assert("toHex pads bytes", toHex(new Uint8Array([0, 15, 255]).buffer) === "000fff");
+  const ana = createDriver(" Ana ");
+  const crew = { user: "Office", drivers: [ana, { id: "drv-bo", name: "Bo" }], activeDriverId: ana.id };
+  assert("currentUserName prefers the active driver", ana.name === "Ana" && currentUserName(crew) === "Ana" && currentUserName({ ...crew, activeDriverId: "" }) === "Office");
+  assert("preparedByName keeps the recorded driver", preparedByName({ driverId: "drv-gone", driverName: "Cy" }, crew) === "Cy" && preparedByName({ driverId: "drv-bo" }, crew) === "Bo" && preparedByName({}, crew) === "Office");
+  const lockedCrew = { ...crew, drivers: [{ ...ana, pinHash: "abc" }, crew.drivers[1]] };
+  assert("exported profiles leave PIN hashes behind", exportableProfile(lockedCrew).drivers.every((d) => !("pinHash" in d) && d.name) && lockedCrew.drivers[0].pinHash === "abc");
+  const restored = keepLocalPins(parseImportPayload(JSON.stringify({ exportedAt: "2026-01-01", profile: exportableProfile(lockedCrew), data: { checks: [] } })).profile, lockedCrew);
+  assert("replace-importing a backup keeps the PINs set here", restored.drivers[0].pinHash === "abc" && !("pinHash" in restored.drivers[1]));
+  const withoutAna = removeDriver(crew, ana.id);
+  assert("removeDriver clears the active driver", withoutAna.drivers.length === 1 && withoutAna.activeDriverId === "" && removeDriver(crew, "drv-bo").activeDriverId === ana.id);
+  const byDriver = [{ ...draftCheck, driverId: ana.id }, draftCheck];
+  assert("history filters by driver", filterChecks(byDriver, { driverId: ana.id }).length === 1 && isFilterActive({ driverId: ana.id }));
+  assert("reports show the driver as preparer", new TextDecoder("latin1").decode(renderChecksPdf([{ ...draftCheck, driverName: "Cy" }], { profile: crew, lang: "EN" })).includes("(Cy)"));
+
+  const vanData = { checks: [{ id: "c1", createdAt: "2026-01-01T08:00:00.000Z", date: "2026-01-01", sections: [] }], templates: [], vehicles: [{ id: "v1", plate: "M-1" }] };
+  const syncA = queueLocalChanges({ ...defaultSyncState(), enabled: true, deviceId: "dev-a" }, vanData, "2026-01-02T00:00:00.000Z");
+  assert("new records are queued once, with their own timestamp", pendingCount(syncA) === 2 && syncA.outbox["checks:c1"].updatedAt === "2026-01-01T08:00:00.000Z" && queueLocalChanges(syncA, vanData) === syncA);
+  const bodyA = buildSyncRequest(syncA, vanData);
+  const pushedA = finishSync(syncA, vanData, bodyA.changes, { meta: { updatedAt: "2026-01-02T00:00:01.000Z" }, accepted: bodyA.changes.map((e) => recordKey(e.kind, e.id)), changes: [] });
+  assert("accepted changes leave the outbox", pendingCount(pushedA.sync) === 0 && pushedA.sync.cursor === "2026-01-02T00:00:01.000Z" && pushedA.data.checks === vanData.checks);
+  const deletedA = queueLocalChanges(pushedA.sync, { ...vanData, checks: [] }, "2026-01-03T00:00:00.000Z");
+  assert("deleting a synced record queues a tombstone", deletedA.outbox["checks:c1"].deleted && buildSyncRequest(deletedA, vanData).changes[0].deleted);
+  const pulledB = finishSync({ ...defaultSyncState(), deviceId: "dev-b" }, { checks: [], templates: [], vehicles: [] }, [], { meta: {}, accepted: [], changes: bodyA.changes });
+  assert("pulled records are applied without echoing back", pulledB.data.checks[0].id === "c1" && pulledB.data.vehicles.length === 1 && queueLocalChanges(pulledB.sync, pulledB.data) === pulledB.sync);
+  const notesB = { ...pulledB.data, checks: [{ ...pulledB.data.checks[0], generalNotes: "B" }] };
+  const editedB = queueLocalChanges(pulledB.sync, notesB, "2026-01-04T00:00:00.000Z");
+  const remoteA = { kind: "checks", id: "c1", updatedAt: "2026-01-04T00:00:05.000Z", deviceId: "dev-a", hash: "h", data: { id: "c1", generalNotes: "A", sections: [] } };
+  const lostB = finishSync(editedB, notesB, [], { accepted: [], changes: [remoteA] });
+  assert("an older local edit loses to a newer remote one", lostB.data.checks[0].generalNotes === "A" && lostB.stats.overwritten === 1 && pendingCount(lostB.sync) === 0);
+  const keptB = finishSync(editedB, notesB, [], { accepted: [], changes: [{ ...remoteA, updatedAt: "2026-01-03T00:00:00.000Z" }] });
+  assert("a newer local edit stays queued", keptB.data.checks === notesB.checks && pendingCount(keptB.sync) === 1);
+  const oldCheck = { kind: "checks", id: "c-old", updatedAt: "2026-01-04T00:00:00.000Z", deviceId: "dev-a", hash: "o", schema: 6, data: { id: "c-old", date: "2026-01-04", sections: [] } };
+  const badCheck = { ...oldCheck, id: "c-bad", data: { id: "c-bad", sections: [{ items: [{ label: 3 }] }] } };
+  const pulledOld = finishSync(pulledB.sync, pulledB.data, [], { accepted: [], changes: [oldCheck, badCheck] });
+  assert("pulled records are migrated and invalid ones rejected", pulledOld.data.checks[0].status === "draft" && pulledOld.stats.rejected === 1 && !pulledOld.data.checks.some((c) => c.id === "c-bad") && !pulledOld.sync.known["checks:c-bad"]);
+  const tie = { updatedAt: "2026-01-05T00:00:00.000Z", deviceId: "dev-a", hash: "1" };
+  assert("conflicts resolve the same way on every side", compareVersions({ ...tie, deviceId: "dev-b" }, tie) > 0 && compareVersions(tie, { ...tie, deviceId: "dev-b" }) < 0 && compareVersions(tie, { ...tie }) === 0);
+  assert("every sync error code has a message", SYNC_ERROR_CODES.every((code) => translate("DE", syncErrorKey(code)) !== syncErrorKey(code)) && syncErrorKey("HTTP 500") === "sync.error.network");
+  assert("sync stamps never go backwards", nextStamp("2026-01-01T00:00:00.000Z", "2026-01-02T00:00:00.000Z") === "2026-01-02T00:00:00.001Z");
+  assert("record hashes ignore key order", hashRecord({ a: 1, b: [2] }) === hashRecord({ b: [2], a: 1 }) && hashRecord({ a: 1 }) !== hashRecord({ a: 2 }));
+
+  const mergeOurs = {
+    profile: { vehicles: [{ id: "v1", plate: "M-AB 1", make: "BMW" }] },
+    data: { checks: [{ id: "c1", date: "2026-01-01", vehicleId: "v1" }, { id: "c2", date: "2026-01-02", vehicleId: "v1" }], templates: [], defects: [] },
+  };
+  const mergeTheirs = {
+    profile: { vehicles: [{ id: "other", plate: "m-ab 1", make: "BMW" }, { id: "v9", plate: "B-X 9" }] },
+    data: {
+      checks: [
+        { id: "c1", vehicleId: "other", date: "2026-01-01" },
+        { id: "c2", vehicleId: "other", date: "2026-01-03" },
+        { id: "c3", vehicleId: "other", date: "2026-01-04" },
+      ],
+    },
   };
+  const mergePlan = planMerge(mergeOurs, mergeTheirs);
+  assert("planMerge matches vehicles by plate and remaps their checks", mergePlan.vehicles.idMap.other === "v1" && mergePlan.checks.added[0].vehicleId === "v1");
+  assert("planMerge counts identical checks and lists conflicts", mergePlan.checks.same === 1 && mergePlan.checks.conflicts.length === 1);
+  assert("diffFields ignores key order", diffFields({ a: 1, b: { x: 1, y: 2 } }, { b: { y: 2, x: 1 }, a: 1 }).length === 0);
+  const mergedOurs = applyMerge(mergeOurs, mergePlan, {});
+  const mergedTheirs = applyMerge(mergeOurs, mergePlan, { "check:c2": "theirs" });
+  assert("applyMerge keeps ours by default and unions the rest", mergedOurs.data.checks.length === 3 && mergedOurs.data.checks.find((c) => c.id === "c2").date === "2026-01-02");
+  assert("applyMerge takes theirs when chosen", mergedTheirs.data.checks.find((c) => c.id === "c2").date === "2026-01-03");
+  assert("applyMerge adds unmatched vehicles", mergedOurs.profile.vehicles.length === 2 && mergeOurs.profile.vehicles.length === 1);
+  assert("isEmptyPlan for a re-import of our own data", isEmptyPlan(planMerge(mergeOurs, mergeOurs)));
+
+  assert("schema accepts the self-test payloads", validateImportPayload(JSON.parse(fullPayload)).errors.length === 0 && validateImportPayload(JSON.parse(onePayload)).errors.length === 0);
+  const badPayload = { data: { checks: [{ id: "c1", sections: [{ title: "A", items: [{ label: "x", severity: "broken" }, { done: true }] }] }, { id: "c2", sections: "nope" }] } };
+  const badPaths = validateImportPayload(badPayload).errors.map((e) => e.path);
+  assert(
+    "schema errors point at the offending path",
+    badPaths.includes("data.checks[0].sections[0].items[0].severity") && badPaths.includes("data.checks[0].sections[0].items[1].label") && badPaths.includes("data.checks[1].sections")
+  );
+  assert("schema rejects payloads of unknown kind", validateImportPayload({ foo: 1 }).kind === null && validateImportPayload([]).errors.length === 1);
+  assert("schema accepts a legacy v1 backup", validateAgainst({ template: { sections: [] }, checks: [], meta: { schema: 1 } }, EXPORT_SCHEMA.definitions.data).length === 0);
+  let importError = "";
+  try {
+    parseImportPayload(JSON.stringify(badPayload));
+  } catch (e) {
+    importError = e.message;
+  }
+  assert("parseImportPayload reports schema errors", importError.includes("data.checks[1].sections: expected array, got string"));
+  let importErrorDe = "";
+  try {
+    parseImportPayload(JSON.stringify(badPayload), "DE");
+  } catch (e) {
+    importErrorDe = e.message;
+  }
+  assert("import errors follow the language", importErrorDe.includes("data.checks[1].sections: array erwartet, string erhalten") && !importErrorDe.includes("expected"));
+  assert("migration reports are worded per language", migrationChangeText(m1.report.changes[0], "DE") !== migrationChangeText(m1.report.changes[0], "EN"));
+  const quotaErr = Object.assign(new Error("x"), { code: "quota", what: "checks" });
+  assert("storage errors are worded per language", storageErrorText(quotaErr, "DE") !== storageErrorText(quotaErr, "EN") && !storageErrorText(quotaErr, "DE").includes("{"));
+
+  const bundle = buildChecksBundle([chk, { ...chk, id: "c2", date: "2026-03-31" }], {
+    org: "Fleet",
+    vehicles: [{ id: chk.vehicleId }, { id: "unused" }],
+  });
+  assert("buildChecksBundle includes only referenced vehicles", bundle.profile.vehicles.length === 1 && bundle.checks.length === 2);
+  assert("check bundles pass the schema and parse as kind checks", parseImportPayload(JSON.stringify(bundle)).kind === "checks");
+  assert("bundleFileName names vehicle and date range", bundleFileName([{ vehicleId: "v1", date: "2026-03-31" }, { vehicleId: "v1", date: "2026-03-01" }]) === "vehicle-checks-v1-2026-03-01_2026-03-31.json");
+
+  const gaps = catalogGaps();
+  assert("DE and EN catalogs have the same keys", !gaps.missingInDE.length && !gaps.missingInEN.length);
+  assert("translate fills placeholders and falls back to EN, then the key", translate("DE", "history.count", { n: 3 }) === "3 Prüfungen" && translate("FR", "report.date") === "Date" && translate("DE", "no.such.key") === "no.such.key");
+  assert("normalizeLanguage accepts lower case and locales", normalizeLanguage("de") === "DE" && normalizeLanguage("de-AT") === "DE" && normalizeLanguage("xx") === "EN");
+  assert("formatDate localizes calendar dates", formatDate("2026-01-07", "DE") === "07.01.2026" && formatDate("2026-01-07", "EN") === "07/01/2026" && formatDate("", "DE") === "");
+  assert("fuelLabel translates stored fuel types", fuelLabel("Elektro", "EN") === "Electric" && fuelLabel("Elektro", "DE") === "Elektro" && fuelLabel("Custom", "EN") === "Custom");
+  assert("summary text follows the language", buildCheckSummaryText(chk, "DE").includes("Fahrzeugprüfbericht") && buildCheckSummaryText(chk).includes("Vehicle Check Report"));
+  assert("describeDays and reminder labels follow the language", describeDays(-2, "DE") === "2 Tag(e) überfällig" && reminderStatusLabel("soon", "DE") === "Bald fällig");
+
+  const keyed = draftFromTemplate(defaultTemplate(), { date: "2026-01-07", vehicleId: "v1" });
+  const triangle = keyed.sections.find((x) => x.key === "safety")?.items.find((it) => it.id === "i-warning-triangle");
+  assert("drafts store the item key", triangle?.key === "warning_triangle");
+  assert("itemLabel renders keyed items in any language", itemLabel(triangle, "DE") === "Warndreieck" && itemLabel(triangle, "EN") === "Warning triangle");
+  assert("itemLabel keeps custom labels", itemLabel({ label: "Roof box" }, "DE") === "Roof box" && itemLabel({ key: "nope", label: "X" }, "DE") === "X");
+  assert("every built-in key has catalog wording", defaultTemplate().sections.every((x) => hasMessage("EN", `checklist.section.${x.key}`) && x.items.every((it) => hasMessage("EN", `checklist.item.${it.key}`))));
+  const renamedItem = renameItem(defaultTemplate(), "s-safety", "i-warning-triangle", "Warndreieck (2x)").sections[2].items[0];
+  assert("renaming a built-in item drops its key", !renamedItem.key && itemLabel(renamedItem, "EN") === "Warndreieck (2x)");
+  assert("renaming a template drops its key", !renameTemplate(defaultTemplate(), "Fleet").key && templateName(defaultTemplate(), "DE") === "Standard-Fahrzeugcheck");
+  assert("summary text renders item keys in the check language", buildCheckSummaryText({ sections: [{ key: "safety", title: "Safety", items: [{ ...triangle, severity: "issue" }] }] }, "DE").includes("Sicherheit: Warndreieck"));
+  const m6 = migrateState({ meta: { schema: 5 }, templates: [], checks: [{ id: "c6", templateId: DEFAULT_TEMPLATE_ID, templateName: "Default Vehicle Check", sections: [{ id: "s-safety", title: "Safety", items: [{ id: "i-warning-triangle", label: "Warning triangle" }, { id: "i-first-aid-kit", label: "First aid kit (car)" }] }] }] });
+  const m6s = m6.state.checks[0].sections[0];
+  assert("migration v6 adds keys to untouched built-in items only", m6s.key === "safety" && m6s.items[0].key === "warning_triangle" && !m6s.items[1].key && m6.state.checks[0].templateKey === "default");
+  assert("migrated checks get the same status shape as new ones", m6.state.checks[0].status === "draft" && Array.isArray(m6.state.checks[0].statusLog));
+  assert("history search matches built-in items in every language", matchesCheck(m6.state.checks[0], { q: "warndreieck" }) && matchesCheck(m6.state.checks[0], { q: "triangle" }));
+
+  return results;
+}
+
+// Smoke render of the full UI: anything that throws while App() renders fails
+// here. react-dom/server is loaded on demand so it stays out of the app bundle.
+async function runSmokeTest() {
+  const { renderToStaticMarkup } = await import("react-dom/server");
+  let markup = "";
+  smokeRendering = true;
+  try {
+    markup = renderToStaticMarkup(<App hydratedAtStart />);
+  } catch {
+    markup = "";
+  } finally {
+    smokeRendering = false;
+  }
+  return { name: "the whole app renders", pass: markup.includes(createT(loadProfile().language)("saved.export")) };
 }
 
 function loadProfile() {
   if (typeof window === "undefined") {
-    return { org: "ToolStack", user: "", language: "EN", logo: "", vehicles: [] };
+    return { org: "ToolStack", address: "", user: "", reviewer: "", language: DEFAULT_LANGUAGE, logo: "", vehicles: [], drivers: [], activeDriverId: "" };
   }
 
   return (
     safeParse(localStorage.getItem(PROFILE_KEY), null) || {
       org: "ToolStack",
+      address: "",
       user: "",
-      language: "EN",
+      reviewer: "",
+      language: DEFAULT_LANGUAGE,
       logo: "",
+      drivers: [],
+      activeDriverId: "",
       vehicles: [
         {
           id: "bmw-530i",
@@ -403,44 +860,36 @@ function loadProfile() {
   );
 }
 
-function loadState() {
-  const base = {
-    meta: { appId: APP_ID, version: APP_VERSION, updatedAt: new Date().toISOString() },
-    template: defaultTemplate(),
+function baseState() {
+  return {
+    meta: { appId: APP_ID, version: APP_VERSION, schema: SCHEMA_VERSION, updatedAt: new Date().toISOString() },
+    templates: [defaultTemplate()],
     checks: [],
+    defects: [],
+    settings: { reminders: DEFAULT_REMINDER_SETTINGS },
   };
+}
 
-  if (typeof window === "undefined") return base;
-
-  const parsed = safeParse(localStorage.getItem(KEY), null);
-  if (!parsed) return base;
-
-  const incomingTemplateRev = parsed?.template?.rev;
-  if (incomingTemplateRev !== TEMPLATE_REV) {
-    return {
-      ...base,
-      meta: { ...(parsed.meta || base.meta), updatedAt: new Date().toISOString() },
-      checks: Array.isArray(parsed.checks) ? parsed.checks : [],
-      template: defaultTemplate(),
-    };
-  }
+// Bring a stored/imported state up to date. Returns { state, report }; report
+// lists what the migrations changed (or null when nothing was stored).
+function hydrateState(parsed) {
+  const base = baseState();
+  if (!parsed) return { state: base, report: null };
 
+  const { state, report } = migrateState(parsed);
   return {
-    ...base,
-    ...parsed,
-    meta: { ...(parsed.meta || base.meta), updatedAt: new Date().toISOString() },
-    checks: Array.isArray(parsed.checks) ? parsed.checks : [],
+    state: {
+      ...base,
+      ...state,
+      meta: { ...base.meta, ...state.meta, updatedAt: new Date().toISOString() },
+    },
+    report,
   };
 }
 
-function saveState(state) {
-  const next = { ...state, meta: { ...(state.meta || {}), updatedAt: new Date().toISOString() } };
-  try {
-    if (typeof window !== "undefined") localStorage.setItem(KEY, JSON.stringify(next));
-  } catch {
-    // ignore
-  }
-  return next;
+// Stamp meta.updatedAt; persisting happens in App's storage effect.
+function stampState(state) {
+  return { ...state, meta: { ...(state.meta || {}), updatedAt: new Date().toISOString() } };
 }
 
 const btnSecondary =
@@ -548,7 +997,11 @@ function HelpIconButton({ onClick, title = "Help" }) {
   );
 }
 
+// Catalog text may mark names as **bold**.
+const rich = (s) => String(s).split(/\*\*(.+?)\*\*/g).map((part, i) => (i % 2 ? <b key={i}>{part}</b> : part));
+
 function HelpModal({ open, onClose, appName = "ToolStack App", storageKey = "(unknown)", actions = [] }) {
+  const t = useT();
   if (!open) return null;
 
   const Section = ({ title, children }) => (
@@ -567,14 +1020,12 @@ function HelpModal({ open, onClose, appName = "ToolStack App", storageKey = "(un
     </div>
   );
 
-  const baseActions = [
-    { name: "Preview", desc: "Shows a clean report sheet inside the app (print-safe)." },
-    { name: "Print / Save PDF", desc: "Uses your browser print dialog to print or save a PDF." },
-    { name: "Export", desc: "Downloads a JSON backup file of your saved data." },
-    { name: "Import", desc: "Loads a JSON backup file and replaces the current saved data." },
-  ];
+  const baseActions = ["preview", "downloadPdf", "print", "export", "import", "exportSelected"].map((k) => ({
+    name: t(`help.action.${k}`),
+    desc: t(`help.action.${k}.desc`),
+  }));
 
-  const extra = (actions || []).map((a) => ({ name: a, desc: "Extra tool for this app." }));
+  const extra = (actions || []).map((a) => ({ name: a, desc: t("help.action.extra.desc") }));
 
   return (
     <div className="fixed inset-0 z-50">
@@ -584,7 +1035,7 @@ function HelpModal({ open, onClose, appName = "ToolStack App", storageKey = "(un
           <div className="p-4 border-b border-neutral-100 flex items-start justify-between gap-4 shrink-0">
             <div>
               <div className="text-sm text-neutral-500">ToolStack • Help Pack v1</div>
-              <h2 className="text-lg font-semibold text-neutral-900">{appName} — how your data works</h2>
+              <h2 className="text-lg font-semibold text-neutral-900">{t("help.title", { app: appName })}</h2>
               <div className="mt-3 h-[2px] w-56 rounded-full bg-gradient-to-r from-[#D5FF00]/0 via-[#D5FF00] to-[#D5FF00]/0" />
             </div>
 
@@ -593,54 +1044,45 @@ function HelpModal({ open, onClose, appName = "ToolStack App", storageKey = "(un
               className="print:hidden px-3 py-2 rounded-xl text-sm font-medium border border-neutral-200 bg-white hover:bg-[#D5FF00]/10 hover:border-[#D5FF00] text-neutral-900 transition focus:outline-none focus:ring-2 focus:ring-[#D5FF00]/30 focus:border-neutral-300"
               onClick={onClose}
             >
-              Close
+              {t("common.close")}
             </button>
           </div>
 
           <div className="p-4 space-y-5 overflow-y-auto min-h-0">
-            <Section title="Quick start (daily use)">
+            <Section title={t("help.quick.title")}>
               <ul className="space-y-1">
-                <Bullet>Use the app normally — it autosaves as you type.</Bullet>
-                <Bullet>
-                  Use <b>Preview</b> → then <b>Print / Save PDF</b> for a clean report.
-                </Bullet>
-                <Bullet>
-                  Use <b>Export</b> regularly to create backups.
-                </Bullet>
+                <Bullet>{rich(t("help.quick.autosave"))}</Bullet>
+                <Bullet>{rich(t("help.quick.preview"))}</Bullet>
+                <Bullet>{rich(t("help.quick.export"))}</Bullet>
               </ul>
             </Section>
 
-            <Section title="Where your data lives (important)">
-              <p>
-                Your data is saved automatically in your browser on <b>this device</b> using local storage (localStorage).
-              </p>
+            <Section title={t("help.data.title")}>
+              <p>{rich(t("help.data.intro"))}</p>
               <ul className="space-y-1">
-                <Bullet>No login is required (for now).</Bullet>
-                <Bullet>If you switch device/browser/profile, your data will not follow automatically.</Bullet>
+                <Bullet>{rich(t("help.data.idb"))}</Bullet>
+                <Bullet>{rich(t("help.data.login"))}</Bullet>
+                <Bullet>{rich(t("help.data.device"))}</Bullet>
               </ul>
             </Section>
 
-            <Section title="Backup routine (recommended)">
+            <Section title={t("help.backup.title")}>
               <ul className="space-y-1">
-                <Bullet>
-                  Export after major changes, or at least <b>weekly</b>.
-                </Bullet>
-                <Bullet>Keep 2–3 older exports as a fallback.</Bullet>
-                <Bullet>Save exports somewhere safe (Drive/Dropbox/OneDrive) or email them to yourself.</Bullet>
+                <Bullet>{rich(t("help.backup.weekly"))}</Bullet>
+                <Bullet>{rich(t("help.backup.keep"))}</Bullet>
+                <Bullet>{rich(t("help.backup.where"))}</Bullet>
               </ul>
             </Section>
 
-            <Section title="Restore / move to a new device (Import)">
-              <p>
-                On a new device/browser (or after clearing site data), use <b>Import</b> and select your latest exported JSON.
-              </p>
+            <Section title={t("help.restore.title")}>
+              <p>{rich(t("help.restore.intro"))}</p>
               <ul className="space-y-1">
-                <Bullet>Import replaces the current saved data with the file’s contents.</Bullet>
-                <Bullet>If an import fails, try an older export (versions can differ).</Bullet>
+                <Bullet>{rich(t("help.restore.merge"))}</Bullet>
+                <Bullet>{rich(t("help.restore.older"))}</Bullet>
               </ul>
             </Section>
 
-            <Section title="Buttons glossary (same meaning across ToolStack)">
+            <Section title={t("help.glossary.title")}>
               <div className="rounded-2xl border border-neutral-200 bg-white px-3">
                 {[...baseActions, ...extra].map((a) => (
                   <ActionRow key={a.name} name={a.name} desc={a.desc} />
@@ -648,27 +1090,30 @@ function HelpModal({ open, onClose, appName = "ToolStack App", storageKey = "(un
               </div>
             </Section>
 
-            <Section title="What can erase local data">
+            <Section title={t("help.erase.title")}>
               <ul className="space-y-1">
-                <Bullet>Clearing browser history / site data.</Bullet>
-                <Bullet>Private/incognito mode.</Bullet>
-                <Bullet>Some “cleanup/optimizer” tools.</Bullet>
-                <Bullet>Reinstalling the browser or using a different browser profile.</Bullet>
+                <Bullet>{t("help.erase.history")}</Bullet>
+                <Bullet>{t("help.erase.private")}</Bullet>
+                <Bullet>{t("help.erase.cleanup")}</Bullet>
+                <Bullet>{t("help.erase.reinstall")}</Bullet>
               </ul>
             </Section>
 
-            <Section title="Storage key (for troubleshooting)">
+            <Section title={t("help.keys.title")}>
               <div className="rounded-2xl border border-neutral-200 bg-neutral-50 px-3 py-2 text-sm text-neutral-700">
-                <span className="font-medium">localStorage key:</span>{" "}
+                <span className="font-medium">{t("help.keys.storage")}:</span>{" "}
                 <span className="font-mono">{storageKey}</span>
               </div>
               <div className="mt-2 text-xs text-neutral-500">
-                Shared profile key: <span className="font-mono">{PROFILE_KEY}</span>
+                {t("help.keys.profile")}: <span className="font-mono">{PROFILE_KEY}</span>
+              </div>
+              <div className="mt-1 text-xs text-neutral-500">
+                {t("help.keys.drafts")}: <span className="font-mono">{DRAFTS_KEY}</span>
               </div>
             </Section>
 
-            <Section title="Privacy">
-              <p>By default, your data stays on your device. It only leaves your device if you export it or share it yourself.</p>
+            <Section title={t("help.privacy.title")}>
+              <p>{t("help.privacy.body")}</p>
             </Section>
           </div>
 
@@ -678,7 +1123,7 @@ function HelpModal({ open, onClose, appName = "ToolStack App", storageKey = "(un
               className="print:hidden px-3 py-2 rounded-xl text-sm font-medium border border-neutral-700 bg-neutral-700 text-white hover:bg-[#D5FF00] hover:border-[#D5FF00] hover:text-neutral-900 transition focus:outline-none focus:ring-2 focus:ring-[#D5FF00]/30 focus:border-neutral-300"
               onClick={onClose}
             >
-              Got it
+              {t("help.gotIt")}
             </button>
           </div>
         </div>
@@ -698,6 +1143,7 @@ function VehicleProfilesModal({
   open,
   onClose,
   vehicles,
+  templates,
   activeVehicleId,
   onSelectActive,
   onStartAdd,
@@ -709,6 +1155,7 @@ function VehicleProfilesModal({
   onSave,
   onCancelEdit,
 }) {
+  const t = useT();
   // Keep a local copy of the draft inside the modal so parent re-renders
   // don't reset the controlled inputs while typing.
   const [localDraft, setLocalDraft] = useState(draft);
@@ -732,26 +1179,26 @@ function VehicleProfilesModal({
         <div className="w-full max-w-5xl flex flex-col max-h-full rounded-2xl border border-neutral-200 bg-white shadow-xl overflow-hidden pointer-events-auto">
           <div className="p-4 border-b border-neutral-100 flex flex-wrap items-start justify-between gap-4 shrink-0">
             <div>
-              <div className="text-sm text-neutral-500">Vehicle profiles • stored locally</div>
-              <h2 className="text-lg font-semibold text-neutral-900">Manage vehicles</h2>
+              <div className="text-sm text-neutral-500">{t("vehicles.subtitle")}</div>
+              <h2 className="text-lg font-semibold text-neutral-900">{t("vehicles.manage")}</h2>
               <div className="mt-3 h-[2px] w-56 rounded-full bg-gradient-to-r from-[#D5FF00]/0 via-[#D5FF00] to-[#D5FF00]/0" />
               <div className="mt-2 text-xs text-neutral-500">
-                Stored in <span className="font-mono">{PROFILE_KEY}</span>
+                {t("common.storedIn")} <span className="font-mono">{PROFILE_KEY}</span>
               </div>
             </div>
 
             <div className="flex items-center gap-2">
               {!isEditing ? (
                 <button className={btnSecondary} onClick={onStartAdd}>
-                  Add vehicle
+                  {t("vehicles.add")}
                 </button>
               ) : (
                 <button className={btnSecondary} onClick={onCancelEdit}>
-                  Back
+                  {t("common.back")}
                 </button>
               )}
               <button className={btnSecondary} onClick={onClose}>
-                Close
+                {t("common.close")}
               </button>
             </div>
           </div>
@@ -760,9 +1207,9 @@ function VehicleProfilesModal({
             {!isEditing ? (
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
                 <div className="rounded-2xl border border-neutral-200 bg-white p-4">
-                  <div className="text-sm font-semibold text-neutral-800">Your vehicles</div>
+                  <div className="text-sm font-semibold text-neutral-800">{t("vehicles.yours")}</div>
                   {vehicles.length === 0 ? (
-                    <div className="mt-2 text-sm text-neutral-600">No vehicles yet. Click “Add vehicle”.</div>
+                    <div className="mt-2 text-sm text-neutral-600">{t("vehicles.none")}</div>
                   ) : (
                     <div className="mt-3 space-y-2">
                       {vehicles.map((v) => (
@@ -771,10 +1218,11 @@ function VehicleProfilesModal({
                             <div className="min-w-0">
                               <div className="text-sm font-semibold text-neutral-800 truncate">{formatVehicleLabel(v)}</div>
                               <div className="mt-2 flex flex-wrap gap-2">
-                                {v.fuelType ? <Pill tone="accent">{v.fuelType}</Pill> : null}
-                                {v.tuvUntil ? <Pill>TÜV: {v.tuvUntil}</Pill> : null}
-                                {v.serviceDue ? <Pill>Service: {v.serviceDue}</Pill> : null}
-                                {v.id === activeVehicleId ? <Pill tone="accent">Active</Pill> : null}
+                                {v.fuelType ? <Pill tone="accent">{fuelLabel(v.fuelType, t.lang)}</Pill> : null}
+                                {v.tuvUntil ? <Pill>{t("vehicles.tuv")}: {formatDate(v.tuvUntil, t.lang)}</Pill> : null}
+                                {v.serviceDue ? <Pill>{t("vehicles.service")}: {formatDate(v.serviceDue, t.lang)}</Pill> : null}
+                                <Pill>{t("vehicles.template")}: {templateName(templateForVehicle(templates, v, DEFAULT_TEMPLATE_ID), t.lang) || "-"}</Pill>
+                                {v.id === activeVehicleId ? <Pill tone="accent">{t("vehicles.active")}</Pill> : null}
                               </div>
                               {v.notes ? <div className="mt-2 text-xs text-neutral-600 whitespace-pre-wrap">{v.notes}</div> : null}
                               <div className="mt-2 text-[11px] text-neutral-500 font-mono truncate">{v.id}</div>
@@ -783,14 +1231,14 @@ function VehicleProfilesModal({
                             <div className="shrink-0 flex flex-col gap-2">
                               {v.id !== activeVehicleId ? (
                                 <button className={btnSecondary} onClick={() => onSelectActive(v.id)}>
-                                  Set active
+                                  {t("vehicles.setActive")}
                                 </button>
                               ) : null}
                               <button className={btnSecondary} onClick={() => onStartEdit(v)}>
-                                Edit
+                                {t("common.edit")}
                               </button>
                               <button className={btnDanger} onClick={() => onDelete(v.id)}>
-                                Delete
+                                {t("common.delete")}
                               </button>
                             </div>
                           </div>
@@ -801,31 +1249,29 @@ function VehicleProfilesModal({
                 </div>
 
                 <div className="rounded-2xl border border-neutral-200 bg-neutral-50 p-4">
-                  <div className="text-sm font-semibold text-neutral-800">How it works</div>
+                  <div className="text-sm font-semibold text-neutral-800">{t("vehicles.howTitle")}</div>
                   <div className="mt-2 text-sm text-neutral-700 space-y-2">
-                    <p>
-                      Vehicle profiles are saved in your browser on this device. You can edit them anytime, and pick the <b>Active vehicle</b> for the next checks.
-                    </p>
-                    <p>Tip: keep plate + make/model filled so the labels stay clean in your history and reports.</p>
+                    <p>{rich(t("vehicles.howBody"))}</p>
+                    <p>{t("vehicles.howTip")}</p>
                   </div>
                 </div>
               </div>
             ) : open && localDraft ? (
                 <div className="max-w-3xl">
                   <div className="rounded-2xl border border-neutral-200 bg-white p-4">
-                    <div className="text-sm font-semibold text-neutral-800">{mode === "add" ? "Add vehicle" : "Edit vehicle"}</div>
+                    <div className="text-sm font-semibold text-neutral-800">{mode === "add" ? t("vehicles.add") : t("vehicles.edit")}</div>
 
                   <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-3">
-                    <Field label="Number plate">
+                    <Field label={t("vehicles.plate")}>
                       <input
                         className={inputBase}
-                        placeholder="e.g., M-AB 1234"
+                        placeholder={t("vehicles.platePlaceholder")}
                         value={localDraft.plate}
                         onChange={(e) => setLocalDraft((d) => ({ ...d, plate: e.target.value }))}
                       />
                     </Field>
 
-                    <Field label="Fuel type">
+                    <Field label={t("vehicles.fuel")}>
                       <select
                         className={inputBase}
                         value={localDraft.fuelType}
@@ -833,56 +1279,140 @@ function VehicleProfilesModal({
                       >
                         {FUEL_OPTIONS.map((opt) => (
                           <option key={opt} value={opt}>
-                            {opt}
+                            {fuelLabel(opt, t.lang)}
+                          </option>
+                        ))}
+                      </select>
+                    </Field>
+
+                    <Field label={t("vehicles.checklistTemplate")}>
+                      <select
+                        className={inputBase}
+                        value={localDraft.templateId || ""}
+                        onChange={(e) => setLocalDraft((d) => ({ ...d, templateId: e.target.value }))}
+                      >
+                        <option value="">{t("templates.default")}</option>
+                        {(templates || [])
+                          .filter((tpl) => tpl.id !== DEFAULT_TEMPLATE_ID)
+                          .map((tpl) => (
+                            <option key={tpl.id} value={tpl.id}>
+                              {templateName(tpl, t.lang) || t("templates.untitled")}
+                            </option>
+                          ))}
+                      </select>
+                    </Field>
+
+                    <Field label={t("vehicles.odometerUnit")}>
+                      <select
+                        className={inputBase}
+                        value={unitForVehicle(localDraft)}
+                        onChange={(e) => setLocalDraft((d) => ({ ...d, odometerUnit: e.target.value }))}
+                      >
+                        {ODOMETER_UNITS.map((u) => (
+                          <option key={u} value={u}>
+                            {u}
                           </option>
                         ))}
                       </select>
                     </Field>
 
-                    <Field label="Make">
+                    <Field label={t("vehicles.make")}>
                       <input
                         className={inputBase}
-                        placeholder="e.g., BMW"
+                        placeholder={t("vehicles.makePlaceholder")}
                         value={localDraft.make}
                         onChange={(e) => setLocalDraft((d) => ({ ...d, make: e.target.value }))}
                       />
                     </Field>
 
-                    <Field label="Model">
+                    <Field label={t("vehicles.model")}>
                       <input
                         className={inputBase}
-                        placeholder="e.g., 530i"
+                        placeholder={t("vehicles.modelPlaceholder")}
                         value={localDraft.model}
                         onChange={(e) => setLocalDraft((d) => ({ ...d, model: e.target.value }))}
                       />
                     </Field>
 
-                    <Field label="TÜV valid until">
+                    <Field label={t("vehicles.tuvUntil")}>
                       <input type="date" className={inputBase} value={localDraft.tuvUntil} onChange={(e) => setLocalDraft((d) => ({ ...d, tuvUntil: e.target.value }))} />
                     </Field>
 
-                    <Field label="Service due">
+                    <Field label={t("vehicles.serviceDue")}>
                       <input type="date" className={inputBase} value={localDraft.serviceDue} onChange={(e) => setLocalDraft((d) => ({ ...d, serviceDue: e.target.value }))} />
                     </Field>
 
-                    <Field label="Year">
-                      <input className={inputBase} placeholder="e.g., 2023" value={localDraft.year} onChange={(e) => setLocalDraft((d) => ({ ...d, year: e.target.value }))} />
+                    <Field label={t("vehicles.year")}>
+                      <input className={inputBase} placeholder={t("vehicles.yearPlaceholder")} value={localDraft.year} onChange={(e) => setLocalDraft((d) => ({ ...d, year: e.target.value }))} />
                     </Field>
 
-                    <Field label="VIN (optional)">
+                    <Field label={t("vehicles.vin")}>
                       <input
                         className={inputBase}
-                        placeholder="Vehicle Identification Number"
+                        placeholder={t("vehicles.vinPlaceholder")}
                         value={localDraft.vin}
                         onChange={(e) => setLocalDraft((d) => ({ ...d, vin: e.target.value }))}
                       />
                     </Field>
                   </div>
 
-                  <Field label="Notes (optional)">
+                  <div className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3 space-y-2">
+                    <div className="flex items-center justify-between gap-2">
+                      <div className="text-sm font-medium text-neutral-700">{t("service.intervals")}</div>
+                      <button
+                        className={btnMini}
+                        onClick={() =>
+                          setLocalDraft((d) => ({ ...d, serviceIntervals: [...(d.serviceIntervals || []), createInterval(t("service.defaultName"))] }))
+                        }
+                      >
+                        {t("service.addInterval")}
+                      </button>
+                    </div>
+                    {(localDraft.serviceIntervals || []).length === 0 ? (
+                      <div className="text-xs text-neutral-600">{t("service.example", { unit: unitForVehicle(localDraft) })}</div>
+                    ) : null}
+                    {(localDraft.serviceIntervals || []).map((r) => {
+                      const setRule = (patch) =>
+                        setLocalDraft((d) => ({ ...d, serviceIntervals: d.serviceIntervals.map((x) => (x.id === r.id ? { ...x, ...patch } : x)) }));
+                      return (
+                        <div key={r.id} className="grid grid-cols-2 sm:grid-cols-6 gap-2 items-end">
+                          <Field label={t("service.name")}>
+                            <input className={inputBase} value={r.name} onChange={(e) => setRule({ name: e.target.value })} />
+                          </Field>
+                          <Field label={t("service.everyDistance", { unit: unitForVehicle(localDraft) })}>
+                            <input className={inputBase} inputMode="numeric" value={r.everyDistance ?? ""} onChange={(e) => setRule({ everyDistance: e.target.value })} />
+                          </Field>
+                          <Field label={t("service.everyMonths")}>
+                            <input className={inputBase} inputMode="numeric" value={r.everyMonths ?? ""} onChange={(e) => setRule({ everyMonths: e.target.value })} />
+                          </Field>
+                          <Field label={t("service.lastDone")}>
+                            <input type="date" className={inputBase} value={r.lastDoneDate || ""} onChange={(e) => setRule({ lastDoneDate: e.target.value })} />
+                          </Field>
+                          <Field label={t("service.at", { unit: unitForVehicle(localDraft) })}>
+                            <input
+                              className={inputBase}
+                              inputMode="numeric"
+                              value={r.lastDoneOdometer ?? ""}
+                              onChange={(e) => setRule({ lastDoneOdometer: e.target.value })}
+                            />
+                          </Field>
+                          <div className="pb-1">
+                            <button
+                              className={btnMiniDanger}
+                              onClick={() => setLocalDraft((d) => ({ ...d, serviceIntervals: d.serviceIntervals.filter((x) => x.id !== r.id) }))}
+                            >
+                              {t("common.remove")}
+                            </button>
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+
+                  <Field label={t("vehicles.notes")}>
                     <textarea
                       className={inputBase + " min-h-[100px]"}
-                      placeholder="Anything useful (tyre size, quirks, etc.)"
+                      placeholder={t("vehicles.notesPlaceholder")}
                       value={localDraft.notes}
                       onChange={(e) => setLocalDraft((d) => ({ ...d, notes: e.target.value }))}
                     />
@@ -890,14 +1420,14 @@ function VehicleProfilesModal({
 
                   <div className="mt-4 flex items-center justify-end gap-2">
                     <button className={btnSecondary} onClick={onCancelEdit}>
-                      Cancel
+                      {t("common.cancel")}
                     </button>
                     <button className={btnSecondary} disabled={!requiredOk} onClick={() => onSave(localDraft)}>
-                      Save
+                      {t("common.save")}
                     </button>
                   </div>
 
-                  {!requiredOk ? <div className="mt-3 text-xs text-neutral-600">Please enter at least a number plate or make/model.</div> : null}
+                  {!requiredOk ? <div className="mt-3 text-xs text-neutral-600">{t("vehicles.required")}</div> : null}
                 </div>
               </div>
             ) : null}
@@ -908,183 +1438,1599 @@ function VehicleProfilesModal({
   );
 }
 
-function ReportSheet({ profile, date, vehicleLabel, odometer, generalNotes, draft, totals, storageKey }) {
-  const sections = draft?.sections || [];
+function TemplateEditorModal({ open, onClose, templates, vehicles, initialId, onSave, onRestoreDefault }) {
+  const t = useT();
+  // Work on a local copy of the whole library; nothing is persisted until Save.
+  // The parent remounts the modal (key) on open and when the edited template
+  // changes, so later updates to `templates` (autosave, sync) keep the edits.
+  const [library, setLibrary] = useState(templates);
+  const [selectedId, setSelectedId] = useState(initialId);
+
+  const local = (library || []).find((tpl) => tpl.id === selectedId) || library?.[0] || null;
+  if (!open || !local) return null;
+
+  const setLocal = (fn) => setLibrary((list) => list.map((tpl) => (tpl.id === local.id ? fn(tpl) : tpl)));
+
+  const sections = local.sections || [];
+  const itemCount = sections.reduce((n, s) => n + (s.items || []).length, 0);
+  const usedBy = (vehicles || []).filter((v) => v.templateId === local.id || (!v.templateId && local.id === DEFAULT_TEMPLATE_ID));
+  const isDefault = local.id === DEFAULT_TEMPLATE_ID;
+
+  const addTemplate = (tpl) => {
+    setLibrary((list) => [...list, tpl]);
+    setSelectedId(tpl.id);
+  };
+
+  const confirmRemoveTemplate = () => {
+    const extra = usedBy.length ? ` ${t("templates.fallbackNote", { n: usedBy.length })}` : "";
+    if (!window.confirm(`${t("templates.confirmDelete", { name: templateName(local, t.lang) || t("templates.untitled") })}${extra}`)) return;
+    setLibrary((list) => list.filter((tpl) => tpl.id !== local.id));
+    setSelectedId(DEFAULT_TEMPLATE_ID);
+  };
+
+  const confirmRemoveSection = (s) => {
+    const n = (s.items || []).length;
+    if (n && !window.confirm(t("templates.confirmDeleteSection", { name: sectionTitle(s, t.lang) || t("templates.untitled"), n }))) return;
+    setLocal((tpl) => removeSection(tpl, s.id));
+  };
+
   return (
-    <div className="mx-auto max-w-4xl">
-      <div className="flex items-start justify-between gap-4">
-        <div>
-          <div className="text-2xl font-semibold text-neutral-900">{profile.org || "ToolStack"}</div>
-          <div className="text-sm text-neutral-600">Vehicle Check Report</div>
-          <div className="mt-3 h-[2px] w-72 rounded-full bg-gradient-to-r from-[#D5FF00]/0 via-[#D5FF00] to-[#D5FF00]/0" />
-        </div>
-        <div className="text-sm text-neutral-600">Generated: {new Date().toLocaleString()}</div>
-      </div>
+    <div className="fixed inset-0 z-50">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} aria-hidden="true" />
+      <div className="absolute inset-0 flex items-center justify-center p-4 sm:p-8 pointer-events-none">
+        <div className="w-full max-w-4xl flex flex-col max-h-full rounded-2xl border border-neutral-200 bg-white shadow-xl overflow-hidden pointer-events-auto">
+          <div className="p-4 border-b border-neutral-100 flex flex-wrap items-start justify-between gap-4 shrink-0">
+            <div>
+              <div className="text-sm text-neutral-500">{t("templates.subtitle", { n: library.length })}</div>
+              <h2 className="text-lg font-semibold text-neutral-900">{t("templates.edit")}</h2>
+              <div className="mt-3 h-[2px] w-56 rounded-full bg-gradient-to-r from-[#D5FF00]/0 via-[#D5FF00] to-[#D5FF00]/0" />
+            </div>
 
-      <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-3">
-        <div className="rounded-2xl border border-neutral-200 p-4">
-          <div className="text-sm text-neutral-600">Prepared by</div>
-          <div className="text-lg font-semibold text-neutral-900 mt-1">{profile.user || "—"}</div>
-        </div>
-        <div className="rounded-2xl border border-neutral-200 p-4">
-          <div className="text-sm text-neutral-600">Vehicle</div>
-          <div className="text-sm text-neutral-900 mt-1">{vehicleLabel || "—"}</div>
-          <div className="text-xs text-neutral-600 mt-1">Date: {date || "—"}</div>
-        </div>
-        <div className="rounded-2xl border border-neutral-200 p-4">
-          <div className="text-sm text-neutral-600">Summary</div>
-          <div className="text-sm text-neutral-900 mt-1">
-            Done: <span className="font-semibold">{totals.doneCount}</span>/{totals.totalItems} • Issues:{" "}
-            <span className="font-semibold">{totals.issueCount}</span>
+            <div className="flex items-center gap-2">
+              {isDefault ? (
+                <button className={btnSecondary} onClick={onRestoreDefault}>
+                  {t("templates.restoreDefault")}
+                </button>
+              ) : null}
+              <button className={btnSecondary} onClick={onClose}>
+                {t("common.close")}
+              </button>
+            </div>
           </div>
-          <div className="text-xs text-neutral-600 mt-1">Odometer: {odometer || "—"}</div>
-        </div>
-      </div>
 
-      {generalNotes ? (
-        <div className="mt-4 rounded-2xl border border-neutral-200 p-4 text-sm">
-          <div className="font-semibold text-neutral-900">General notes</div>
-          <div className="mt-1 text-neutral-700 whitespace-pre-wrap">{generalNotes}</div>
-        </div>
-      ) : null}
-
-      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3">
-        {sections.map((s) => (
-          <div key={s.id} className="rounded-2xl border border-neutral-200 p-3">
-            <div className="font-semibold">{s.title}</div>
-            <div className="mt-2 space-y-2">
-              {(s.items || []).map((it) => (
-                <div key={it.id} className="text-sm flex items-start justify-between gap-3 border-t pt-2 first:border-t-0 first:pt-0">
-                  <div className="min-w-0">
-                    <div className={it.done ? "line-through text-neutral-500" : ""}>{it.label}</div>
-                    {it.note ? <div className="text-neutral-600 whitespace-pre-wrap break-words">{it.note}</div> : null}
-                  </div>
-                  <span className={"shrink-0 text-xs px-2 py-1 rounded-full border " + badgeFor(it.severity)}>{labelFor(it.severity)}</span>
-                </div>
-              ))}
+          <div className="px-4 pt-4 shrink-0">
+            <div className="flex flex-wrap items-end gap-2">
+              <Field label={t("templates.template")}>
+                <select className={inputBase} value={local.id} onChange={(e) => setSelectedId(e.target.value)}>
+                  {library.map((tpl) => (
+                    <option key={tpl.id} value={tpl.id}>
+                      {templateName(tpl, t.lang) || t("templates.untitled")}
+                    </option>
+                  ))}
+                </select>
+              </Field>
+              <Field label={t("templates.name")}>
+                <input
+                  className={inputBase}
+                  placeholder={t("templates.namePlaceholder")}
+                  value={templateName(local, t.lang)}
+                  onChange={(e) => setLocal((tpl) => renameTemplate(tpl, e.target.value))}
+                />
+              </Field>
+              <button className={btnSecondary} onClick={() => addTemplate(createTemplate(t("templates.newName")))}>
+                {t("templates.new")}
+              </button>
+              <button className={btnSecondary} onClick={() => addTemplate(duplicateTemplate(local, t("templates.copyName", { name: templateName(local, t.lang) || t("templates.untitled") })))}>
+                {t("templates.duplicate")}
+              </button>
+              {!isDefault ? (
+                <button className={btnDanger} onClick={confirmRemoveTemplate}>
+                  {t("common.delete")}
+                </button>
+              ) : null}
+            </div>
+            <div className="mt-2 flex flex-wrap gap-2">
+              <Pill>{t("templates.rev", { rev: local.rev ?? "-" })}</Pill>
+              <Pill>{t("templates.counts", { sections: sections.length, items: itemCount })}</Pill>
+              {isDefault ? <Pill tone="accent">{t("templates.default")}</Pill> : null}
+              <Pill>{t("templates.usedBy", { n: usedBy.length })}</Pill>
             </div>
           </div>
-        ))}
-      </div>
 
-      <div className="mt-6 grid grid-cols-2 gap-6 text-sm">
-        <div>
-          <div className="text-neutral-600">Prepared by</div>
-          <div className="mt-8 border-t pt-2">Signature</div>
-        </div>
-        <div>
-          <div className="text-neutral-600">Approved by</div>
-          <div className="mt-8 border-t pt-2">Signature</div>
-        </div>
-      </div>
+          <div className="p-4 overflow-y-auto min-h-0 space-y-3">
+            {sections.length === 0 ? <div className="text-sm text-neutral-600">{t("templates.noSections")}</div> : null}
 
-      <div className="mt-6 text-xs text-neutral-500">
-        Storage key: <span className="font-mono">{storageKey}</span>
-      </div>
-    </div>
-  );
-}
+            {sections.map((s, si) => (
+              <div key={s.id} className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3">
+                <div className="flex flex-wrap items-center gap-2">
+                  <input
+                    className={inputBase + " mt-0 flex-1 min-w-[200px] font-semibold"}
+                    placeholder={t("templates.sectionTitle")}
+                    value={sectionTitle(s, t.lang)}
+                    onChange={(e) => setLocal((tpl) => renameSection(tpl, s.id, e.target.value))}
+                  />
+                  <button className={btnMini} disabled={si === 0} onClick={() => setLocal((tpl) => moveSection(tpl, s.id, -1))} title={t("common.moveUp")}>
+                    ↑
+                  </button>
+                  <button
+                    className={btnMini}
+                    disabled={si === sections.length - 1}
+                    onClick={() => setLocal((tpl) => moveSection(tpl, s.id, 1))}
+                    title={t("common.moveDown")}
+                  >
+                    ↓
+                  </button>
+                  <button className={btnMiniDanger} onClick={() => confirmRemoveSection(s)}>
+                    {t("common.delete")}
+                  </button>
+                </div>
 
-function TestsPanel() {
-  if (!isTestsMode()) return null;
-  const results = runSelfTests();
-  const passCount = results.filter((r) => r.pass).length;
+                <div className="mt-3 space-y-2">
+                  {(s.items || []).map((it, ii) => (
+                    <div key={it.id} className="flex items-center gap-2">
+                      <input
+                        className={inputBase + " mt-0 flex-1"}
+                        placeholder={t("templates.itemLabel")}
+                        value={itemLabel(it, t.lang)}
+                        onChange={(e) => setLocal((tpl) => renameItem(tpl, s.id, it.id, e.target.value))}
+                      />
+                      <button className={btnMini} disabled={ii === 0} onClick={() => setLocal((tpl) => moveItem(tpl, s.id, it.id, -1))} title={t("common.moveUp")}>
+                        ↑
+                      </button>
+                      <button
+                        className={btnMini}
+                        disabled={ii === s.items.length - 1}
+                        onClick={() => setLocal((tpl) => moveItem(tpl, s.id, it.id, 1))}
+                        title={t("common.moveDown")}
+                      >
+                        ↓
+                      </button>
+                      <button className={btnMiniDanger} onClick={() => setLocal((tpl) => removeItem(tpl, s.id, it.id))} title={t("templates.deleteItem")}>
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                </div>
 
-  try {
-    console.table(results);
-  } catch {
-    // ignore
-  }
+                <div className="mt-3">
+                  <button className={btnMini} onClick={() => setLocal((tpl) => addItem(tpl, s.id, ""))}>
+                    {t("templates.addItem")}
+                  </button>
+                </div>
+              </div>
+            ))}
 
-  return (
-    <div className="rounded-2xl border border-neutral-200 bg-white shadow-sm p-4 mb-4">
-      <div className="flex items-center justify-between gap-3">
-        <div>
-          <div className="text-sm font-semibold text-neutral-800">Self-tests</div>
-          <div className="text-xs text-neutral-600">
-            {passCount}/{results.length} passing — open console for details
+            <button className={btnSecondary} onClick={() => setLocal((tpl) => addSection(tpl, ""))}>
+              {t("templates.addSection")}
+            </button>
           </div>
-        </div>
-        <Pill tone={passCount === results.length ? "accent" : "danger"}>{passCount === results.length ? "PASS" : "FAIL"}</Pill>
-      </div>
 
-      <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-2 text-sm">
-        {results.map((r) => (
-          <div key={r.name} className="rounded-xl border border-neutral-200 px-3 py-2 bg-neutral-50">
-            <span className={r.pass ? "text-neutral-800" : "text-red-700"}>{r.pass ? "✓" : "✗"} </span>
-            <span className={r.pass ? "text-neutral-800" : "text-red-700"}>{r.name}</span>
+          <div className="p-4 border-t border-neutral-100 flex flex-wrap items-center justify-between gap-2 shrink-0">
+            <div className="text-xs text-neutral-500">{t("templates.footer")}</div>
+            <div className="flex items-center gap-2">
+              <button className={btnSecondary} onClick={onClose}>
+                {t("common.cancel")}
+              </button>
+              <button className={btnSecondary} onClick={() => onSave(library)}>
+                {t("templates.save")}
+              </button>
+            </div>
           </div>
-        ))}
+        </div>
       </div>
     </div>
   );
 }
 
-const ItemCard = React.memo(function ItemCard({ sectionId, item, updateItem }) {
-  const [localNote, setLocalNote] = useState(item.note || "");
+function DefectsModal({ open, onClose, defects, vehicles, initialVehicleId, editor, odometerFor, onSetStatus }) {
+  const t = useT();
+  const [vehicleFilter, setVehicleFilter] = useState(initialVehicleId || "");
+  const [showResolved, setShowResolved] = useState(false);
+  const [resolving, setResolving] = useState(null);
+  React.useEffect(() => {
+    if (!open) return;
+    setVehicleFilter(initialVehicleId || "");
+    setResolving(null);
+  }, [open, initialVehicleId]);
 
-  useEffect(() => {
-    setLocalNote(item.note || "");
-  }, [item.note, item.severity, item.id]);
+  if (!open) return null;
 
-  const onSeverityChange = (sev) => {
-    if (sev === "ok") {
-      setLocalNote("");
-      updateItem(sectionId, item.id, { severity: "ok", note: "" });
+  const list = (defects || [])
+    .filter((d) => (!vehicleFilter || d.vehicleId === vehicleFilter) && (showResolved || isDefectOpen(d)))
+    .sort((a, b) => Number(isDefectOpen(b)) - Number(isDefectOpen(a)) || String(b.openedAt).localeCompare(String(a.openedAt)));
+  const openCount = (defects || []).filter((d) => isDefectOpen(d) && (!vehicleFilter || d.vehicleId === vehicleFilter)).length;
+  const vehicleName = (id, fallback) => formatVehicleLabel((vehicles || []).find((v) => v.id === id) || null) || fallback || id;
+  const reading = (d, value) => formatOdometer(value, unitForVehicle((vehicles || []).find((v) => v.id === d.vehicleId)));
+
+  const startResolve = (d) => setResolving({ id: d.id, by: editor || "", date: isoToday(), odometer: odometerFor(d.vehicleId) || "" });
+  const confirmResolve = () => {
+    if (!resolving.by.trim()) {
+      alert(t("defects.enterResolver"));
       return;
     }
-    updateItem(sectionId, item.id, { severity: sev });
+    onSetStatus(resolving.id, "resolved", resolving);
+    setResolving(null);
   };
 
   return (
-    <div className="rounded-2xl bg-white border border-neutral-200 p-3">
-      <div className="flex items-center justify-between gap-2">
-        <label className="flex items-center gap-2 text-sm">
-          <input
-            type="checkbox"
-            className="h-4 w-4 rounded border-neutral-300 accent-[#D5FF00]"
-            checked={!!item.done}
-            onChange={(e) => updateItem(sectionId, item.id, { done: e.target.checked })}
-          />
-          <span className={item.done ? "line-through text-neutral-500" : "text-neutral-800"}>{item.label}</span>
-        </label>
+    <div className="fixed inset-0 z-50">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} aria-hidden="true" />
+      <div className="absolute inset-0 flex items-center justify-center p-4 sm:p-8 pointer-events-none">
+        <div className="w-full max-w-3xl flex flex-col max-h-full rounded-2xl border border-neutral-200 bg-white shadow-xl overflow-hidden pointer-events-auto">
+          <div className="p-4 border-b border-neutral-100 flex flex-wrap items-start justify-between gap-4 shrink-0">
+            <div>
+              <div className="text-sm text-neutral-500">{t("defects.subtitle", { n: openCount })}</div>
+              <h2 className="text-lg font-semibold text-neutral-900">{t("defects.title")}</h2>
+              <div className="mt-3 h-[2px] w-56 rounded-full bg-gradient-to-r from-[#D5FF00]/0 via-[#D5FF00] to-[#D5FF00]/0" />
+            </div>
+            <button className={btnSecondary} onClick={onClose}>
+              {t("common.close")}
+            </button>
+          </div>
 
-        <div className="flex items-center gap-2">
-          <span className={"text-xs px-2 py-1 rounded-full border " + badgeFor(item.severity)}>{labelFor(item.severity)}</span>
-          <select
+          <div className="px-4 py-3 border-b border-neutral-100 flex flex-wrap items-center gap-3 shrink-0">
+            <select className={inputBase + " mt-0 w-auto"} value={vehicleFilter} onChange={(e) => setVehicleFilter(e.target.value)}>
+              <option value="">{t("common.allVehicles")}</option>
+              {(vehicles || []).map((v) => (
+                <option key={v.id} value={v.id}>
+                  {formatVehicleLabel(v)}
+                </option>
+              ))}
+            </select>
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                className="h-4 w-4 rounded border-neutral-300 accent-[#D5FF00]"
+                checked={showResolved}
+                onChange={(e) => setShowResolved(e.target.checked)}
+              />
+              {t("defects.showResolved")}
+            </label>
+          </div>
+
+          <div className="p-4 overflow-y-auto min-h-0 space-y-3">
+            {list.length === 0 ? <div className="text-sm text-neutral-600">{t("defects.none")}</div> : null}
+
+            {list.map((d) => (
+              <div key={d.id} className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3 space-y-2">
+                <div className="flex flex-wrap items-start justify-between gap-2">
+                  <div>
+                    <div className="font-semibold text-neutral-800">
+                      {itemLabel({ key: d.itemKey, label: d.itemLabel }, t.lang)}{" "}
+                      <span className="font-normal text-neutral-500">• {sectionTitle({ key: d.sectionKey, title: d.sectionTitle }, t.lang)}</span>
+                    </div>
+                    <div className="text-xs text-neutral-600">
+                      {vehicleName(d.vehicleId, d.vehicleLabel)} • {t("defects.opened", { date: formatDate(d.openedAt, t.lang) })}
+                      {d.openedOdometer != null ? ` ${t("common.at", { reading: reading(d, d.openedOdometer) })}` : ""}
+                      {d.lastSeenAt && d.lastSeenAt !== d.openedAt ? ` • ${t("defects.lastSeen", { date: formatDate(d.lastSeenAt, t.lang) })}` : ""}
+                    </div>
+                  </div>
+                  <Pill tone={d.status === "resolved" ? "accent" : d.status === "repair" ? "warn" : "danger"}>{defectStatusLabel(d.status, t.lang)}</Pill>
+                </div>
+
+                {d.note ? <div className="text-sm text-neutral-700 whitespace-pre-wrap">{d.note}</div> : null}
+
+                {d.status === "resolved" ? (
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <div className="text-xs text-neutral-600">
+                      {t("defects.resolvedBy", { date: formatDate(d.resolvedAt, t.lang), name: d.resolvedBy || "-" })}
+                      {d.resolvedOdometer != null ? ` ${t("common.at", { reading: reading(d, d.resolvedOdometer) })}` : ""}
+                    </div>
+                    <button className={btnMini} onClick={() => onSetStatus(d.id, "open")}>
+                      {t("defects.reopen")}
+                    </button>
+                  </div>
+                ) : resolving?.id === d.id ? (
+                  <div className="grid grid-cols-1 sm:grid-cols-4 gap-2 items-end">
+                    <Field label={t("defects.resolver")}>
+                      <input className={inputBase} value={resolving.by} onChange={(e) => setResolving((r) => ({ ...r, by: e.target.value }))} />
+                    </Field>
+                    <Field label={t("report.date")}>
+                      <input type="date" className={inputBase} value={resolving.date} onChange={(e) => setResolving((r) => ({ ...r, date: e.target.value }))} />
+                    </Field>
+                    <Field label={t("report.odometer")}>
+                      <input
+                        className={inputBase}
+                        inputMode="numeric"
+                        value={resolving.odometer}
+                        onChange={(e) => setResolving((r) => ({ ...r, odometer: e.target.value }))}
+                      />
+                    </Field>
+                    <div className="flex items-center gap-2">
+                      <button className={btnMini} onClick={confirmResolve}>
+                        {t("common.confirm")}
+                      </button>
+                      <button className={btnMini} onClick={() => setResolving(null)}>
+                        {t("common.cancel")}
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="flex flex-wrap items-center gap-2">
+                    {d.status === "open" ? (
+                      <button className={btnMini} onClick={() => onSetStatus(d.id, "repair")}>
+                        {t("defects.markRepair")}
+                      </button>
+                    ) : (
+                      <button className={btnMini} onClick={() => onSetStatus(d.id, "open")}>
+                        {t("defects.backToOpen")}
+                      </button>
+                    )}
+                    <button className={btnMini} onClick={() => startResolve(d)}>
+                      {t("defects.resolve")}
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ImportReviewModal({ review, onClose, onConfirm }) {
+  const t = useT();
+  const [choices, setChoices] = useState({});
+  React.useEffect(() => {
+    setChoices({});
+  }, [review]);
+
+  if (!review) return null;
+
+  const { plan, kind, fileName } = review;
+  const conflicts = [...plan.vehicles.conflicts, ...plan.checks.conflicts];
+  const choose = (key, side) => setChoices((c) => ({ ...c, [key]: side }));
+  const chooseAll = (side) => setChoices(Object.fromEntries(conflicts.map((c) => [c.key, side])));
+  const describeCheck = (c) =>
+    [
+      formatDate(c.date, t.lang) || "-",
+      formatOdometer(c.odometer, c.odometerUnit) || c.odometerRaw || "",
+      t("importReview.issues", { n: c.summary?.issueCount ?? 0 }),
+      c.revisions?.length ? `rev ${c.revisions.length}` : "",
+    ]
+      .filter(Boolean)
+      .join(" • ");
+  const rows = [
+    [t("importReview.checks"), plan.checks],
+    [t("importReview.vehicles"), plan.vehicles],
+    [t("importReview.templates"), plan.templates],
+    [t("defects.title"), plan.defects],
+  ];
+  const empty = isEmptyPlan(plan);
+
+  return (
+    <div className="fixed inset-0 z-50">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} aria-hidden="true" />
+      <div className="absolute inset-0 flex items-center justify-center p-4 sm:p-8 pointer-events-none">
+        <div className="w-full max-w-3xl flex flex-col max-h-full rounded-2xl border border-neutral-200 bg-white shadow-xl overflow-hidden pointer-events-auto">
+          <div className="p-4 border-b border-neutral-100 flex flex-wrap items-start justify-between gap-4 shrink-0">
+            <div>
+              <div className="text-sm text-neutral-500">
+                {t("importReview.subtitle", { name: fileName || t(`importReview.kind.${kind}`) })}
+              </div>
+              <h2 className="text-lg font-semibold text-neutral-900">{t("importReview.title")}</h2>
+              <div className="mt-3 h-[2px] w-56 rounded-full bg-gradient-to-r from-[#D5FF00]/0 via-[#D5FF00] to-[#D5FF00]/0" />
+            </div>
+            <button className={btnSecondary} onClick={onClose}>
+              {t("common.cancel")}
+            </button>
+          </div>
+
+          <div className="p-4 overflow-y-auto min-h-0 space-y-4">
+            <div className="text-sm text-neutral-700">{t("importReview.intro")}</div>
+
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+              {rows.map(([label, part]) => (
+                <div key={label} className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3">
+                  <div className="text-xs text-neutral-500">{label}</div>
+                  <div className="text-sm font-semibold text-neutral-800">{t("importReview.new", { n: part.added.length })}</div>
+                  <div className="text-xs text-neutral-600">
+                    {t("importReview.same", { n: part.same })}
+                    {part.conflicts?.length ? ` • ${t("importReview.conflictCount", { n: part.conflicts.length })}` : ""}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {Object.keys(plan.vehicles.idMap).length ? (
+              <div className="text-xs text-neutral-600">
+                {t("importReview.matchedByPlate", { n: Object.keys(plan.vehicles.idMap).length })}
+              </div>
+            ) : null}
+
+            {conflicts.length ? (
+              <div className="space-y-2">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <div className="font-semibold text-neutral-800">{t("importReview.conflicts", { n: conflicts.length })}</div>
+                  <div className="flex items-center gap-2">
+                    <button className={btnMini} onClick={() => chooseAll("ours")}>
+                      {t("importReview.keepAllOurs")}
+                    </button>
+                    <button className={btnMini} onClick={() => chooseAll("theirs")}>
+                      {t("importReview.takeAllTheirs")}
+                    </button>
+                  </div>
+                </div>
+
+                {conflicts.map((c) => {
+                  const isCheck = c.key.startsWith("check:");
+                  const side = choices[c.key] || "ours";
+                  return (
+                    <div key={c.key} className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3 space-y-2">
+                      <div className="flex flex-wrap items-start justify-between gap-2">
+                        <div>
+                          <div className="font-semibold text-neutral-800">
+                            {isCheck
+                              ? t("importReview.checkConflict", { date: formatDate(c.local.date, t.lang), vehicle: c.local.vehicleLabel || c.local.vehicleId })
+                              : t("importReview.vehicleConflict", { vehicle: formatVehicleLabel(c.local) })}
+                          </div>
+                          <div className="text-xs text-neutral-600">
+                            {isCheck ? "" : `${t(`importReview.matchedBy.${c.by}`)} • `}
+                            {t("importReview.differsIn", { fields: c.fields.join(", ") })}
+                          </div>
+                        </div>
+                        <div className="flex items-center gap-2">
+                          <button className={btnMini + (side === "ours" ? " border-[#D5FF00] bg-[#D5FF00]/20" : "")} onClick={() => choose(c.key, "ours")}>
+                            {t("importReview.keepOurs")}
+                          </button>
+                          <button className={btnMini + (side === "theirs" ? " border-[#D5FF00] bg-[#D5FF00]/20" : "")} onClick={() => choose(c.key, "theirs")}>
+                            {t("importReview.takeTheirs")}
+                          </button>
+                        </div>
+                      </div>
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 text-xs text-neutral-700">
+                        <div className="rounded-xl border border-neutral-200 bg-white p-2">
+                          <span className="text-neutral-500">{t("importReview.ours")}</span> {isCheck ? describeCheck(c.local) : formatVehicleLabel(c.local)}
+                        </div>
+                        <div className="rounded-xl border border-neutral-200 bg-white p-2">
+                          <span className="text-neutral-500">{t("importReview.theirs")}</span> {isCheck ? describeCheck(c.incoming) : formatVehicleLabel(c.incoming)}
+                        </div>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            ) : null}
+
+            {empty ? <div className="text-sm text-neutral-600">{t("importReview.empty")}</div> : null}
+          </div>
+
+          <div className="p-4 border-t border-neutral-100 flex flex-wrap items-center justify-between gap-2 shrink-0">
+            {kind === "full" ? (
+              <button
+                className={btnDanger}
+                onClick={() => {
+                  if (window.confirm(t("importReview.confirmReplace"))) onConfirm("replace");
+                }}
+              >
+                {t("importReview.replace")}
+              </button>
+            ) : (
+              <span />
+            )}
+            <button className={btnSecondary} disabled={empty} onClick={() => onConfirm("merge", choices)}>
+              {t("importReview.merge")}
+              {conflicts.length ? ` (${t("importReview.takenFromFile", { n: conflicts.filter((c) => choices[c.key] === "theirs").length })})` : ""}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const REMINDER_TONES = { overdue: "danger", urgent: "danger", soon: "warn", ok: "default" };
+
+const STATUS_TONES = { draft: "default", submitted: "warn", approved: "accent", rejected: "danger" };
+
+const LOGO_MAX_DIM = 480;
+
+// Connection settings and status for the optional sync server (lib/sync.js).
+function SyncModal({ open, onClose, sync, syncing, online, onChange, onSyncNow, onReset }) {
+  const t = useT();
+  if (!open) return null;
+  const pending = pendingCount(sync);
+
+  return (
+    <div className="fixed inset-0 z-50">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} aria-hidden="true" />
+      <div className="absolute inset-0 flex items-center justify-center p-4 sm:p-8 pointer-events-none">
+        <div className="w-full max-w-xl flex flex-col max-h-full rounded-2xl border border-neutral-200 bg-white shadow-xl overflow-hidden pointer-events-auto">
+          <div className="p-4 border-b border-neutral-100 flex flex-wrap items-start justify-between gap-4 shrink-0">
+            <div>
+              <div className="text-sm text-neutral-500">{t("sync.subtitle")}</div>
+              <h2 className="text-lg font-semibold text-neutral-900">{t("sync.title")}</h2>
+              <div className="mt-3 h-[2px] w-56 rounded-full bg-gradient-to-r from-[#D5FF00]/0 via-[#D5FF00] to-[#D5FF00]/0" />
+            </div>
+            <button className={btnSecondary} onClick={onClose}>
+              {t("common.close")}
+            </button>
+          </div>
+
+          <div className="p-4 overflow-y-auto min-h-0 space-y-3">
+            <div className="text-sm text-neutral-600">{t("sync.intro")}</div>
+            <Field label={t("sync.endpoint")}>
+              <input
+                type="url"
+                className={inputBase}
+                placeholder="http://localhost:8787"
+                value={sync.endpoint}
+                onChange={(e) => onChange({ endpoint: e.target.value })}
+              />
+            </Field>
+            <Field label={t("sync.token")}>
+              <input type="password" autoComplete="off" className={inputBase} value={sync.token} onChange={(e) => onChange({ token: e.target.value })} />
+            </Field>
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                className="h-4 w-4 rounded border-neutral-300 accent-[#D5FF00]"
+                checked={sync.enabled}
+                disabled={!sync.endpoint.trim()}
+                onChange={(e) => onChange({ enabled: e.target.checked })}
+              />
+              {t("sync.enabled")}
+            </label>
+
+            <div className="rounded-xl border border-neutral-200 bg-neutral-50 p-3 text-sm space-y-1">
+              <div>
+                {t("sync.pending")}: <span className="font-semibold">{pending}</span>
+              </div>
+              <div>
+                {t("sync.lastSync")}: {sync.lastSyncAt ? formatDateTime(sync.lastSyncAt, t.lang) : t("sync.never")}
+              </div>
+              {sync.lastError ? <div className="text-red-700">{t("sync.error", { error: t(syncErrorKey(sync.lastError)) })}</div> : null}
+              {!online ? <div className="text-amber-700">{t("sync.offline")}</div> : null}
+            </div>
+
+            <div className="flex flex-wrap justify-end gap-2">
+              <button className={btnDanger} onClick={onReset} disabled={syncing}>
+                {t("sync.reset")}
+              </button>
+              <button className={btnSecondary} onClick={onSyncNow} disabled={syncing || !online || !sync.endpoint.trim()}>
+                {syncing ? t("sync.syncing") : t("sync.now")}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Roster editor inside the settings panel. `onChange` receives an updater so
+// PIN hashing (async) never overwrites edits made in the meantime.
+function DriverRoster({ drivers, onChange }) {
+  const t = useT();
+  const [newName, setNewName] = useState("");
+  const [pinFor, setPinFor] = useState(null);
+  const [pin, setPin] = useState("");
+
+  const update = (id, patch) => onChange((p) => ({ drivers: (p.drivers || []).map((d) => (d.id === id ? { ...d, ...patch } : d)) }));
+  const add = () => {
+    if (!newName.trim()) return;
+    const driver = createDriver(newName);
+    onChange((p) => ({ drivers: [...(p.drivers || []), driver] }));
+    setNewName("");
+  };
+  const remove = (d) => {
+    if (!window.confirm(t("drivers.confirmRemove", { name: d.name }))) return;
+    onChange((p) => removeDriver(p, d.id));
+  };
+  const savePin = async (d) => {
+    if (!isValidPin(pin)) {
+      alert(t("drivers.pinInvalid"));
+      return;
+    }
+    try {
+      update(d.id, { pinHash: await hashPin(d.id, pin) });
+      setPinFor(null);
+      setPin("");
+    } catch {
+      alert(t("drivers.pinUnavailable"));
+    }
+  };
+  const clearPin = (d) => onChange((p) => ({ drivers: (p.drivers || []).map((x) => (x.id === d.id ? { id: x.id, name: x.name } : x)) }));
+
+  return (
+    <div className="text-sm">
+      <div className="text-neutral-700 font-medium">{t("drivers.title")}</div>
+      <div className="text-xs text-neutral-500">{t("drivers.hint")}</div>
+      <div className="mt-2 space-y-2">
+        {(drivers || []).map((d) => (
+          <div key={d.id} className="rounded-xl border border-neutral-200 bg-neutral-50 p-2">
+            <div className="flex flex-wrap items-center gap-2">
+              <input className={inputBase + " mt-0 flex-1 min-w-[160px]"} value={d.name} onChange={(e) => update(d.id, { name: e.target.value })} />
+              {d.pinHash ? <Pill tone="accent">{t("drivers.pinSet")}</Pill> : null}
+              <button className={btnMini} onClick={() => (setPinFor(pinFor === d.id ? null : d.id), setPin(""))}>
+                {d.pinHash ? t("drivers.changePin") : t("drivers.setPin")}
+              </button>
+              {d.pinHash ? (
+                <button className={btnMini} onClick={() => clearPin(d)}>
+                  {t("drivers.clearPin")}
+                </button>
+              ) : null}
+              <button className={btnMiniDanger} onClick={() => remove(d)}>
+                {t("common.delete")}
+              </button>
+            </div>
+            {pinFor === d.id ? (
+              <div className="mt-2 flex flex-wrap items-center gap-2">
+                <input
+                  type="password"
+                  inputMode="numeric"
+                  autoComplete="new-password"
+                  className={inputBase + " mt-0 w-40"}
+                  placeholder={t("drivers.pinPlaceholder")}
+                  value={pin}
+                  onChange={(e) => setPin(e.target.value.replace(/\D/g, "").slice(0, 8))}
+                />
+                <button className={btnMini} onClick={() => savePin(d)} disabled={!pin}>
+                  {t("drivers.savePin")}
+                </button>
+              </div>
+            ) : null}
+          </div>
+        ))}
+        <div className="flex items-center gap-2">
+          <input
+            className={inputBase + " mt-0 flex-1"}
+            placeholder={t("drivers.newPlaceholder")}
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && add()}
+          />
+          <button className={btnSecondary} onClick={add} disabled={!newName.trim()}>
+            {t("drivers.add")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Asks for a driver's PIN before switching to them on a shared device.
+function PinModal({ driver, onUnlock, onClose }) {
+  const t = useT();
+  const [pin, setPin] = useState("");
+  const [error, setError] = useState("");
+
+  const submit = async () => {
+    try {
+      if (await verifyPin(driver, pin)) onUnlock(driver);
+      else setError(t("drivers.pinWrong"));
+    } catch {
+      setError(t("drivers.pinUnavailable"));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60]">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} aria-hidden="true" />
+      <div className="absolute inset-0 flex items-center justify-center p-4 sm:p-8 pointer-events-none">
+        <div className="w-full max-w-sm rounded-2xl border border-neutral-200 bg-white shadow-xl overflow-hidden pointer-events-auto">
+          <div className="p-4 border-b border-neutral-100">
+            <div className="text-sm text-neutral-500">{t("drivers.switchTo")}</div>
+            <h2 className="text-lg font-semibold text-neutral-900">{driver.name}</h2>
+            <div className="mt-3 h-[2px] w-40 rounded-full bg-gradient-to-r from-[#D5FF00]/0 via-[#D5FF00] to-[#D5FF00]/0" />
+          </div>
+          <div className="p-4 space-y-3">
+            <Field label={t("drivers.pin")}>
+              <input
+                type="password"
+                inputMode="numeric"
+                autoComplete="off"
+                autoFocus
+                className={inputBase}
+                value={pin}
+                onChange={(e) => {
+                  setPin(e.target.value.replace(/\D/g, "").slice(0, 8));
+                  setError("");
+                }}
+                onKeyDown={(e) => e.key === "Enter" && submit()}
+              />
+            </Field>
+            {error ? <div className="text-sm text-red-700">{error}</div> : null}
+            <div className="flex justify-end gap-2">
+              <button className={btnSecondary} onClick={onClose}>
+                {t("common.cancel")}
+              </button>
+              <button className={btnSecondary} onClick={submit} disabled={!pin}>
+                {t("drivers.unlock")}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SettingsModal({ open, onClose, profile, onChange }) {
+  const t = useT();
+  const logoInput = useRef(null);
+  if (!open) return null;
+
+  const pickLogo = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      onChange({ logo: await imageToDataUrl(file, LOGO_MAX_DIM) });
+    } catch {
+      alert(t("settings.logoError"));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} aria-hidden="true" />
+      <div className="absolute inset-0 flex items-center justify-center p-4 sm:p-8 pointer-events-none">
+        <div className="w-full max-w-xl flex flex-col max-h-full rounded-2xl border border-neutral-200 bg-white shadow-xl overflow-hidden pointer-events-auto">
+          <div className="p-4 border-b border-neutral-100 flex flex-wrap items-start justify-between gap-4 shrink-0">
+            <div>
+              <div className="text-sm text-neutral-500">{t("settings.subtitle")}</div>
+              <h2 className="text-lg font-semibold text-neutral-900">{t("settings.title")}</h2>
+              <div className="mt-3 h-[2px] w-56 rounded-full bg-gradient-to-r from-[#D5FF00]/0 via-[#D5FF00] to-[#D5FF00]/0" />
+            </div>
+            <button className={btnSecondary} onClick={onClose}>
+              {t("common.close")}
+            </button>
+          </div>
+
+          <div className="p-4 overflow-y-auto min-h-0 space-y-3">
+            <Field label={t("settings.org")}>
+              <input className={inputBase} value={profile.org || ""} onChange={(e) => onChange({ org: e.target.value })} />
+            </Field>
+            <Field label={t("settings.address")}>
+              <textarea className={inputBase + " min-h-[80px]"} value={profile.address || ""} onChange={(e) => onChange({ address: e.target.value })} />
+            </Field>
+            <Field label={t("settings.inspector")}>
+              <input className={inputBase} value={profile.user || ""} onChange={(e) => onChange({ user: e.target.value })} />
+            </Field>
+            <Field label={t("settings.reviewer")}>
+              <input
+                className={inputBase}
+                placeholder={profile.user || ""}
+                value={profile.reviewer || ""}
+                onChange={(e) => onChange({ reviewer: e.target.value })}
+              />
+            </Field>
+
+            <div className="text-sm">
+              <div className="text-neutral-700 font-medium">{t("settings.logo")}</div>
+              <div className="mt-2 flex flex-wrap items-center gap-3">
+                <div className="h-16 w-40 rounded-xl border border-neutral-200 bg-neutral-50 flex items-center justify-center overflow-hidden">
+                  {profile.logo ? (
+                    <img src={profile.logo} alt={t("settings.logo")} className="max-h-full max-w-full object-contain" />
+                  ) : (
+                    <span className="text-xs text-neutral-500">{t("settings.noLogo")}</span>
+                  )}
+                </div>
+                <button className={btnSecondary} onClick={() => logoInput.current?.click()}>
+                  {t("settings.uploadLogo")}
+                </button>
+                {profile.logo ? (
+                  <button className={btnDanger} onClick={() => onChange({ logo: "" })}>
+                    {t("settings.removeLogo")}
+                  </button>
+                ) : null}
+                <input ref={logoInput} type="file" accept="image/*" className="hidden" onChange={pickLogo} />
+              </div>
+              <div className="mt-1 text-xs text-neutral-500">{t("settings.logoHint", { px: LOGO_MAX_DIM })}</div>
+            </div>
+
+            <DriverRoster drivers={profile.drivers} onChange={onChange} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function RemindersModal({ open, onClose, reminders, settings, onChangeSettings, onExportIcs, onMarkDone }) {
+  const t = useT();
+  const [showAll, setShowAll] = useState(false);
+  if (!open) return null;
+
+  const { warnDays, urgentDays, warnDistance } = reminderSettings(settings);
+  const list = showAll ? reminders : reminders.filter((r) => r.status !== "ok");
+  const setWindow = (key, value) => onChangeSettings({ ...reminderSettings(settings), [key]: Math.max(0, Number(value) || 0) });
+
+  return (
+    <div className="fixed inset-0 z-50">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} aria-hidden="true" />
+      <div className="absolute inset-0 flex items-center justify-center p-4 sm:p-8 pointer-events-none">
+        <div className="w-full max-w-3xl flex flex-col max-h-full rounded-2xl border border-neutral-200 bg-white shadow-xl overflow-hidden pointer-events-auto">
+          <div className="p-4 border-b border-neutral-100 flex flex-wrap items-start justify-between gap-4 shrink-0">
+            <div>
+              <div className="text-sm text-neutral-500">
+                {t("reminders.subtitle", {
+                  overdue: reminders.filter((r) => r.status === "overdue").length,
+                  soon: reminders.filter((r) => r.status === "urgent" || r.status === "soon").length,
+                })}
+              </div>
+              <h2 className="text-lg font-semibold text-neutral-900">{t("reminders.title")}</h2>
+              <div className="mt-3 h-[2px] w-56 rounded-full bg-gradient-to-r from-[#D5FF00]/0 via-[#D5FF00] to-[#D5FF00]/0" />
+            </div>
+            <div className="flex items-center gap-2">
+              <button className={btnSecondary} onClick={onExportIcs} disabled={!reminders.length}>
+                {t("reminders.exportIcs")}
+              </button>
+              <button className={btnSecondary} onClick={onClose}>
+                {t("common.close")}
+              </button>
+            </div>
+          </div>
+
+          <div className="px-4 py-3 border-b border-neutral-100 flex flex-wrap items-end gap-3 shrink-0">
+            <Field label={t("reminders.warnDays")}>
+              <input type="number" min="0" className={inputBase + " w-28"} value={warnDays} onChange={(e) => setWindow("warnDays", e.target.value)} />
+            </Field>
+            <Field label={t("reminders.urgentDays")}>
+              <input type="number" min="0" className={inputBase + " w-28"} value={urgentDays} onChange={(e) => setWindow("urgentDays", e.target.value)} />
+            </Field>
+            <Field label={t("reminders.warnDistance")}>
+              <input type="number" min="0" className={inputBase + " w-28"} value={warnDistance} onChange={(e) => setWindow("warnDistance", e.target.value)} />
+            </Field>
+            <label className="flex items-center gap-2 text-sm pb-2">
+              <input
+                type="checkbox"
+                className="h-4 w-4 rounded border-neutral-300 accent-[#D5FF00]"
+                checked={showAll}
+                onChange={(e) => setShowAll(e.target.checked)}
+              />
+              {t("reminders.showAll")}
+            </label>
+          </div>
+
+          <div className="p-4 overflow-y-auto min-h-0">
+            {list.length === 0 ? (
+              <div className="text-sm text-neutral-600">
+                {reminders.length ? t("reminders.nothingDue", { n: warnDays }) : t("reminders.noDates")}
+              </div>
+            ) : (
+              <table className="w-full text-sm">
+                <thead className="text-left text-neutral-600">
+                  <tr className="border-b">
+                    <th className="py-2 pr-2">{t("report.vehicle")}</th>
+                    <th className="py-2 pr-2">{t("reminders.type")}</th>
+                    <th className="py-2 pr-2">{t("reminders.due")}</th>
+                    <th className="py-2 pr-2">{t("reminders.status")}</th>
+                    <th className="py-2 pr-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {list.map((r) => (
+                    <tr key={r.id} className="border-b last:border-b-0">
+                      <td className="py-2 pr-2 font-medium">{r.vehicleLabel}</td>
+                      <td className="py-2 pr-2">{r.label}</td>
+                      <td className="py-2 pr-2">
+                        {formatDate(r.due, t.lang)} <span className="text-xs text-neutral-500">• {describeDays(r.days, t.lang)}</span>
+                        {r.kind === "interval" && r.dueOdometer != null ? (
+                          <div className="text-xs text-neutral-500">
+                            {t("reminders.orDistance", { distance: describeDistance(r, t.lang) })}
+                            {r.by === "distance" ? ` • ${t("reminders.projected")}` : ""}
+                          </div>
+                        ) : null}
+                      </td>
+                      <td className="py-2 pr-2">
+                        <Pill tone={REMINDER_TONES[r.status]}>{reminderStatusLabel(r.status, t.lang)}</Pill>
+                      </td>
+                      <td className="py-2 pr-2 text-right">
+                        {r.kind === "interval" ? (
+                          <button className={btnMini} onClick={() => onMarkDone(r)}>
+                            {t("reminders.markDone")}
+                          </button>
+                        ) : null}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function MileageModal({ open, onClose, vehicle, checks }) {
+  const t = useT();
+  if (!open || !vehicle) return null;
+
+  const unit = unitForVehicle(vehicle);
+  const timeline = mileageTimeline(checks, vehicle.id, unit);
+  const months = distanceByMonth(timeline);
+  const maxMonth = Math.max(1, ...months.map((m) => m.distance));
+  const total = timeline.length > 1 ? timeline[timeline.length - 1].value - timeline[0].value : 0;
+
+  return (
+    <div className="fixed inset-0 z-50">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} aria-hidden="true" />
+      <div className="absolute inset-0 flex items-center justify-center p-4 sm:p-8 pointer-events-none">
+        <div className="w-full max-w-3xl flex flex-col max-h-full rounded-2xl border border-neutral-200 bg-white shadow-xl overflow-hidden pointer-events-auto">
+          <div className="p-4 border-b border-neutral-100 flex flex-wrap items-start justify-between gap-4 shrink-0">
+            <div>
+              <div className="text-sm text-neutral-500">
+                {t("mileage.subtitle", { n: timeline.length, total: formatOdometer(total, unit) })}
+              </div>
+              <h2 className="text-lg font-semibold text-neutral-900">{t("mileage.title", { vehicle: formatVehicleLabel(vehicle) })}</h2>
+              <div className="mt-3 h-[2px] w-56 rounded-full bg-gradient-to-r from-[#D5FF00]/0 via-[#D5FF00] to-[#D5FF00]/0" />
+            </div>
+            <button className={btnSecondary} onClick={onClose}>
+              {t("common.close")}
+            </button>
+          </div>
+
+          <div className="p-4 overflow-y-auto min-h-0 space-y-4">
+            {timeline.length === 0 ? <div className="text-sm text-neutral-600">{t("mileage.none")}</div> : null}
+
+            {months.length ? (
+              <div className="space-y-1">
+                <div className="text-xs font-semibold text-neutral-700">{t("mileage.perMonth")}</div>
+                {months.map((m) => (
+                  <div key={m.month} className="flex items-center gap-2 text-xs">
+                    <span className="w-16 shrink-0 text-neutral-600">{m.month}</span>
+                    <div className="h-3 rounded-full bg-[#D5FF00]" style={{ width: `${Math.max(2, (Math.max(0, m.distance) / maxMonth) * 70)}%` }} />
+                    <span className="text-neutral-700">{formatOdometer(m.distance, unit)}</span>
+                  </div>
+                ))}
+              </div>
+            ) : null}
+
+            {timeline.length ? (
+              <table className="w-full text-sm">
+                <thead className="text-left text-neutral-600">
+                  <tr className="border-b">
+                    <th className="py-2 pr-2">{t("report.date")}</th>
+                    <th className="py-2 pr-2">{t("mileage.reading")}</th>
+                    <th className="py-2 pr-2">{t("mileage.distance")}</th>
+                    <th className="py-2 pr-2">{t("mileage.perDay")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...timeline].reverse().map((e) => (
+                    <tr key={e.checkId} className="border-b last:border-b-0">
+                      <td className="py-2 pr-2 font-medium">{formatDate(e.date, t.lang)}</td>
+                      <td className="py-2 pr-2">{formatOdometer(e.value, unit)}</td>
+                      <td className={`py-2 pr-2 ${e.distance < 0 ? "text-red-700" : ""}`}>
+                        {e.distance == null ? "—" : `${e.distance > 0 ? "+" : ""}${formatOdometer(e.distance, unit)}`}
+                      </td>
+                      <td className="py-2 pr-2 text-neutral-600">
+                        {e.distance != null && e.days > 0 ? `${Math.round(e.distance / e.days)} ${unit}` : "—"}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : null}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const SIGNATURE_WIDTH = 600;
+const SIGNATURE_HEIGHT = 200;
+
+// Canvas signature capture. Saves { name, image } with the image as a JPEG data URL.
+function SignatureModal({ role, defaultName, onSave, onClose }) {
+  const t = useT();
+  const canvasRef = useRef(null);
+  const drawing = useRef(false);
+  const [name, setName] = useState(defaultName || "");
+  const [inked, setInked] = useState(false);
+
+  // White background: the image is saved as JPEG, which has no transparency.
+  const paintBlank = () => {
+    const ctx = canvasRef.current?.getContext("2d");
+    if (!ctx) return;
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, SIGNATURE_WIDTH, SIGNATURE_HEIGHT);
+  };
+  const clear = () => {
+    paintBlank();
+    setInked(false);
+  };
+
+  useEffect(paintBlank, []);
+
+  // Pointer position in canvas pixels (the canvas is scaled by CSS).
+  const point = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return [((e.clientX - rect.left) * SIGNATURE_WIDTH) / rect.width, ((e.clientY - rect.top) * SIGNATURE_HEIGHT) / rect.height];
+  };
+  const down = (e) => {
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    const ctx = canvasRef.current.getContext("2d");
+    ctx.lineWidth = 3;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.strokeStyle = "#111";
+    ctx.beginPath();
+    ctx.moveTo(...point(e));
+    drawing.current = true;
+  };
+  const move = (e) => {
+    if (!drawing.current) return;
+    const ctx = canvasRef.current.getContext("2d");
+    ctx.lineTo(...point(e));
+    ctx.stroke();
+  };
+  const up = () => {
+    if (!drawing.current) return;
+    drawing.current = false;
+    setInked(hasInk(canvasRef.current.getContext("2d").getImageData(0, 0, SIGNATURE_WIDTH, SIGNATURE_HEIGHT)));
+  };
+
+  const save = () => onSave({ name: name.trim(), image: canvasRef.current.toDataURL("image/jpeg", 0.85) });
+
+  return (
+    <div className="fixed inset-0 z-[60]">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} aria-hidden="true" />
+      <div className="absolute inset-0 flex items-center justify-center p-4 sm:p-8 pointer-events-none">
+        <div className="w-full max-w-2xl flex flex-col max-h-full rounded-2xl border border-neutral-200 bg-white shadow-xl overflow-hidden pointer-events-auto">
+          <div className="p-4 border-b border-neutral-100 flex flex-wrap items-start justify-between gap-4 shrink-0">
+            <div>
+              <div className="text-sm text-neutral-500">{role === "approver" ? t("report.approvedBy") : t("report.preparedBy")}</div>
+              <h2 className="text-lg font-semibold text-neutral-900">{t("signature.title")}</h2>
+              <div className="mt-3 h-[2px] w-56 rounded-full bg-gradient-to-r from-[#D5FF00]/0 via-[#D5FF00] to-[#D5FF00]/0" />
+            </div>
+            <button className={btnSecondary} onClick={onClose}>
+              {t("common.cancel")}
+            </button>
+          </div>
+
+          <div className="p-4 overflow-y-auto min-h-0 space-y-3">
+            <Field label={t("signature.name")}>
+              <input className={inputBase} value={name} onChange={(e) => setName(e.target.value)} />
+            </Field>
+            <div>
+              <div className="text-sm text-neutral-700 font-medium">{t("signature.draw")}</div>
+              <canvas
+                ref={canvasRef}
+                width={SIGNATURE_WIDTH}
+                height={SIGNATURE_HEIGHT}
+                className="mt-1 w-full rounded-xl border border-neutral-300 bg-white touch-none cursor-crosshair"
+                onPointerDown={down}
+                onPointerMove={move}
+                onPointerUp={up}
+                onPointerLeave={up}
+              />
+              <div className="mt-1 text-xs text-neutral-500">{role === "approver" ? t("signature.locksHint") : t("signature.drawHint")}</div>
+            </div>
+            <div className="flex flex-wrap justify-end gap-2">
+              <button className={btnSecondary} onClick={clear} disabled={!inked}>
+                {t("signature.clear")}
+              </button>
+              <button className={btnSecondary} onClick={save} disabled={!inked || !name.trim()}>
+                {t("signature.save")}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SignatureLine({ label, signature, fallbackName, onSign, onRemove, blocker }) {
+  const t = useT();
+  return (
+    <div>
+      <div className="text-neutral-600">{label}</div>
+      <div className="mt-1 h-5 text-neutral-900">{signature?.name || fallbackName}</div>
+      <div className="h-16 flex items-end">
+        {signature?.image ? <img src={signature.image} alt={t("signature.title")} className="max-h-16 max-w-full object-contain" /> : null}
+      </div>
+      <div className="border-t pt-2 flex flex-wrap items-center justify-between gap-2">
+        <span>{signature ? t("signature.signedAt", { at: formatDateTime(signature.at, t.lang) }) : t("report.signature")}</span>
+        {onSign && !signature ? (
+          <button className={btnMini + " print:hidden"} onClick={onSign} disabled={!!blocker} title={blocker ? t(blocker) : undefined}>
+            {t("signature.sign")}
+          </button>
+        ) : null}
+        {onRemove && signature ? (
+          <button className={btnMiniDanger + " print:hidden"} onClick={onRemove}>
+            {t("signature.remove")}
+          </button>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+function ReportSheet({
+  profile,
+  date,
+  vehicleLabel,
+  odometer,
+  generalNotes,
+  draft,
+  totals,
+  storageKey,
+  revisions,
+  preparedBy,
+  status,
+  review,
+  signatures,
+  onSign,
+  onRemoveSignature,
+  signBlockers,
+}) {
+  const t = useT();
+  const sections = draft?.sections || [];
+  return (
+    <div className="mx-auto max-w-4xl">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <div className="text-2xl font-semibold text-neutral-900">{profile.org || "ToolStack"}</div>
+          {profile.address ? <div className="text-xs text-neutral-600 whitespace-pre-line">{profile.address}</div> : null}
+          <div className="text-sm text-neutral-600">{t("report.title")}</div>
+          <div className="mt-3 h-[2px] w-72 rounded-full bg-gradient-to-r from-[#D5FF00]/0 via-[#D5FF00] to-[#D5FF00]/0" />
+        </div>
+        <div className="flex flex-col items-end gap-2">
+          {profile.logo ? <img src={profile.logo} alt={profile.org || "Logo"} className="max-h-14 max-w-[180px] object-contain" /> : null}
+          <div className="text-sm text-neutral-600">{t("report.generated", { at: formatDateTime(new Date(), t.lang) })}</div>
+        </div>
+      </div>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-3">
+        <div className="rounded-2xl border border-neutral-200 p-4">
+          <div className="text-sm text-neutral-600">{t("report.preparedBy")}</div>
+          <div className="text-lg font-semibold text-neutral-900 mt-1">{preparedBy || "—"}</div>
+        </div>
+        <div className="rounded-2xl border border-neutral-200 p-4">
+          <div className="text-sm text-neutral-600">{t("report.vehicle")}</div>
+          <div className="text-sm text-neutral-900 mt-1">{vehicleLabel || "—"}</div>
+          <div className="text-xs text-neutral-600 mt-1">
+            {t("report.date")}: {formatDate(date, t.lang) || "—"}
+          </div>
+        </div>
+        <div className="rounded-2xl border border-neutral-200 p-4">
+          <div className="text-sm text-neutral-600">{t("report.summary")}</div>
+          <div className="text-sm text-neutral-900 mt-1">
+            {t("report.done")}: <span className="font-semibold">{totals.doneCount}</span>/{totals.totalItems} • {t("report.issues")}:{" "}
+            <span className="font-semibold">{totals.issueCount}</span>
+          </div>
+          <div className="text-xs text-neutral-600 mt-1">
+            {t("report.odometer")}: {odometer || "—"}
+          </div>
+          {status ? (
+            <div className="text-xs text-neutral-600 mt-1">
+              {t("approval.status")}: <span className="font-semibold text-neutral-900">{checkStatusLabel(status, t.lang)}</span>
+              {review && review.status === status && review.by ? ` • ${review.by}` : ""}
+            </div>
+          ) : null}
+        </div>
+      </div>
+
+      {status === "rejected" && review?.comment ? (
+        <div className="mt-4 rounded-2xl border border-red-200 bg-red-50 p-4 text-sm">
+          <div className="font-semibold text-red-700">{t("approval.rejectedBy", { name: review.by || "—", at: formatDateTime(review.at, t.lang) })}</div>
+          <div className="mt-1 text-red-700 whitespace-pre-wrap">{review.comment}</div>
+        </div>
+      ) : null}
+
+      {generalNotes ? (
+        <div className="mt-4 rounded-2xl border border-neutral-200 p-4 text-sm">
+          <div className="font-semibold text-neutral-900">{t("report.generalNotes")}</div>
+          <div className="mt-1 text-neutral-700 whitespace-pre-wrap">{generalNotes}</div>
+        </div>
+      ) : null}
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3">
+        {sections.map((s) => (
+          <div key={s.id} className="rounded-2xl border border-neutral-200 p-3">
+            <div className="font-semibold">{sectionTitle(s, t.lang)}</div>
+            <div className="mt-2 space-y-2">
+              {(s.items || []).map((it) => (
+                <div key={it.id} className="text-sm flex items-start justify-between gap-3 border-t pt-2 first:border-t-0 first:pt-0">
+                  <div className="min-w-0">
+                    <div className={it.done ? "line-through text-neutral-500" : ""}>{itemLabel(it, t.lang)}</div>
+                    {it.note ? <div className="text-neutral-600 whitespace-pre-wrap break-words">{it.note}</div> : null}
+                    {it.photos?.length ? (
+                      <div className="mt-2 flex flex-wrap gap-2">
+                        {it.photos.map((id) => (
+                          <PhotoThumb key={id} id={id} className="h-24 w-24" />
+                        ))}
+                      </div>
+                    ) : null}
+                  </div>
+                  <span className={"shrink-0 text-xs px-2 py-1 rounded-full border " + badgeFor(it.severity)}>{labelFor(it.severity, t.lang)}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {revisions?.length ? (
+        <div className="mt-4 rounded-2xl border border-neutral-200 p-4 text-sm">
+          <div className="font-semibold text-neutral-900">{t("report.revisions")}</div>
+          <div className="mt-2 space-y-3">
+            {[...revisions].reverse().map((r) => (
+              <div key={r.rev} className="border-t pt-2 first:border-t-0 first:pt-0">
+                <div className="font-medium text-neutral-800">
+                  {t("report.rev", { rev: r.rev })} • {formatDateTime(r.at, t.lang) || "—"} • {r.by || "—"}
+                </div>
+                <ul className="mt-1 space-y-0.5 text-neutral-600">
+                  {(r.changes || []).map((c) => (
+                    <li key={c.path} className="ml-4 list-disc break-words">
+                      {formatChange(c, t.lang)}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        </div>
+      ) : null}
+
+      <div className="mt-6 grid grid-cols-2 gap-6 text-sm">
+        <SignatureLine
+          label={t("report.preparedBy")}
+          signature={signatures?.preparer}
+          fallbackName={preparedBy}
+          onSign={onSign && (() => onSign("preparer"))}
+          onRemove={onRemoveSignature && !signatures?.approver ? () => onRemoveSignature("preparer") : null}
+          blocker={signBlockers?.preparer}
+        />
+        <SignatureLine
+          label={t("report.approvedBy")}
+          signature={signatures?.approver}
+          onSign={onSign && (() => onSign("approver"))}
+          blocker={signBlockers?.approver}
+        />
+      </div>
+
+      <div className="mt-6 text-xs text-neutral-500">
+        {t("report.storageKey")} <span className="font-mono">{storageKey}</span>
+      </div>
+    </div>
+  );
+}
+
+function TestsPanel() {
+  const [smoke, setSmoke] = useState(null);
+  const active = isTestsMode() && !smokeRendering;
+  useEffect(() => {
+    if (active) runSmokeTest().then(setSmoke);
+  }, [active]);
+  if (!active) return null;
+  const results = [...runSelfTests(), ...(smoke ? [smoke] : [])];
+  const passCount = results.filter((r) => r.pass).length;
+
+  try {
+    console.table(results);
+  } catch {
+    // ignore
+  }
+
+  return (
+    <div className="rounded-2xl border border-neutral-200 bg-white shadow-sm p-4 mb-4">
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <div className="text-sm font-semibold text-neutral-800">Self-tests</div>
+          <div className="text-xs text-neutral-600">
+            {passCount}/{results.length} passing — open console for details
+          </div>
+        </div>
+        <Pill tone={passCount === results.length ? "accent" : "danger"}>{passCount === results.length ? "PASS" : "FAIL"}</Pill>
+      </div>
+
+      <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-2 text-sm">
+        {results.map((r) => (
+          <div key={r.name} className="rounded-xl border border-neutral-200 px-3 py-2 bg-neutral-50">
+            <span className={r.pass ? "text-neutral-800" : "text-red-700"}>{r.pass ? "✓" : "✗"} </span>
+            <span className={r.pass ? "text-neutral-800" : "text-red-700"}>{r.name}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function PhotoThumb({ id, className = "h-16 w-16", onRemove }) {
+  const t = useT();
+  const [url, setUrl] = useState("");
+
+  useEffect(() => {
+    let alive = true;
+    let objectUrl = "";
+    getPhoto(id)
+      .then((rec) => {
+        if (!alive || !rec?.blob) return;
+        objectUrl = URL.createObjectURL(rec.blob);
+        setUrl(objectUrl);
+      })
+      .catch(() => {});
+    return () => {
+      alive = false;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [id]);
+
+  return (
+    <div className={`relative shrink-0 overflow-hidden rounded-xl border border-neutral-200 bg-neutral-100 ${className}`}>
+      {url ? (
+        <a href={url} target="_blank" rel="noreferrer">
+          <img src={url} alt="" className="h-full w-full object-cover" />
+        </a>
+      ) : null}
+      {onRemove ? (
+        <button
+          type="button"
+          title={t("photos.remove")}
+          className="print:hidden absolute top-1 right-1 h-5 w-5 rounded-full bg-white/90 border border-neutral-200 text-[10px] leading-none text-neutral-700 hover:bg-red-50 hover:text-red-700"
+          onClick={onRemove}
+        >
+          ✕
+        </button>
+      ) : null}
+    </div>
+  );
+}
+
+function PhotoPickButton({ children, capture, disabled, onFiles }) {
+  return (
+    <label className={`${btnMini} cursor-pointer ${disabled ? "opacity-50 pointer-events-none" : ""}`}>
+      {children}
+      <input
+        type="file"
+        accept="image/*"
+        capture={capture}
+        multiple={!capture}
+        className="hidden"
+        onChange={(e) => {
+          onFiles(Array.from(e.target.files || []));
+          e.target.value = "";
+        }}
+      />
+    </label>
+  );
+}
+
+const ItemCard = React.memo(function ItemCard({ sectionId, item, updateItem, defect = null }) {
+  const t = useT();
+  const [localNote, setLocalNote] = useState(item.note || "");
+  const [photoBusy, setPhotoBusy] = useState(false);
+
+  useEffect(() => {
+    setLocalNote(item.note || "");
+  }, [item.note, item.severity, item.id]);
+
+  const onSeverityChange = (sev) => {
+    if (sev === "ok") {
+      setLocalNote("");
+      updateItem(sectionId, item.id, { severity: "ok", note: "" });
+      return;
+    }
+    updateItem(sectionId, item.id, { severity: sev });
+  };
+
+  const addPhotos = async (files) => {
+    const images = files.filter((f) => String(f.type || "").startsWith("image/"));
+    if (!images.length) return;
+    setPhotoBusy(true);
+    try {
+      const ids = [];
+      for (const f of images) ids.push(await putPhoto(f));
+      updateItem(sectionId, item.id, (it) => ({ photos: [...(it.photos || []), ...ids] }));
+    } catch {
+      alert(t("photos.storeFailed"));
+    } finally {
+      setPhotoBusy(false);
+    }
+  };
+
+  const removePhoto = (id) => updateItem(sectionId, item.id, (it) => ({ photos: (it.photos || []).filter((x) => x !== id) }));
+
+  return (
+    <div className="rounded-2xl bg-white border border-neutral-200 p-3">
+      <div className="flex items-center justify-between gap-2">
+        <label className="flex items-center gap-2 text-sm">
+          <input
+            type="checkbox"
+            className="h-4 w-4 rounded border-neutral-300 accent-[#D5FF00]"
+            checked={!!item.done}
+            onChange={(e) => updateItem(sectionId, item.id, { done: e.target.checked })}
+          />
+          <span className={item.done ? "line-through text-neutral-500" : "text-neutral-800"}>{itemLabel(item, t.lang)}</span>
+        </label>
+
+        <div className="flex items-center gap-2">
+          <span className={"text-xs px-2 py-1 rounded-full border " + badgeFor(item.severity)}>{labelFor(item.severity, t.lang)}</span>
+          <select
             className="text-sm px-2 py-1 rounded-xl border border-neutral-200 bg-white focus:outline-none focus:ring-2 focus:ring-[#D5FF00]/30 focus:border-neutral-300"
             value={item.severity}
             onChange={(e) => onSeverityChange(e.target.value)}
           >
-            <option value="ok">OK</option>
-            <option value="note">Note</option>
-            <option value="issue">Issue</option>
+            {SEVERITIES.map((sev) => (
+              <option key={sev} value={sev}>
+                {labelFor(sev, t.lang)}
+              </option>
+            ))}
           </select>
         </div>
       </div>
 
+      {defect && isDefectOpen(defect) ? (
+        <div className="mt-2 text-xs text-red-700">
+          {t("defects.openSince", { date: formatDate(defect.openedAt, t.lang) })}
+          {defect.status === "repair" ? ` (${defectStatusLabel("repair", t.lang)})` : ""}
+          {defect.note ? `: ${defect.note}` : ""}
+        </div>
+      ) : null}
+
       {item.severity !== "ok" ? (
         <textarea
           className="mt-2 w-full px-3 py-2 rounded-xl border border-neutral-200 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-[#D5FF00]/30 focus:border-neutral-300 min-h-[70px]"
-          placeholder={item.severity === "issue" ? "Describe the issue" : "Add a note"}
+          placeholder={item.severity === "issue" ? t("item.describeIssue") : t("item.addNote")}
           value={localNote}
           onChange={(e) => setLocalNote(e.target.value)}
           onBlur={() => updateItem(sectionId, item.id, { note: localNote })}
         />
       ) : null}
+
+      {item.photos?.length ? (
+        <div className="mt-2 flex flex-wrap gap-2">
+          {item.photos.map((id) => (
+            <PhotoThumb key={id} id={id} onRemove={() => removePhoto(id)} />
+          ))}
+        </div>
+      ) : null}
+
+      {item.severity !== "ok" ? (
+        <div className="mt-2 flex items-center gap-2">
+          <PhotoPickButton capture="environment" disabled={photoBusy} onFiles={addPhotos}>
+            {t("photos.camera")}
+          </PhotoPickButton>
+          <PhotoPickButton disabled={photoBusy} onFiles={addPhotos}>
+            {t("photos.add")}
+          </PhotoPickButton>
+          {photoBusy ? <span className="text-xs text-neutral-500">{t("common.saving")}</span> : null}
+        </div>
+      ) : null}
     </div>
   );
 });
 
-export default function App() {
-  const [profile, setProfile] = useState(loadProfile());
-  const [appState, setAppState] = useState(loadState());
+function AmendCheckEditor({ check, editor, onSave, onCancel }) {
+  const t = useT();
+  const [date, setDate] = useState(check.date || "");
+  const [odometer, setOdometer] = useState(String(check.odometer ?? ""));
+  const [odometerUnit, setOdometerUnit] = useState(check.odometerUnit || "km");
+  const [generalNotes, setGeneralNotes] = useState(check.generalNotes || "");
+  const [sections, setSections] = useState(check.sections || []);
+
+  const updateItem = useCallback((sectionId, itemId, patch) => {
+    setSections((ss) =>
+      ss.map((s) =>
+        s.id !== sectionId
+          ? s
+          : { ...s, items: s.items.map((it) => (it.id !== itemId ? it : { ...it, ...(typeof patch === "function" ? patch(it) : patch) })) }
+      )
+    );
+  }, []);
+
+  const reading = checkOdometer(odometer, null, t.lang);
+  // Older checks have no unit stored; leaving the default "km" is not a change.
+  const unitEdit = odometerUnit !== (check.odometerUnit || "km") ? { odometerUnit } : {};
+  const edits = { date, odometer: reading.value, ...unitEdit, generalNotes: generalNotes.trim(), sections };
+  const pending = diffChecks(check, { ...check, ...edits }, t.lang);
+
+  return (
+    <div className="p-6 space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+        <Field label={t("report.date")}>
+          <input type="date" className={inputBase} value={date} onChange={(e) => setDate(e.target.value)} />
+        </Field>
+        <Field label={`${t("report.odometer")} (${odometerUnit})`}>
+          <input className={inputBase} inputMode="numeric" value={odometer} onChange={(e) => setOdometer(e.target.value)} />
+          {reading.error ? <div className="mt-1 text-xs text-red-700">{reading.error}</div> : null}
+          {check.odometerRaw && reading.value == null ? <div className="mt-1 text-xs text-neutral-500">{t("amend.originallyEntered", { value: check.odometerRaw })}</div> : null}
+        </Field>
+        <Field label={t("report.odometerUnit")}>
+          <select className={inputBase} value={odometerUnit} onChange={(e) => setOdometerUnit(e.target.value)}>
+            {ODOMETER_UNITS.map((u) => (
+              <option key={u} value={u}>
+                {u}
+              </option>
+            ))}
+          </select>
+        </Field>
+        <Field label={t("amend.by")}>
+          <div className={inputBase + " bg-neutral-50 text-neutral-600"}>{editor || "—"}</div>
+        </Field>
+      </div>
+
+      <Field label={t("report.generalNotes")}>
+        <textarea className={inputBase + " min-h-[80px]"} value={generalNotes} onChange={(e) => setGeneralNotes(e.target.value)} />
+      </Field>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {sections.map((s) => (
+          <div key={s.id} className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3">
+            <div className="font-semibold text-neutral-800">{sectionTitle(s, t.lang)}</div>
+            <div className="mt-2 space-y-2">
+              {(s.items || []).map((it) => (
+                <ItemCard key={it.id} sectionId={s.id} item={it} updateItem={updateItem} />
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3 text-sm">
+        <div className="font-medium text-neutral-800">{pending.length ? t("amend.changes", { n: pending.length }) : t("amend.noChanges")}</div>
+        {pending.length ? (
+          <ul className="mt-1 space-y-0.5 text-xs text-neutral-600">
+            {pending.map((c) => (
+              <li key={c.path} className="ml-4 list-disc break-words">
+                {formatChange(c, t.lang)}
+              </li>
+            ))}
+          </ul>
+        ) : null}
+      </div>
+
+      <div className="flex items-center justify-end gap-2">
+        <button className={btnSecondary} onClick={onCancel}>
+          {t("common.cancel")}
+        </button>
+        <button className={btnSecondary} disabled={!pending.length || !!reading.error} onClick={() => onSave(edits)}>
+          {t("amend.save")}
+        </button>
+      </div>
+    </div>
+  );
+}
 
-  const [date, setDate] = useState(isoToday());
+// hydratedAtStart skips the loading screen; the self-tests use it to render the full UI.
+export default function App({ hydratedAtStart = false }) {
+  const [profile, setProfile] = useState(loadProfile());
+  const t = useMemo(() => createT(profile.language), [profile.language]);
+  const setLanguage = (language) => setProfile((p) => ({ ...p, language: normalizeLanguage(language) }));
+  // Who is doing the check on this device; drivers with a PIN are unlocked via PinModal.
+  const driver = activeDriver(profile);
+  const [pinDriver, setPinDriver] = useState(null);
+  const setActiveDriver = (id) => setProfile((p) => ({ ...p, activeDriverId: id }));
+  const switchDriver = (id) => {
+    const next = (profile.drivers || []).find((d) => d.id === id);
+    if (next?.pinHash) setPinDriver(next);
+    else setActiveDriver(next ? next.id : "");
+  };
+  // The real state is read asynchronously from the storage layer (IndexedDB).
+  const [appState, setAppState] = useState(() => baseState());
+  const [hydrated, setHydrated] = useState(hydratedAtStart);
+  const [storageError, setStorageError] = useState(null);
+  const [storageInfo, setStorageInfo] = useState(null);
+  const persistedRef = useRef(null);
+  const [migrationReport, setMigrationReport] = useState(null);
+  const [pendingUpdate, setPendingUpdate] = useState(null);
+  const online = useOnlineStatus();
+  // Optional server sync, per device (lib/sync.js).
+  const [sync, setSync] = useState(() => loadSyncState());
+  const [syncing, setSyncing] = useState(false);
+  const syncBusy = useRef(false);
+  const syncLatest = useRef(null);
+
+  // Unfinished checks per vehicle (DRAFTS_KEY); the active vehicle's one is restored on load.
+  const [drafts, setDrafts] = useState(() => loadDrafts());
   const [vehicleId, setVehicleId] = useState(profile.vehicles?.[0]?.id || "");
+  const [bootDraft] = useState(() => drafts[vehicleId] || null);
+  const [resumedDraft, setResumedDraft] = useState(bootDraft ? { vehicleId, updatedAt: bootDraft.updatedAt } : null);
 
-  const [odometerText, setOdometerText] = useState("");
-  const [generalNotesText, setGeneralNotesText] = useState("");
+  const [date, setDate] = useState(bootDraft?.draft?.date || isoToday());
+
+  const [odometerText, setOdometerText] = useState(bootDraft?.odometerText || "");
+  const [generalNotesText, setGeneralNotesText] = useState(bootDraft?.generalNotesText || "");
 
   const [vehicleModalOpen, setVehicleModalOpen] = useState(false);
   const [vehicleModalMode, setVehicleModalMode] = useState("list");
@@ -1093,8 +3039,23 @@ export default function App() {
 
   const [previewOpen, setPreviewOpen] = useState(false);
   const [savedOpen, setSavedOpen] = useState(false);
+  const [historyFilter, setHistoryFilter] = useState(DEFAULT_HISTORY_FILTER);
+  const [historySort, setHistorySort] = useState(DEFAULT_HISTORY_SORT);
+  const [historyPage, setHistoryPage] = useState(1);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
   const [savedId, setSavedId] = useState(null);
+  const [amending, setAmending] = useState(false);
+  const [signingRole, setSigningRole] = useState(null);
   const [helpOpen, setHelpOpen] = useState(false);
+  const [templateEditorOpen, setTemplateEditorOpen] = useState(false);
+  const [defectsOpen, setDefectsOpen] = useState(false);
+  const [remindersOpen, setRemindersOpen] = useState(false);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [syncOpen, setSyncOpen] = useState(false);
+  const [mileageOpen, setMileageOpen] = useState(false);
+  const [pdfBusy, setPdfBusy] = useState(false);
+  const [importReview, setImportReview] = useState(null);
+  const [overdueDismissed, setOverdueDismissed] = useState(false);
 
   const [toast, setToast] = useState(null);
   const vehicles = useMemo(() => profile.vehicles || [], [profile.vehicles]);
@@ -1106,26 +3067,131 @@ export default function App() {
     toastTimer.current = setTimeout(() => setToast(null), 2000);
   };
 
+  useEffect(() => {
+    document.documentElement.lang = t.lang.toLowerCase();
+  }, [t.lang]);
+
+  useEffect(() => registerServiceWorker({ onUpdate: setPendingUpdate }), []);
+
   useEffect(() => {
     try {
-      localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
-    } catch {
-      // ignore
+      saveProfile(profile);
+    } catch (e) {
+      setStorageError(storageErrorText(e, profile.language));
     }
   }, [profile]);
 
   useEffect(() => {
+    if (!hydrated) return;
+    const prev = persistedRef.current;
+    if (prev === appState) return;
+    persistedRef.current = appState;
+    saveStoredState(appState, prev)
+      .then(() => setStorageError(null))
+      .catch((e) => {
+        // Nothing reached disk: diff the next save against `prev` so it retries these records.
+        persistedRef.current = prev;
+        setStorageError(storageErrorText(e, t.lang));
+      });
+  }, [appState, hydrated, t]);
+
+  useEffect(() => {
+    saveDrafts(drafts);
+  }, [drafts]);
+
+  useEffect(() => {
+    saveSyncState(sync);
+  }, [sync]);
+
+  const syncData = useMemo(
+    () => ({ checks: appState.checks || [], templates: appState.templates || [], vehicles }),
+    [appState.checks, appState.templates, vehicles]
+  );
+
+  // Every local change lands in the outbox, online or not.
+  useEffect(() => {
+    if (!hydrated || !sync.enabled) return;
+    setSync((s) => queueLocalChanges(s, syncData));
+  }, [hydrated, sync.enabled, syncData]);
+
+  // The answer is folded into whatever the data is by the time it arrives.
+  useEffect(() => {
+    syncLatest.current = { sync, data: syncData };
+  });
+
+  async function syncNow({ quiet = false } = {}) {
+    const latest = syncLatest.current;
+    if (!latest?.sync.endpoint.trim() || syncBusy.current) return;
+    syncBusy.current = true;
+    setSyncing(true);
     try {
-      localStorage.setItem(KEY, JSON.stringify(appState));
-    } catch {
-      // ignore
+      const body = buildSyncRequest(queueLocalChanges(latest.sync, latest.data), latest.data);
+      const response = await postSync(latest.sync, body);
+      const { sync: current, data } = syncLatest.current;
+      const result = finishSync(current, data, body.changes, response);
+      const next = result.data;
+      if (next.checks !== data.checks || next.templates !== data.templates) {
+        const had = new Set(data.checks.map((c) => c.id));
+        const fresh = next.checks.filter((c) => !had.has(c.id));
+        setAppState((prev) =>
+          stampState({
+            ...prev,
+            checks: next.checks,
+            templates: next.templates,
+            defects: fresh.reduce((list, c) => syncDefects(list, c), prev.defects),
+          })
+        );
+      }
+      if (next.vehicles !== data.vehicles) setProfile((p) => ({ ...p, vehicles: next.vehicles }));
+      setSync(result.sync);
+      if (result.stats.rejected) notify(t("sync.rejected", { n: result.stats.rejected }));
+      else if (result.stats.overwritten) notify(t("sync.overwritten", { n: result.stats.overwritten }));
+      else if (!quiet) notify(t("sync.done", { pushed: result.stats.pushed, pulled: result.stats.pulled }));
+    } catch (e) {
+      setSync((s) => ({ ...s, lastError: e?.code || "network" }));
+      if (!quiet) notify(t("sync.failed"));
+    } finally {
+      syncBusy.current = false;
+      setSyncing(false);
     }
-  }, [appState]);
+  }
+
+  function updateSync(patch) {
+    setSync((s) => ({ ...s, ...patch, deviceId: s.deviceId || uid("dev") }));
+  }
+
+  function resetSync() {
+    if (!window.confirm(t("sync.confirmReset"))) return;
+    setSync((s) => resetSyncState(s));
+    notify(t("sync.resetDone"));
+  }
+
+  // Sync when switched on or back online, then every minute; local edits go
+  // out a few seconds after they are made.
+  const syncPending = pendingCount(sync);
+  const syncReady = hydrated && sync.enabled && !!sync.endpoint.trim() && online;
+  useEffect(() => {
+    if (!syncReady) return;
+    const first = setTimeout(() => syncNow({ quiet: true }), 1000);
+    const every = setInterval(() => syncNow({ quiet: true }), SYNC_INTERVAL_MS);
+    return () => {
+      clearTimeout(first);
+      clearInterval(every);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [syncReady, sync.endpoint, sync.token]);
+
+  useEffect(() => {
+    if (!syncReady || !syncPending) return;
+    const id = setTimeout(() => syncNow({ quiet: true }), 3000);
+    return () => clearTimeout(id);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [syncReady, syncPending]);
 
   useEffect(() => {
     if (!vehicles.length) return;
     const exists = vehicles.some((v) => v.id === vehicleId);
-    if (!exists) setVehicleId(vehicles[0].id);
+    if (!exists) switchVehicle(vehicles[0].id);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [vehicles]);
 
@@ -1134,28 +3200,129 @@ export default function App() {
     [vehicles, vehicleId]
   );
 
-  const [draft, setDraft] = useState(() => {
-    const t = appState.template;
-    return {
-      date,
-      vehicleId,
-      sections: t.sections.map((s) => ({
-        id: s.id,
-        title: s.title,
-        items: s.items.map((it) => ({
-          id: it.id,
-          label: it.label,
-          severity: "ok",
-          note: "",
-          done: false,
-        })),
-      })),
+  const activeVehicle = useMemo(() => vehicles.find((v) => v.id === vehicleId) || null, [vehicles, vehicleId]);
+
+  const historyChecks = useMemo(
+    () => sortChecks(filterChecks(appState.checks, historyFilter), historySort),
+    [appState.checks, historyFilter, historySort]
+  );
+  const historyView = useMemo(() => paginate(historyChecks, historyPage), [historyChecks, historyPage]);
+  const historyFiltered = isFilterActive(historyFilter);
+  const approvalPending = useMemo(() => pendingApproval(appState.checks).length, [appState.checks]);
+
+  // Selection survives filter changes; bulk actions use the history sort order.
+  const selectedChecks = useMemo(
+    () => sortChecks((appState.checks || []).filter((c) => selectedIds.has(c.id)), historySort),
+    [appState.checks, selectedIds, historySort]
+  );
+  const allShownSelected = historyChecks.length > 0 && historyChecks.every((c) => selectedIds.has(c.id));
+  const toggleSelected = (id) =>
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  const toggleAllShown = () =>
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      for (const c of historyChecks) {
+        if (allShownSelected) next.delete(c.id);
+        else next.add(c.id);
+      }
+      return next;
+    });
+
+  // Profile vehicles plus any vehicle that only appears in saved checks.
+  const historyVehicles = useMemo(() => {
+    const list = vehicles.map((v) => ({ id: v.id, label: formatVehicleLabel(v) }));
+    const known = new Set(list.map((v) => v.id));
+    for (const c of appState.checks || []) {
+      if (!c.vehicleId || known.has(c.vehicleId)) continue;
+      known.add(c.vehicleId);
+      list.push({ id: c.vehicleId, label: c.vehicleLabel || c.vehicleId });
+    }
+    return list;
+  }, [vehicles, appState.checks]);
+
+  // Roster drivers plus anyone recorded on a check who has since been removed.
+  const historyDrivers = useMemo(() => {
+    const list = (profile.drivers || []).map((d) => ({ id: d.id, label: d.name }));
+    const known = new Set(list.map((d) => d.id));
+    for (const c of appState.checks || []) {
+      if (!c.driverId || known.has(c.driverId)) continue;
+      known.add(c.driverId);
+      list.push({ id: c.driverId, label: c.driverName || c.driverId });
+    }
+    return list;
+  }, [profile.drivers, appState.checks]);
+
+  const updateHistoryFilter = (patch) => {
+    setHistoryFilter((f) => ({ ...f, ...patch }));
+    setHistoryPage(1);
+  };
+  const activeTemplate = useMemo(
+    () => templateForVehicle(appState.templates, activeVehicle, DEFAULT_TEMPLATE_ID),
+    [appState.templates, activeVehicle]
+  );
+
+  const [draft, setDraft] = useState(() => draftFromTemplate(activeTemplate, { date, vehicleId }, bootDraft?.draft));
+
+  // Rebuild the draft when the vehicle's template (or its revision) changes;
+  // items that exist in both keep their state.
+  useEffect(() => {
+    setDraft((d) =>
+      d.templateId === activeTemplate?.id && d.templateRev === activeTemplate?.rev
+        ? { ...d, date, vehicleId }
+        : draftFromTemplate(activeTemplate, { date, vehicleId }, d)
+    );
+  }, [date, vehicleId, activeTemplate]);
+
+  // Load the stored state once. The draft is rebuilt from the restored draft
+  // entry against the stored template, then orphaned photos are pruned.
+  useEffect(() => {
+    let alive = true;
+    loadStoredState()
+      .then(({ state: stored, migrated }) => {
+        if (!alive) return;
+        const { state, report } = hydrateState(stored);
+        const template = templateForVehicle(state.templates, activeVehicle, DEFAULT_TEMPLATE_ID);
+
+        // Diff against what is on disk so migrated checks get written back.
+        persistedRef.current = migrated ? null : stored;
+        setAppState(state);
+        setDraft((d) => {
+          const next = draftFromTemplate(template, { date: d.date, vehicleId: d.vehicleId }, bootDraft?.draft || d);
+          return bootDraft ? next : preflagDraft(next, state.defects);
+        });
+        if (report?.changes?.length) setMigrationReport(report);
+        if (migrated) notify(t("notify.movedToIndexedDb"));
+        setHydrated(true);
+
+        const live = [...state.checks, ...Object.values(drafts).map((e) => e?.draft), bootDraft?.draft];
+        prunePhotos(collectPhotoIds(live)).catch(() => {});
+        requestPersistentStorage();
+      })
+      .catch((e) => {
+        if (!alive) return;
+        setStorageError(t("storage.loadFailed", { message: e?.message || t("common.unknownError") }));
+      });
+    return () => {
+      alive = false;
     };
-  });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  useEffect(() => {
+    if (!storageError) return;
+    storageEstimate().then(setStorageInfo);
+  }, [storageError]);
 
+  // Autosave the draft under its vehicle as soon as it holds anything.
   useEffect(() => {
-    setDraft((d) => ({ ...d, date, vehicleId }));
-  }, [date, vehicleId]);
+    if (!hydrated || !isDraftDirty(draft, odometerText, generalNotesText)) return;
+    setDrafts((prev) => withDraft(prev, draft.vehicleId, { draft, odometerText, generalNotesText }));
+  }, [draft, odometerText, generalNotesText, hydrated]);
 
   const issueCount = useMemo(() => {
     let n = 0;
@@ -1175,6 +3342,8 @@ export default function App() {
     return n;
   }, [draft.sections]);
 
+  const otherDraftVehicles = useMemo(() => vehicles.filter((v) => v.id !== vehicleId && drafts[v.id]), [vehicles, vehicleId, drafts]);
+
   const totalsForPreview = useMemo(() => ({ issueCount, doneCount, totalItems }), [issueCount, doneCount, totalItems]);
 
   const updateItem = useCallback((sectionId, itemId, patch) => {
@@ -1185,123 +3354,324 @@ export default function App() {
           ? s
           : {
               ...s,
-              items: s.items.map((it) => (it.id !== itemId ? it : { ...it, ...patch })),
+              items: s.items.map((it) => (it.id !== itemId ? it : { ...it, ...(typeof patch === "function" ? patch(it) : patch) })),
             }
       ),
     }));
   }, []);
 
-  function resetDraft() {
-    const t = appState.template;
-    setDraft({
-      date,
-      vehicleId,
-      sections: t.sections.map((s) => ({
-        id: s.id,
-        title: s.title,
-        items: s.items.map((it) => ({
-          id: it.id,
-          label: it.label,
-          severity: "ok",
-          note: "",
-          done: false,
-        })),
-      })),
-    });
+  // A fresh draft starts with the vehicle's open defects flagged as issues.
+  function resetDraft(defects = appState.defects) {
+    setDraft(preflagDraft(draftFromTemplate(activeTemplate, { date, vehicleId }), defects));
 
     setOdometerText("");
     setGeneralNotesText("");
-    notify("Reset");
+    setDrafts((prev) => withoutDraft(prev, vehicleId));
+    setResumedDraft(null);
+    notify(t("notify.reset"));
   }
 
-  function saveCheck() {
-    const check = {
-      id: uid("vc"),
-      createdAt: new Date().toISOString(),
+  // Switching vehicles parks the current draft (already autosaved) and picks up
+  // the next vehicle's unfinished check, if there is one.
+  function switchVehicle(nextId) {
+    if (nextId === vehicleId) return;
+    const entry = drafts[nextId] || null;
+    const nextTemplate = templateForVehicle(appState.templates, vehicles.find((v) => v.id === nextId) || null, DEFAULT_TEMPLATE_ID);
+    const nextDate = entry?.draft?.date || date;
+
+    setVehicleId(nextId);
+    const next = draftFromTemplate(nextTemplate, { date: nextDate, vehicleId: nextId }, entry?.draft);
+    setDraft(entry ? next : preflagDraft(next, appState.defects));
+    setDate(nextDate);
+    setOdometerText(entry?.odometerText || "");
+    setGeneralNotesText(entry?.generalNotesText || "");
+    setResumedDraft(entry ? { vehicleId: nextId, updatedAt: entry.updatedAt } : null);
+  }
+
+  function saveTemplates(edited) {
+    const next = commitTemplates(appState.templates, edited);
+    setAppState((prev) => stampState({ ...prev, templates: next }));
+    setTemplateEditorOpen(false);
+    notify(t("notify.templatesSaved"));
+  }
+
+  function restoreDefaultTemplate() {
+    const ok = window.confirm(t("templates.confirmRestore"));
+    if (!ok) return;
+    setAppState((prev) =>
+      stampState({
+        ...prev,
+        templates: (prev.templates || []).map((tpl) => (tpl.id === DEFAULT_TEMPLATE_ID ? defaultTemplate() : tpl)),
+      })
+    );
+    setTemplateEditorOpen(false);
+    notify(t("notify.defaultRestored"));
+  }
+
+  // The current draft in the shape of a saved check (without id/createdAt).
+  function draftAsCheck() {
+    return {
       date,
       vehicleId,
       vehicleLabel,
-      odometer: String(odometerText || "").trim(),
+      odometer: odometerStatus.value,
+      odometerUnit: activeUnit,
       generalNotes: String(generalNotesText || "").trim(),
+      templateId: draft.templateId,
+      templateName: activeTemplate?.name || "",
+      ...(activeTemplate?.key ? { templateKey: activeTemplate.key } : {}),
+      templateRev: draft.templateRev,
+      ...(driver ? { driverId: driver.id, driverName: driver.name } : {}),
       sections: draft.sections,
       summary: { totalItems, doneCount, issueCount },
     };
+  }
+
+  function saveCheck() {
+    if (odometerStatus.error) {
+      alert(odometerStatus.error);
+      return;
+    }
+    if (odometerStatus.warning && !window.confirm(t("odometer.saveAnyway", { warning: odometerStatus.warning }))) return;
 
+    const check = { id: uid("vc"), createdAt: new Date().toISOString(), ...draftAsCheck(), status: "draft", statusLog: [] };
+    const defects = syncDefects(appState.defects, check);
     setAppState((prev) =>
-      saveState({
+      stampState({
         ...prev,
         checks: [check, ...(prev.checks || [])],
+        defects,
       })
     );
 
-    resetDraft();
-    notify("Saved check");
+    resetDraft(defects);
+    notify(t("notify.savedCheck"));
   }
 
   function deleteCheck(id) {
-    const ok = window.confirm("Delete this saved check?");
+    const ok = window.confirm(t("history.confirmDelete"));
     if (!ok) return;
-    setAppState((prev) => saveState({ ...prev, checks: (prev.checks || []).filter((c) => c.id !== id) }));
-    notify("Deleted");
+    const removed = (appState.checks || []).find((c) => c.id === id);
+    setAppState((prev) => stampState({ ...prev, checks: (prev.checks || []).filter((c) => c.id !== id) }));
+    deletePhotos(collectPhotoIds(removed ? [removed] : [])).catch(() => {});
+    notify(t("notify.deleted"));
+  }
+
+  // Photos are bundled as data URLs so an export is self-contained.
+  async function withAttachments(payload, checks) {
+    const ids = collectPhotoIds(checks);
+    if (!ids.length) return payload;
+    const attachments = await exportPhotos(ids);
+    return Object.keys(attachments).length ? { ...payload, attachments } : payload;
   }
 
-  function exportJSON() {
-    const payload = { exportedAt: new Date().toISOString(), profile, data: appState };
+  // With `checks` only that subset is exported (e.g. the filtered history).
+  async function exportJSON(checks = null) {
+    const subset = Array.isArray(checks);
+    const data = subset ? { ...appState, checks } : appState;
+    const payload = await withAttachments({ exportedAt: new Date().toISOString(), profile: exportableProfile(profile), data }, data.checks);
     const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = `toolstack-vehicle-check-it-${APP_VERSION}-${isoToday()}.json`;
+    a.download = `toolstack-vehicle-check-it-${APP_VERSION}-${isoToday()}${subset ? "-filtered" : ""}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    notify(subset ? t("notify.exportedChecks", { n: checks.length }) : t("notify.exported"));
+  }
+
+  // Several checks end up in one combined PDF, one check per page group.
+  async function downloadPdf(checks, filename) {
+    if (!checks?.length || pdfBusy) return;
+    setPdfBusy(true);
+    try {
+      const blob = await buildReportPdf(checks, { profile, lang: t.lang });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = filename;
+      a.click();
+      URL.revokeObjectURL(url);
+      notify(checks.length > 1 ? t("notify.pdfChecks", { n: checks.length }) : t("notify.pdf"));
+    } catch {
+      alert(t("pdf.failed"));
+    } finally {
+      setPdfBusy(false);
+    }
+  }
+
+  const pdfName = (c) => `vehicle-check-${String(c.date || isoToday()).replace(/[^0-9-]/g, "")}-${c.vehicleId || "vehicle"}.pdf`;
+
+  // CSV follows the history table: current filters and sort order.
+  function exportCsv(mode) {
+    const locale = typeof navigator !== "undefined" ? navigator.language : undefined;
+    const blob = new Blob([buildChecksCsv(historyChecks, mode, { locale, lang: t.lang })], { type: "text/csv;charset=utf-8" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `vehicle-checks-${mode}-${isoToday()}${historyFiltered ? "-filtered" : ""}.csv`;
     a.click();
     URL.revokeObjectURL(url);
-    notify("Exported");
+    notify(t("notify.exportedCsv", { n: historyChecks.length }));
   }
 
+  // Imports are read and compared first; nothing is written until the preview is confirmed.
   function importJSON(file) {
     if (!file) return;
     const reader = new FileReader();
     reader.onload = () => {
       try {
-        const parsed = parseImportPayload(String(reader.result || ""));
+        const parsed = parseImportPayload(String(reader.result || ""), t.lang);
+        let incoming;
+        let report = null;
 
         if (parsed.kind === "full") {
-          const incoming = parsed.data;
-          if (!incoming?.checks || !Array.isArray(incoming.checks)) throw new Error("Invalid import file");
-          setProfile(parsed.profile || profile);
-          setAppState(saveState(incoming));
-          resetDraft();
-          notify("Imported");
-          return;
+          if (!parsed.data?.checks || !Array.isArray(parsed.data.checks)) throw new Error(t("import.invalid"));
+          const migrated = migrateState(parsed.data);
+          incoming = { profile: parsed.profile, data: migrated.state };
+          report = migrated.report;
+        } else if (parsed.kind === "checks") {
+          incoming = { profile: parsed.profile, data: { checks: migrateState({ checks: parsed.checks }).state.checks } };
+        } else {
+          if (!parsed.check?.id) throw new Error(t("import.invalid"));
+          incoming = { profile: parsed.profile, data: { checks: [migrateCheck(parsed.check)] } };
         }
 
-        const incomingCheck = parsed.check;
-        if (!incomingCheck?.id) throw new Error("Invalid import file");
-        if (parsed.profile) setProfile(parsed.profile);
-
-        setAppState((prev) => {
-          const existing = prev.checks || [];
-          const without = existing.filter((c) => c.id !== incomingCheck.id);
-          return saveState({ ...prev, checks: [incomingCheck, ...without] });
-        });
-
-        notify("Imported check");
+        const plan = planMerge({ profile, data: appState }, incoming);
+        setImportReview({ kind: parsed.kind, fileName: file.name, parsed, incoming, report, plan });
       } catch (e) {
-        alert("Import failed: " + (e?.message || "unknown error"));
+        alert(t("import.failed", { message: e?.message || t("common.unknownError") }));
       }
     };
     reader.readAsText(file);
   }
 
+  async function confirmImport(mode, choices = {}) {
+    const review = importReview;
+    if (!review) return;
+    setImportReview(null);
+    try {
+      if (review.parsed.attachments) await importPhotos(review.parsed.attachments);
+    } catch {
+      alert(t("import.photosFailed"));
+    }
+
+    if (mode === "replace") {
+      setProfile(review.parsed.profile ? keepLocalPins(review.parsed.profile, profile) : profile);
+      setAppState(stampState(review.incoming.data));
+      if (review.report?.changes.length) setMigrationReport(review.report);
+      resetDraft(review.incoming.data.defects);
+      notify(t("notify.importedReplaced"));
+      return;
+    }
+
+    // Re-plan against the latest data in case something was saved meanwhile.
+    const current = { profile, data: appState };
+    const plan = planMerge(current, review.incoming);
+    const merged = applyMerge(current, plan, choices);
+    setProfile(merged.profile);
+    setAppState(stampState(merged.data));
+    if (review.report?.changes.length) setMigrationReport(review.report);
+    notify(t("notify.merged", { checks: plan.checks.added.length, vehicles: plan.vehicles.added.length }));
+  }
+
   const selectedSavedCheck = useMemo(() => (appState.checks || []).find((c) => c.id === savedId) || null, [appState.checks, savedId]);
 
   const openSaved = (id) => {
     setSavedId(id);
     setSavedOpen(true);
+    setAmending(false);
+    setSigningRole(null);
   };
+  const savedLocked = isCheckLocked(selectedSavedCheck);
+
+  function amendSavedCheck(edits) {
+    const current = selectedSavedCheck;
+    if (!current) return;
+    if (current.signatures?.preparer && !window.confirm(t("signature.confirmAmend"))) return;
+    const next = amendCheck(current, edits, currentUserName(profile), t.lang);
+    setAmending(false);
+    if (next === current) {
+      notify(t("amend.noChanges"));
+      return;
+    }
+    setAppState((prev) =>
+      stampState({
+        ...prev,
+        checks: (prev.checks || []).map((c) => (c.id === current.id ? next : c)),
+        defects: syncDefects(prev.defects, next),
+      })
+    );
+    notify(t("notify.amended", { rev: next.revisions.length }));
+  }
+
+  // Submit is done by the preparer; approve/reject by the reviewer named in the profile.
+  function reviewSavedCheck(action) {
+    const current = selectedSavedCheck;
+    if (!current) return;
+    let next = current;
+    if (action === "submit") {
+      next = submitCheck(current, currentUserName(profile));
+    } else {
+      const reviewer = reviewerName(profile);
+      if (!reviewer) {
+        alert(t("approval.needReviewer"));
+        setSettingsOpen(true);
+        return;
+      }
+      if (action === "approve") {
+        next = approveCheck(current, reviewer);
+      } else {
+        const comment = window.prompt(t("approval.rejectPrompt"), "");
+        if (comment == null) return;
+        if (!comment.trim()) {
+          alert(t("approval.commentRequired"));
+          return;
+        }
+        next = rejectCheck(current, reviewer, comment);
+      }
+    }
+    if (next === current) return;
+    setAppState((prev) => stampState({ ...prev, checks: (prev.checks || []).map((c) => (c.id === current.id ? next : c)) }));
+    notify(t(`notify.${next.status}`));
+  }
+
+  function signSavedCheck(signature) {
+    const current = selectedSavedCheck;
+    const role = signingRole;
+    setSigningRole(null);
+    if (!current) return;
+    const next = signCheck(current, role, signature);
+    if (next === current) return;
+    setAppState((prev) => stampState({ ...prev, checks: (prev.checks || []).map((c) => (c.id === current.id ? next : c)) }));
+    notify(t(role === "approver" ? "notify.countersigned" : "notify.signed"));
+  }
+
+  function removeSavedSignature(role) {
+    const current = selectedSavedCheck;
+    if (!current || !window.confirm(t("signature.confirmRemove"))) return;
+    const next = removeSignature(current, role);
+    if (next === current) return;
+    setAppState((prev) => stampState({ ...prev, checks: (prev.checks || []).map((c) => (c.id === current.id ? next : c)) }));
+  }
+
+  // Bundle of the selected checks plus only the vehicles they reference.
+  async function exportSelected() {
+    if (!selectedChecks.length) return;
+    const payload = await withAttachments(buildChecksBundle(selectedChecks, profile), selectedChecks);
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = bundleFileName(selectedChecks);
+    a.click();
+    URL.revokeObjectURL(url);
+    notify(t("notify.exportedChecks", { n: selectedChecks.length }));
+  }
 
-  const exportSingleCheck = (c) => {
+  const exportSingleCheck = async (c) => {
     if (!c) return;
-    const payload = { exportedAt: new Date().toISOString(), profile, check: c };
+    const payload = await withAttachments({ exportedAt: new Date().toISOString(), profile: exportableProfile(profile), check: c }, [c]);
     const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
@@ -1310,12 +3680,12 @@ export default function App() {
     a.download = `vehicle-check-${safeDate}.json`;
     a.click();
     URL.revokeObjectURL(url);
-    notify("Exported check");
+    notify(t("notify.exportedCheck"));
   };
 
   const downloadSingleCheckTxt = (c) => {
     if (!c) return;
-    const text = buildCheckSummaryText(c);
+    const text = buildCheckSummaryText(c, t.lang);
     const blob = new Blob([text], { type: "text/plain;charset=utf-8" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
@@ -1324,23 +3694,23 @@ export default function App() {
     a.download = `vehicle-check-${safeDate}.txt`;
     a.click();
     URL.revokeObjectURL(url);
-    notify("Downloaded TXT");
+    notify(t("notify.txt"));
   };
 
   const copySingleCheck = async (c) => {
     if (!c) return;
-    const ok = await copyTextToClipboard(buildCheckSummaryText(c));
-    if (ok) notify("Copied");
-    else alert("Copy failed. Try Export or Download TXT.");
+    const ok = await copyTextToClipboard(buildCheckSummaryText(c, t.lang));
+    if (ok) notify(t("notify.copied"));
+    else alert(t("share.copyFailed"));
   };
 
   const sendSingleCheck = async (c) => {
     if (!c) return;
-    const { subject, body } = buildCheckEmail(c);
+    const { subject, body } = buildCheckEmail(c, t.lang);
 
     const safeDate = String(c.date || isoToday()).replace(/[^0-9-]/g, "");
     const txtFile = new File([body], `vehicle-check-${safeDate}.txt`, { type: "text/plain" });
-    const jsonPayload = JSON.stringify({ exportedAt: new Date().toISOString(), profile, check: c }, null, 2);
+    const jsonPayload = JSON.stringify(await withAttachments({ exportedAt: new Date().toISOString(), profile: exportableProfile(profile), check: c }, [c]), null, 2);
     const jsonFile = new File([jsonPayload], `vehicle-check-${safeDate}.json`, { type: "application/json" });
 
     try {
@@ -1350,7 +3720,7 @@ export default function App() {
         } else {
           await navigator.share({ title: subject, text: body });
         }
-        notify("Shared");
+        notify(t("notify.shared"));
         return;
       }
     } catch {
@@ -1360,11 +3730,11 @@ export default function App() {
     const mailto = `mailto:?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
     try {
       window.location.href = mailto;
-      notify("Opened email");
+      notify(t("notify.openedEmail"));
     } catch {
       const ok = await copyTextToClipboard(body);
-      if (ok) notify("Copied (mailto blocked)");
-      else alert("Send failed. Use Copy / Export / Download TXT.");
+      if (ok) notify(t("notify.copiedMailtoBlocked"));
+      else alert(t("share.sendFailed"));
     }
   };
 
@@ -1372,7 +3742,7 @@ export default function App() {
 
   const openHub = () => {
     if (isHubPlaceholder()) {
-      alert("Set HUB_URL in the code first.");
+      alert(t("hub.notSet"));
       return;
     }
     window.open(HUB_URL, "_blank", "noopener,noreferrer");
@@ -1407,31 +3777,98 @@ export default function App() {
       vin: v?.vin || "",
       tuvUntil: v?.tuvUntil || "",
       serviceDue: v?.serviceDue || "",
+      odometerUnit: unitForVehicle(v),
+      serviceIntervals: v?.serviceIntervals || [],
+      templateId: v?.templateId || "",
       notes: v?.notes || "",
     });
   };
 
-  const cancelVehicleEdit = () => {
-    setVehicleModalMode("list");
-    setVehicleEditId(null);
-    setVehicleDraft(null);
+  const cancelVehicleEdit = () => {
+    setVehicleModalMode("list");
+    setVehicleEditId(null);
+    setVehicleDraft(null);
+  };
+
+  const activeUnit = unitForVehicle(activeVehicle);
+  const previousOdometer = useMemo(() => previousReading(appState.checks, vehicleId, activeUnit), [appState.checks, vehicleId, activeUnit]);
+  const odometerStatus = useMemo(() => checkOdometer(odometerText, previousOdometer, t.lang), [odometerText, previousOdometer, t.lang]);
+
+  const vehicleDefects = useMemo(() => openDefectsFor(appState.defects, vehicleId), [appState.defects, vehicleId]);
+  const defectsById = useMemo(() => new Map((appState.defects || []).map((d) => [d.id, d])), [appState.defects]);
+
+  // Default odometer for a resolution: what is typed in the current check, else the latest saved one.
+  const odometerFor = (vid) => {
+    if (vid === vehicleId && odometerStatus.value != null) return String(odometerStatus.value);
+    const unit = unitForVehicle(vehicles.find((v) => v.id === vid));
+    return String(previousReading(appState.checks, vid, unit)?.value ?? "");
+  };
+
+  const updateDefectStatus = (id, status, resolution) => {
+    setAppState((prev) =>
+      stampState({ ...prev, defects: (prev.defects || []).map((d) => (d.id === id ? setDefectStatus(d, status, resolution) : d)) })
+    );
+    notify(t("notify.defectStatus", { status: defectStatusLabel(status, t.lang) }));
+  };
+
+  const reminders = useMemo(
+    () => buildReminders(vehicles, { today: isoToday(), settings: appState.settings, labelFor: formatVehicleLabel, checks: appState.checks, lang: t.lang }),
+    [vehicles, appState.settings, appState.checks, t.lang]
+  );
+  const overdueReminders = reminders.filter((r) => r.status === "overdue");
+  const reminderFor = (vid, kind) => reminders.find((r) => r.vehicleId === vid && r.kind === kind) || null;
+
+  const saveReminderSettings = (next) => {
+    setAppState((prev) => stampState({ ...prev, settings: { ...(prev.settings || {}), reminders: next } }));
+  };
+
+  // The service odometer defaults to the latest saved reading of that vehicle.
+  const markIntervalDone = (r) => {
+    const input = window.prompt(t("reminders.promptDone", { label: r.label, unit: r.unit }), odometerFor(r.vehicleId));
+    if (input == null) return;
+    const odometer = parseOdometer(input);
+    if (input.trim() && odometer == null) {
+      alert(t("odometer.notANumber"));
+      return;
+    }
+    setProfile((p) => ({
+      ...p,
+      vehicles: (p.vehicles || []).map((v) =>
+        v.id !== r.vehicleId
+          ? v
+          : { ...v, serviceIntervals: (v.serviceIntervals || []).map((x) => (x.id === r.ruleId ? markServiceDone(x, { date: isoToday(), odometer }) : x)) }
+      ),
+    }));
+    notify(t("notify.recorded", { label: r.label }));
+  };
+
+  const exportIcs = () => {
+    const blob = new Blob([buildIcs(reminders, { settings: appState.settings, lang: t.lang })], { type: "text/calendar;charset=utf-8" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `vehicle-reminders-${isoToday()}.ics`;
+    a.click();
+    URL.revokeObjectURL(url);
+    notify(t("notify.calendarExported"));
   };
 
   const selectActiveVehicle = (vid) => {
-    setVehicleId(vid);
-    notify("Active vehicle set");
+    switchVehicle(vid);
+    notify(t("notify.activeVehicle"));
   };
 
   const deleteVehicle = (vid) => {
     const v = (profile.vehicles || []).find((x) => x.id === vid);
-    const ok = window.confirm(`Delete vehicle: ${formatVehicleLabel(v) || vid}?`);
+    const ok = window.confirm(t("vehicles.confirmDelete", { name: formatVehicleLabel(v) || vid }));
     if (!ok) return;
 
     const nextVehicles = (profile.vehicles || []).filter((x) => x.id !== vid);
     setProfile((p) => ({ ...p, vehicles: nextVehicles }));
+    setDrafts((prev) => withoutDraft(prev, vid));
 
-    if (vehicleId === vid) setVehicleId(nextVehicles[0]?.id || "");
-    notify("Vehicle deleted");
+    if (vehicleId === vid) switchVehicle(nextVehicles[0]?.id || "");
+    notify(t("notify.vehicleDeleted"));
   };
 
   const saveVehicle = (incomingDraft) => {
@@ -1441,7 +3878,7 @@ export default function App() {
     const model = String(d.model || "").trim();
 
     if (!plate && !make && !model) {
-      alert("Please enter at least a number plate or make/model.");
+      alert(t("vehicles.needPlateOrModel"));
       return;
     }
 
@@ -1464,20 +3901,23 @@ export default function App() {
         vin: String(d.vin || "").trim(),
         tuvUntil: String(d.tuvUntil || "").trim(),
         serviceDue: String(d.serviceDue || "").trim(),
+        odometerUnit: unitForVehicle(d),
+        serviceIntervals: cleanIntervals(d.serviceIntervals),
+        templateId: String(d.templateId || ""),
         notes: String(d.notes || "").trim(),
       };
 
       const nextVehicles = [...(profile.vehicles || []), nextVehicle];
       setProfile((p) => ({ ...p, vehicles: nextVehicles }));
-      setVehicleId(id);
-      notify("Vehicle added");
+      switchVehicle(id);
+      notify(t("notify.vehicleAdded"));
       cancelVehicleEdit();
       return;
     }
 
     const editId = vehicleEditId;
     if (!editId) {
-      alert("Edit failed: missing vehicle id");
+      alert(t("vehicles.missingId"));
       cancelVehicleEdit();
       return;
     }
@@ -1495,12 +3935,15 @@ export default function App() {
         vin: String(d.vin || "").trim(),
         tuvUntil: String(d.tuvUntil || "").trim(),
         serviceDue: String(d.serviceDue || "").trim(),
+        odometerUnit: unitForVehicle(d),
+        serviceIntervals: cleanIntervals(d.serviceIntervals),
+        templateId: String(d.templateId || ""),
         notes: String(d.notes || "").trim(),
       };
     });
 
     setProfile((p) => ({ ...p, vehicles: nextVehicles }));
-    notify("Vehicle updated");
+    notify(t("notify.vehicleUpdated"));
     cancelVehicleEdit();
   };
 
@@ -1515,8 +3958,6 @@ export default function App() {
     []
   );
 
-  const activeVehicle = useMemo(() => vehicles.find((v) => v.id === vehicleId) || null, [vehicles, vehicleId]);
-
   useEffect(() => {
     if (savedOpen && savedId && !(appState.checks || []).some((c) => c.id === savedId)) {
       setSavedOpen(false);
@@ -1524,408 +3965,949 @@ export default function App() {
     }
   }, [savedOpen, savedId, appState.checks]);
 
-  return (
-    <div className="min-h-screen bg-neutral-50 text-neutral-800">
-      <style>{`
-        @media print {
-          body { background: white !important; }
-          .print\\:hidden { display: none !important; }
-        }
-      `}</style>
+  if (!hydrated && !storageError) {
+    return (
+      <div className="min-h-screen bg-neutral-50 text-neutral-800 flex items-center justify-center">
+        <div className="text-sm text-neutral-600">{t("storage.loading")}</div>
+      </div>
+    );
+  }
 
-      {previewOpen || savedOpen ? (
+  return (
+    <I18nContext.Provider value={t}>
+      <div className="min-h-screen bg-neutral-50 text-neutral-800">
         <style>{`
           @media print {
-            body * { visibility: hidden !important; }
-            #vc-print-preview, #vc-print-preview * { visibility: visible !important; }
-            #vc-print-saved, #vc-print-saved * { visibility: visible !important; }
-            #vc-print-preview { position: absolute !important; left: 0; top: 0; width: 100%; }
-            #vc-print-saved { position: absolute !important; left: 0; top: 0; width: 100%; }
+            body { background: white !important; }
+            .print\\:hidden { display: none !important; }
           }
         `}</style>
-      ) : null}
 
-      <HelpModal open={helpOpen} onClose={() => setHelpOpen(false)} appName="Vehicle Check-It" storageKey={KEY} />
-
-      <VehicleProfilesModal
-        open={vehicleModalOpen}
-        onClose={() => setVehicleModalOpen(false)}
-        vehicles={vehicles}
-        activeVehicleId={vehicleId}
-        onSelectActive={selectActiveVehicle}
-        onStartAdd={startAddVehicle}
-        onStartEdit={startEditVehicle}
-        onDelete={deleteVehicle}
-        mode={vehicleModalMode}
-        draft={vehicleDraft}
-        setDraft={setVehicleDraft}
-        onSave={saveVehicle}
-        onCancelEdit={cancelVehicleEdit}
-      />
+        {previewOpen || savedOpen ? (
+          <style>{`
+            @media print {
+              body * { visibility: hidden !important; }
+              #vc-print-preview, #vc-print-preview * { visibility: visible !important; }
+              #vc-print-saved, #vc-print-saved * { visibility: visible !important; }
+              #vc-print-preview { position: absolute !important; left: 0; top: 0; width: 100%; }
+              #vc-print-saved { position: absolute !important; left: 0; top: 0; width: 100%; }
+            }
+          `}</style>
+        ) : null}
 
-      {previewOpen ? (
-        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-8 pointer-events-none">
-          <div className="absolute inset-0 bg-black/40" onClick={() => setPreviewOpen(false)} />
+        <HelpModal open={helpOpen} onClose={() => setHelpOpen(false)} appName="Vehicle Check-It" storageKey={KEY} />
 
-          <div className="relative w-full max-w-5xl flex flex-col max-h-full pointer-events-auto">
-            <div className="mb-3 rounded-2xl bg-white border border-neutral-200 shadow-sm p-3 flex items-center justify-between gap-3 shrink-0">
-              <div className="text-lg font-semibold text-neutral-800">Print preview</div>
-              <div className="flex items-center gap-2">
-                <button className={btnSecondary} onClick={() => window.print()}>
-                  Print / Save PDF
-                </button>
-                <button className={btnSecondary} onClick={() => setPreviewOpen(false)}>
-                  Close
-                </button>
+        <MileageModal open={mileageOpen} onClose={() => setMileageOpen(false)} vehicle={activeVehicle} checks={appState.checks} />
+
+        <SettingsModal
+          open={settingsOpen}
+          onClose={() => setSettingsOpen(false)}
+          profile={profile}
+          onChange={(patch) => setProfile((p) => ({ ...p, ...(typeof patch === "function" ? patch(p) : patch) }))}
+        />
+
+        <SyncModal
+          open={syncOpen}
+          onClose={() => setSyncOpen(false)}
+          sync={sync}
+          syncing={syncing}
+          online={online}
+          onChange={updateSync}
+          onSyncNow={() => syncNow()}
+          onReset={resetSync}
+        />
+
+        {pinDriver ? (
+          <PinModal
+            driver={pinDriver}
+            onClose={() => setPinDriver(null)}
+            onUnlock={(d) => {
+              setActiveDriver(d.id);
+              setPinDriver(null);
+              notify(t("drivers.switched", { name: d.name }));
+            }}
+          />
+        ) : null}
+
+        <RemindersModal
+          open={remindersOpen}
+          onClose={() => setRemindersOpen(false)}
+          reminders={reminders}
+          settings={appState.settings}
+          onChangeSettings={saveReminderSettings}
+          onExportIcs={exportIcs}
+          onMarkDone={markIntervalDone}
+        />
+
+        <ImportReviewModal review={importReview} onClose={() => setImportReview(null)} onConfirm={confirmImport} />
+
+        <DefectsModal
+          open={defectsOpen}
+          onClose={() => setDefectsOpen(false)}
+          defects={appState.defects}
+          vehicles={vehicles}
+          initialVehicleId={vehicleId}
+          editor={currentUserName(profile)}
+          odometerFor={odometerFor}
+          onSetStatus={updateDefectStatus}
+        />
+
+        <TemplateEditorModal
+          key={templateEditorOpen ? `open:${activeTemplate?.id || ""}` : "closed"}
+          open={templateEditorOpen}
+          onClose={() => setTemplateEditorOpen(false)}
+          templates={appState.templates}
+          vehicles={vehicles}
+          initialId={activeTemplate?.id}
+          onSave={saveTemplates}
+          onRestoreDefault={restoreDefaultTemplate}
+        />
+
+        <VehicleProfilesModal
+          open={vehicleModalOpen}
+          onClose={() => setVehicleModalOpen(false)}
+          vehicles={vehicles}
+          templates={appState.templates}
+          activeVehicleId={vehicleId}
+          onSelectActive={selectActiveVehicle}
+          onStartAdd={startAddVehicle}
+          onStartEdit={startEditVehicle}
+          onDelete={deleteVehicle}
+          mode={vehicleModalMode}
+          draft={vehicleDraft}
+          setDraft={setVehicleDraft}
+          onSave={saveVehicle}
+          onCancelEdit={cancelVehicleEdit}
+        />
+
+        {previewOpen ? (
+          <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-8 pointer-events-none">
+            <div className="absolute inset-0 bg-black/40" onClick={() => setPreviewOpen(false)} />
+
+            <div className="relative w-full max-w-5xl flex flex-col max-h-full pointer-events-auto">
+              <div className="mb-3 rounded-2xl bg-white border border-neutral-200 shadow-sm p-3 flex items-center justify-between gap-3 shrink-0">
+                <div className="text-lg font-semibold text-neutral-800">{t("preview.title")}</div>
+                <div className="flex items-center gap-2">
+                  <button className={btnSecondary} disabled={pdfBusy} onClick={() => downloadPdf([draftAsCheck()], pdfName({ date, vehicleId }))}>
+                    {pdfBusy ? t("pdf.creating") : t("pdf.download")}
+                  </button>
+                  <button className={btnSecondary} onClick={() => window.print()}>
+                    {t("preview.print")}
+                  </button>
+                  <button className={btnSecondary} onClick={() => setPreviewOpen(false)}>
+                    {t("common.close")}
+                  </button>
+                </div>
               </div>
-            </div>
 
-            <div className="rounded-2xl bg-white border border-neutral-200 shadow-xl overflow-auto min-h-0">
-              <div id="vc-print-preview" className="p-6">
-                <ReportSheet
-                  profile={profile}
-                  date={date}
-                  vehicleLabel={vehicleLabel}
-                  odometer={String(odometerText || "").trim()}
-                  generalNotes={String(generalNotesText || "").trim()}
-                  draft={draft}
-                  totals={totalsForPreview}
-                  storageKey={KEY}
-                />
+              <div className="rounded-2xl bg-white border border-neutral-200 shadow-xl overflow-auto min-h-0">
+                <div id="vc-print-preview" className="p-6">
+                  <ReportSheet
+                    profile={profile}
+                    preparedBy={currentUserName(profile)}
+                    date={date}
+                    vehicleLabel={vehicleLabel}
+                    odometer={formatOdometer(odometerStatus.value, activeUnit) || String(odometerText || "").trim()}
+                    generalNotes={String(generalNotesText || "").trim()}
+                    draft={draft}
+                    totals={totalsForPreview}
+                    storageKey={KEY}
+                  />
+                </div>
               </div>
             </div>
           </div>
-        </div>
-      ) : null}
+        ) : null}
+
+        {savedOpen && selectedSavedCheck && signingRole ? (
+          <SignatureModal
+            key={`${selectedSavedCheck.id}:${signingRole}`}
+            role={signingRole}
+            defaultName={signingRole === "preparer" ? currentUserName(profile) : reviewerName(profile)}
+            onSave={signSavedCheck}
+            onClose={() => setSigningRole(null)}
+          />
+        ) : null}
 
-      {savedOpen && selectedSavedCheck ? (
-        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-8 pointer-events-none">
-          <div className="absolute inset-0 bg-black/40" onClick={() => setSavedOpen(false)} />
+        {savedOpen && selectedSavedCheck ? (
+          <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-8 pointer-events-none">
+            <div className="absolute inset-0 bg-black/40" onClick={() => setSavedOpen(false)} />
 
-          <div className="relative w-full max-w-5xl flex flex-col max-h-full pointer-events-auto">
-            <div className="mb-3 rounded-2xl bg-white border border-neutral-200 shadow-sm p-3 flex flex-wrap items-center justify-between gap-3 shrink-0">
-              <div>
-                <div className="text-lg font-semibold text-neutral-800">Saved check</div>
-                <div className="text-sm text-neutral-600">
-                  {selectedSavedCheck.date || "-"} • {selectedSavedCheck.vehicleLabel || selectedSavedCheck.vehicleId || "-"}
+            <div className="relative w-full max-w-5xl flex flex-col max-h-full pointer-events-auto">
+              <div className="mb-3 rounded-2xl bg-white border border-neutral-200 shadow-sm p-3 flex flex-wrap items-center justify-between gap-3 shrink-0">
+                <div>
+                  <div className="text-lg font-semibold text-neutral-800">{t("saved.title")}</div>
+                  <div className="text-sm text-neutral-600">
+                    {formatDate(selectedSavedCheck.date, t.lang) || "-"} • {selectedSavedCheck.vehicleLabel || selectedSavedCheck.vehicleId || "-"}
+                  </div>
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                  <button className={btnSecondary} onClick={() => exportSingleCheck(selectedSavedCheck)}>
+                    {t("saved.export")}
+                  </button>
+                  <button className={btnSecondary} onClick={() => downloadSingleCheckTxt(selectedSavedCheck)}>
+                    TXT
+                  </button>
+                  <button className={btnSecondary} onClick={() => copySingleCheck(selectedSavedCheck)}>
+                    {t("saved.copy")}
+                  </button>
+                  <button className={btnSecondary} onClick={() => sendSingleCheck(selectedSavedCheck)}>
+                    {t("saved.send")}
+                  </button>
+                  <button className={btnSecondary} disabled={pdfBusy} onClick={() => downloadPdf([selectedSavedCheck], pdfName(selectedSavedCheck))}>
+                    {pdfBusy ? t("pdf.creating") : t("pdf.download")}
+                  </button>
+                  <button className={btnSecondary} onClick={() => window.print()}>
+                    {t("preview.print")}
+                  </button>
+                  <Pill tone={STATUS_TONES[checkStatus(selectedSavedCheck)]}>{checkStatusLabel(checkStatus(selectedSavedCheck), t.lang)}</Pill>
+                  {savedLocked ? <Pill tone="accent">{t("signature.lockedPill")}</Pill> : null}
+                  {!savedLocked && canTransition(selectedSavedCheck, "submitted") ? (
+                    <button className={btnSecondary} onClick={() => reviewSavedCheck("submit")}>
+                      {t("approval.submit")}
+                    </button>
+                  ) : null}
+                  {!savedLocked && canTransition(selectedSavedCheck, "approved") ? (
+                    <>
+                      <button className={btnSecondary} onClick={() => reviewSavedCheck("approve")}>
+                        {t("approval.approve")}
+                      </button>
+                      <button className={btnDanger} onClick={() => reviewSavedCheck("reject")}>
+                        {t("approval.reject")}
+                      </button>
+                    </>
+                  ) : null}
+                  <button
+                    className={btnSecondary}
+                    onClick={() => setAmending((x) => !x)}
+                    disabled={savedLocked}
+                    title={savedLocked ? t("signature.locked") : undefined}
+                  >
+                    {amending ? t("saved.backToReport") : t("saved.amend")}
+                  </button>
+                  <button className={btnDanger} onClick={() => deleteCheck(selectedSavedCheck.id)}>
+                    {t("common.delete")}
+                  </button>
+                  <button className={btnSecondary} onClick={() => setSavedOpen(false)}>
+                    {t("common.close")}
+                  </button>
                 </div>
               </div>
-              <div className="flex flex-wrap items-center gap-2">
-                <button className={btnSecondary} onClick={() => exportSingleCheck(selectedSavedCheck)}>
-                  Export
-                </button>
-                <button className={btnSecondary} onClick={() => downloadSingleCheckTxt(selectedSavedCheck)}>
-                  TXT
-                </button>
-                <button className={btnSecondary} onClick={() => copySingleCheck(selectedSavedCheck)}>
-                  Copy
-                </button>
-                <button className={btnSecondary} onClick={() => sendSingleCheck(selectedSavedCheck)}>
-                  Send
-                </button>
-                <button className={btnSecondary} onClick={() => window.print()}>
-                  Print / Save PDF
-                </button>
-                <button className={btnDanger} onClick={() => deleteCheck(selectedSavedCheck.id)}>
-                  Delete
-                </button>
-                <button className={btnSecondary} onClick={() => setSavedOpen(false)}>
-                  Close
-                </button>
-              </div>
-            </div>
 
-            <div className="rounded-2xl bg-white border border-neutral-200 shadow-xl overflow-auto min-h-0">
-              <div id="vc-print-saved" className="p-6">
-                <ReportSheet
-                  profile={profile}
-                  date={selectedSavedCheck.date}
-                  vehicleLabel={selectedSavedCheck.vehicleLabel || selectedSavedCheck.vehicleId}
-                  odometer={String(selectedSavedCheck.odometer || "").trim()}
-                  generalNotes={String(selectedSavedCheck.generalNotes || "").trim()}
-                  draft={{ sections: selectedSavedCheck.sections || [] }}
-                  totals={
-                    selectedSavedCheck.summary || {
-                      issueCount: 0,
-                      doneCount: 0,
-                      totalItems: 0,
-                    }
-                  }
-                  storageKey={KEY}
-                />
+              <div className="rounded-2xl bg-white border border-neutral-200 shadow-xl overflow-auto min-h-0">
+                {amending ? (
+                  <AmendCheckEditor
+                    key={`${selectedSavedCheck.id}:${selectedSavedCheck.revisions?.length || 0}`}
+                    check={selectedSavedCheck}
+                    editor={currentUserName(profile)}
+                    onSave={amendSavedCheck}
+                    onCancel={() => setAmending(false)}
+                  />
+                ) : (
+                  <div id="vc-print-saved" className="p-6">
+                    <ReportSheet
+                      profile={profile}
+                      preparedBy={preparedByName(selectedSavedCheck, profile)}
+                      date={selectedSavedCheck.date}
+                      vehicleLabel={selectedSavedCheck.vehicleLabel || selectedSavedCheck.vehicleId}
+                      odometer={formatOdometer(selectedSavedCheck.odometer, selectedSavedCheck.odometerUnit) || selectedSavedCheck.odometerRaw || ""}
+                      generalNotes={String(selectedSavedCheck.generalNotes || "").trim()}
+                      draft={{ sections: selectedSavedCheck.sections || [] }}
+                      totals={
+                        selectedSavedCheck.summary || {
+                          issueCount: 0,
+                          doneCount: 0,
+                          totalItems: 0,
+                        }
+                      }
+                      storageKey={KEY}
+                      revisions={selectedSavedCheck.revisions}
+                      status={checkStatus(selectedSavedCheck)}
+                      review={lastReview(selectedSavedCheck)}
+                      signatures={selectedSavedCheck.signatures}
+                      onSign={setSigningRole}
+                      onRemoveSignature={removeSavedSignature}
+                      signBlockers={{
+                        preparer: signBlocker(selectedSavedCheck, "preparer"),
+                        approver: signBlocker(selectedSavedCheck, "approver"),
+                      }}
+                    />
+                  </div>
+                )}
               </div>
             </div>
           </div>
-        </div>
-      ) : null}
-
-      <div className="max-w-6xl mx-auto p-4 sm:p-6">
-        <TestsPanel />
+        ) : null}
 
-        <div className="flex flex-col gap-3 sm:flex-row sm:items-start sm:justify-between">
-          <div>
-            <div className="text-4xl sm:text-5xl font-black tracking-tight text-neutral-700">
-              <span>Vehicle Check</span>
-              <span className="text-[#D5FF00]">It</span>
+        <div className="max-w-6xl mx-auto p-4 sm:p-6">
+          <TestsPanel />
+
+          {storageError ? (
+            <div className="mb-4 rounded-2xl border border-red-200 bg-red-50 p-4 print:hidden">
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <div className="text-sm font-semibold text-red-700">{storageError}</div>
+                  {storageInfo?.quota ? (
+                    <div className="mt-1 text-xs text-red-700">
+                      {t("storage.usage", { used: (storageInfo.usage / 1048576).toFixed(1), quota: (storageInfo.quota / 1048576).toFixed(1) })}
+                    </div>
+                  ) : null}
+                </div>
+                <button className={btnMini} onClick={() => setStorageError(null)}>
+                  {t("common.dismiss")}
+                </button>
+              </div>
             </div>
-            <div className="text-sm text-neutral-700">Safety inspection list for your vehicle</div>
-            <div className="mt-3 h-[2px] w-80 rounded-full bg-gradient-to-r from-[#D5FF00]/0 via-[#D5FF00] to-[#D5FF00]/0" />
-          </div>
+          ) : null}
+
+          {hydrated && overdueReminders.length && !overdueDismissed ? (
+            <div className="mb-4 rounded-2xl border border-red-200 bg-red-50 p-4 print:hidden">
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <div className="text-sm font-semibold text-red-700">{t("reminders.overdueBanner", { n: overdueReminders.length })}</div>
+                  <ul className="mt-2 space-y-1 text-xs text-red-700">
+                    {overdueReminders.map((r) => (
+                      <li key={r.id} className="ml-4 list-disc">
+                        {r.label} — {r.vehicleLabel}: {describeDays(r.days, t.lang)} ({formatDate(r.due, t.lang)})
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button className={btnMini} onClick={() => setRemindersOpen(true)}>
+                    {t("reminders.button")}
+                  </button>
+                  <button className={btnMini} onClick={() => setOverdueDismissed(true)}>
+                    {t("common.dismiss")}
+                  </button>
+                </div>
+              </div>
+            </div>
+          ) : null}
+
+          {pendingUpdate ? (
+            <div className="mb-4 rounded-2xl border border-[#D5FF00]/60 bg-[#D5FF00]/10 p-4 print:hidden">
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <div className="text-sm font-semibold text-neutral-800">{t("pwa.updateTitle")}</div>
+                  <div className="mt-1 text-xs text-neutral-700">{t("pwa.updateHint")}</div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button className={btnMini} onClick={() => applyUpdate(pendingUpdate)}>
+                    {t("pwa.reload")}
+                  </button>
+                  <button className={btnMini} onClick={() => setPendingUpdate(null)}>
+                    {t("pwa.later")}
+                  </button>
+                </div>
+              </div>
+            </div>
+          ) : null}
+
+          {migrationReport ? (
+            <div className="mb-4 rounded-2xl border border-[#D5FF00]/60 bg-[#D5FF00]/10 p-4 print:hidden">
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <div className="text-sm font-semibold text-neutral-800">
+                    {t("migration.title", { from: migrationReport.from, to: migrationReport.to })}
+                  </div>
+                  <ul className="mt-2 space-y-1 text-xs text-neutral-700">
+                    {migrationReport.changes.map((c, i) => (
+                      <li key={i} className="ml-4 list-disc">
+                        {migrationChangeText(c, t.lang)}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+                <button className={btnMini} onClick={() => setMigrationReport(null)}>
+                  {t("common.dismiss")}
+                </button>
+              </div>
+            </div>
+          ) : null}
 
-          <div className="w-full sm:w-[820px]">
-            <div className="relative">
-              <div className="grid grid-cols-2 gap-2 sm:grid-cols-4 pr-12">
-                <ActionButton onClick={openHub} title="Return to ToolStack hub">
-                  Hub
-                </ActionButton>
-                <ActionButton onClick={openPreview} disabled={totalItems === 0}>
-                  Preview
-                </ActionButton>
-                <ActionButton onClick={exportJSON}>Export</ActionButton>
-                <ActionFileButton onFile={(f) => importJSON(f)} accept="application/json,.json">
-                  Import
-                </ActionFileButton>
+          <div className="flex flex-col gap-3 sm:flex-row sm:items-start sm:justify-between">
+            <div>
+              <div className="text-4xl sm:text-5xl font-black tracking-tight text-neutral-700">
+                <span>Vehicle Check</span>
+                <span className="text-[#D5FF00]">It</span>
+              </div>
+              <div className="text-sm text-neutral-700">{t("app.tagline")}</div>
+              <div className="mt-3 h-[2px] w-80 rounded-full bg-gradient-to-r from-[#D5FF00]/0 via-[#D5FF00] to-[#D5FF00]/0" />
+              <div className="mt-3 flex flex-wrap items-center gap-3 print:hidden">
+                <label className="flex items-center gap-2 text-xs text-neutral-600">
+                  {t("app.language")}
+                  <select
+                    className="px-2 py-1 rounded-xl border border-neutral-200 bg-white text-xs focus:outline-none focus:ring-2 focus:ring-[#D5FF00]/30 focus:border-neutral-300"
+                    value={t.lang}
+                    onChange={(e) => setLanguage(e.target.value)}
+                  >
+                    {LANGUAGES.map((l) => (
+                      <option key={l.code} value={l.code}>
+                        {l.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                {(profile.drivers || []).length ? (
+                  <label className="flex items-center gap-2 text-xs text-neutral-600">
+                    {t("drivers.current")}
+                    <select
+                      className="px-2 py-1 rounded-xl border border-neutral-200 bg-white text-xs focus:outline-none focus:ring-2 focus:ring-[#D5FF00]/30 focus:border-neutral-300"
+                      value={driver?.id || ""}
+                      onChange={(e) => switchDriver(e.target.value)}
+                    >
+                      <option value="">{profile.user ? profile.user : t("drivers.nobody")}</option>
+                      {profile.drivers.map((d) => (
+                        <option key={d.id} value={d.id}>
+                          {`${d.name || "—"}${d.pinHash ? " 🔒" : ""}`}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ) : null}
+                {sync.enabled ? (
+                  <button className="rounded-full" onClick={() => setSyncOpen(true)} title={sync.lastError ? t(syncErrorKey(sync.lastError)) : t("sync.title")}>
+                    <Pill tone={sync.lastError ? "danger" : syncPending ? "warn" : "default"}>
+                      {syncing
+                        ? t("sync.syncing")
+                        : sync.lastError
+                          ? t("sync.failedPill")
+                          : syncPending
+                            ? t("sync.pendingPill", { n: syncPending })
+                            : t("sync.upToDate")}
+                    </Pill>
+                  </button>
+                ) : null}
+                <span title={online ? t("pwa.onlineHint") : t("pwa.offlineHint")}>
+                  <Pill tone={online ? "default" : "warn"}>
+                    <span className={`mr-1.5 h-2 w-2 rounded-full ${online ? "bg-emerald-500" : "bg-amber-500"}`} />
+                    {online ? t("pwa.online") : t("pwa.offline")}
+                  </Pill>
+                </span>
               </div>
+            </div>
 
-              <div className="absolute right-0 top-0">
-                <HelpIconButton onClick={() => setHelpOpen(true)} />
+            <div className="w-full sm:w-[820px]">
+              <div className="relative">
+                <div className="grid grid-cols-2 gap-2 sm:grid-cols-5 pr-12">
+                  <ActionButton onClick={openHub} title={t("header.hubTitle")}>
+                    Hub
+                  </ActionButton>
+                  <ActionButton onClick={openPreview} disabled={totalItems === 0}>
+                    {t("header.preview")}
+                  </ActionButton>
+                  <ActionButton onClick={() => setRemindersOpen(true)} title={t("reminders.title")}>
+                    {t("reminders.button")}
+                  </ActionButton>
+                  <ActionButton onClick={() => exportJSON()}>{t("saved.export")}</ActionButton>
+                  <ActionFileButton onFile={(f) => importJSON(f)} accept="application/json,.json">
+                    {t("header.import")}
+                  </ActionFileButton>
+                </div>
+
+                <div className="absolute right-0 top-0">
+                  <HelpIconButton onClick={() => setHelpOpen(true)} title={t("help.button")} />
+                </div>
               </div>
             </div>
           </div>
-        </div>
 
 
 
-        <div className="mt-5 grid grid-cols-1 lg:grid-cols-4 gap-4">
-          <div className={card}>
-            <div className={cardHead}>
-              <div className="font-semibold text-neutral-800">Vehicle profile</div>
-              <div className="text-xs text-neutral-600 mt-1">
-                Stored in <span className="font-mono">{PROFILE_KEY}</span>
+          <div className="mt-5 grid grid-cols-1 lg:grid-cols-4 gap-4">
+            <div className={card}>
+              <div className={cardHead}>
+                <div className="font-semibold text-neutral-800">{t("profile.title")}</div>
+                <div className="text-xs text-neutral-600 mt-1">
+                  {t("common.storedIn")} <span className="font-mono">{PROFILE_KEY}</span>
+                </div>
               </div>
-            </div>
 
-            <div className={`${cardPad} space-y-3`}>
-              <label className="text-sm block">
-                <div className="text-neutral-700 font-medium">Active vehicle</div>
-                <select className={inputBase} value={vehicleId} onChange={(e) => setVehicleId(e.target.value)}>
-                  {vehicles.length === 0 ? (
-                    <option value="">No vehicles yet</option>
-                  ) : (
-                    vehicles.map((v) => (
-                      <option key={v.id} value={v.id}>
-                        {formatVehicleLabel(v)}
-                      </option>
-                    ))
-                  )}
-                </select>
-              </label>
+              <div className={`${cardPad} space-y-3`}>
+                <label className="text-sm block">
+                  <div className="text-neutral-700 font-medium">{t("profile.activeVehicle")}</div>
+                  <select className={inputBase} value={vehicleId} onChange={(e) => switchVehicle(e.target.value)}>
+                    {vehicles.length === 0 ? (
+                      <option value="">{t("profile.noVehicles")}</option>
+                    ) : (
+                      vehicles.map((v) => (
+                        <option key={v.id} value={v.id}>
+                          {formatVehicleLabel(v)}
+                          {drafts[v.id] && v.id !== vehicleId ? ` • ${t("profile.unfinished")}` : ""}
+                        </option>
+                      ))
+                    )}
+                  </select>
+                </label>
 
-              {activeVehicle ? (
-                <div className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3">
-                  <div className="text-sm font-semibold text-neutral-800 truncate">{formatVehicleLabel(activeVehicle)}</div>
-                  <div className="mt-2 flex flex-wrap gap-2">
-                    {activeVehicle.fuelType ? <Pill tone="accent">{activeVehicle.fuelType}</Pill> : null}
-                    {activeVehicle.tuvUntil ? <Pill>TÜV: {activeVehicle.tuvUntil}</Pill> : null}
-                    {activeVehicle.serviceDue ? <Pill>Service: {activeVehicle.serviceDue}</Pill> : null}
+                {activeVehicle ? (
+                  <div className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3">
+                    <div className="text-sm font-semibold text-neutral-800 truncate">{formatVehicleLabel(activeVehicle)}</div>
+                    <div className="mt-2 flex flex-wrap gap-2">
+                      {activeVehicle.fuelType ? <Pill tone="accent">{fuelLabel(activeVehicle.fuelType, t.lang)}</Pill> : null}
+                      {activeVehicle.tuvUntil ? (
+                        <Pill tone={REMINDER_TONES[reminderFor(activeVehicle.id, "tuv")?.status || "ok"]}>
+                          {t("reminders.kind.tuv")}: {activeVehicle.tuvUntil}
+                        </Pill>
+                      ) : null}
+                      {activeVehicle.serviceDue ? (
+                        <Pill tone={REMINDER_TONES[reminderFor(activeVehicle.id, "service")?.status || "ok"]}>
+                          {t("reminders.kind.service")}: {activeVehicle.serviceDue}
+                        </Pill>
+                      ) : null}
+                      {reminders
+                        .filter((r) => r.kind === "interval" && r.vehicleId === activeVehicle.id)
+                        .map((r) => (
+                          <Pill key={r.id} tone={REMINDER_TONES[r.status]}>
+                            {r.label}: {formatDate(r.due, t.lang)}
+                            {r.dueOdometer != null ? ` / ${formatOdometer(r.dueOdometer, r.unit)}` : ""}
+                          </Pill>
+                        ))}
+                      {vehicleDefects.length ? <Pill tone="danger">{t("profile.openDefects", { n: vehicleDefects.length })}</Pill> : null}
+                    </div>
+                    {activeVehicle.notes ? <div className="mt-2 text-xs text-neutral-600 whitespace-pre-wrap">{activeVehicle.notes}</div> : null}
                   </div>
-                  {activeVehicle.notes ? <div className="mt-2 text-xs text-neutral-600 whitespace-pre-wrap">{activeVehicle.notes}</div> : null}
-                </div>
-              ) : (
-                <div className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3 text-sm text-neutral-600">Add a vehicle profile to start.</div>
-              )}
+                ) : (
+                  <div className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3 text-sm text-neutral-600">{t("profile.addToStart")}</div>
+                )}
 
-              <div className="flex flex-col gap-2">
-                <button className={btnSecondary} onClick={openVehicleManager}>
-                  Manage vehicles
-                </button>
-                <button className={btnSecondary} onClick={startAddVehicle}>
-                  Add vehicle
-                </button>
-              </div>
+                <div className="flex flex-col gap-2">
+                  <button className={btnSecondary} onClick={() => setSettingsOpen(true)}>
+                    {t("settings.button")}
+                  </button>
+                  <button className={btnSecondary} onClick={() => setSyncOpen(true)}>
+                    {t("sync.button")}
+                  </button>
+                  <button className={btnSecondary} onClick={openVehicleManager}>
+                    {t("profile.manage")}
+                  </button>
+                  <button className={btnSecondary} onClick={startAddVehicle}>
+                    {t("profile.add")}
+                  </button>
+                  <button className={btnSecondary} onClick={() => setDefectsOpen(true)}>
+                    {t("profile.defects")}
+                  </button>
+                  <button className={btnSecondary} onClick={() => setMileageOpen(true)} disabled={!activeVehicle}>
+                    {t("profile.mileage")}
+                  </button>
+                </div>
 
-              <div className="text-xs text-neutral-600">Once added, vehicles are saved as a profile and can be edited anytime.</div>
+                <div className="text-xs text-neutral-600">{t("profile.hint")}</div>
 
-              <div className="pt-2">
-                <div className="text-xs font-semibold text-neutral-700">Status</div>
-                <div className="mt-2 flex flex-wrap gap-2">
-                  <Pill tone="accent">{doneCount} done</Pill>
-                  <Pill>{totalItems} total</Pill>
-                  {issueCount ? <Pill tone="danger">{issueCount} issues</Pill> : <Pill>0 issues</Pill>}
-                  <Pill>
-                    Module: {moduleManifest.id}.{moduleManifest.version}
-                  </Pill>
+                <div className="pt-2">
+                  <div className="text-xs font-semibold text-neutral-700">{t("reminders.status")}</div>
+                  <div className="mt-2 flex flex-wrap gap-2">
+                    <Pill tone="accent">{t("status.done", { n: doneCount })}</Pill>
+                    <Pill>{t("status.total", { n: totalItems })}</Pill>
+                    <Pill tone={issueCount ? "danger" : "default"}>{t("status.issues", { n: issueCount })}</Pill>
+                    <Pill>
+                      {t("status.module")}: {moduleManifest.id}.{moduleManifest.version}
+                    </Pill>
+                  </div>
                 </div>
               </div>
             </div>
-          </div>
 
-          <div className={`${card} lg:col-span-3`}>
-            <div className={`${cardHead} flex flex-wrap items-end justify-between gap-3`}>
-              <div>
-                <div className="font-semibold text-neutral-800">New vehicle check</div>
-                <div className="text-sm text-neutral-700">
-                  Items: {doneCount}/{totalItems} • Issues: {issueCount}
+            <div className={`${card} lg:col-span-3`}>
+              <div className={`${cardHead} flex flex-wrap items-end justify-between gap-3`}>
+                <div>
+                  <div className="font-semibold text-neutral-800">{t("check.title")}</div>
+                  <div className="text-sm text-neutral-700">
+                    {t("report.items")}: {doneCount}/{totalItems} • {t("report.issues")}: {issueCount}
+                  </div>
+                  <div className="text-xs text-neutral-600 mt-1">
+                    {t("templates.template")}: {templateName(activeTemplate, t.lang) || "-"} • {t("templates.rev", { rev: activeTemplate?.rev ?? "-" })}
+                  </div>
+                </div>
+
+                <div className="flex flex-wrap gap-2">
+                  <label className="text-sm">
+                    <div className="text-neutral-700 font-medium">{t("report.date")}</div>
+                    <input type="date" className={inputBase} value={date} onChange={(e) => setDate(e.target.value)} />
+                  </label>
+
+                  <label className="text-sm">
+                    <div className="text-neutral-700 font-medium">{t("report.vehicle")}</div>
+                    <select className={inputBase} value={vehicleId} onChange={(e) => switchVehicle(e.target.value)}>
+                      {vehicles.map((v) => (
+                        <option key={v.id} value={v.id}>
+                          {formatVehicleLabel(v)}
+                          {drafts[v.id] && v.id !== vehicleId ? ` • ${t("profile.unfinished")}` : ""}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+
+                  <label className="text-sm">
+                    <div className="text-neutral-700 font-medium">
+                      {t("report.odometer")} ({activeUnit})
+                    </div>
+                    <input
+                      className={inputBase}
+                      placeholder={previousOdometer ? t("check.lastReading", { reading: formatOdometer(previousOdometer.value, activeUnit) }) : t("check.odometerExample")}
+                      inputMode="numeric"
+                      value={odometerText}
+                      onChange={(e) => setOdometerText(e.target.value)}
+                    />
+                    {odometerStatus.error || odometerStatus.warning ? (
+                      <div className={`mt-1 max-w-[220px] text-xs ${odometerStatus.error ? "text-red-700" : "text-amber-700"}`}>
+                        {odometerStatus.error || odometerStatus.warning}
+                      </div>
+                    ) : null}
+                  </label>
                 </div>
               </div>
 
-              <div className="flex flex-wrap gap-2">
-                <label className="text-sm">
-                  <div className="text-neutral-700 font-medium">Date</div>
-                  <input type="date" className={inputBase} value={date} onChange={(e) => setDate(e.target.value)} />
-                </label>
+              <div className={cardPad}>
+                {resumedDraft?.vehicleId === vehicleId ? (
+                  <div className="mb-4 rounded-2xl border border-amber-200 bg-amber-50 p-3 flex flex-wrap items-center justify-between gap-2 print:hidden">
+                    <div className="text-sm text-neutral-800">
+                      <span className="font-semibold">{t("check.resumed")}</span>
+                      {resumedDraft.updatedAt ? ` • ${t("check.lastEdited", { at: formatDateTime(resumedDraft.updatedAt, t.lang) })}` : ""}
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <button className={btnMini} onClick={() => resetDraft()}>
+                        {t("check.startFresh")}
+                      </button>
+                      <button className={btnMini} onClick={() => setResumedDraft(null)}>
+                        {t("common.dismiss")}
+                      </button>
+                    </div>
+                  </div>
+                ) : null}
 
-                <label className="text-sm">
-                  <div className="text-neutral-700 font-medium">Vehicle</div>
-                  <select className={inputBase} value={vehicleId} onChange={(e) => setVehicleId(e.target.value)}>
-                    {vehicles.map((v) => (
-                      <option key={v.id} value={v.id}>
+                {otherDraftVehicles.length ? (
+                  <div className="mb-4 flex flex-wrap items-center gap-2 text-xs text-neutral-600 print:hidden">
+                    <span>{t("check.otherDrafts")}</span>
+                    {otherDraftVehicles.map((v) => (
+                      <button key={v.id} className={btnMini} onClick={() => switchVehicle(v.id)}>
                         {formatVehicleLabel(v)}
-                      </option>
+                      </button>
                     ))}
-                  </select>
-                </label>
-
-                <label className="text-sm">
-                  <div className="text-neutral-700 font-medium">Odometer</div>
-                  <input
-                    className={inputBase}
-                    placeholder="e.g., 123456"
-                    inputMode="numeric"
-                    value={odometerText}
-                    onChange={(e) => setOdometerText(e.target.value)}
+                  </div>
+                ) : null}
+
+                <label className="block text-sm">
+                  <div className="text-neutral-700 font-medium">{t("report.generalNotes")}</div>
+                  <textarea
+                    className={inputBase + " min-h-[96px]"}
+                    placeholder={t("check.notesPlaceholder")}
+                    value={generalNotesText}
+                    onChange={(e) => setGeneralNotesText(e.target.value)}
                   />
                 </label>
+
+                <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3">
+                  {draft.sections.map((s) => (
+                    <div key={s.id} className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3">
+                      <div className="font-semibold text-neutral-800">{sectionTitle(s, t.lang)}</div>
+                      <div className="mt-2 space-y-2">
+                        {s.items.map((it) => (
+                          <ItemCard
+                            key={it.id}
+                            sectionId={s.id}
+                            item={it}
+                            updateItem={updateItem}
+                            defect={it.defectId ? defectsById.get(it.defectId) : null}
+                          />
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="mt-4 flex flex-wrap items-center justify-between gap-2">
+                  <div className="flex items-center gap-2">
+                    <button className={btnSecondary} onClick={() => resetDraft()}>
+                      {t("check.reset")}
+                    </button>
+                    <button className={btnSecondary} onClick={() => setTemplateEditorOpen(true)}>
+                      {t("templates.edit")}
+                    </button>
+                  </div>
+
+                  <div className="flex items-center gap-2">
+                    <button className={btnSecondary} onClick={openPreview}>
+                      {t("header.preview")}
+                    </button>
+                    <button className={btnSecondary} onClick={saveCheck}>
+                      {t("check.save")}
+                    </button>
+                  </div>
+                </div>
               </div>
             </div>
+          </div>
+
+          <div className={`mt-4 ${card}`}>
+            <div className={cardHead}>
+              <div className="font-semibold text-neutral-800">{t("history.title")}</div>
+              <div className="text-sm text-neutral-700">{t("history.subtitle")}</div>
+            </div>
 
             <div className={cardPad}>
-              <label className="block text-sm">
-                <div className="text-neutral-700 font-medium">General notes</div>
-                <textarea
-                  className={inputBase + " min-h-[96px]"}
-                  placeholder="Anything important about the vehicle today"
-                  value={generalNotesText}
-                  onChange={(e) => setGeneralNotesText(e.target.value)}
-                />
-              </label>
-
-              <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3">
-                {draft.sections.map((s) => (
-                  <div key={s.id} className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3">
-                    <div className="font-semibold text-neutral-800">{s.title}</div>
-                    <div className="mt-2 space-y-2">
-                      {s.items.map((it) => (
-                        <ItemCard key={it.id} sectionId={s.id} item={it} updateItem={updateItem} />
+              {(appState.checks || []).length === 0 ? (
+                <div className="text-sm text-neutral-600">{t("history.none")}</div>
+              ) : (
+                <div className="space-y-3">
+                  <div className="grid grid-cols-1 gap-2 sm:grid-cols-2 lg:grid-cols-5 print:hidden">
+                    <input
+                      className={`${inputBase} lg:col-span-2`}
+                      placeholder={t("history.search")}
+                      value={historyFilter.q}
+                      onChange={(e) => updateHistoryFilter({ q: e.target.value })}
+                    />
+                    <select
+                      className={inputBase}
+                      value={historyFilter.vehicleId}
+                      onChange={(e) => updateHistoryFilter({ vehicleId: e.target.value })}
+                    >
+                      <option value="">{t("common.allVehicles")}</option>
+                      {historyVehicles.map((v) => (
+                        <option key={v.id} value={v.id}>
+                          {v.label}
+                        </option>
                       ))}
+                    </select>
+                    <input
+                      type="date"
+                      className={inputBase}
+                      title={t("history.from")}
+                      value={historyFilter.from}
+                      onChange={(e) => updateHistoryFilter({ from: e.target.value })}
+                    />
+                    <input
+                      type="date"
+                      className={inputBase}
+                      title={t("history.to")}
+                      value={historyFilter.to}
+                      onChange={(e) => updateHistoryFilter({ to: e.target.value })}
+                    />
+                  </div>
+
+                  <div className="flex flex-wrap items-center justify-between gap-2 print:hidden">
+                    <div className="flex flex-wrap items-center gap-3">
+                      <label className="flex items-center gap-2 text-sm">
+                        <input
+                          type="checkbox"
+                          className="h-4 w-4 rounded border-neutral-300 accent-[#D5FF00]"
+                          checked={historyFilter.issuesOnly}
+                          onChange={(e) => updateHistoryFilter({ issuesOnly: e.target.checked })}
+                        />
+                        {t("history.issuesOnly")}
+                      </label>
+                      {historyDrivers.length ? (
+                        <select
+                          className="px-2 py-1 rounded-xl border border-neutral-200 bg-white text-sm focus:outline-none focus:ring-2 focus:ring-[#D5FF00]/30 focus:border-neutral-300"
+                          value={historyFilter.driverId}
+                          onChange={(e) => updateHistoryFilter({ driverId: e.target.value })}
+                        >
+                          <option value="">{t("drivers.allDrivers")}</option>
+                          {historyDrivers.map((d) => (
+                            <option key={d.id} value={d.id}>
+                              {d.label}
+                            </option>
+                          ))}
+                        </select>
+                      ) : null}
+                      <button
+                        className={btnMini + (historyFilter.status === "submitted" ? " border-[#D5FF00] bg-[#D5FF00]/20" : "")}
+                        onClick={() => updateHistoryFilter({ status: historyFilter.status === "submitted" ? "" : "submitted" })}
+                        title={t("approval.queueTitle")}
+                      >
+                        {t("approval.queue", { n: approvalPending })}
+                      </button>
+                      <span className="text-xs text-neutral-500">
+                        {historyFiltered
+                          ? t("history.countFiltered", { n: historyChecks.length, total: appState.checks.length })
+                          : t("history.count", { n: appState.checks.length })}
+                      </span>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2">
+                      <button className={btnMini} onClick={() => exportCsv("checks")} disabled={!historyChecks.length} title={t("history.csvChecksTitle")}>
+                        {t("history.csvChecks")}
+                      </button>
+                      <button className={btnMini} onClick={() => exportCsv("findings")} disabled={!historyChecks.length} title={t("history.csvFindingsTitle")}>
+                        {t("history.csvFindings")}
+                      </button>
+                      <button
+                        className={btnMini}
+                        onClick={() => downloadPdf(historyChecks, `vehicle-checks-${isoToday()}${historyFiltered ? "-filtered" : ""}.pdf`)}
+                        disabled={!historyChecks.length || pdfBusy}
+                        title={t("history.pdfTitle")}
+                      >
+                        {pdfBusy ? t("pdf.creating") : `PDF (${historyChecks.length})`}
+                      </button>
+                      {selectedChecks.length ? (
+                        <>
+                          <span className="text-xs font-medium text-neutral-700">{t("history.selected", { n: selectedChecks.length })}</span>
+                          <button className={btnMini} onClick={exportSelected} title={t("history.exportSelectedTitle")}>
+                            {t("history.exportSelected")}
+                          </button>
+                          <button
+                            className={btnMini}
+                            onClick={() => downloadPdf(selectedChecks, bundleFileName(selectedChecks).replace(/\.json$/, ".pdf"))}
+                            disabled={pdfBusy}
+                          >
+                            {t("history.pdfSelected")}
+                          </button>
+                          <button className={btnMini} onClick={() => setSelectedIds(new Set())}>
+                            {t("history.clearSelection")}
+                          </button>
+                        </>
+                      ) : null}
+                      {historyFiltered ? (
+                        <>
+                          <button className={btnMini} onClick={() => exportJSON(historyChecks)} disabled={!historyChecks.length}>
+                            {t("history.exportShown")}
+                          </button>
+                          <button className={btnMini} onClick={() => updateHistoryFilter(DEFAULT_HISTORY_FILTER)}>
+                            {t("history.clearFilters")}
+                          </button>
+                        </>
+                      ) : null}
                     </div>
                   </div>
-                ))}
-              </div>
 
-              <div className="mt-4 flex flex-wrap items-center justify-between gap-2">
-                <button className={btnSecondary} onClick={resetDraft}>
-                  Reset
-                </button>
+                  {historyChecks.length === 0 ? (
+                    <div className="text-sm text-neutral-600">{t("history.noMatch")}</div>
+                  ) : (
+                    <div className="overflow-auto">
+                      <table className="w-full text-sm">
+                        <thead className="text-left text-neutral-600">
+                          <tr className="border-b">
+                            <th className="py-2 pr-2 w-6 print:hidden">
+                              <input
+                                type="checkbox"
+                                className="h-4 w-4 rounded border-neutral-300 accent-[#D5FF00]"
+                                title={t("history.selectAll", { n: historyChecks.length })}
+                                checked={allShownSelected}
+                                onChange={toggleAllShown}
+                              />
+                            </th>
+                            {[
+                              ["date", t("report.date")],
+                              ["vehicle", t("report.vehicle")],
+                              ["odometer", t("report.odometer")],
+                              ["issues", t("report.issues")],
+                              ["items", t("report.items")],
+                              ["status", t("approval.status")],
+                            ].map(([key, label]) => (
+                              <th key={key} className="py-2 pr-2">
+                                <button
+                                  className="font-semibold hover:text-neutral-900"
+                                  onClick={() => setHistorySort((s) => toggleSort(s, key))}
+                                >
+                                  {label}
+                                  {historySort.key === key ? (historySort.dir === "asc" ? " ▲" : " ▼") : ""}
+                                </button>
+                              </th>
+                            ))}
+                            <th className="py-2 pr-2 text-right">{t("history.actions")}</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {historyView.items.map((c) => (
+                            <tr key={c.id} className={"border-b last:border-b-0" + (selectedIds.has(c.id) ? " bg-[#D5FF00]/10" : "")}>
+                              <td className="py-2 pr-2 print:hidden">
+                                <input
+                                  type="checkbox"
+                                  className="h-4 w-4 rounded border-neutral-300 accent-[#D5FF00]"
+                                  checked={selectedIds.has(c.id)}
+                                  onChange={() => toggleSelected(c.id)}
+                                />
+                              </td>
+                              <td className="py-2 pr-2 font-medium">
+                                {formatDate(c.date, t.lang)}
+                                {c.revisions?.length ? <span className="ml-2 text-xs font-normal text-neutral-500">{t("templates.rev", { rev: c.revisions.length })}</span> : null}
+                              </td>
+                              <td className="py-2 pr-2">{c.vehicleLabel || c.vehicleId}</td>
+                              <td className="py-2 pr-2">{formatOdometer(c.odometer, c.odometerUnit) || c.odometerRaw || "-"}</td>
+                              <td className="py-2 pr-2">
+                                <span
+                                  className={
+                                    "text-xs px-2 py-1 rounded-full border " +
+                                    (c.summary?.issueCount
+                                      ? "bg-red-100 text-red-800 border-red-200"
+                                      : "bg-emerald-100 text-emerald-800 border-emerald-200")
+                                  }
+                                >
+                                  {c.summary?.issueCount || 0}
+                                </span>
+                              </td>
+                              <td className="py-2 pr-2">
+                                {c.summary?.doneCount || 0}/{c.summary?.totalItems || 0}
+                              </td>
+                              <td className="py-2 pr-2">
+                                <Pill tone={STATUS_TONES[checkStatus(c)]}>{checkStatusLabel(checkStatus(c), t.lang)}</Pill>
+                              </td>
+                              <td className="py-2 pr-2 text-right">
+                                <div className="flex flex-wrap items-center justify-end gap-2">
+                                  <button className={btnMini} onClick={() => openSaved(c.id)}>
+                                    {t("history.view")}
+                                  </button>
+                                </div>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
 
-                <div className="flex items-center gap-2">
-                  <button className={btnSecondary} onClick={openPreview}>
-                    Preview
-                  </button>
-                  <button className={btnSecondary} onClick={saveCheck}>
-                    Save check
-                  </button>
+                  {historyView.pages > 1 ? (
+                    <div className="flex items-center justify-between gap-2 text-sm text-neutral-700 print:hidden">
+                      <span className="text-xs text-neutral-500">
+                        {t("history.range", { from: historyView.start + 1, to: historyView.start + historyView.items.length, total: historyView.total })}
+                      </span>
+                      <div className="flex items-center gap-2">
+                        <button className={btnMini} onClick={() => setHistoryPage(historyView.page - 1)} disabled={historyView.page <= 1}>
+                          {t("history.prev")}
+                        </button>
+                        <span className="text-xs">{t("report.page", { n: historyView.page, total: historyView.pages })}</span>
+                        <button
+                          className={btnMini}
+                          onClick={() => setHistoryPage(historyView.page + 1)}
+                          disabled={historyView.page >= historyView.pages}
+                        >
+                          {t("history.next")}
+                        </button>
+                      </div>
+                    </div>
+                  ) : null}
                 </div>
-              </div>
+              )}
             </div>
           </div>
-        </div>
-
-        <div className={`mt-4 ${card}`}>
-          <div className={cardHead}>
-            <div className="font-semibold text-neutral-800">Saved checks</div>
-            <div className="text-sm text-neutral-700">Your history (stored locally on this device).</div>
-          </div>
 
-          <div className={cardPad}>
-            {(appState.checks || []).length === 0 ? (
-              <div className="text-sm text-neutral-600">No saved checks yet.</div>
-            ) : (
-              <div className="overflow-auto">
-                <table className="w-full text-sm">
-                  <thead className="text-left text-neutral-600">
-                    <tr className="border-b">
-                      <th className="py-2 pr-2">Date</th>
-                      <th className="py-2 pr-2">Vehicle</th>
-                      <th className="py-2 pr-2">Odometer</th>
-                      <th className="py-2 pr-2">Issues</th>
-                      <th className="py-2 pr-2">Items</th>
-                      <th className="py-2 pr-2 text-right">Actions</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {(appState.checks || []).map((c) => (
-                      <tr key={c.id} className="border-b last:border-b-0">
-                        <td className="py-2 pr-2 font-medium">{c.date}</td>
-                        <td className="py-2 pr-2">{c.vehicleLabel || c.vehicleId}</td>
-                        <td className="py-2 pr-2">{c.odometer || "-"}</td>
-                        <td className="py-2 pr-2">
-                          <span
-                            className={
-                              "text-xs px-2 py-1 rounded-full border " +
-                              (c.summary?.issueCount
-                                ? "bg-red-100 text-red-800 border-red-200"
-                                : "bg-emerald-100 text-emerald-800 border-emerald-200")
-                            }
-                          >
-                            {c.summary?.issueCount || 0}
-                          </span>
-                        </td>
-                        <td className="py-2 pr-2">
-                          {c.summary?.doneCount || 0}/{c.summary?.totalItems || 0}
-                        </td>
-                        <td className="py-2 pr-2 text-right">
-                          <div className="flex flex-wrap items-center justify-end gap-2">
-                            <button className={btnMini} onClick={() => openSaved(c.id)}>
-                              View
-                            </button>
-                          </div>
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-            )}
+          <div className="mt-6 flex items-center justify-between gap-3 text-sm text-neutral-700">
+            <a
+              className="underline hover:text-neutral-900"
+              href={isHubPlaceholder() ? "#" : HUB_URL}
+              target="_blank"
+              rel="noreferrer"
+              onClick={(e) => {
+                if (isHubPlaceholder()) {
+                  e.preventDefault();
+                  alert(t("hub.notSet"));
+                }
+              }}
+            >
+              {t("header.hubTitle")}
+            </a>
+            <div className="text-xs text-neutral-600">
+              {t("report.storageKey")} <span className="font-mono">{KEY}</span>
+            </div>
           </div>
-        </div>
 
-        <div className="mt-6 flex items-center justify-between gap-3 text-sm text-neutral-700">
-          <a
-            className="underline hover:text-neutral-900"
-            href={isHubPlaceholder() ? "#" : HUB_URL}
-            target="_blank"
-            rel="noreferrer"
-            onClick={(e) => {
-              if (isHubPlaceholder()) {
-                e.preventDefault();
-                alert("Set HUB_URL in the code first.");
-              }
-            }}
-          >
-            Return to ToolStack hub
-          </a>
-          <div className="text-xs text-neutral-600">
-            Storage key: <span className="font-mono">{KEY}</span>
-          </div>
+          {toast ? (
+            <div className="fixed bottom-6 right-6 rounded-2xl bg-neutral-800 text-white px-4 py-3 shadow-xl print:hidden">
+              <div className="text-sm">{toast}</div>
+            </div>
+          ) : null}
         </div>
-
-        {toast ? (
-          <div className="fixed bottom-6 right-6 rounded-2xl bg-neutral-800 text-white px-4 py-3 shadow-xl print:hidden">
-            <div className="text-sm">{toast}</div>
-          </div>
-        ) : null}
       </div>
-    </div>
+    </I18nContext.Provider>
   );
 }
@@ -1,9 +1,13 @@
 export const APP_ID = "vehiclecheckit";
 export const APP_VERSION = "v1";
-export const TEMPLATE_REV = 9;
+export const TEMPLATE_REV = 10;
+export const SCHEMA_VERSION = 7;
+export const DEFAULT_TEMPLATE_ID = "default";
 
 export const KEY = `toolstack.${APP_ID}.${APP_VERSION}`;
 export const PROFILE_KEY = "toolstack.profile.v1";
+export const DRAFTS_KEY = `${KEY}.drafts`;
+export const SYNC_KEY = `${KEY}.sync`;
 
 export const HUB_URL = "https://YOUR-WIX-HUB-URL-HERE";
 
@@ -32,5 +36,8 @@ export const blankVehicle = () => ({
   vin: "",
   tuvUntil: "",
   serviceDue: "",
+  odometerUnit: "km",
+  serviceIntervals: [],
+  templateId: "",
   notes: "",
 });
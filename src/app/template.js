@@ -1,54 +1,59 @@
-import { TEMPLATE_REV, FUEL_OPTIONS } from "./constants";
-import { uid } from "../lib/core";
+import { TEMPLATE_REV, DEFAULT_TEMPLATE_ID, FUEL_OPTIONS } from "./constants";
 
+// Ids are fixed so checks stay comparable item by item across template revisions.
+// Keys name the translated wording (checklist.* in the catalogs); `label` and
+// `title` are the English fallback.
 export function defaultTemplate() {
-  const sid = () => uid("s");
-  const iid = () => uid("i");
-
   return {
+    id: DEFAULT_TEMPLATE_ID,
     rev: TEMPLATE_REV,
+    key: "default",
     name: "Default Vehicle Check",
     sections: [
       {
-        id: sid(),
+        id: "s-exterior",
+        key: "exterior",
         title: "Exterior",
         items: [
-          { id: iid(), label: "Tyres (pressure / condition)", severity: "ok" },
-          { id: iid(), label: "Lights (all working)", severity: "ok" },
-          { id: iid(), label: "Windows / mirrors clean", severity: "ok" },
-          { id: iid(), label: "Body damage check", severity: "ok" },
+          { id: "i-tyres", key: "tyres", label: "Tyres (pressure / condition)", severity: "ok" },
+          { id: "i-lights", key: "lights", label: "Lights (all working)", severity: "ok" },
+          { id: "i-windows-mirrors", key: "windows_mirrors", label: "Windows / mirrors clean", severity: "ok" },
+          { id: "i-body-damage", key: "body_damage", label: "Body damage check", severity: "ok" },
         ],
       },
       {
-        id: sid(),
+        id: "s-interior",
+        key: "interior",
         title: "Interior",
         items: [
-          { id: iid(), label: "Cabin clean", severity: "ok" },
-          { id: iid(), label: "Cabin damage", severity: "ok" },
-          { id: iid(), label: "Documents present (registration/insurance)", severity: "ok" },
-          { id: iid(), label: "Charging cables / accessories", severity: "ok" },
+          { id: "i-cabin-clean", key: "cabin_clean", label: "Cabin clean", severity: "ok" },
+          { id: "i-cabin-damage", key: "cabin_damage", label: "Cabin damage", severity: "ok" },
+          { id: "i-documents", key: "documents", label: "Documents present (registration/insurance)", severity: "ok" },
+          { id: "i-charging-cables", key: "charging_cables", label: "Charging cables / accessories", severity: "ok" },
         ],
       },
       {
-        id: sid(),
+        id: "s-safety",
+        key: "safety",
         title: "Safety",
         items: [
-          { id: iid(), label: "Warning triangle", severity: "ok" },
-          { id: iid(), label: "High-visibility vest", severity: "ok" },
-          { id: iid(), label: "First aid kit", severity: "ok" },
-          { id: iid(), label: "Spare tyre / Puncture Kit", severity: "ok" },
-          { id: iid(), label: "Jack & tools", severity: "ok" },
+          { id: "i-warning-triangle", key: "warning_triangle", label: "Warning triangle", severity: "ok" },
+          { id: "i-hi-vis-vest", key: "hi_vis_vest", label: "High-visibility vest", severity: "ok" },
+          { id: "i-first-aid-kit", key: "first_aid_kit", label: "First aid kit", severity: "ok" },
+          { id: "i-spare-tyre", key: "spare_tyre", label: "Spare tyre / Puncture Kit", severity: "ok" },
+          { id: "i-jack-tools", key: "jack_tools", label: "Jack & tools", severity: "ok" },
         ],
       },
       {
-        id: sid(),
+        id: "s-vehicle-status",
+        key: "vehicle_status",
         title: "Vehicle status",
         items: [
-          { id: iid(), label: "Oil level", severity: "ok" },
-          { id: iid(), label: "Coolant level", severity: "ok" },
-          { id: iid(), label: "No warning lights", severity: "ok" },
-          { id: iid(), label: "Wipers / washer fluid", severity: "ok" },
-          { id: iid(), label: "AdBlue level (if applicable)", severity: "ok" },
+          { id: "i-oil-level", key: "oil_level", label: "Oil level", severity: "ok" },
+          { id: "i-coolant-level", key: "coolant_level", label: "Coolant level", severity: "ok" },
+          { id: "i-warning-lights", key: "warning_lights", label: "No warning lights", severity: "ok" },
+          { id: "i-wipers-washer", key: "wipers_washer", label: "Wipers / washer fluid", severity: "ok" },
+          { id: "i-adblue", key: "adblue", label: "AdBlue level (if applicable)", severity: "ok" },
         ],
       },
     ],
@@ -59,9 +64,13 @@ export function defaultTemplate() {
 export function defaultProfile(PROFILE_KEY) {
   return {
     org: "ToolStack",
+    address: "",
     user: "",
+    reviewer: "",
     language: "EN",
     logo: "",
+    drivers: [],
+    activeDriverId: "",
     vehicles: [
       {
         id: "bmw-530i",
@@ -0,0 +1,61 @@
+import { translate } from "./i18n";
+import { isCheckLocked } from "./signatures";
+
+/**
+ * Approval lifecycle of saved checks (check.status):
+ *   draft → submitted → approved
+ *                     → rejected (with a comment) → submitted again
+ * Every transition is appended to check.statusLog as { status, at, by, comment? }.
+ * The reviewer is whoever is named in the profile (profile.reviewer, else
+ * profile.user). Transitions that are not allowed return the check unchanged
+ * (same object); a countersigned (locked) check allows none.
+ */
+
+export const CHECK_STATUSES = ["draft", "submitted", "approved", "rejected"];
+
+export const checkStatus = (check) => (CHECK_STATUSES.includes(check?.status) ? check.status : "draft");
+
+export const checkStatusLabel = (status, lang) => translate(lang, `approval.status.${CHECK_STATUSES.includes(status) ? status : "draft"}`);
+
+export const reviewerName = (profile) => String(profile?.reviewer || profile?.user || "").trim();
+
+const TRANSITIONS = {
+  submitted: ["draft", "rejected"],
+  approved: ["submitted"],
+  rejected: ["submitted"],
+};
+
+export const canTransition = (check, to) => !isCheckLocked(check) && !!TRANSITIONS[to]?.includes(checkStatus(check));
+
+function transition(check, to, by, comment) {
+  if (!canTransition(check, to)) return check;
+  const at = new Date().toISOString();
+  const entry = { status: to, at, by: String(by || "").trim(), ...(comment ? { comment } : {}) };
+  return { ...check, status: to, statusLog: [...(check.statusLog || []), entry], updatedAt: at };
+}
+
+export const submitCheck = (check, by) => transition(check, "submitted", by);
+
+export const approveCheck = (check, reviewer, comment = "") => transition(check, "approved", reviewer, String(comment || "").trim());
+
+/** A rejection needs a comment telling the driver what to fix. */
+export function rejectCheck(check, reviewer, comment) {
+  const text = String(comment || "").trim();
+  return text ? transition(check, "rejected", reviewer, text) : check;
+}
+
+/** Latest review decision (approved/rejected entry), or null. */
+export function lastReview(check) {
+  const log = check?.statusLog || [];
+  for (let i = log.length - 1; i >= 0; i--) if (log[i].status === "approved" || log[i].status === "rejected") return log[i];
+  return null;
+}
+
+/** An amended approved check needs another look: it goes back to the queue. */
+export function reopenAfterAmend(check, by) {
+  if (checkStatus(check) !== "approved") return check;
+  const at = check.updatedAt || new Date().toISOString();
+  return { ...check, status: "submitted", statusLog: [...(check.statusLog || []), { status: "submitted", at, by: String(by || "").trim() }] };
+}
+
+export const pendingApproval = (checks) => (checks || []).filter((c) => checkStatus(c) === "submitted");
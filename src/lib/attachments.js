@@ -0,0 +1,123 @@
+import { uid } from "./core";
+import { STORES, withStores } from "./idb";
+
+// Item photos live in IndexedDB (not in the localStorage JSON). Checklist items
+// only keep the ids: item.photos = ["ph-…", …]. Exports bundle them as data URLs
+// under `attachments: { [id]: { type, name, createdAt, dataUrl } }`.
+
+const MAX_DIM = 1600;
+const JPEG_QUALITY = 0.82;
+
+/** Downscale camera images to a sane size before storing them. */
+export async function downscaleImage(file, maxDim = MAX_DIM) {
+  if (typeof createImageBitmap === "undefined" || typeof document === "undefined") return file;
+  try {
+    const bmp = await createImageBitmap(file);
+    const scale = Math.min(1, maxDim / Math.max(bmp.width, bmp.height));
+    if (scale === 1 && file.type === "image/jpeg") return file;
+
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(bmp.width * scale);
+    canvas.height = Math.round(bmp.height * scale);
+    const ctx = canvas.getContext("2d");
+    // JPEG has no alpha: transparent areas (logos) turn white instead of black.
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(bmp, 0, 0, canvas.width, canvas.height);
+    bmp.close?.();
+
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", JPEG_QUALITY));
+    return blob || file;
+  } catch {
+    return file;
+  }
+}
+
+export async function putPhoto(file) {
+  const blob = await downscaleImage(file);
+  const rec = {
+    id: uid("ph"),
+    type: blob.type || file.type || "image/jpeg",
+    name: file.name || "",
+    size: blob.size,
+    createdAt: new Date().toISOString(),
+    blob,
+  };
+  await withStores(STORES.attachments, "readwrite", (s) => s.attachments.put(rec));
+  return rec.id;
+}
+
+export function getPhoto(id) {
+  return withStores(STORES.attachments, "readonly", (s) => s.attachments.get(id));
+}
+
+export function deletePhotos(ids) {
+  const list = (ids || []).filter(Boolean);
+  if (!list.length) return Promise.resolve();
+  return withStores(STORES.attachments, "readwrite", (s) => {
+    for (const id of list) s.attachments.delete(id);
+  });
+}
+
+export function collectPhotoIds(sectionsOrChecks) {
+  const ids = [];
+  const visitSections = (sections) => {
+    for (const s of sections || []) for (const it of s.items || []) for (const id of it.photos || []) ids.push(id);
+  };
+  for (const x of sectionsOrChecks || []) {
+    if (Array.isArray(x?.sections)) visitSections(x.sections);
+    else visitSections([x]);
+  }
+  return [...new Set(ids)];
+}
+
+/** Drop stored photos that no check or draft refers to any more. */
+export async function prunePhotos(keepIds) {
+  const keep = new Set(keepIds || []);
+  const all = await withStores(STORES.attachments, "readonly", (s) => s.attachments.getAllKeys());
+  const orphans = (all || []).filter((id) => !keep.has(id));
+  await deletePhotos(orphans);
+  return orphans.length;
+}
+
+const blobToDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || ""));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+/** Small images kept inline in the profile (the report logo) as a downscaled data URL. */
+export async function imageToDataUrl(file, maxDim) {
+  return blobToDataUrl(await downscaleImage(file, maxDim));
+}
+
+export async function dataUrlToBlob(dataUrl) {
+  const res = await fetch(dataUrl);
+  return res.blob();
+}
+
+export async function exportPhotos(ids) {
+  const out = {};
+  for (const id of ids || []) {
+    try {
+      const rec = await getPhoto(id);
+      if (!rec?.blob) continue;
+      out[id] = { type: rec.type, name: rec.name, createdAt: rec.createdAt, dataUrl: await blobToDataUrl(rec.blob) };
+    } catch {
+      // missing photo: export the check without it
+    }
+  }
+  return out;
+}
+
+export async function importPhotos(attachments) {
+  const entries = Object.entries(attachments || {}).filter(([, a]) => a?.dataUrl);
+  for (const [id, a] of entries) {
+    const blob = await dataUrlToBlob(a.dataUrl);
+    const rec = { id, type: a.type || blob.type, name: a.name || "", size: blob.size, createdAt: a.createdAt || new Date().toISOString(), blob };
+    await withStores(STORES.attachments, "readwrite", (s) => s.attachments.put(rec));
+  }
+  return entries.length;
+}
@@ -0,0 +1,100 @@
+import { itemLabel, sectionTitle, translate } from "./i18n";
+import { isCheckLocked } from "./signatures";
+import { reopenAfterAmend } from "./approval";
+
+// Amendments to saved checks. Every amendment is stored on the check as a
+// revision: { rev, at, by, changes: [{ path, label, from, to }] }.
+
+// [key, message]; labels are stored in the editor's language.
+const CHECK_FIELDS = [
+  ["date", "report.date"],
+  ["odometer", "report.odometer"],
+  ["odometerUnit", "report.odometerUnit"],
+  ["generalNotes", "report.generalNotes"],
+];
+
+// [key, message, read]; photos are compared by count, the ids mean nothing to a reader.
+const ITEM_FIELDS = [
+  ["severity", "audit.severity", (it) => it.severity],
+  ["note", "audit.note", (it) => it.note],
+  ["done", "audit.done", (it) => !!it.done],
+  ["photos", "audit.photos", (it) => (it.photos || []).length],
+];
+
+const same = (a, b) => String(a ?? "") === String(b ?? "");
+
+export function summarizeSections(sections) {
+  let totalItems = 0;
+  let doneCount = 0;
+  let issueCount = 0;
+  for (const s of sections || []) {
+    for (const it of s.items || []) {
+      totalItems++;
+      if (it.done) doneCount++;
+      if (it.severity === "issue") issueCount++;
+    }
+  }
+  return { totalItems, doneCount, issueCount };
+}
+
+/** Field-level diff between two versions of a check. */
+export function diffChecks(prev, next, lang) {
+  const changes = [];
+
+  for (const [key, label] of CHECK_FIELDS) {
+    if (!same(prev?.[key], next?.[key])) changes.push({ path: key, label: translate(lang, label), from: prev?.[key] ?? "", to: next?.[key] ?? "" });
+  }
+
+  const prevItems = new Map();
+  for (const s of prev?.sections || []) for (const it of s.items || []) prevItems.set(it.id, it);
+
+  for (const s of next?.sections || []) {
+    for (const it of s.items || []) {
+      const before = prevItems.get(it.id);
+      if (!before) continue;
+      for (const [key, label, read] of ITEM_FIELDS) {
+        const a = read(before);
+        const b = read(it);
+        if (!same(a, b)) {
+          changes.push({ path: `items.${it.id}.${key}`, label: `${sectionTitle(s, lang)} › ${itemLabel(it, lang)} — ${translate(lang, label)}`, from: a ?? "", to: b ?? "" });
+        }
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Apply edits to a saved check and append a revision. Returns the check
+ * unchanged (same object) when nothing differs or it is countersigned. A
+ * preparer's signature no longer covers the edited content and is dropped; an
+ * approved check goes back to the approval queue.
+ */
+export function amendCheck(check, edits, editor, lang) {
+  if (isCheckLocked(check)) return check;
+  const next = { ...check, ...edits };
+  const changes = diffChecks(check, next, lang);
+  if (!changes.length) return check;
+  if (next.signatures?.preparer) {
+    next.signatures = { ...next.signatures };
+    delete next.signatures.preparer;
+  }
+
+  const at = new Date().toISOString();
+  const revisions = Array.isArray(check.revisions) ? check.revisions : [];
+  return reopenAfterAmend(
+    {
+      ...next,
+      summary: summarizeSections(next.sections),
+      updatedAt: at,
+      revisions: [...revisions, { rev: revisions.length + 1, at, by: String(editor || "").trim(), changes }],
+    },
+    editor
+  );
+}
+
+export function formatChange(c, lang) {
+  const show = (v) => (v === "" || v == null ? "—" : typeof v === "boolean" ? translate(lang, v ? "common.yes" : "common.no") : String(v));
+  return `${c.label}: ${show(c.from)} → ${show(c.to)}`;
+}
@@ -0,0 +1,29 @@
+/**
+ * Check bundles: several selected checks exported together, between a single
+ * check and the full backup. Only the vehicle profiles the checks reference are
+ * included, so a bundle can be handed to someone else without the whole fleet:
+ *   { exportedAt, kind: "checks", profile: { org, vehicles }, checks, attachments? }
+ */
+
+export function referencedVehicles(vehicles, checks) {
+  const ids = new Set((checks || []).map((c) => c?.vehicleId).filter(Boolean));
+  return (vehicles || []).filter((v) => ids.has(v.id));
+}
+
+export function buildChecksBundle(checks, profile, { exportedAt = new Date().toISOString() } = {}) {
+  return {
+    exportedAt,
+    kind: "checks",
+    profile: { org: profile?.org || "", vehicles: referencedVehicles(profile?.vehicles, checks) },
+    checks: [...(checks || [])],
+  };
+}
+
+/** File name from the checks' vehicles and date range, e.g. vehicle-checks-bmw-530i-2026-03-01_2026-03-31.json */
+export function bundleFileName(checks) {
+  const dates = (checks || []).map((c) => String(c?.date || "")).filter(Boolean).sort();
+  const vehicleIds = [...new Set((checks || []).map((c) => c?.vehicleId).filter(Boolean))];
+  const who = vehicleIds.length === 1 ? vehicleIds[0] : `${vehicleIds.length}-vehicles`;
+  const range = dates.length ? (dates[0] === dates[dates.length - 1] ? dates[0] : `${dates[0]}_${dates[dates.length - 1]}`) : "undated";
+  return `vehicle-checks-${who}-${range}.json`.replace(/[^a-zA-Z0-9._-]/g, "-");
+}
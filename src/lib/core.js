@@ -1,4 +1,5 @@
 import { HUB_URL } from "../app/constants";
+import { translate } from "./i18n";
 
 export function safeParse(raw, fallback) {
   try {
@@ -27,10 +28,10 @@ export function badgeFor(sev) {
   return "bg-emerald-100 text-emerald-800 border-emerald-200";
 }
 
-export function labelFor(sev) {
-  if (sev === "issue") return "Issue";
-  if (sev === "note") return "Note";
-  return "OK";
+export const SEVERITIES = ["ok", "note", "issue"];
+
+export function labelFor(sev, lang) {
+  return translate(lang, `severity.${SEVERITIES.includes(sev) ? sev : "ok"}`);
 }
 
 export function normalizeVehicleId(seed) {
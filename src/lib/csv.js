@@ -0,0 +1,100 @@
+import { labelFor } from "./core";
+import { checkStatus, checkStatusLabel } from "./approval";
+import { checkTemplateName, itemLabel, sectionTitle, translate } from "./i18n";
+
+/**
+ * CSV export of saved checks for spreadsheets. Two layouts:
+ *   - "checks":   one row per check
+ *   - "findings": one row per item marked note/issue
+ * Files use CRLF line ends and a UTF-8 BOM so Excel detects the encoding. The
+ * delimiter follows the locale: ";" where "," is the decimal separator.
+ * Headers, built-in wording, severities and statuses follow `lang`.
+ */
+
+export function csvDelimiter(locale) {
+  try {
+    return (1.5).toLocaleString(locale).includes(",") ? ";" : ",";
+  } catch {
+    return ",";
+  }
+}
+
+// Text starting with = + - @ would be run as a formula by spreadsheet apps.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+export function csvCell(value, delimiter = ",") {
+  if (value == null) return "";
+  if (typeof value === "number") return Number.isFinite(value) ? String(value) : "";
+  if (typeof value === "boolean") return value ? "yes" : "no";
+  let s = String(value);
+  if (FORMULA_START.test(s) && !/^-?\d+([.,]\d+)?$/.test(s)) s = `'${s}`;
+  const needsQuotes = s.includes(delimiter) || /["\r\n]/.test(s) || s !== s.trim();
+  return needsQuotes ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(rows, { delimiter = ",", bom = true } = {}) {
+  const body = (rows || []).map((r) => r.map((v) => csvCell(v, delimiter)).join(delimiter)).join("\r\n");
+  return `${bom ? "\uFEFF" : ""}${body}\r\n`;
+}
+
+const CHECK_COLUMNS = ["date", "vehicle", "vehicleId", "odometer", "unit", "itemsDone", "itemsTotal", "issues", "generalNotes", "template", "revisions", "status", "checkId"];
+const FINDING_COLUMNS = ["date", "vehicle", "vehicleId", "odometer", "unit", "section", "item", "severity", "note", "done", "photos", "checkId"];
+
+const headerRow = (columns, lang) => columns.map((c) => translate(lang, `csv.${c}`));
+
+export function checksToRows(checks, lang) {
+  const header = headerRow(CHECK_COLUMNS, lang);
+  const rows = (checks || []).map((c) => [
+    c.date,
+    c.vehicleLabel || c.vehicleId,
+    c.vehicleId,
+    c.odometer ?? c.odometerRaw ?? "",
+    c.odometer != null ? c.odometerUnit || "km" : "",
+    c.summary?.doneCount ?? 0,
+    c.summary?.totalItems ?? 0,
+    c.summary?.issueCount ?? 0,
+    c.generalNotes || "",
+    checkTemplateName(c, lang) || c.templateId || "",
+    (c.revisions || []).length,
+    checkStatusLabel(checkStatus(c), lang),
+    c.id,
+  ]);
+  return [header, ...rows];
+}
+
+export function findingsToRows(checks, lang) {
+  const header = headerRow(FINDING_COLUMNS, lang);
+  const rows = [];
+  for (const c of checks || []) {
+    for (const s of c.sections || []) {
+      for (const it of s.items || []) {
+        if (!it.severity || it.severity === "ok") continue;
+        rows.push([
+          c.date,
+          c.vehicleLabel || c.vehicleId,
+          c.vehicleId,
+          c.odometer ?? c.odometerRaw ?? "",
+          c.odometer != null ? c.odometerUnit || "km" : "",
+          sectionTitle(s, lang),
+          itemLabel(it, lang),
+          labelFor(it.severity, lang),
+          it.note || "",
+          translate(lang, it.done ? "common.yes" : "common.no"),
+          (it.photos || []).length,
+          c.id,
+        ]);
+      }
+    }
+  }
+  return [header, ...rows];
+}
+
+export const CSV_MODES = {
+  checks: checksToRows,
+  findings: findingsToRows,
+};
+
+export function buildChecksCsv(checks, mode = "checks", { locale, lang } = {}) {
+  const rows = (CSV_MODES[mode] || checksToRows)(checks, lang);
+  return toCsv(rows, { delimiter: csvDelimiter(locale) });
+}
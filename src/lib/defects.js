@@ -0,0 +1,116 @@
+import { uid } from "./core";
+import { translate } from "./i18n";
+import { parseOdometer } from "./odometer";
+
+/**
+ * Open-defects register, kept in appState.defects. A defect is raised by the
+ * first saved check that marks an item as "issue" and stays until someone
+ * resolves it:
+ *   { id, vehicleId, vehicleLabel, itemId, itemLabel, sectionTitle, itemKey?, sectionKey?, note,
+ *     status: "open" | "repair" | "resolved",
+ *     openedAt, openedCheckId, openedOdometer, lastCheckId, lastSeenAt,
+ *     resolvedAt, resolvedBy, resolvedOdometer, updatedAt }
+ * Draft items pre-flagged from a defect carry its id as item.defectId.
+ */
+
+export const DEFECT_STATUSES = ["open", "repair", "resolved"];
+
+export const defectStatusLabel = (status, lang) => translate(lang, `defects.status.${DEFECT_STATUSES.includes(status) ? status : "open"}`);
+
+export const isDefectOpen = (d) => !!d && d.status !== "resolved";
+
+export function openDefectsFor(defects, vehicleId) {
+  return (defects || []).filter((d) => isDefectOpen(d) && d.vehicleId === vehicleId);
+}
+
+/** Record the issues of a saved check: refresh open defects, raise new ones. */
+export function syncDefects(defects, check) {
+  const list = [...(defects || [])];
+  const at = new Date().toISOString();
+
+  for (const s of check?.sections || []) {
+    for (const it of s.items || []) {
+      if (it.severity !== "issue") continue;
+      const idx = list.findIndex(
+        (d) => isDefectOpen(d) && (d.id === it.defectId || (d.vehicleId === check.vehicleId && d.itemId === it.id))
+      );
+      if (idx >= 0) {
+        const d = list[idx];
+        list[idx] = { ...d, note: it.note || d.note, lastCheckId: check.id, lastSeenAt: check.date, updatedAt: at };
+        continue;
+      }
+      list.push({
+        id: uid("df"),
+        vehicleId: check.vehicleId,
+        vehicleLabel: check.vehicleLabel || "",
+        itemId: it.id,
+        itemLabel: it.label,
+        sectionTitle: s.title,
+        ...(it.key ? { itemKey: it.key } : {}),
+        ...(s.key ? { sectionKey: s.key } : {}),
+        note: it.note || "",
+        status: "open",
+        openedAt: check.date,
+        openedCheckId: check.id,
+        openedOdometer: parseOdometer(check.odometer),
+        lastCheckId: check.id,
+        lastSeenAt: check.date,
+        updatedAt: at,
+      });
+    }
+  }
+
+  return list;
+}
+
+/**
+ * Change a defect's status. Resolving records who, when and at what odometer;
+ * reopening clears that again.
+ */
+export function setDefectStatus(defect, status, { by = "", odometer = "", date = "" } = {}) {
+  const at = new Date().toISOString();
+  if (status === "resolved") {
+    return {
+      ...defect,
+      status,
+      resolvedAt: date || at.slice(0, 10),
+      resolvedBy: String(by || "").trim(),
+      resolvedOdometer: parseOdometer(odometer),
+      updatedAt: at,
+    };
+  }
+  const { resolvedAt: _resolvedAt, resolvedBy: _resolvedBy, resolvedOdometer: _resolvedOdometer, ...rest } = defect;
+  return { ...rest, status, updatedAt: at };
+}
+
+/** Mark draft items that still have an open defect on the draft's vehicle. */
+export function preflagDraft(draft, defects) {
+  const byItem = new Map(openDefectsFor(defects, draft?.vehicleId).map((d) => [d.itemId, d]));
+  if (!byItem.size) return draft;
+  return {
+    ...draft,
+    sections: (draft.sections || []).map((s) => ({
+      ...s,
+      items: (s.items || []).map((it) => {
+        const d = byItem.get(it.id);
+        return d ? { ...it, severity: "issue", defectId: d.id } : it;
+      }),
+    })),
+  };
+}
+
+// Latest check per vehicle (by date, then createdAt).
+function latestChecks(checks) {
+  const latest = new Map();
+  for (const c of checks || []) {
+    const prev = latest.get(c?.vehicleId);
+    const key = `${c?.date || ""}|${c?.createdAt || ""}`;
+    if (!prev || key > `${prev.date || ""}|${prev.createdAt || ""}`) latest.set(c?.vehicleId, c);
+  }
+  return [...latest.values()];
+}
+
+/** Seed a register from existing history: the issues of each vehicle's latest check. */
+export function deriveDefects(checks) {
+  return latestChecks(checks).reduce((list, c) => syncDefects(list, c), []);
+}
@@ -0,0 +1,46 @@
+import { DRAFTS_KEY } from "../app/constants";
+import { safeParse } from "./core";
+
+// Unfinished checks, one entry per vehicle id:
+//   { [vehicleId]: { draft, odometerText, generalNotesText, updatedAt } }
+// Kept under their own key so a half-done walk-around survives a reload
+// without touching the saved history in KEY.
+
+export function loadDrafts() {
+  if (typeof window === "undefined") return {};
+  const parsed = safeParse(localStorage.getItem(DRAFTS_KEY), null);
+  return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+}
+
+export function saveDrafts(drafts) {
+  try {
+    if (typeof window === "undefined") return;
+    if (drafts && Object.keys(drafts).length) localStorage.setItem(DRAFTS_KEY, JSON.stringify(drafts));
+    else localStorage.removeItem(DRAFTS_KEY);
+  } catch {
+    // ignore
+  }
+}
+
+// Items pre-flagged from an open defect (item.defectId) only count once edited.
+export function isDraftDirty(draft, odometerText, generalNotesText) {
+  if (String(odometerText || "").trim() || String(generalNotesText || "").trim()) return true;
+  for (const s of draft?.sections || []) {
+    for (const it of s.items || []) {
+      const flagged = it.defectId ? it.severity !== "issue" : it.severity && it.severity !== "ok";
+      if (it.done || it.note || it.photos?.length || flagged) return true;
+    }
+  }
+  return false;
+}
+
+export function withDraft(drafts, vehicleId, entry) {
+  return { ...(drafts || {}), [vehicleId]: { ...entry, updatedAt: new Date().toISOString() } };
+}
+
+export function withoutDraft(drafts, vehicleId) {
+  if (!drafts || !(vehicleId in drafts)) return drafts || {};
+  const next = { ...drafts };
+  delete next[vehicleId];
+  return next;
+}
@@ -0,0 +1,70 @@
+import { uid } from "./core";
+
+/**
+ * Driver roster for shared devices, kept in the shared profile:
+ *   profile.drivers: [{ id, name, pinHash? }], profile.activeDriverId
+ * PINs are optional and never stored: pinHash is the SHA-256 of
+ * "<driverId>:<pin>" as hex, so two drivers with the same PIN get different
+ * hashes. This keeps drivers from picking each other by accident on a shared
+ * tablet; it is not an authentication system. The hashes stay on the device:
+ * exported files carry the roster without them (see exportableProfile), and a
+ * restored backup keeps the PINs already set here (keepLocalPins).
+ * Saved checks record driverId plus driverName, so reports keep the right name
+ * after a driver is renamed or removed.
+ */
+
+export const PIN_PATTERN = /^\d{4,8}$/;
+
+export const isValidPin = (pin) => PIN_PATTERN.test(String(pin || ""));
+
+export function createDriver(name) {
+  return { id: uid("drv"), name: String(name || "").trim() };
+}
+
+export const toHex = (buffer) => [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, "0")).join("");
+
+/** SHA-256 hex of "<driverId>:<pin>" (crypto.subtle needs https or localhost). */
+export async function hashPin(driverId, pin) {
+  const bytes = new TextEncoder().encode(`${driverId}:${pin}`);
+  return toHex(await crypto.subtle.digest("SHA-256", bytes));
+}
+
+/** Resolves true when the PIN matches, or when the driver has none. */
+export async function verifyPin(driver, pin) {
+  if (!driver?.pinHash) return true;
+  return (await hashPin(driver.id, String(pin || ""))) === driver.pinHash;
+}
+
+/** The profile as it goes into exported files: drivers without their pinHash. */
+export function exportableProfile(profile) {
+  if (!Array.isArray(profile?.drivers)) return profile;
+  return { ...profile, drivers: profile.drivers.map((d) => ({ id: d.id, name: d.name })) };
+}
+
+/** An imported profile with the pinHash of each driver this device already knows. */
+export function keepLocalPins(imported, local) {
+  if (!Array.isArray(imported?.drivers)) return imported;
+  const pins = new Map((local?.drivers || []).filter((d) => d.pinHash).map((d) => [d.id, d.pinHash]));
+  return { ...imported, drivers: imported.drivers.map((d) => (pins.has(d.id) ? { ...d, pinHash: pins.get(d.id) } : d)) };
+}
+
+export const findDriver = (profile, id) => (profile?.drivers || []).find((d) => d.id === id) || null;
+
+export const activeDriver = (profile) => findDriver(profile, profile?.activeDriverId);
+
+/** Whoever is using the app right now: the active driver, else the profile's inspector name. */
+export const currentUserName = (profile) => activeDriver(profile)?.name || String(profile?.user || "").trim();
+
+/** "Prepared by" for a saved check: the driver recorded on it, else the inspector name. */
+export function preparedByName(check, profile) {
+  return check?.driverName || findDriver(profile, check?.driverId)?.name || String(profile?.user || "").trim();
+}
+
+/** Roster entry removed; the active driver is cleared when it was that one. */
+export function removeDriver(profile, id) {
+  return {
+    ...profile,
+    drivers: (profile?.drivers || []).filter((d) => d.id !== id),
+    activeDriverId: profile?.activeDriverId === id ? "" : profile?.activeDriverId || "",
+  };
+}
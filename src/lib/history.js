@@ -0,0 +1,84 @@
+import { LANGUAGES, itemLabel, sectionTitle } from "./i18n";
+import { CHECK_STATUSES, checkStatus } from "./approval";
+
+// Filtering, sorting and paging for the saved checks history. The same filtered
+// list feeds the table and the export actions.
+
+export const DEFAULT_HISTORY_FILTER = { vehicleId: "", from: "", to: "", issuesOnly: false, status: "", driverId: "", q: "" };
+export const DEFAULT_HISTORY_SORT = { key: "date", dir: "desc" };
+export const HISTORY_PAGE_SIZE = 25;
+
+// Sort value per column; ties fall back to createdAt so the order is stable.
+const SORT_KEYS = {
+  date: (c) => String(c.date || ""),
+  vehicle: (c) => String(c.vehicleLabel || c.vehicleId || "").toLowerCase(),
+  odometer: (c) => (Number.isFinite(c.odometer) ? c.odometer : -Infinity),
+  issues: (c) => Number(c.summary?.issueCount) || 0,
+  items: (c) => Number(c.summary?.doneCount) || 0,
+  status: (c) => CHECK_STATUSES.indexOf(checkStatus(c)),
+};
+
+export function isFilterActive(filter) {
+  const f = { ...DEFAULT_HISTORY_FILTER, ...(filter || {}) };
+  return !!(f.vehicleId || f.from || f.to || f.issuesOnly || f.status || f.driverId || String(f.q).trim());
+}
+
+function searchText(check) {
+  const parts = [check.vehicleLabel, check.generalNotes];
+  for (const s of check.sections || []) {
+    // Built-in wording matches in every language, whichever one the check was made in.
+    for (const { code } of LANGUAGES) parts.push(sectionTitle(s, code));
+    for (const it of s.items || []) {
+      for (const { code } of LANGUAGES) parts.push(itemLabel(it, code));
+      parts.push(it.note);
+    }
+  }
+  return parts.filter(Boolean).join("\n").toLowerCase();
+}
+
+export function matchesCheck(check, filter) {
+  const f = { ...DEFAULT_HISTORY_FILTER, ...(filter || {}) };
+  if (f.vehicleId && check.vehicleId !== f.vehicleId) return false;
+  if (f.from && String(check.date || "") < f.from) return false;
+  if (f.to && String(check.date || "") > f.to) return false;
+  if (f.issuesOnly && !(Number(check.summary?.issueCount) > 0)) return false;
+  if (f.status && checkStatus(check) !== f.status) return false;
+  if (f.driverId && check.driverId !== f.driverId) return false;
+
+  const terms = String(f.q || "").toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length) {
+    const text = searchText(check);
+    if (!terms.every((t) => text.includes(t))) return false;
+  }
+  return true;
+}
+
+export function filterChecks(checks, filter) {
+  if (!isFilterActive(filter)) return checks || [];
+  return (checks || []).filter((c) => matchesCheck(c, filter));
+}
+
+export function sortChecks(checks, sort = DEFAULT_HISTORY_SORT) {
+  const read = SORT_KEYS[sort?.key] || SORT_KEYS.date;
+  const dir = sort?.dir === "asc" ? 1 : -1;
+  return [...(checks || [])].sort((a, b) => {
+    const x = read(a);
+    const y = read(b);
+    const cmp = x < y ? -1 : x > y ? 1 : String(a.createdAt || "").localeCompare(String(b.createdAt || ""));
+    return cmp * dir;
+  });
+}
+
+/** Clicking the active column flips direction; a new column starts descending. */
+export function toggleSort(sort, key) {
+  if (sort?.key === key) return { key, dir: sort.dir === "asc" ? "desc" : "asc" };
+  return { key, dir: key === "vehicle" ? "asc" : "desc" };
+}
+
+export function paginate(list, page, pageSize = HISTORY_PAGE_SIZE) {
+  const total = (list || []).length;
+  const pages = Math.max(1, Math.ceil(total / pageSize));
+  const current = Math.min(Math.max(1, Number(page) || 1), pages);
+  const start = (current - 1) * pageSize;
+  return { page: current, pages, total, start, items: (list || []).slice(start, start + pageSize) };
+}
@@ -0,0 +1,88 @@
+import { createContext, useContext } from "react";
+import en from "./locales/en";
+import de from "./locales/de";
+
+/**
+ * Translation layer. Messages live in flat catalogs (src/lib/locales/*.js)
+ * keyed by "area.name"; `{name}` placeholders are filled from `vars`. Missing
+ * messages fall back to English, then to the key itself. The language is
+ * stored in the shared profile (profile.language: "EN" | "DE").
+ */
+
+export const LANGUAGES = [
+  { code: "EN", label: "English", locale: "en-GB" },
+  { code: "DE", label: "Deutsch", locale: "de-DE" },
+];
+
+export const DEFAULT_LANGUAGE = "EN";
+
+const CATALOGS = { EN: en, DE: de };
+
+export function normalizeLanguage(code) {
+  const c = String(code || "").trim().toUpperCase().slice(0, 2);
+  return CATALOGS[c] ? c : DEFAULT_LANGUAGE;
+}
+
+export const localeFor = (lang) => LANGUAGES.find((l) => l.code === normalizeLanguage(lang)).locale;
+
+export function hasMessage(lang, key) {
+  return key in CATALOGS[normalizeLanguage(lang)] || key in CATALOGS.EN;
+}
+
+export function translate(lang, key, vars) {
+  const msg = CATALOGS[normalizeLanguage(lang)][key] ?? CATALOGS.EN[key] ?? key;
+  if (!vars) return msg;
+  return msg.replace(/\{(\w+)\}/g, (m, name) => (vars[name] == null ? m : String(vars[name])));
+}
+
+/** Bound translator: t(key, vars), plus t.lang and t.locale. */
+export function createT(lang) {
+  const code = normalizeLanguage(lang);
+  const t = (key, vars) => translate(code, key, vars);
+  t.lang = code;
+  t.locale = localeFor(code);
+  return t;
+}
+
+/** Stored values like fuel types are German words; show them in the UI language. */
+export function fuelLabel(value, lang) {
+  const key = `fuel.${value}`;
+  return hasMessage(lang, key) ? translate(lang, key) : value || "";
+}
+
+/**
+ * Built-in templates, sections and items carry a stable `key`; their wording
+ * lives in the catalogs under "checklist.*". Custom entries have no key (or an
+ * unknown one) and keep the text they were typed with.
+ */
+function checklistLabel(area, key, fallback, lang) {
+  const msg = `checklist.${area}.${key}`;
+  return key && hasMessage(lang, msg) ? translate(lang, msg) : fallback || "";
+}
+
+export const itemLabel = (item, lang) => checklistLabel("item", item?.key, item?.label, lang);
+export const sectionTitle = (section, lang) => checklistLabel("section", section?.key, section?.title, lang);
+export const templateName = (template, lang) => checklistLabel("template", template?.key, template?.name, lang);
+export const checkTemplateName = (check, lang) => checklistLabel("template", check?.templateKey, check?.templateName, lang);
+
+// Calendar dates (YYYY-MM-DD) are formatted in UTC so they never shift a day.
+export function formatDate(value, lang, options = { day: "2-digit", month: "2-digit", year: "numeric" }) {
+  const s = String(value || "");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+  return new Date(`${s}T00:00:00Z`).toLocaleDateString(localeFor(lang), { ...options, timeZone: "UTC" });
+}
+
+export function formatDateTime(value, lang) {
+  const d = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(d.getTime()) ? "" : d.toLocaleString(localeFor(lang), { dateStyle: "medium", timeStyle: "short" });
+}
+
+export const I18nContext = createContext(createT(DEFAULT_LANGUAGE));
+
+export const useT = () => useContext(I18nContext);
+
+/** Keys present in one catalog but not the other (for the self-tests). */
+export function catalogGaps() {
+  const missing = (a, b) => Object.keys(a).filter((k) => !(k in b));
+  return { missingInDE: missing(en, de), missingInEN: missing(de, en) };
+}
@@ -0,0 +1,82 @@
+import { KEY } from "../app/constants";
+
+// Minimal promise wrapper around IndexedDB. One database per app (named after
+// KEY); object stores are created in upgrade().
+
+export const DB_NAME = KEY;
+export const DB_VERSION = 2;
+
+export const STORES = {
+  attachments: "attachments",
+  kv: "kv",
+  checks: "checks",
+};
+
+// v1: attachments • v2: kv (state docs keyed by KEY) + checks (one record per check)
+function upgrade(db) {
+  if (!db.objectStoreNames.contains(STORES.attachments)) db.createObjectStore(STORES.attachments, { keyPath: "id" });
+  if (!db.objectStoreNames.contains(STORES.kv)) db.createObjectStore(STORES.kv);
+  if (!db.objectStoreNames.contains(STORES.checks)) db.createObjectStore(STORES.checks, { keyPath: "id" });
+}
+
+let dbPromise = null;
+
+export function isIdbAvailable() {
+  return typeof indexedDB !== "undefined";
+}
+
+export function openDb() {
+  if (!isIdbAvailable()) return Promise.reject(new Error("IndexedDB is not available"));
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => upgrade(req.result);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error("IndexedDB upgrade blocked by another tab"));
+    }).catch((e) => {
+      dbPromise = null;
+      throw e;
+    });
+  }
+  return dbPromise;
+}
+
+export function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Run `fn(stores)` inside one transaction and resolve with its return value
+ * once the transaction has committed. `fn` may return a request or a promise.
+ */
+export async function withStores(names, mode, fn) {
+  const db = await openDb();
+  const list = Array.isArray(names) ? names : [names];
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(list, mode);
+    const stores = Object.fromEntries(list.map((n) => [n, tx.objectStore(n)]));
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+    try {
+      const out = fn(stores);
+      if (out && typeof out === "object" && "onsuccess" in out) {
+        requestToPromise(out).then((r) => {
+          result = r;
+        });
+      } else {
+        Promise.resolve(out).then((r) => {
+          result = r;
+        });
+      }
+    } catch (e) {
+      tx.abort();
+      reject(e);
+    }
+  });
+}
@@ -0,0 +1,608 @@
+// German messages. Keys are grouped by area; keep both catalogs in sync.
+
+export default {
+  "severity.ok": "OK",
+  "severity.note": "Hinweis",
+  "severity.issue": "Mangel",
+
+  "report.title": "Fahrzeugprüfbericht",
+  "report.date": "Datum",
+  "report.vehicle": "Fahrzeug",
+  "report.odometerUnit": "Einheit Kilometerstand",
+  "report.odometer": "Kilometerstand",
+  "report.items": "Punkte",
+  "report.issues": "Mängel",
+  "report.generalNotes": "Allgemeine Hinweise",
+  "report.photoCount": "{n} Foto(s)",
+  "report.findings": "Befunde",
+  "report.textTip": "Tipp: Prüfung in der App öffnen und über Vorschau → Drucken/PDF speichern ein sauberes PDF anhängen.",
+  "report.emailSubject": "Fahrzeugprüfung",
+  "report.generated": "Erstellt: {at}",
+  "report.preparedBy": "Erstellt von",
+  "report.summary": "Zusammenfassung",
+  "report.done": "Erledigt",
+  "report.revisions": "Änderungsverlauf",
+  "report.rev": "Rev. {rev}",
+  "report.signature": "Unterschrift",
+  "report.approvedBy": "Freigegeben von",
+  "report.storageKey": "Speicherschlüssel:",
+  "report.noFindings": "Keine Mängel oder Hinweise erfasst.",
+  "report.checklist": "Checkliste",
+  "report.signatureDate": "Unterschrift / Datum",
+  "report.page": "Seite {n} / {total}",
+
+  "common.andMore": "…und {n} weitere",
+  "common.close": "Schließen",
+  "common.storedIn": "Gespeichert in",
+  "common.back": "Zurück",
+  "common.edit": "Bearbeiten",
+  "common.delete": "Löschen",
+  "common.remove": "Entfernen",
+  "common.cancel": "Abbrechen",
+  "common.save": "Speichern",
+  "common.moveUp": "Nach oben",
+  "common.moveDown": "Nach unten",
+  "common.allVehicles": "Alle Fahrzeuge",
+  "common.at": "bei {reading}",
+  "common.confirm": "Bestätigen",
+  "common.yes": "ja",
+  "common.no": "nein",
+  "common.saving": "Speichern…",
+  "common.unknownError": "unbekannter Fehler",
+  "common.dismiss": "Ausblenden",
+
+  "help.action.preview": "Vorschau",
+  "help.action.preview.desc": "Zeigt einen sauberen Bericht direkt in der App (druckfähig).",
+  "help.action.downloadPdf": "PDF herunterladen",
+  "help.action.downloadPdf.desc": "Erstellt direkt eine PDF-Datei (auch ein gemeinsames PDF des gefilterten Verlaufs).",
+  "help.action.print": "Drucken / PDF speichern",
+  "help.action.print.desc": "Nutzt den Druckdialog des Browsers zum Drucken oder Speichern als PDF.",
+  "help.action.export": "Export",
+  "help.action.export.desc": "Lädt eine JSON-Sicherung deiner gespeicherten Daten herunter (inkl. Fotos).",
+  "help.action.import": "Import",
+  "help.action.import.desc": "Lädt eine JSON-Sicherung, ein Prüfungspaket oder eine einzelne Prüfung, zeigt eine Vorschau und führt sie zusammen (Konflikte: unsere behalten oder ihre übernehmen).",
+  "help.action.exportSelected": "Auswahl exportieren",
+  "help.action.exportSelected.desc": "Prüfungen im Verlauf ankreuzen und als ein Paket nur mit den zugehörigen Fahrzeugen exportieren.",
+  "help.action.extra.desc": "Zusatzwerkzeug dieser App.",
+  "help.title": "{app} — so funktionieren deine Daten",
+  "help.quick.title": "Schnellstart (täglicher Gebrauch)",
+  "help.quick.autosave": "Nutze die App ganz normal — sie speichert beim Tippen automatisch.",
+  "help.quick.preview": "Nutze **Vorschau** → dann **Drucken / PDF speichern** für einen sauberen Bericht.",
+  "help.quick.export": "Nutze regelmäßig **Export**, um Sicherungen zu erstellen.",
+  "help.data.title": "Wo deine Daten liegen (wichtig)",
+  "help.data.intro": "Deine Daten werden automatisch im Browser auf **diesem Gerät** in der Browser-Datenbank (IndexedDB) gespeichert.",
+  "help.data.idb": "Prüfungen und Fotos liegen in IndexedDB; das gemeinsame Profil bleibt im localStorage.",
+  "help.data.login": "Eine Anmeldung ist (noch) nicht nötig.",
+  "help.data.device": "Wenn du Gerät, Browser oder Profil wechselst, kommen deine Daten nicht automatisch mit.",
+  "help.backup.title": "Sicherungsroutine (empfohlen)",
+  "help.backup.weekly": "Nach größeren Änderungen exportieren, mindestens aber **wöchentlich**.",
+  "help.backup.keep": "2–3 ältere Exporte als Rückfallebene aufbewahren.",
+  "help.backup.where": "Exporte sicher ablegen (Drive/Dropbox/OneDrive) oder dir selbst mailen.",
+  "help.restore.title": "Wiederherstellen / auf neues Gerät umziehen (Import)",
+  "help.restore.intro": "Auf einem neuen Gerät/Browser (oder nach dem Löschen der Websitedaten) **Import** wählen und den neuesten JSON-Export auswählen.",
+  "help.restore.merge": "Der Import zeigt zuerst eine Vorschau und führt die Datei mit deinen Daten zusammen; eine Sicherung kann auch alles ersetzen.",
+  "help.restore.older": "Schlägt ein Import fehl, einen älteren Export versuchen (Versionen können abweichen).",
+  "help.glossary.title": "Schaltflächen (gleiche Bedeutung in ganz ToolStack)",
+  "help.erase.title": "Was lokale Daten löschen kann",
+  "help.erase.history": "Browserverlauf / Websitedaten löschen.",
+  "help.erase.private": "Privater Modus / Inkognito.",
+  "help.erase.cleanup": "Manche „Aufräum-/Optimierungs“-Tools.",
+  "help.erase.reinstall": "Browser neu installieren oder ein anderes Browserprofil nutzen.",
+  "help.keys.title": "Speicherschlüssel (zur Fehlersuche)",
+  "help.keys.storage": "Speicherschlüssel (IndexedDB)",
+  "help.keys.profile": "Schlüssel des gemeinsamen Profils",
+  "help.keys.drafts": "Unfertige Prüfungen",
+  "help.privacy.title": "Datenschutz",
+  "help.privacy.body": "Standardmäßig bleiben deine Daten auf deinem Gerät. Sie verlassen es nur, wenn du sie selbst exportierst oder teilst.",
+  "help.gotIt": "Verstanden",
+  "help.button": "Hilfe",
+
+  "vehicles.subtitle": "Fahrzeugprofile • lokal gespeichert",
+  "vehicles.manage": "Fahrzeuge verwalten",
+  "vehicles.add": "Fahrzeug hinzufügen",
+  "vehicles.edit": "Fahrzeug bearbeiten",
+  "vehicles.yours": "Deine Fahrzeuge",
+  "vehicles.none": "Noch keine Fahrzeuge. Auf „Fahrzeug hinzufügen“ klicken.",
+  "vehicles.tuv": "TÜV",
+  "vehicles.service": "Service",
+  "vehicles.template": "Vorlage",
+  "vehicles.active": "Aktiv",
+  "vehicles.setActive": "Aktiv setzen",
+  "vehicles.howTitle": "So funktioniert es",
+  "vehicles.howBody": "Fahrzeugprofile werden im Browser auf diesem Gerät gespeichert. Du kannst sie jederzeit bearbeiten und das **aktive Fahrzeug** für die nächsten Prüfungen wählen.",
+  "vehicles.howTip": "Tipp: Kennzeichen und Marke/Modell ausfüllen, damit Verlauf und Berichte übersichtlich bleiben.",
+  "vehicles.plate": "Kennzeichen",
+  "vehicles.platePlaceholder": "z. B. M-AB 1234",
+  "vehicles.fuel": "Kraftstoff",
+  "vehicles.checklistTemplate": "Checklisten-Vorlage",
+  "vehicles.odometerUnit": "Einheit Kilometerstand",
+  "vehicles.make": "Marke",
+  "vehicles.makePlaceholder": "z. B. BMW",
+  "vehicles.model": "Modell",
+  "vehicles.modelPlaceholder": "z. B. 530i",
+  "vehicles.tuvUntil": "TÜV gültig bis",
+  "vehicles.serviceDue": "Service fällig",
+  "vehicles.year": "Baujahr",
+  "vehicles.yearPlaceholder": "z. B. 2023",
+  "vehicles.vin": "FIN (optional)",
+  "vehicles.vinPlaceholder": "Fahrzeug-Identifizierungsnummer",
+  "vehicles.notes": "Notizen (optional)",
+  "vehicles.notesPlaceholder": "Alles Nützliche (Reifengröße, Eigenheiten usw.)",
+  "vehicles.required": "Bitte mindestens ein Kennzeichen oder Marke/Modell eingeben.",
+  "vehicles.confirmDelete": "Fahrzeug löschen: {name}?",
+  "vehicles.needPlateOrModel": "Bitte mindestens ein Kennzeichen oder Marke/Modell eingeben.",
+  "vehicles.missingId": "Bearbeiten fehlgeschlagen: Fahrzeug-ID fehlt",
+
+  "templates.default": "Standard",
+  "templates.untitled": "Ohne Titel",
+  "templates.fallbackNote": "{n} Fahrzeug(e) nutzen dann wieder die Standardvorlage.",
+  "templates.confirmDelete": "Vorlage „{name}“ löschen?",
+  "templates.confirmDeleteSection": "Abschnitt „{name}“ mit {n} Punkt(en) löschen?",
+  "templates.subtitle": "Checklisten-Vorlagen • {n} gespeichert",
+  "templates.edit": "Vorlagen bearbeiten",
+  "templates.restoreDefault": "Standard wiederherstellen",
+  "templates.template": "Vorlage",
+  "templates.rev": "Rev. {rev}",
+  "templates.name": "Name",
+  "templates.namePlaceholder": "z. B. E-Auto / Transporter",
+  "templates.new": "Neu",
+  "templates.newName": "Neue Vorlage",
+  "templates.duplicate": "Duplizieren",
+  "templates.copyName": "{name} (Kopie)",
+  "templates.counts": "{sections} Abschnitte • {items} Punkte",
+  "templates.usedBy": "Genutzt von {n} Fahrzeug(en)",
+  "templates.noSections": "Noch keine Abschnitte. Auf „Abschnitt hinzufügen“ klicken.",
+  "templates.sectionTitle": "Abschnittstitel",
+  "templates.itemLabel": "Bezeichnung",
+  "templates.deleteItem": "Punkt löschen",
+  "templates.addItem": "Punkt hinzufügen",
+  "templates.addSection": "Abschnitt hinzufügen",
+  "templates.footer": "Leere Punkte werden beim Speichern entfernt. Gespeicherte Prüfungen behalten ihre eigene Kopie.",
+  "templates.save": "Vorlagen speichern",
+  "templates.confirmRestore": "Standardvorlage durch die eingebaute Checkliste ersetzen?",
+
+  "service.intervals": "Serviceintervalle",
+  "service.addInterval": "Intervall hinzufügen",
+  "service.defaultName": "Ölservice",
+  "service.example": "Z. B. Ölservice alle 15.000 {unit} oder 12 Monate, je nachdem, was zuerst eintritt.",
+  "service.name": "Name",
+  "service.everyDistance": "Alle ({unit})",
+  "service.everyMonths": "Alle (Monate)",
+  "service.lastDone": "Zuletzt erledigt",
+  "service.at": "Bei ({unit})",
+
+  "defects.status.open": "Offen",
+  "defects.status.repair": "In Reparatur",
+  "defects.status.resolved": "Behoben",
+  "defects.enterResolver": "Bitte angeben, wer den Mangel behoben hat.",
+  "defects.subtitle": "Mängelregister • {n} offen",
+  "defects.title": "Mängel",
+  "defects.showResolved": "Behobene anzeigen",
+  "defects.none": "Keine Mängel vorhanden.",
+  "defects.opened": "erfasst am {date}",
+  "defects.lastSeen": "zuletzt gesehen am {date}",
+  "defects.resolvedBy": "Behoben am {date} von {name}",
+  "defects.reopen": "Wieder öffnen",
+  "defects.resolver": "Behoben von",
+  "defects.markRepair": "In Reparatur",
+  "defects.backToOpen": "Zurück auf offen",
+  "defects.resolve": "Beheben…",
+  "defects.openSince": "Offener Mangel seit {date}",
+
+  "importReview.issues": "Mängel {n}",
+  "importReview.checks": "Prüfungen",
+  "importReview.vehicles": "Fahrzeuge",
+  "importReview.templates": "Vorlagen",
+  "importReview.subtitle": "Importvorschau • {name}",
+  "importReview.kind.full": "Sicherung",
+  "importReview.kind.checks": "Prüfungspaket",
+  "importReview.kind.check": "einzelne Prüfung",
+  "importReview.title": "Import zusammenführen",
+  "importReview.intro": "Noch wurde nichts geändert. Deine Daten bleiben erhalten; neue Einträge aus der Datei werden ergänzt.",
+  "importReview.new": "+{n} neu",
+  "importReview.same": "{n} bereits vorhanden",
+  "importReview.conflictCount": "{n} Konflikt(e)",
+  "importReview.matchedByPlate": "{n} Fahrzeug(e) über das Kennzeichen zugeordnet; ihre Prüfungen werden deinem Fahrzeug zugeordnet.",
+  "importReview.conflicts": "Konflikte ({n})",
+  "importReview.keepAllOurs": "Alle eigenen behalten",
+  "importReview.takeAllTheirs": "Alle aus Datei übernehmen",
+  "importReview.checkConflict": "Prüfung {date} • {vehicle}",
+  "importReview.vehicleConflict": "Fahrzeug {vehicle}",
+  "importReview.matchedBy.id": "über ID zugeordnet",
+  "importReview.matchedBy.plate": "über Kennzeichen zugeordnet",
+  "importReview.differsIn": "unterscheidet sich in: {fields}",
+  "importReview.keepOurs": "Eigene behalten",
+  "importReview.takeTheirs": "Aus Datei übernehmen",
+  "importReview.ours": "Eigene:",
+  "importReview.theirs": "Datei:",
+  "importReview.empty": "Alles aus dieser Datei ist bereits vorhanden.",
+  "importReview.confirmReplace": "ALLE aktuellen Prüfungen, Fahrzeuge und Vorlagen durch diese Datei ersetzen?",
+  "importReview.replace": "Stattdessen alles ersetzen",
+  "importReview.merge": "Zusammenführen",
+  "importReview.takenFromFile": "{n} aus Datei",
+
+  "reminders.kind.tuv": "TÜV",
+  "reminders.kind.service": "Inspektion",
+  "reminders.status.overdue": "Überfällig",
+  "reminders.status.urgent": "Sehr bald fällig",
+  "reminders.status.soon": "Bald fällig",
+  "reminders.status.ok": "Geplant",
+  "reminders.daysOverdue": "{n} Tag(e) überfällig",
+  "reminders.dueToday": "heute fällig",
+  "reminders.inDays": "in {n} Tag(en)",
+  "reminders.distanceOver": "{at} ({distance} überschritten)",
+  "reminders.distanceLeft": "{at} (noch {distance})",
+  "reminders.ics.summary": "{label} fällig — {vehicle}",
+  "reminders.ics.description": "{label} für {vehicle} ist am {date} fällig.",
+  "reminders.ics.descriptionDistance": "{label} für {vehicle} ist am {date} oder {distance} fällig, je nachdem, was zuerst eintritt.",
+  "reminders.subtitle": "Flotte • {overdue} überfällig • {soon} bald fällig",
+  "reminders.title": "TÜV- & Inspektionserinnerungen",
+  "reminders.exportIcs": "Als .ics exportieren",
+  "reminders.warnDays": "Warnen (Tage vorher)",
+  "reminders.urgentDays": "Dringend (Tage vorher)",
+  "reminders.warnDistance": "Warnen (Reststrecke)",
+  "reminders.showAll": "Alle Termine anzeigen",
+  "reminders.nothingDue": "In den nächsten {n} Tagen ist nichts fällig.",
+  "reminders.noDates": "Keine TÜV- oder Inspektionstermine hinterlegt. Trage sie in den Fahrzeugprofilen ein.",
+  "reminders.type": "Art",
+  "reminders.due": "Fällig",
+  "reminders.status": "Status",
+  "reminders.orDistance": "oder {distance}",
+  "reminders.projected": "aus der Laufleistung hochgerechnet",
+  "reminders.markDone": "Als erledigt markieren",
+  "reminders.promptDone": "{label} heute erledigt — Kilometerstand ({unit})?",
+  "reminders.overdueBanner": "{n} überfällige(r) TÜV-/Inspektionstermin(e)",
+  "reminders.button": "Erinnerungen",
+
+  "mileage.subtitle": "{n} Ablesung(en) • {total} erfasst",
+  "mileage.title": "Laufleistung — {vehicle}",
+  "mileage.none": "Noch keine gespeicherten Prüfungen mit Kilometerstand.",
+  "mileage.perMonth": "Strecke pro Monat",
+  "mileage.reading": "Stand",
+  "mileage.distance": "Strecke",
+  "mileage.perDay": "Pro Tag",
+
+  "odometer.notANumber": "Kilometerstand als Zahl eingeben, z. B. 123456.",
+  "odometer.lower": "Niedriger als bei der letzten Prüfung ({reading} am {date}).",
+  "odometer.saveAnyway": "Kilometerstand: {warning} Trotzdem speichern?",
+
+  "audit.severity": "Bewertung",
+  "audit.note": "Notiz",
+  "audit.done": "erledigt",
+  "audit.photos": "Fotos",
+
+  "photos.remove": "Foto entfernen",
+  "photos.storeFailed": "Das Foto konnte auf diesem Gerät nicht gespeichert werden.",
+  "photos.camera": "Kamera",
+  "photos.add": "Fotos hinzufügen",
+
+  "item.describeIssue": "Mangel beschreiben",
+  "item.addNote": "Notiz hinzufügen",
+
+  "amend.originallyEntered": "Ursprünglich eingegeben: {value}",
+  "amend.by": "Geändert von",
+  "amend.changes": "{n} Änderung(en) in dieser Korrektur",
+  "amend.noChanges": "Noch keine Änderungen",
+  "amend.save": "Korrektur speichern",
+
+  "storage.saveFailed": "Speichern fehlgeschlagen",
+  "storage.loadFailed": "Gespeicherte Daten konnten nicht geladen werden: {message}",
+  "storage.loading": "Gespeicherte Daten werden geladen…",
+  "storage.usage": "{used} MB von {quota} MB belegt, die dieser App zur Verfügung stehen.",
+  "storage.quota": "Speichern nicht möglich ({what}): Der Speicher ist voll. Exportiere eine Sicherung und lösche dann alte Prüfungen oder Fotos.",
+  "storage.write": "Speichern nicht möglich ({what}): {error}",
+  "storage.what.checks": "deine Prüfungen",
+  "storage.what.profile": "dein Profil",
+
+  "schema.type": "{expected} erwartet, {actual} erhalten",
+  "schema.enum": "muss einer von {allowed} sein, {actual} erhalten",
+  "schema.missing": "fehlt",
+  "schema.kind": "erwartet wird eine \"data\"-Sicherung, eine einzelne \"check\"-Prüfung oder ein \"checks\"-Paket",
+  "schema.or": "oder",
+  "schema.more": "…und {n} weitere",
+
+  "notify.movedToIndexedDb": "Gespeicherte Daten nach IndexedDB verschoben",
+  "notify.reset": "Zurückgesetzt",
+  "notify.templatesSaved": "Vorlagen gespeichert",
+  "notify.defaultRestored": "Standardvorlage wiederhergestellt",
+  "notify.savedCheck": "Prüfung gespeichert",
+  "notify.deleted": "Gelöscht",
+  "notify.exportedChecks": "{n} Prüfung(en) exportiert",
+  "notify.exported": "Exportiert",
+  "notify.pdfChecks": "PDF mit {n} Prüfungen",
+  "notify.pdf": "PDF heruntergeladen",
+  "notify.exportedCsv": "{n} Prüfung(en) als CSV exportiert",
+  "notify.importedReplaced": "Importiert (ersetzt)",
+  "notify.merged": "Zusammengeführt: +{checks} Prüfung(en), +{vehicles} Fahrzeug(e)",
+  "notify.amended": "Korrigiert (Rev. {rev})",
+  "notify.exportedCheck": "Prüfung exportiert",
+  "notify.txt": "TXT heruntergeladen",
+  "notify.copied": "Kopiert",
+  "notify.shared": "Geteilt",
+  "notify.openedEmail": "E-Mail geöffnet",
+  "notify.copiedMailtoBlocked": "Kopiert (mailto blockiert)",
+  "notify.defectStatus": "Mangel: {status}",
+  "notify.recorded": "{label} eingetragen",
+  "notify.calendarExported": "Kalender exportiert",
+  "notify.activeVehicle": "Aktives Fahrzeug gesetzt",
+  "notify.vehicleDeleted": "Fahrzeug gelöscht",
+  "notify.vehicleAdded": "Fahrzeug hinzugefügt",
+  "notify.vehicleUpdated": "Fahrzeug aktualisiert",
+  "notify.signed": "Unterschrift gespeichert",
+  "notify.countersigned": "Gegengezeichnet – die Prüfung ist jetzt gesperrt",
+  "notify.submitted": "Zur Freigabe eingereicht",
+  "notify.approved": "Prüfung freigegeben",
+  "notify.rejected": "Prüfung abgelehnt",
+
+  "history.confirmDelete": "Diese gespeicherte Prüfung löschen?",
+  "history.title": "Gespeicherte Prüfungen",
+  "history.subtitle": "Dein Verlauf (lokal auf diesem Gerät gespeichert).",
+  "history.none": "Noch keine gespeicherten Prüfungen.",
+  "history.search": "Notizen und Punkte durchsuchen…",
+  "history.from": "Von",
+  "history.to": "Bis",
+  "history.issuesOnly": "Nur mit Mängeln",
+  "history.countFiltered": "{n} von {total} Prüfungen",
+  "history.count": "{n} Prüfungen",
+  "history.csvChecksTitle": "Eine Zeile pro Prüfung",
+  "history.csvChecks": "CSV (Prüfungen)",
+  "history.csvFindingsTitle": "Eine Zeile pro Hinweis/Mangel",
+  "history.csvFindings": "CSV (Befunde)",
+  "csv.date": "Datum",
+  "csv.vehicle": "Fahrzeug",
+  "csv.vehicleId": "Fahrzeug-ID",
+  "csv.odometer": "Kilometerstand",
+  "csv.unit": "Einheit",
+  "csv.itemsDone": "Punkte erledigt",
+  "csv.itemsTotal": "Punkte gesamt",
+  "csv.issues": "Mängel",
+  "csv.generalNotes": "Allgemeine Notizen",
+  "csv.template": "Vorlage",
+  "csv.revisions": "Revisionen",
+  "csv.status": "Status",
+  "csv.checkId": "Prüfungs-ID",
+  "csv.section": "Abschnitt",
+  "csv.item": "Punkt",
+  "csv.severity": "Bewertung",
+  "csv.note": "Notiz",
+  "csv.done": "Erledigt",
+  "csv.photos": "Fotos",
+  "history.pdfTitle": "Ein gemeinsames PDF der angezeigten Prüfungen",
+  "history.selected": "{n} ausgewählt",
+  "history.exportSelectedTitle": "Ausgewählte Prüfungen mit ihren Fahrzeugprofilen",
+  "history.exportSelected": "Auswahl exportieren",
+  "history.pdfSelected": "Auswahl als PDF",
+  "history.clearSelection": "Auswahl aufheben",
+  "history.exportShown": "Angezeigte exportieren",
+  "history.clearFilters": "Filter zurücksetzen",
+  "history.noMatch": "Keine Prüfungen passen zu diesen Filtern.",
+  "history.selectAll": "Alle {n} angezeigten auswählen",
+  "history.actions": "Aktionen",
+  "history.view": "Ansehen",
+  "history.range": "{from}–{to} von {total}",
+  "history.prev": "Zurück",
+  "history.next": "Weiter",
+
+  "pdf.failed": "PDF konnte nicht erstellt werden.",
+  "pdf.creating": "PDF wird erstellt…",
+  "pdf.download": "PDF herunterladen",
+
+  "import.invalid": "Ungültige Importdatei",
+  "import.notJson": "Die Datei ist kein gültiges JSON.",
+  "import.schemaMismatch": "Die Datei entspricht nicht dem Exportformat:\n{errors}",
+  "import.failed": "Import fehlgeschlagen: {message}",
+  "import.photosFailed": "Einige Fotos aus der Datei konnten nicht gespeichert werden.",
+
+  "share.copyFailed": "Kopieren fehlgeschlagen. Versuche Export oder TXT herunterladen.",
+  "share.sendFailed": "Senden fehlgeschlagen. Nutze Kopieren / Export / TXT herunterladen.",
+
+  "hub.notSet": "Zuerst HUB_URL im Code setzen.",
+
+  "preview.title": "Druckvorschau",
+  "preview.print": "Drucken / PDF speichern",
+
+  "saved.title": "Gespeicherte Prüfung",
+  "saved.export": "Exportieren",
+  "saved.copy": "Kopieren",
+  "saved.send": "Senden",
+  "saved.backToReport": "Zurück zum Bericht",
+  "saved.amend": "Korrigieren",
+
+  "migration.title": "Gespeicherte Daten aktualisiert (Schema v{from} → v{to})",
+  "migration.step.templateLibrary": "Vorlagenbibliothek",
+  "migration.step.stableIds": "Stabile Punkt-IDs",
+  "migration.step.defects": "Mängelliste",
+  "migration.step.odometer": "Numerischer Kilometerstand",
+  "migration.step.itemKeys": "Übersetzbare Punkte",
+  "migration.step.approval": "Freigabestatus",
+  "migration.change.templateMoved": "einzelne Vorlage in die Vorlagenbibliothek verschoben",
+  "migration.change.checksLinked": "{n} Prüfung(en) mit der Standardvorlage verknüpft",
+  "migration.change.templateIds": "{n} Abschnitt(en)/Punkt(en) der Vorlagen stabile IDs zugewiesen",
+  "migration.change.checkIds": "Punkte von {n} gespeicherten Prüfung(en) stabilen IDs zugeordnet",
+  "migration.change.defectsOpened": "{n} Mängel aus der letzten Prüfung je Fahrzeug eröffnet",
+  "migration.change.odometerConverted": "{n} Kilometerstände in Zahlen umgewandelt",
+  "migration.change.odometerKept": "{n} Kilometerstände konnten nicht gelesen werden und bleiben als Text erhalten",
+  "migration.change.templateKeys": "Übersetzungsschlüssel zu {n} Vorlagenpunkt(en) hinzugefügt",
+  "migration.change.checkKeys": "Übersetzungsschlüssel zu den Punkten von {n} gespeicherten Prüfung(en) hinzugefügt",
+  "migration.change.markedDraft": "{n} gespeicherte Prüfung(en) als Entwurf markiert",
+  "migration.change.defaultAdded": "Standardvorlage hinzugefügt",
+  "migration.change.defaultRefreshed": "Standardvorlage Rev. {from} → {to} (+{added} / -{removed} Punkte)",
+
+  "app.tagline": "Sicherheitscheckliste für dein Fahrzeug",
+  "app.language": "Sprache",
+  "pwa.online": "Online",
+  "pwa.offline": "Offline",
+  "pwa.onlineHint": "Verbunden. Einmal geladen, funktioniert die App auch ohne Verbindung.",
+  "pwa.offlineHint": "Keine Verbindung. Prüfungen werden weiter auf diesem Gerät gespeichert.",
+  "pwa.updateTitle": "Eine neue Version ist verfügbar",
+  "pwa.updateHint": "Lade neu, um zu wechseln. Deine gespeicherten Daten und der aktuelle Entwurf bleiben erhalten.",
+  "pwa.reload": "Neu laden",
+  "pwa.later": "Später",
+
+  "header.hubTitle": "Zurück zum ToolStack-Hub",
+  "header.preview": "Vorschau",
+  "header.import": "Importieren",
+
+  "profile.title": "Fahrzeugprofil",
+  "profile.activeVehicle": "Aktives Fahrzeug",
+  "profile.noVehicles": "Noch keine Fahrzeuge",
+  "profile.unfinished": "unvollständig",
+  "profile.openDefects": "{n} offene(r) Mangel/Mängel",
+  "profile.addToStart": "Lege zuerst ein Fahrzeugprofil an.",
+  "profile.manage": "Fahrzeuge verwalten",
+  "profile.add": "Fahrzeug hinzufügen",
+  "profile.defects": "Mängelregister",
+  "profile.mileage": "Laufleistungsverlauf",
+  "profile.hint": "Hinzugefügte Fahrzeuge werden als Profil gespeichert und können jederzeit bearbeitet werden.",
+
+  "settings.button": "Organisation & Prüfer",
+  "settings.title": "Organisation & Prüfer",
+  "settings.subtitle": "Erscheint auf Berichten, Ausdrucken und PDF-Exporten",
+  "settings.org": "Name der Organisation",
+  "settings.address": "Adresse",
+  "settings.inspector": "Name des Prüfers",
+  "settings.reviewer": "Name des Freigebers (gibt Prüfungen frei)",
+  "settings.logo": "Logo",
+  "settings.noLogo": "Kein Logo",
+  "settings.uploadLogo": "Logo hochladen",
+  "settings.removeLogo": "Logo entfernen",
+  "settings.logoHint": "PNG oder JPEG. Wird auf {px} px verkleinert und mit deinem Profil auf diesem Gerät gespeichert.",
+  "settings.logoError": "Das Bild konnte nicht gelesen werden.",
+
+  "signature.title": "Bericht unterschreiben",
+  "signature.name": "Name",
+  "signature.draw": "Unterschrift",
+  "signature.drawHint": "Unterschreibe mit dem Finger, einem Stift oder der Maus.",
+  "signature.locksHint": "Die Gegenzeichnung sperrt diese Prüfung: Sie kann danach nicht mehr geändert oder neu unterschrieben werden.",
+  "signature.clear": "Löschen",
+  "signature.save": "Unterschrift speichern",
+  "signature.sign": "Unterschreiben",
+  "signature.remove": "Entfernen",
+  "signature.signedAt": "Unterschrieben {at}",
+  "signature.locked": "Gegengezeichnete Prüfungen sind für Änderungen gesperrt.",
+  "signature.lockedPill": "Gegengezeichnet • gesperrt",
+  "signature.needsPreparer": "Zuerst unterschreibt der Ersteller.",
+  "signature.confirmAmend": "Diese Prüfung ist vom Ersteller unterschrieben. Eine Änderung entfernt diese Unterschrift. Fortfahren?",
+  "signature.confirmRemove": "Diese Unterschrift entfernen?",
+
+  "approval.status": "Status",
+  "approval.status.draft": "Entwurf",
+  "approval.status.submitted": "Wartet auf Freigabe",
+  "approval.status.approved": "Freigegeben",
+  "approval.status.rejected": "Abgelehnt",
+  "approval.comment": "Kommentar des Prüfers",
+  "approval.submit": "Zur Freigabe einreichen",
+  "approval.approve": "Freigeben",
+  "approval.reject": "Ablehnen",
+  "approval.rejectPrompt": "Warum wird diese Prüfung abgelehnt? Der Kommentar wird dem Fahrer angezeigt.",
+  "approval.commentRequired": "Eine Ablehnung braucht einen Kommentar.",
+  "approval.needReviewer": "Trag zuerst unter Organisation & Prüfer einen Freigeber- oder Prüfernamen ein.",
+  "approval.rejectedBy": "Abgelehnt von {name} • {at}",
+  "approval.queue": "Wartet auf Freigabe ({n})",
+  "approval.queueTitle": "Nur Prüfungen zeigen, die auf eine Freigabe warten",
+
+  "drivers.title": "Fahrer",
+  "drivers.hint": "Personen, die sich dieses Gerät teilen. Eine PIN verhindert, dass Fahrer sich versehentlich gegenseitig auswählen.",
+  "drivers.current": "Fahrer",
+  "drivers.nobody": "Kein Fahrer",
+  "drivers.allDrivers": "Alle Fahrer",
+  "drivers.add": "Fahrer hinzufügen",
+  "drivers.newPlaceholder": "Name des Fahrers",
+  "drivers.confirmRemove": "{name} aus der Liste entfernen? Gespeicherte Prüfungen behalten den Namen.",
+  "drivers.pin": "PIN",
+  "drivers.pinSet": "PIN gesetzt",
+  "drivers.setPin": "PIN festlegen",
+  "drivers.changePin": "PIN ändern",
+  "drivers.clearPin": "PIN entfernen",
+  "drivers.savePin": "PIN speichern",
+  "drivers.pinPlaceholder": "4–8 Ziffern",
+  "drivers.pinInvalid": "Eine PIN hat 4 bis 8 Ziffern.",
+  "drivers.pinWrong": "Falsche PIN.",
+  "drivers.pinUnavailable": "PINs brauchen eine sichere (https-)Verbindung.",
+  "drivers.switchTo": "Fahrer wechseln",
+  "drivers.unlock": "Wechseln",
+  "drivers.switched": "Du prüfst jetzt als {name}",
+
+  "sync.button": "Synchronisieren",
+  "sync.title": "Mit einem Server synchronisieren",
+  "sync.subtitle": "Optional",
+  "sync.intro": "Teile Prüfungen, Fahrzeuge und Vorlagen über deinen eigenen Sync-Server zwischen Geräten. Offline gemachte Änderungen werden gesendet, sobald wieder eine Verbindung besteht. Fotos bleiben auf dem Gerät, das sie aufgenommen hat.",
+  "sync.endpoint": "Serveradresse",
+  "sync.token": "Zugangstoken (falls der Server eins verlangt)",
+  "sync.enabled": "Dieses Gerät automatisch synchronisieren",
+  "sync.pending": "Noch nicht gesendete Änderungen",
+  "sync.lastSync": "Letzte Synchronisierung",
+  "sync.never": "noch nie",
+  "sync.error": "Letzter Versuch fehlgeschlagen: {error}",
+  "sync.error.network": "der Server war nicht erreichbar",
+  "sync.error.timeout": "der Server hat nicht rechtzeitig geantwortet",
+  "sync.error.auth": "der Server hat das Zugangstoken abgelehnt",
+  "sync.error.tooLarge": "zu viele Daten für eine Anfrage",
+  "sync.error.server": "der Server hat einen Fehler gemeldet",
+  "sync.error.badResponse": "die Antwort des Servers war keine Sync-Antwort",
+  "sync.offline": "Offline – Änderungen bleiben gespeichert, bis wieder eine Verbindung besteht.",
+  "sync.now": "Jetzt synchronisieren",
+  "sync.syncing": "Synchronisiere…",
+  "sync.reset": "Neu beginnen",
+  "sync.confirmReset": "Vergessen, was mit dem Server ausgetauscht wurde? Die nächste Synchronisierung sendet alle Daten dieses Geräts erneut.",
+  "sync.resetDone": "Sync-Status zurückgesetzt",
+  "sync.done": "Synchronisiert: {pushed} gesendet, {pulled} empfangen",
+  "sync.failed": "Synchronisierung fehlgeschlagen",
+  "sync.rejected": "Synchronisiert – {n} Datensätze vom Server wurden übersprungen, weil sie beschädigt sind oder ein unbekanntes Format haben",
+  "sync.overwritten": "Synchronisiert – {n} lokale Änderungen wurden durch neuere Stände von einem anderen Gerät ersetzt",
+  "sync.upToDate": "Synchron",
+  "sync.pendingPill": "{n} zu senden",
+  "sync.failedPill": "Sync fehlgeschlagen",
+
+  "status.done": "{n} erledigt",
+  "status.total": "{n} gesamt",
+  "status.issues": "{n} Mängel",
+  "status.module": "Modul",
+
+  "check.title": "Neue Fahrzeugprüfung",
+  "check.lastReading": "zuletzt {reading}",
+  "check.odometerExample": "z. B. 123456",
+  "check.resumed": "Unvollständige Prüfung fortgesetzt",
+  "check.lastEdited": "zuletzt bearbeitet {at}",
+  "check.startFresh": "Neu beginnen",
+  "check.otherDrafts": "Unvollständige Prüfungen bei anderen Fahrzeugen:",
+  "check.notesPlaceholder": "Was heute am Fahrzeug wichtig ist",
+  "check.reset": "Zurücksetzen",
+  "check.save": "Prüfung speichern",
+
+  "fuel.95 Super": "95 Super",
+  "fuel.95 E10": "95 E10",
+  "fuel.98 Super Plus": "98 Super Plus",
+  "fuel.Diesel": "Diesel",
+  "fuel.Hybrid": "Hybrid",
+  "fuel.Plug-in-Hybrid": "Plug-in-Hybrid",
+  "fuel.Elektro": "Elektro",
+  "fuel.Autogas (LPG)": "Autogas (LPG)",
+  "fuel.Erdgas (CNG)": "Erdgas (CNG)",
+  "fuel.Wasserstoff": "Wasserstoff",
+  "fuel.Sonstiges": "Sonstiges",
+
+  "checklist.template.default": "Standard-Fahrzeugcheck",
+  "checklist.section.exterior": "Außen",
+  "checklist.section.interior": "Innenraum",
+  "checklist.section.safety": "Sicherheit",
+  "checklist.section.vehicle_status": "Fahrzeugzustand",
+  "checklist.item.tyres": "Reifen (Druck / Zustand)",
+  "checklist.item.lights": "Beleuchtung (alles funktioniert)",
+  "checklist.item.windows_mirrors": "Scheiben / Spiegel sauber",
+  "checklist.item.body_damage": "Karosserie auf Schäden prüfen",
+  "checklist.item.cabin_clean": "Innenraum sauber",
+  "checklist.item.cabin_damage": "Schäden im Innenraum",
+  "checklist.item.documents": "Papiere vorhanden (Fahrzeugschein/Versicherung)",
+  "checklist.item.charging_cables": "Ladekabel / Zubehör",
+  "checklist.item.warning_triangle": "Warndreieck",
+  "checklist.item.hi_vis_vest": "Warnweste",
+  "checklist.item.first_aid_kit": "Verbandkasten",
+  "checklist.item.spare_tyre": "Ersatzrad / Pannenset",
+  "checklist.item.jack_tools": "Wagenheber & Werkzeug",
+  "checklist.item.oil_level": "Ölstand",
+  "checklist.item.coolant_level": "Kühlmittelstand",
+  "checklist.item.warning_lights": "Keine Warnleuchten",
+  "checklist.item.wipers_washer": "Wischer / Waschwasser",
+  "checklist.item.adblue": "AdBlue-Stand (falls vorhanden)",
+};
@@ -0,0 +1,608 @@
+// English messages. Keys are grouped by area; keep both catalogs in sync.
+
+export default {
+  "severity.ok": "OK",
+  "severity.note": "Note",
+  "severity.issue": "Issue",
+
+  "report.title": "Vehicle Check Report",
+  "report.date": "Date",
+  "report.vehicle": "Vehicle",
+  "report.odometerUnit": "Odometer unit",
+  "report.odometer": "Odometer",
+  "report.items": "Items",
+  "report.issues": "Issues",
+  "report.generalNotes": "General notes",
+  "report.photoCount": "{n} photo(s)",
+  "report.findings": "Findings",
+  "report.textTip": "Tip: Open this check in the app and use Preview → Print/Save PDF to attach a clean PDF.",
+  "report.emailSubject": "Vehicle Check",
+  "report.generated": "Generated: {at}",
+  "report.preparedBy": "Prepared by",
+  "report.summary": "Summary",
+  "report.done": "Done",
+  "report.revisions": "Revision history",
+  "report.rev": "Rev {rev}",
+  "report.signature": "Signature",
+  "report.approvedBy": "Approved by",
+  "report.storageKey": "Storage key:",
+  "report.noFindings": "No issues or notes recorded.",
+  "report.checklist": "Checklist",
+  "report.signatureDate": "Signature / date",
+  "report.page": "Page {n} / {total}",
+
+  "common.andMore": "…and {n} more",
+  "common.close": "Close",
+  "common.storedIn": "Stored in",
+  "common.back": "Back",
+  "common.edit": "Edit",
+  "common.delete": "Delete",
+  "common.remove": "Remove",
+  "common.cancel": "Cancel",
+  "common.save": "Save",
+  "common.moveUp": "Move up",
+  "common.moveDown": "Move down",
+  "common.allVehicles": "All vehicles",
+  "common.at": "at {reading}",
+  "common.confirm": "Confirm",
+  "common.yes": "yes",
+  "common.no": "no",
+  "common.saving": "Saving…",
+  "common.unknownError": "unknown error",
+  "common.dismiss": "Dismiss",
+
+  "help.action.preview": "Preview",
+  "help.action.preview.desc": "Shows a clean report sheet inside the app (print-safe).",
+  "help.action.downloadPdf": "Download PDF",
+  "help.action.downloadPdf.desc": "Creates a PDF report file directly (also one combined PDF of the filtered history).",
+  "help.action.print": "Print / Save PDF",
+  "help.action.print.desc": "Uses your browser print dialog to print or save a PDF.",
+  "help.action.export": "Export",
+  "help.action.export.desc": "Downloads a JSON backup file of your saved data (photos included).",
+  "help.action.import": "Import",
+  "help.action.import.desc": "Loads a JSON backup, check bundle or check file, shows a preview and merges it (conflicts: keep ours or take theirs).",
+  "help.action.exportSelected": "Export selected",
+  "help.action.exportSelected.desc": "Tick checks in the history to export them as one bundle with just their vehicles.",
+  "help.action.extra.desc": "Extra tool for this app.",
+  "help.title": "{app} — how your data works",
+  "help.quick.title": "Quick start (daily use)",
+  "help.quick.autosave": "Use the app normally — it autosaves as you type.",
+  "help.quick.preview": "Use **Preview** → then **Print / Save PDF** for a clean report.",
+  "help.quick.export": "Use **Export** regularly to create backups.",
+  "help.data.title": "Where your data lives (important)",
+  "help.data.intro": "Your data is saved automatically in your browser on **this device** using the browser database (IndexedDB).",
+  "help.data.idb": "Checks and item photos are stored in IndexedDB; the shared profile stays in localStorage.",
+  "help.data.login": "No login is required (for now).",
+  "help.data.device": "If you switch device/browser/profile, your data will not follow automatically.",
+  "help.backup.title": "Backup routine (recommended)",
+  "help.backup.weekly": "Export after major changes, or at least **weekly**.",
+  "help.backup.keep": "Keep 2–3 older exports as a fallback.",
+  "help.backup.where": "Save exports somewhere safe (Drive/Dropbox/OneDrive) or email them to yourself.",
+  "help.restore.title": "Restore / move to a new device (Import)",
+  "help.restore.intro": "On a new device/browser (or after clearing site data), use **Import** and select your latest exported JSON.",
+  "help.restore.merge": "Import shows a preview first and merges the file into your data; a backup can also replace everything.",
+  "help.restore.older": "If an import fails, try an older export (versions can differ).",
+  "help.glossary.title": "Buttons glossary (same meaning across ToolStack)",
+  "help.erase.title": "What can erase local data",
+  "help.erase.history": "Clearing browser history / site data.",
+  "help.erase.private": "Private/incognito mode.",
+  "help.erase.cleanup": "Some “cleanup/optimizer” tools.",
+  "help.erase.reinstall": "Reinstalling the browser or using a different browser profile.",
+  "help.keys.title": "Storage key (for troubleshooting)",
+  "help.keys.storage": "Storage key (IndexedDB)",
+  "help.keys.profile": "Shared profile key",
+  "help.keys.drafts": "Unfinished checks",
+  "help.privacy.title": "Privacy",
+  "help.privacy.body": "By default, your data stays on your device. It only leaves your device if you export it or share it yourself.",
+  "help.gotIt": "Got it",
+  "help.button": "Help",
+
+  "vehicles.subtitle": "Vehicle profiles • stored locally",
+  "vehicles.manage": "Manage vehicles",
+  "vehicles.add": "Add vehicle",
+  "vehicles.edit": "Edit vehicle",
+  "vehicles.yours": "Your vehicles",
+  "vehicles.none": "No vehicles yet. Click “Add vehicle”.",
+  "vehicles.tuv": "TÜV",
+  "vehicles.service": "Service",
+  "vehicles.template": "Template",
+  "vehicles.active": "Active",
+  "vehicles.setActive": "Set active",
+  "vehicles.howTitle": "How it works",
+  "vehicles.howBody": "Vehicle profiles are saved in your browser on this device. You can edit them anytime, and pick the **Active vehicle** for the next checks.",
+  "vehicles.howTip": "Tip: keep plate + make/model filled so the labels stay clean in your history and reports.",
+  "vehicles.plate": "Number plate",
+  "vehicles.platePlaceholder": "e.g., M-AB 1234",
+  "vehicles.fuel": "Fuel type",
+  "vehicles.checklistTemplate": "Checklist template",
+  "vehicles.odometerUnit": "Odometer unit",
+  "vehicles.make": "Make",
+  "vehicles.makePlaceholder": "e.g., BMW",
+  "vehicles.model": "Model",
+  "vehicles.modelPlaceholder": "e.g., 530i",
+  "vehicles.tuvUntil": "TÜV valid until",
+  "vehicles.serviceDue": "Service due",
+  "vehicles.year": "Year",
+  "vehicles.yearPlaceholder": "e.g., 2023",
+  "vehicles.vin": "VIN (optional)",
+  "vehicles.vinPlaceholder": "Vehicle Identification Number",
+  "vehicles.notes": "Notes (optional)",
+  "vehicles.notesPlaceholder": "Anything useful (tyre size, quirks, etc.)",
+  "vehicles.required": "Please enter at least a number plate or make/model.",
+  "vehicles.confirmDelete": "Delete vehicle: {name}?",
+  "vehicles.needPlateOrModel": "Please enter at least a number plate or make/model.",
+  "vehicles.missingId": "Edit failed: missing vehicle id",
+
+  "templates.default": "Default",
+  "templates.untitled": "Untitled",
+  "templates.fallbackNote": "{n} vehicle(s) will fall back to the default template.",
+  "templates.confirmDelete": "Delete template \"{name}\"?",
+  "templates.confirmDeleteSection": "Delete section \"{name}\" and its {n} item(s)?",
+  "templates.subtitle": "Checklist templates • {n} stored",
+  "templates.edit": "Edit templates",
+  "templates.restoreDefault": "Restore default",
+  "templates.template": "Template",
+  "templates.rev": "rev {rev}",
+  "templates.name": "Name",
+  "templates.namePlaceholder": "e.g., EV / Van",
+  "templates.new": "New",
+  "templates.newName": "New template",
+  "templates.duplicate": "Duplicate",
+  "templates.copyName": "{name} (copy)",
+  "templates.counts": "{sections} sections • {items} items",
+  "templates.usedBy": "Used by {n} vehicle(s)",
+  "templates.noSections": "No sections yet. Click “Add section”.",
+  "templates.sectionTitle": "Section title",
+  "templates.itemLabel": "Item label",
+  "templates.deleteItem": "Delete item",
+  "templates.addItem": "Add item",
+  "templates.addSection": "Add section",
+  "templates.footer": "Empty items are dropped on save. Saved checks keep their own copy.",
+  "templates.save": "Save templates",
+  "templates.confirmRestore": "Replace the default template with the built-in checklist?",
+
+  "service.intervals": "Service intervals",
+  "service.addInterval": "Add interval",
+  "service.defaultName": "Oil service",
+  "service.example": "E.g. oil service every 15,000 {unit} or 12 months, whichever comes first.",
+  "service.name": "Name",
+  "service.everyDistance": "Every ({unit})",
+  "service.everyMonths": "Every (months)",
+  "service.lastDone": "Last done",
+  "service.at": "At ({unit})",
+
+  "defects.status.open": "Open",
+  "defects.status.repair": "In repair",
+  "defects.status.resolved": "Resolved",
+  "defects.enterResolver": "Enter who resolved the defect.",
+  "defects.subtitle": "Defects register • {n} open",
+  "defects.title": "Defects",
+  "defects.showResolved": "Show resolved",
+  "defects.none": "No defects to show.",
+  "defects.opened": "opened {date}",
+  "defects.lastSeen": "last seen {date}",
+  "defects.resolvedBy": "Resolved {date} by {name}",
+  "defects.reopen": "Reopen",
+  "defects.resolver": "Resolved by",
+  "defects.markRepair": "Mark in repair",
+  "defects.backToOpen": "Back to open",
+  "defects.resolve": "Resolve…",
+  "defects.openSince": "Open defect since {date}",
+
+  "importReview.issues": "issues {n}",
+  "importReview.checks": "Checks",
+  "importReview.vehicles": "Vehicles",
+  "importReview.templates": "Templates",
+  "importReview.subtitle": "Import preview • {name}",
+  "importReview.kind.full": "backup",
+  "importReview.kind.checks": "check bundle",
+  "importReview.kind.check": "single check",
+  "importReview.title": "Merge import",
+  "importReview.intro": "Nothing has been changed yet. Your data is kept; new records from the file are added.",
+  "importReview.new": "+{n} new",
+  "importReview.same": "{n} already here",
+  "importReview.conflictCount": "{n} conflict(s)",
+  "importReview.matchedByPlate": "{n} vehicle(s) matched by plate; their checks are filed under your vehicle.",
+  "importReview.conflicts": "Conflicts ({n})",
+  "importReview.keepAllOurs": "Keep all ours",
+  "importReview.takeAllTheirs": "Take all theirs",
+  "importReview.checkConflict": "Check {date} • {vehicle}",
+  "importReview.vehicleConflict": "Vehicle {vehicle}",
+  "importReview.matchedBy.id": "matched by id",
+  "importReview.matchedBy.plate": "matched by plate",
+  "importReview.differsIn": "differs in: {fields}",
+  "importReview.keepOurs": "Keep ours",
+  "importReview.takeTheirs": "Take theirs",
+  "importReview.ours": "Ours:",
+  "importReview.theirs": "Theirs:",
+  "importReview.empty": "Everything in this file is already here.",
+  "importReview.confirmReplace": "Replace ALL current checks, vehicles and templates with this file?",
+  "importReview.replace": "Replace everything instead",
+  "importReview.merge": "Merge",
+  "importReview.takenFromFile": "{n} taken from file",
+
+  "reminders.kind.tuv": "TÜV",
+  "reminders.kind.service": "Service",
+  "reminders.status.overdue": "Overdue",
+  "reminders.status.urgent": "Due very soon",
+  "reminders.status.soon": "Due soon",
+  "reminders.status.ok": "Scheduled",
+  "reminders.daysOverdue": "{n} day(s) overdue",
+  "reminders.dueToday": "due today",
+  "reminders.inDays": "in {n} day(s)",
+  "reminders.distanceOver": "{at} ({distance} over)",
+  "reminders.distanceLeft": "{at} ({distance} left)",
+  "reminders.ics.summary": "{label} due — {vehicle}",
+  "reminders.ics.description": "{label} for {vehicle} is due on {date}.",
+  "reminders.ics.descriptionDistance": "{label} for {vehicle} is due on {date} or {distance}, whichever comes first.",
+  "reminders.subtitle": "Fleet • {overdue} overdue • {soon} due soon",
+  "reminders.title": "TÜV & service reminders",
+  "reminders.exportIcs": "Export .ics",
+  "reminders.warnDays": "Warn (days before)",
+  "reminders.urgentDays": "Urgent (days before)",
+  "reminders.warnDistance": "Warn (distance left)",
+  "reminders.showAll": "Show all dates",
+  "reminders.nothingDue": "Nothing due in the next {n} days.",
+  "reminders.noDates": "No TÜV or service dates set. Add them in the vehicle profiles.",
+  "reminders.type": "Type",
+  "reminders.due": "Due",
+  "reminders.status": "Status",
+  "reminders.orDistance": "or {distance}",
+  "reminders.projected": "projected from mileage",
+  "reminders.markDone": "Mark done",
+  "reminders.promptDone": "{label} done today — odometer ({unit})?",
+  "reminders.overdueBanner": "{n} overdue TÜV/service date(s)",
+  "reminders.button": "Reminders",
+
+  "mileage.subtitle": "{n} reading(s) • {total} recorded",
+  "mileage.title": "Mileage — {vehicle}",
+  "mileage.none": "No saved checks with an odometer reading yet.",
+  "mileage.perMonth": "Distance per month",
+  "mileage.reading": "Reading",
+  "mileage.distance": "Distance",
+  "mileage.perDay": "Per day",
+
+  "odometer.notANumber": "Enter the odometer as a number, e.g. 123456.",
+  "odometer.lower": "Lower than the previous check ({reading} on {date}).",
+  "odometer.saveAnyway": "Odometer {warning} Save anyway?",
+
+  "audit.severity": "severity",
+  "audit.note": "note",
+  "audit.done": "done",
+  "audit.photos": "photos",
+
+  "photos.remove": "Remove photo",
+  "photos.storeFailed": "Photo could not be stored on this device.",
+  "photos.camera": "Camera",
+  "photos.add": "Add photos",
+
+  "item.describeIssue": "Describe the issue",
+  "item.addNote": "Add a note",
+
+  "amend.originallyEntered": "Originally entered: {value}",
+  "amend.by": "Amended by",
+  "amend.changes": "{n} change(s) in this amendment",
+  "amend.noChanges": "No changes yet",
+  "amend.save": "Save amendment",
+
+  "storage.saveFailed": "Saving failed",
+  "storage.loadFailed": "Saved data could not be loaded: {message}",
+  "storage.loading": "Loading saved data…",
+  "storage.usage": "Using {used} MB of {quota} MB available to this app.",
+  "storage.quota": "Storage is full — {what} could not be saved. Export a backup, then delete old checks or photos.",
+  "storage.write": "{what} could not be saved: {error}",
+  "storage.what.checks": "Your checks",
+  "storage.what.profile": "Your profile",
+
+  "schema.type": "expected {expected}, got {actual}",
+  "schema.enum": "must be one of {allowed}, got {actual}",
+  "schema.missing": "is missing",
+  "schema.kind": "expected a \"data\" backup, a single \"check\" or a \"checks\" bundle",
+  "schema.or": "or",
+  "schema.more": "…and {n} more",
+
+  "notify.movedToIndexedDb": "Moved saved data to IndexedDB",
+  "notify.reset": "Reset",
+  "notify.templatesSaved": "Templates saved",
+  "notify.defaultRestored": "Default template restored",
+  "notify.savedCheck": "Saved check",
+  "notify.deleted": "Deleted",
+  "notify.exportedChecks": "Exported {n} check(s)",
+  "notify.exported": "Exported",
+  "notify.pdfChecks": "PDF with {n} checks",
+  "notify.pdf": "Downloaded PDF",
+  "notify.exportedCsv": "Exported {n} check(s) as CSV",
+  "notify.importedReplaced": "Imported (replaced)",
+  "notify.merged": "Merged: +{checks} check(s), +{vehicles} vehicle(s)",
+  "notify.amended": "Amended (rev {rev})",
+  "notify.exportedCheck": "Exported check",
+  "notify.txt": "Downloaded TXT",
+  "notify.copied": "Copied",
+  "notify.shared": "Shared",
+  "notify.openedEmail": "Opened email",
+  "notify.copiedMailtoBlocked": "Copied (mailto blocked)",
+  "notify.defectStatus": "Defect: {status}",
+  "notify.recorded": "{label} recorded",
+  "notify.calendarExported": "Calendar exported",
+  "notify.activeVehicle": "Active vehicle set",
+  "notify.vehicleDeleted": "Vehicle deleted",
+  "notify.vehicleAdded": "Vehicle added",
+  "notify.vehicleUpdated": "Vehicle updated",
+  "notify.signed": "Signature saved",
+  "notify.countersigned": "Countersigned — the check is now locked",
+  "notify.submitted": "Submitted for approval",
+  "notify.approved": "Check approved",
+  "notify.rejected": "Check rejected",
+
+  "history.confirmDelete": "Delete this saved check?",
+  "history.title": "Saved checks",
+  "history.subtitle": "Your history (stored locally on this device).",
+  "history.none": "No saved checks yet.",
+  "history.search": "Search notes and items…",
+  "history.from": "From",
+  "history.to": "To",
+  "history.issuesOnly": "With issues only",
+  "history.countFiltered": "{n} of {total} checks",
+  "history.count": "{n} checks",
+  "history.csvChecksTitle": "One row per check",
+  "history.csvChecks": "CSV (checks)",
+  "history.csvFindingsTitle": "One row per note/issue",
+  "history.csvFindings": "CSV (findings)",
+  "csv.date": "Date",
+  "csv.vehicle": "Vehicle",
+  "csv.vehicleId": "Vehicle ID",
+  "csv.odometer": "Odometer",
+  "csv.unit": "Unit",
+  "csv.itemsDone": "Items done",
+  "csv.itemsTotal": "Items total",
+  "csv.issues": "Issues",
+  "csv.generalNotes": "General notes",
+  "csv.template": "Template",
+  "csv.revisions": "Revisions",
+  "csv.status": "Status",
+  "csv.checkId": "Check ID",
+  "csv.section": "Section",
+  "csv.item": "Item",
+  "csv.severity": "Severity",
+  "csv.note": "Note",
+  "csv.done": "Done",
+  "csv.photos": "Photos",
+  "history.pdfTitle": "One combined PDF of the checks shown",
+  "history.selected": "{n} selected",
+  "history.exportSelectedTitle": "Selected checks with their vehicle profiles",
+  "history.exportSelected": "Export selected",
+  "history.pdfSelected": "PDF selected",
+  "history.clearSelection": "Clear selection",
+  "history.exportShown": "Export shown",
+  "history.clearFilters": "Clear filters",
+  "history.noMatch": "No checks match these filters.",
+  "history.selectAll": "Select all {n} shown",
+  "history.actions": "Actions",
+  "history.view": "View",
+  "history.range": "{from}–{to} of {total}",
+  "history.prev": "Prev",
+  "history.next": "Next",
+
+  "pdf.failed": "PDF could not be created.",
+  "pdf.creating": "Creating PDF…",
+  "pdf.download": "Download PDF",
+
+  "import.invalid": "Invalid import file",
+  "import.notJson": "The file is not valid JSON.",
+  "import.schemaMismatch": "The file does not match the export format:\n{errors}",
+  "import.failed": "Import failed: {message}",
+  "import.photosFailed": "Some photos from the file could not be stored.",
+
+  "share.copyFailed": "Copy failed. Try Export or Download TXT.",
+  "share.sendFailed": "Send failed. Use Copy / Export / Download TXT.",
+
+  "hub.notSet": "Set HUB_URL in the code first.",
+
+  "preview.title": "Print preview",
+  "preview.print": "Print / Save PDF",
+
+  "saved.title": "Saved check",
+  "saved.export": "Export",
+  "saved.copy": "Copy",
+  "saved.send": "Send",
+  "saved.backToReport": "Back to report",
+  "saved.amend": "Amend",
+
+  "migration.title": "Saved data updated (schema v{from} → v{to})",
+  "migration.step.templateLibrary": "Template library",
+  "migration.step.stableIds": "Stable item ids",
+  "migration.step.defects": "Defects register",
+  "migration.step.odometer": "Numeric odometer",
+  "migration.step.itemKeys": "Translatable items",
+  "migration.step.approval": "Approval status",
+  "migration.change.templateMoved": "moved the single template into the template library",
+  "migration.change.checksLinked": "linked {n} check(s) to the default template",
+  "migration.change.templateIds": "assigned stable ids to {n} template section(s)/item(s)",
+  "migration.change.checkIds": "matched items of {n} saved check(s) to stable ids",
+  "migration.change.defectsOpened": "opened {n} defect(s) from the latest check of each vehicle",
+  "migration.change.odometerConverted": "converted {n} odometer reading(s) to numbers",
+  "migration.change.odometerKept": "{n} odometer reading(s) could not be read and were kept as text",
+  "migration.change.templateKeys": "added translation keys to {n} template item(s)",
+  "migration.change.checkKeys": "added translation keys to the items of {n} saved check(s)",
+  "migration.change.markedDraft": "marked {n} saved check(s) as draft",
+  "migration.change.defaultAdded": "added the default template",
+  "migration.change.defaultRefreshed": "default template rev {from} → {to} (+{added} / -{removed} items)",
+
+  "app.tagline": "Safety inspection list for your vehicle",
+  "app.language": "Language",
+  "pwa.online": "Online",
+  "pwa.offline": "Offline",
+  "pwa.onlineHint": "Connected. The app also works without a connection once it has been loaded.",
+  "pwa.offlineHint": "No connection. Checks are still saved on this device.",
+  "pwa.updateTitle": "A new version is available",
+  "pwa.updateHint": "Reload to switch. Your saved data and the current draft are kept.",
+  "pwa.reload": "Reload",
+  "pwa.later": "Later",
+
+  "header.hubTitle": "Return to ToolStack hub",
+  "header.preview": "Preview",
+  "header.import": "Import",
+
+  "profile.title": "Vehicle profile",
+  "profile.activeVehicle": "Active vehicle",
+  "profile.noVehicles": "No vehicles yet",
+  "profile.unfinished": "unfinished",
+  "profile.openDefects": "{n} open defect(s)",
+  "profile.addToStart": "Add a vehicle profile to start.",
+  "profile.manage": "Manage vehicles",
+  "profile.add": "Add vehicle",
+  "profile.defects": "Defects register",
+  "profile.mileage": "Mileage timeline",
+  "profile.hint": "Once added, vehicles are saved as a profile and can be edited anytime.",
+
+  "settings.button": "Organisation & inspector",
+  "settings.title": "Organisation & inspector",
+  "settings.subtitle": "Shown on reports, printouts and PDF exports",
+  "settings.org": "Organisation name",
+  "settings.address": "Address",
+  "settings.inspector": "Inspector name",
+  "settings.reviewer": "Reviewer name (approves checks)",
+  "settings.logo": "Logo",
+  "settings.noLogo": "No logo",
+  "settings.uploadLogo": "Upload logo",
+  "settings.removeLogo": "Remove logo",
+  "settings.logoHint": "PNG or JPEG. Scaled down to {px} px and stored with your profile on this device.",
+  "settings.logoError": "That image could not be read.",
+
+  "signature.title": "Sign report",
+  "signature.name": "Name",
+  "signature.draw": "Signature",
+  "signature.drawHint": "Sign with your finger, a stylus or the mouse.",
+  "signature.locksHint": "Countersigning locks this check: it can no longer be amended or re-signed.",
+  "signature.clear": "Clear",
+  "signature.save": "Save signature",
+  "signature.sign": "Sign",
+  "signature.remove": "Remove",
+  "signature.signedAt": "Signed {at}",
+  "signature.locked": "Countersigned checks are locked against edits.",
+  "signature.lockedPill": "Countersigned • locked",
+  "signature.needsPreparer": "The preparer signs first.",
+  "signature.confirmAmend": "This check is signed by the preparer. Amending it removes that signature. Continue?",
+  "signature.confirmRemove": "Remove this signature?",
+
+  "approval.status": "Status",
+  "approval.status.draft": "Draft",
+  "approval.status.submitted": "Pending approval",
+  "approval.status.approved": "Approved",
+  "approval.status.rejected": "Rejected",
+  "approval.comment": "Reviewer comment",
+  "approval.submit": "Submit for approval",
+  "approval.approve": "Approve",
+  "approval.reject": "Reject",
+  "approval.rejectPrompt": "Why is this check rejected? The comment is shown to the driver.",
+  "approval.commentRequired": "A rejection needs a comment.",
+  "approval.needReviewer": "Enter a reviewer or inspector name under Organisation & inspector first.",
+  "approval.rejectedBy": "Rejected by {name} • {at}",
+  "approval.queue": "Pending approval ({n})",
+  "approval.queueTitle": "Show only checks waiting for a reviewer",
+
+  "drivers.title": "Drivers",
+  "drivers.hint": "People who share this device. A PIN stops drivers from picking each other by accident.",
+  "drivers.current": "Driver",
+  "drivers.nobody": "No driver",
+  "drivers.allDrivers": "All drivers",
+  "drivers.add": "Add driver",
+  "drivers.newPlaceholder": "Driver name",
+  "drivers.confirmRemove": "Remove {name} from the roster? Their saved checks keep the name.",
+  "drivers.pin": "PIN",
+  "drivers.pinSet": "PIN set",
+  "drivers.setPin": "Set PIN",
+  "drivers.changePin": "Change PIN",
+  "drivers.clearPin": "Remove PIN",
+  "drivers.savePin": "Save PIN",
+  "drivers.pinPlaceholder": "4–8 digits",
+  "drivers.pinInvalid": "A PIN has 4 to 8 digits.",
+  "drivers.pinWrong": "Wrong PIN.",
+  "drivers.pinUnavailable": "PINs need a secure (https) connection.",
+  "drivers.switchTo": "Switch driver",
+  "drivers.unlock": "Switch",
+  "drivers.switched": "Now checking as {name}",
+
+  "sync.button": "Sync",
+  "sync.title": "Sync with a server",
+  "sync.subtitle": "Optional",
+  "sync.intro": "Share checks, vehicles and templates between devices through your own sync server. Changes made offline are sent once the connection is back. Photos stay on the device that took them.",
+  "sync.endpoint": "Server address",
+  "sync.token": "Access token (if the server needs one)",
+  "sync.enabled": "Sync this device automatically",
+  "sync.pending": "Changes waiting to be sent",
+  "sync.lastSync": "Last sync",
+  "sync.never": "never",
+  "sync.error": "Last attempt failed: {error}",
+  "sync.error.network": "the server could not be reached",
+  "sync.error.timeout": "the server did not answer in time",
+  "sync.error.auth": "the server refused the access token",
+  "sync.error.tooLarge": "too much data for one request",
+  "sync.error.server": "the server reported an error",
+  "sync.error.badResponse": "the server's answer was not a sync response",
+  "sync.offline": "Offline — changes are kept until the connection is back.",
+  "sync.now": "Sync now",
+  "sync.syncing": "Syncing…",
+  "sync.reset": "Start over",
+  "sync.confirmReset": "Forget what was exchanged with the server? The next sync sends all data on this device again.",
+  "sync.resetDone": "Sync state cleared",
+  "sync.done": "Synced: {pushed} sent, {pulled} received",
+  "sync.failed": "Sync failed",
+  "sync.rejected": "Synced — {n} records from the server were skipped because they are damaged or in an unknown format",
+  "sync.overwritten": "Synced — {n} local changes were replaced by newer versions from another device",
+  "sync.upToDate": "Synced",
+  "sync.pendingPill": "{n} to sync",
+  "sync.failedPill": "Sync failed",
+
+  "status.done": "{n} done",
+  "status.total": "{n} total",
+  "status.issues": "{n} issues",
+  "status.module": "Module",
+
+  "check.title": "New vehicle check",
+  "check.lastReading": "last {reading}",
+  "check.odometerExample": "e.g., 123456",
+  "check.resumed": "Resumed unfinished check",
+  "check.lastEdited": "last edited {at}",
+  "check.startFresh": "Start fresh",
+  "check.otherDrafts": "Unfinished checks on other vehicles:",
+  "check.notesPlaceholder": "Anything important about the vehicle today",
+  "check.reset": "Reset",
+  "check.save": "Save check",
+
+  "fuel.95 Super": "95 Super",
+  "fuel.95 E10": "95 E10",
+  "fuel.98 Super Plus": "98 Super Plus",
+  "fuel.Diesel": "Diesel",
+  "fuel.Hybrid": "Hybrid",
+  "fuel.Plug-in-Hybrid": "Plug-in hybrid",
+  "fuel.Elektro": "Electric",
+  "fuel.Autogas (LPG)": "LPG",
+  "fuel.Erdgas (CNG)": "Natural gas (CNG)",
+  "fuel.Wasserstoff": "Hydrogen",
+  "fuel.Sonstiges": "Other",
+
+  "checklist.template.default": "Default Vehicle Check",
+  "checklist.section.exterior": "Exterior",
+  "checklist.section.interior": "Interior",
+  "checklist.section.safety": "Safety",
+  "checklist.section.vehicle_status": "Vehicle status",
+  "checklist.item.tyres": "Tyres (pressure / condition)",
+  "checklist.item.lights": "Lights (all working)",
+  "checklist.item.windows_mirrors": "Windows / mirrors clean",
+  "checklist.item.body_damage": "Body damage check",
+  "checklist.item.cabin_clean": "Cabin clean",
+  "checklist.item.cabin_damage": "Cabin damage",
+  "checklist.item.documents": "Documents present (registration/insurance)",
+  "checklist.item.charging_cables": "Charging cables / accessories",
+  "checklist.item.warning_triangle": "Warning triangle",
+  "checklist.item.hi_vis_vest": "High-visibility vest",
+  "checklist.item.first_aid_kit": "First aid kit",
+  "checklist.item.spare_tyre": "Spare tyre / Puncture Kit",
+  "checklist.item.jack_tools": "Jack & tools",
+  "checklist.item.oil_level": "Oil level",
+  "checklist.item.coolant_level": "Coolant level",
+  "checklist.item.warning_lights": "No warning lights",
+  "checklist.item.wipers_washer": "Wipers / washer fluid",
+  "checklist.item.adblue": "AdBlue level (if applicable)",
+};
@@ -0,0 +1,143 @@
+import { normalizeVehicleId } from "./core";
+
+/**
+ * Merge an imported backup into the current data instead of replacing it.
+ * planMerge() compares both sides without changing anything; the plan is shown
+ * as a preview and applyMerge() writes it once confirmed.
+ *   - checks:    union by id; same id with different content is a conflict
+ *   - vehicles:  matched by id, then by plate; differing profiles are conflicts
+ *   - templates / defects: union by id, ours win on the same id
+ * Conflicts are resolved per key ("check:<id>", "vehicle:<id>") with "ours"
+ * (default) or "theirs".
+ */
+
+// JSON with sorted keys, so key order does not count as a difference.
+function stable(value) {
+  if (Array.isArray(value)) return `[${value.map(stable).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stable(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/** Top-level fields that differ between two records. */
+export function diffFields(a, b, ignore = []) {
+  const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  return [...keys].filter((k) => !ignore.includes(k) && stable(a?.[k]) !== stable(b?.[k])).sort();
+}
+
+const plateKey = (v) => (String(v?.plate || "").trim() ? normalizeVehicleId(v.plate) : "");
+
+function planVehicles(ours, theirs) {
+  const added = [];
+  const conflicts = [];
+  const idMap = {};
+  const matched = new Set();
+  let same = 0;
+
+  for (const inc of theirs || []) {
+    if (!inc?.id) continue;
+    let local = ours.find((v) => v.id === inc.id);
+    let by = "id";
+    if (!local && plateKey(inc)) {
+      local = ours.find((v) => plateKey(v) === plateKey(inc));
+      by = "plate";
+    }
+    if (!local) {
+      added.push(inc);
+      continue;
+    }
+    if (local.id !== inc.id) idMap[inc.id] = local.id;
+    if (matched.has(local.id)) continue;
+    matched.add(local.id);
+
+    const fields = diffFields(local, inc, ["id"]);
+    if (fields.length) conflicts.push({ key: `vehicle:${local.id}`, by, local, incoming: { ...inc, id: local.id }, fields });
+    else same += 1;
+  }
+
+  return { added, conflicts, same, idMap };
+}
+
+function unionById(ours, theirs) {
+  const ids = new Set((ours || []).map((x) => x?.id));
+  const added = (theirs || []).filter((x) => x?.id && !ids.has(x.id));
+  return { added, same: (theirs || []).length - added.length };
+}
+
+/**
+ * Compare `incoming` ({ profile, data }) with the current `{ profile, data }`.
+ * Incoming data should already be migrated to the current schema.
+ */
+export function planMerge(current, incoming) {
+  const ourVehicles = current?.profile?.vehicles || [];
+  const vehicles = planVehicles(ourVehicles, incoming?.profile?.vehicles || []);
+  const remap = (id) => vehicles.idMap[id] || id;
+
+  const ourChecks = new Map((current?.data?.checks || []).map((c) => [c.id, c]));
+  const checks = { added: [], conflicts: [], same: 0 };
+  for (const raw of incoming?.data?.checks || []) {
+    if (!raw?.id) continue;
+    const inc = { ...raw, vehicleId: remap(raw.vehicleId) };
+    const local = ourChecks.get(inc.id);
+    if (!local) {
+      checks.added.push(inc);
+      continue;
+    }
+    const fields = diffFields(local, inc);
+    if (fields.length) checks.conflicts.push({ key: `check:${inc.id}`, local, incoming: inc, fields });
+    else checks.same += 1;
+  }
+
+  const defects = unionById(
+    current?.data?.defects,
+    (incoming?.data?.defects || []).map((d) => ({ ...d, vehicleId: remap(d.vehicleId) }))
+  );
+
+  return {
+    vehicles,
+    checks,
+    templates: unionById(current?.data?.templates, incoming?.data?.templates),
+    defects,
+    conflictCount: vehicles.conflicts.length + checks.conflicts.length,
+  };
+}
+
+/** True when the plan would not change anything. */
+export function isEmptyPlan(plan) {
+  return (
+    !plan.conflictCount &&
+    !plan.vehicles.added.length &&
+    !plan.checks.added.length &&
+    !plan.templates.added.length &&
+    !plan.defects.added.length
+  );
+}
+
+/** Apply a plan; `choices` maps conflict keys to "ours" | "theirs". Returns { profile, data }. */
+export function applyMerge(current, plan, choices = {}) {
+  const theirs = (key) => choices[key] === "theirs";
+  const pick = (conflicts) => new Map(conflicts.filter((c) => theirs(c.key)).map((c) => [c.local.id, c.incoming]));
+
+  const vehicleWins = pick(plan.vehicles.conflicts);
+  const checkWins = pick(plan.checks.conflicts);
+  const profile = current?.profile || {};
+  const data = current?.data || {};
+
+  return {
+    profile: {
+      ...profile,
+      vehicles: [...(profile.vehicles || []).map((v) => vehicleWins.get(v.id) || v), ...plan.vehicles.added],
+    },
+    data: {
+      ...data,
+      checks: [...plan.checks.added, ...(data.checks || []).map((c) => checkWins.get(c.id) || c)],
+      templates: [...(data.templates || []), ...plan.templates.added],
+      defects: [...(data.defects || []), ...plan.defects.added],
+    },
+  };
+}
@@ -0,0 +1,314 @@
+import { APP_ID, APP_VERSION, SCHEMA_VERSION, TEMPLATE_REV, DEFAULT_TEMPLATE_ID } from "../app/constants";
+import { defaultTemplate } from "../app/template";
+import { deriveDefects } from "./defects";
+import { DEFAULT_ODOMETER_UNIT, parseOdometer } from "./odometer";
+import { translate } from "./i18n";
+
+/**
+ * Versioned migrations for the `toolstack.vehiclecheckit.v1` payload.
+ *
+ * Schema history (stored in meta.schema):
+ *   1 — single `template`, random item ids
+ *   2 — `templates` library, checks record templateId/templateRev
+ *   3 — built-in items use the stable ids from defaultTemplate()
+ *   4 — `defects` register of open defects per vehicle
+ *   5 — numeric odometer readings with a unit
+ *   6 — built-in sections/items carry a translation `key`
+ *   7 — checks carry an approval `status`
+ *
+ * Each migration may define `meta`, `templates`, `checks` and `defects` steps. Steps run in
+ * that order and receive (value, state, report) where `state` already contains
+ * the result of the previous steps. `name` and report(key, vars) take message
+ * keys; migrationChangeText() words a reported change for the UI.
+ */
+
+const norm = (x) => String(x || "").trim().toLowerCase();
+
+function builtinIds() {
+  const sections = new Map();
+  const items = new Map();
+  for (const s of defaultTemplate().sections) {
+    sections.set(norm(s.title), s.id);
+    for (const it of s.items) items.set(norm(it.label), it.id);
+  }
+  return { sections, items };
+}
+
+// Re-key sections/items whose title/label matches the built-in template and
+// record old→new ids in `idMap` for the checks step.
+function rekeySections(sections, builtin, idMap) {
+  const used = new Set();
+  for (const s of sections || []) {
+    used.add(s.id);
+    for (const it of s.items || []) used.add(it.id);
+  }
+
+  const rekey = (oldId, stableId) => {
+    if (!stableId || stableId === oldId) return oldId;
+    if (used.has(stableId)) return oldId;
+    used.add(stableId);
+    idMap.set(oldId, stableId);
+    return stableId;
+  };
+
+  return (sections || []).map((s) => ({
+    ...s,
+    id: rekey(s.id, builtin.sections.get(norm(s.title))),
+    items: (s.items || []).map((it) => ({ ...it, id: rekey(it.id, builtin.items.get(norm(it.label))) })),
+  }));
+}
+
+// Built-in id → { key, text, sectionId? } for sections and items.
+function builtinKeys() {
+  const keys = new Map();
+  for (const s of defaultTemplate().sections) {
+    keys.set(s.id, { key: s.key, text: s.title });
+    for (const it of s.items) keys.set(it.id, { key: it.key, text: it.label, sectionId: s.id });
+  }
+  return keys;
+}
+
+const isDefaultName = (templateId, name) => templateId === DEFAULT_TEMPLATE_ID && norm(name) === norm(defaultTemplate().name);
+
+// The key is only added while the wording is still the built-in one; renamed
+// entries keep their own text.
+function keyFor(keys, id, text) {
+  const b = keys.get(id);
+  return b && norm(b.text) === norm(text) ? b.key : null;
+}
+
+function addKeys(sections, keys, counter) {
+  return (sections || []).map((s) => {
+    const sKey = s.key || keyFor(keys, s.id, s.title);
+    const items = (s.items || []).map((it) => {
+      const key = it.key || keyFor(keys, it.id, it.label);
+      if (!key || it.key) return it;
+      counter.n++;
+      return { ...it, key };
+    });
+    return sKey ? { ...s, key: sKey, items } : { ...s, items };
+  });
+}
+
+export const MIGRATIONS = [
+  {
+    to: 2,
+    name: "migration.step.templateLibrary",
+    meta: (meta) => ({ appId: APP_ID, version: APP_VERSION, ...(meta || {}) }),
+    templates: (templates, state, report) => {
+      if (Array.isArray(templates)) return templates;
+      if (!state.template || !Array.isArray(state.template.sections)) return [];
+      report("migration.change.templateMoved");
+      return [{ ...state.template, id: state.template.id || DEFAULT_TEMPLATE_ID }];
+    },
+    checks: (checks, state, report) => {
+      const legacyRev = state.template?.rev ?? null;
+      let n = 0;
+      const next = (checks || []).map((c) => {
+        if (c?.templateId) return c;
+        n++;
+        return { ...c, templateId: DEFAULT_TEMPLATE_ID, templateRev: c?.templateRev ?? legacyRev };
+      });
+      if (n) report("migration.change.checksLinked", { n });
+      return next;
+    },
+  },
+  {
+    to: 3,
+    name: "migration.step.stableIds",
+    templates: (templates, state, report) => {
+      const builtin = builtinIds();
+      const maps = {};
+      let n = 0;
+      const next = (templates || []).map((t) => {
+        const idMap = new Map();
+        const sections = rekeySections(t.sections, builtin, idMap);
+        maps[t.id] = idMap;
+        n += idMap.size;
+        return { ...t, sections };
+      });
+      // Kept on the state for the checks step; removed once migrations finish.
+      state._idMaps = maps;
+      if (n) report("migration.change.templateIds", { n });
+      return next;
+    },
+    checks: (checks, state, report) => {
+      const builtin = builtinIds();
+      let n = 0;
+      const next = (checks || []).map((c) => {
+        const idMap = new Map(state._idMaps?.[c?.templateId] || []);
+        const sections = rekeySections(
+          (c?.sections || []).map((s) => ({
+            ...s,
+            id: idMap.get(s.id) || s.id,
+            items: (s.items || []).map((it) => ({ ...it, id: idMap.get(it.id) || it.id })),
+          })),
+          builtin,
+          new Map()
+        );
+        if (JSON.stringify(sections) !== JSON.stringify(c?.sections || [])) n++;
+        return { ...c, sections };
+      });
+      if (n) report("migration.change.checkIds", { n });
+      return next;
+    },
+  },
+  {
+    to: 4,
+    name: "migration.step.defects",
+    defects: (defects, state, report) => {
+      if (Array.isArray(defects)) return defects;
+      const next = deriveDefects(state.checks);
+      if (next.length) report("migration.change.defectsOpened", { n: next.length });
+      return next;
+    },
+  },
+  {
+    to: 5,
+    name: "migration.step.odometer",
+    // Unreadable text is kept in odometerRaw so nothing typed is lost.
+    checks: (checks, state, report) => {
+      let parsed = 0;
+      let kept = 0;
+      const next = (checks || []).map((c) => {
+        if (typeof c?.odometer === "number" || c?.odometer == null) return { ...c, odometerUnit: c?.odometerUnit || DEFAULT_ODOMETER_UNIT };
+        const raw = String(c.odometer).trim();
+        const value = parseOdometer(raw);
+        if (value != null) parsed++;
+        else if (raw) kept++;
+        return { ...c, odometer: value, odometerUnit: DEFAULT_ODOMETER_UNIT, ...(value == null && raw ? { odometerRaw: raw } : {}) };
+      });
+      if (parsed) report("migration.change.odometerConverted", { n: parsed });
+      if (kept) report("migration.change.odometerKept", { n: kept });
+      return next;
+    },
+    defects: (defects) =>
+      (defects || []).map((d) => ({
+        ...d,
+        openedOdometer: parseOdometer(d.openedOdometer),
+        ...("resolvedOdometer" in d ? { resolvedOdometer: parseOdometer(d.resolvedOdometer) } : {}),
+      })),
+  },
+  {
+    to: 6,
+    name: "migration.step.itemKeys",
+    templates: (templates, state, report) => {
+      const keys = builtinKeys();
+      const counter = { n: 0 };
+      const next = (templates || []).map((t) => ({
+        ...t,
+        ...(isDefaultName(t.id, t.name) ? { key: "default" } : {}),
+        sections: addKeys(t.sections, keys, counter),
+      }));
+      if (counter.n) report("migration.change.templateKeys", { n: counter.n });
+      return next;
+    },
+    checks: (checks, state, report) => {
+      const keys = builtinKeys();
+      let n = 0;
+      const next = (checks || []).map((c) => {
+        const counter = { n: 0 };
+        const sections = addKeys(c?.sections, keys, counter);
+        if (counter.n) n++;
+        return { ...c, ...(isDefaultName(c?.templateId, c?.templateName) ? { templateKey: "default" } : {}), sections };
+      });
+      if (n) report("migration.change.checkKeys", { n });
+      return next;
+    },
+    defects: (defects) => {
+      const keys = builtinKeys();
+      return (defects || []).map((d) => {
+        const itemKey = keyFor(keys, d.itemId, d.itemLabel);
+        const sectionKey = itemKey && keyFor(keys, keys.get(d.itemId).sectionId, d.sectionTitle);
+        return itemKey ? { ...d, itemKey, ...(sectionKey ? { sectionKey } : {}) } : d;
+      });
+    },
+  },
+  {
+    to: 7,
+    name: "migration.step.approval",
+    checks: (checks, state, report) => {
+      let n = 0;
+      const next = (checks || []).map((c) => {
+        if (c?.status) return c;
+        n++;
+        return { ...c, status: "draft", statusLog: c.statusLog || [] };
+      });
+      if (n) report("migration.change.markedDraft", { n });
+      return next;
+    },
+  },
+];
+
+export function detectSchema(state) {
+  const v = Number(state?.meta?.schema);
+  if (Number.isFinite(v) && v > 0) return v;
+  return Array.isArray(state?.templates) ? 2 : 1;
+}
+
+// Refresh an untouched built-in template when TEMPLATE_REV changes. Item ids are
+// stable, so existing checks keep matching the items that survived.
+function refreshBuiltinTemplate(templates, report) {
+  const list = (templates || []).filter((t) => t && t.id && Array.isArray(t.sections));
+  const idx = list.findIndex((t) => t.id === DEFAULT_TEMPLATE_ID);
+  const fresh = defaultTemplate();
+
+  if (idx < 0) {
+    report("migration.change.defaultAdded");
+    return [fresh, ...list];
+  }
+
+  const current = list[idx];
+  if (current.customized || current.rev === TEMPLATE_REV) return list;
+
+  const itemIds = (t) => new Set(t.sections.flatMap((s) => (s.items || []).map((it) => it.id)));
+  const before = itemIds(current);
+  const after = itemIds(fresh);
+  const added = [...after].filter((id) => !before.has(id)).length;
+  const removed = [...before].filter((id) => !after.has(id)).length;
+  report("migration.change.defaultRefreshed", { from: current.rev ?? "?", to: TEMPLATE_REV, added, removed });
+
+  return list.map((t, i) => (i === idx ? fresh : t));
+}
+
+/**
+ * Run all pending migrations on a stored or imported state.
+ * Returns { state, report } where report = { from, to, changes: [{ to, step, key, vars }] }
+ * (`to`/`step` are null for the built-in template refresh).
+ */
+export function migrateState(input) {
+  const from = detectSchema(input);
+  const changes = [];
+  let state = { ...(input || {}) };
+
+  for (const m of MIGRATIONS) {
+    if (m.to <= from) continue;
+    const report = (key, vars) => changes.push({ to: m.to, step: m.name, key, vars });
+    for (const step of ["meta", "templates", "checks", "defects"]) {
+      if (m[step]) state = { ...state, [step]: m[step](state[step], state, report) };
+    }
+  }
+
+  const { template: _legacyTemplate, _idMaps, ...rest } = state;
+  state = {
+    ...rest,
+    meta: { ...(rest.meta || {}), schema: Math.max(from, SCHEMA_VERSION) },
+    templates: refreshBuiltinTemplate(rest.templates, (key, vars) => changes.push({ to: null, step: null, key, vars })),
+    checks: Array.isArray(rest.checks) ? rest.checks : [],
+    defects: Array.isArray(rest.defects) ? rest.defects : [],
+  };
+
+  return { state, report: { from, to: state.meta.schema, changes } };
+}
+
+/** "v5 Numeric odometer: converted 3 odometer readings to numbers" in `lang`. */
+export function migrationChangeText(change, lang) {
+  const text = translate(lang, change.key, change.vars);
+  return change.step ? `v${change.to} ${translate(lang, change.step)}: ${text}` : text;
+}
+
+// Single checks (e.g. from a one-check export) carry no schema; run them through
+// the checks steps so their item ids line up with the current templates.
+export function migrateCheck(check) {
+  return migrateState({ checks: [check] }).state.checks[0];
+}
@@ -0,0 +1,106 @@
+import { formatDate, translate } from "./i18n";
+
+/**
+ * Odometer readings. Checks store `odometer` as a whole number (or null) plus
+ * `odometerUnit`; the unit comes from the vehicle profile (`odometerUnit`).
+ */
+
+export const ODOMETER_UNITS = ["km", "mi"];
+export const DEFAULT_ODOMETER_UNIT = "km";
+
+export const unitForVehicle = (vehicle) => (ODOMETER_UNITS.includes(vehicle?.odometerUnit) ? vehicle.odometerUnit : DEFAULT_ODOMETER_UNIT);
+
+/**
+ * Parse what people type: "123456", "123.456", "123,456", "123 456 km".
+ * Groups of three digits after "." or "," are thousands; one or two digits are
+ * decimals and get rounded. Returns a number, or null when empty/unreadable.
+ */
+export function parseOdometer(input) {
+  if (typeof input === "number") return Number.isFinite(input) && input >= 0 ? Math.round(input) : null;
+  const s = String(input ?? "")
+    .trim()
+    .replace(/\s*(km|kms|kilometers?|kilometres?|mi|miles?)\.?$/i, "")
+    .replace(/[\s'’]/g, "");
+  if (!s) return null;
+  if (/^\d+$/.test(s)) return Number(s);
+  if (/^\d{1,3}([.,]\d{3})+$/.test(s)) return Number(s.replace(/[.,]/g, ""));
+  if (/^\d+[.,]\d{1,2}$/.test(s)) return Math.round(Number(s.replace(",", ".")));
+  return null;
+}
+
+const KM_PER_MILE = 1.609344;
+
+// Readings keep the unit they were taken in; convert when a vehicle's unit changed since.
+export function convertOdometer(value, from, to) {
+  if (value == null || from === to) return value;
+  return Math.round(from === "mi" ? value * KM_PER_MILE : value / KM_PER_MILE);
+}
+
+export function formatOdometer(value, unit = DEFAULT_ODOMETER_UNIT) {
+  const n = parseOdometer(value);
+  return n == null ? "" : `${n.toLocaleString()} ${unit}`;
+}
+
+// Oldest first (by date, then createdAt); only checks with a reading.
+function readingsFor(checks, vehicleId) {
+  return (checks || [])
+    .filter((c) => c?.vehicleId === vehicleId && parseOdometer(c.odometer) != null)
+    .sort((a, b) => String(a.date || "").localeCompare(String(b.date || "")) || String(a.createdAt || "").localeCompare(String(b.createdAt || "")));
+}
+
+const readingIn = (c, unit) => convertOdometer(parseOdometer(c.odometer), c.odometerUnit || DEFAULT_ODOMETER_UNIT, unit);
+
+/** Latest saved reading for a vehicle, in `unit`: { value, unit, date, checkId } or null. */
+export function previousReading(checks, vehicleId, unit = DEFAULT_ODOMETER_UNIT) {
+  const list = readingsFor(checks, vehicleId);
+  const c = list[list.length - 1];
+  return c ? { value: readingIn(c, unit), unit, date: c.date, checkId: c.id } : null;
+}
+
+/** Validate a typed reading against the vehicle's history. */
+export function checkOdometer(text, previous, lang) {
+  const raw = String(text ?? "").trim();
+  const value = parseOdometer(raw);
+  if (!raw) return { value: null, error: "", warning: "" };
+  if (value == null) return { value, error: translate(lang, "odometer.notANumber"), warning: "" };
+  if (previous && value < previous.value) {
+    return {
+      value,
+      error: "",
+      warning: translate(lang, "odometer.lower", { reading: formatOdometer(previous.value, previous.unit), date: formatDate(previous.date, lang) }),
+    };
+  }
+  return { value, error: "", warning: "" };
+}
+
+/**
+ * Mileage timeline for one vehicle in `unit`, oldest first:
+ *   { checkId, date, value, distance, days }
+ * distance/days are measured from the previous reading (null for the first).
+ */
+export function mileageTimeline(checks, vehicleId, unit = DEFAULT_ODOMETER_UNIT) {
+  let prev = null;
+  return readingsFor(checks, vehicleId).map((c) => {
+    const value = readingIn(c, unit);
+    const entry = {
+      checkId: c.id,
+      date: c.date,
+      value,
+      distance: prev ? value - prev.value : null,
+      days: prev ? Math.round((Date.parse(c.date) - Date.parse(prev.date)) / 86400000) : null,
+    };
+    prev = entry;
+    return entry;
+  });
+}
+
+/** Distance per calendar month ("YYYY-MM"), credited to the month of the later reading. */
+export function distanceByMonth(timeline) {
+  const totals = new Map();
+  for (const e of timeline || []) {
+    if (e.distance == null) continue;
+    const month = String(e.date || "").slice(0, 7);
+    totals.set(month, (totals.get(month) || 0) + e.distance);
+  }
+  return [...totals].map(([month, distance]) => ({ month, distance }));
+}
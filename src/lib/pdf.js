@@ -0,0 +1,240 @@
+/**
+ * Minimal PDF 1.4 writer: A4 pages, Helvetica / Helvetica-Bold text
+ * (WinAnsi, so German umlauts and € work), lines, rectangles and JPEG images.
+ * Coordinates are in points from the top-left corner; text `y` is the baseline.
+ * No dependencies, so it works offline and in bulk.
+ */
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+// Helvetica advance widths (1/1000 em) for " " … "~"; from the standard AFM files.
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584,
+    584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667,
+    611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500,
+    722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584,
+    584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667,
+    611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556,
+    778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+// Unicode → WinAnsi for the 0x80–0x9F block; 0xA0–0xFF map 1:1 from Latin-1.
+const WIN_ANSI = {
+  "€": 0x80, "‚": 0x82, "ƒ": 0x83, "„": 0x84, "…": 0x85, "†": 0x86, "‡": 0x87, "ˆ": 0x88, "‰": 0x89, "Š": 0x8a, "‹": 0x8b, "Œ": 0x8c,
+  "Ž": 0x8e, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "˜": 0x98, "™": 0x99, "š": 0x9a, "›": 0x9b,
+  "œ": 0x9c, "ž": 0x9e, "Ÿ": 0x9f,
+};
+const FALLBACKS = { "→": "->", "←": "<-", "✓": "x", "✕": "x", "▲": "^", "▼": "v", "≥": ">=", "≤": "<=", "\t": " " };
+
+function toWinAnsi(str) {
+  const codes = [];
+  for (const ch of String(str ?? "")) {
+    if (FALLBACKS[ch]) {
+      for (const c of FALLBACKS[ch]) codes.push(c.charCodeAt(0));
+      continue;
+    }
+    const cp = ch.codePointAt(0);
+    if (cp >= 32 && cp <= 126) codes.push(cp);
+    else if (WIN_ANSI[ch]) codes.push(WIN_ANSI[ch]);
+    else if (cp >= 0xa0 && cp <= 0xff) codes.push(cp);
+    else codes.push(63); // "?"
+  }
+  return codes;
+}
+
+function charWidth(code, bold) {
+  const table = bold ? WIDTHS.bold : WIDTHS.regular;
+  if (code >= 32 && code <= 126) return table[code - 32];
+  // Accented letters: use the base letter's width.
+  const base = String.fromCharCode(code).normalize("NFD").charCodeAt(0);
+  if (base >= 32 && base <= 126) return table[base - 32];
+  return 556;
+}
+
+// Literal string with everything outside printable ASCII as octal escapes.
+function pdfString(codes) {
+  let out = "(";
+  for (const c of codes) {
+    if (c === 40 || c === 41 || c === 92) out += "\\" + String.fromCharCode(c);
+    else if (c < 32 || c > 126) out += "\\" + c.toString(8).padStart(3, "0");
+    else out += String.fromCharCode(c);
+  }
+  return out + ")";
+}
+
+const num = (n) => (Math.round(n * 100) / 100).toString();
+const rgb = (color) => (color || [0, 0, 0]).map(num).join(" ");
+
+/** Width/height/components from a JPEG's SOF marker, or null when it isn't one. */
+export function jpegInfo(bytes) {
+  if (!bytes || bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+  let i = 2;
+  while (i + 9 < bytes.length) {
+    if (bytes[i] !== 0xff) return null;
+    const marker = bytes[i + 1];
+    const len = (bytes[i + 2] << 8) | bytes[i + 3];
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: (bytes[i + 5] << 8) | bytes[i + 6], width: (bytes[i + 7] << 8) | bytes[i + 8], components: bytes[i + 9] };
+    }
+    i += 2 + len;
+  }
+  return null;
+}
+
+export function createPdfDocument({ width = A4.width, height = A4.height, title = "" } = {}) {
+  const pages = [];
+  const images = [];
+  let current = -1;
+
+  const ops = () => pages[current];
+
+  const doc = {
+    width,
+    height,
+    get pageCount() {
+      return pages.length;
+    },
+
+    addPage() {
+      pages.push([]);
+      current = pages.length - 1;
+      return current;
+    },
+
+    setPage(index) {
+      current = index;
+    },
+
+    widthOf(str, size = 10, bold = false) {
+      return (toWinAnsi(str).reduce((w, c) => w + charWidth(c, bold), 0) * size) / 1000;
+    },
+
+    /** Split text into lines no wider than maxWidth (hard breaks kept). */
+    wrap(str, maxWidth, size = 10, bold = false) {
+      const lines = [];
+      for (const para of String(str ?? "").split(/\r?\n/)) {
+        let line = "";
+        for (const word of para.split(/\s+/).filter(Boolean)) {
+          const next = line ? `${line} ${word}` : word;
+          if (doc.widthOf(next, size, bold) <= maxWidth) {
+            line = next;
+            continue;
+          }
+          if (line) lines.push(line);
+          // Break words that are longer than a whole line.
+          let rest = word;
+          while (doc.widthOf(rest, size, bold) > maxWidth && rest.length > 1) {
+            let cut = rest.length - 1;
+            while (cut > 1 && doc.widthOf(rest.slice(0, cut), size, bold) > maxWidth) cut--;
+            lines.push(rest.slice(0, cut));
+            rest = rest.slice(cut);
+          }
+          line = rest;
+        }
+        lines.push(line);
+      }
+      return lines;
+    },
+
+    text(str, x, y, { size = 10, bold = false, color, align = "left" } = {}) {
+      const w = align === "left" ? 0 : doc.widthOf(str, size, bold);
+      const left = align === "right" ? x - w : align === "center" ? x - w / 2 : x;
+      ops().push(`BT /${bold ? "F2" : "F1"} ${num(size)} Tf ${rgb(color)} rg ${num(left)} ${num(height - y)} Td ${pdfString(toWinAnsi(str))} Tj ET`);
+    },
+
+    line(x1, y1, x2, y2, { width: lw = 0.5, color } = {}) {
+      ops().push(`${num(lw)} w ${rgb(color)} RG ${num(x1)} ${num(height - y1)} m ${num(x2)} ${num(height - y2)} l S`);
+    },
+
+    rect(x, y, w, h, { fill, stroke, lineWidth = 0.5 } = {}) {
+      const path = `${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re`;
+      if (fill && stroke) ops().push(`${rgb(fill)} rg ${rgb(stroke)} RG ${num(lineWidth)} w ${path} B`);
+      else if (fill) ops().push(`${rgb(fill)} rg ${path} f`);
+      else ops().push(`${rgb(stroke)} RG ${num(lineWidth)} w ${path} S`);
+    },
+
+    /** Register JPEG bytes; returns { name, width, height } or null when unreadable. */
+    addJpeg(bytes) {
+      const info = jpegInfo(bytes);
+      if (!info) return null;
+      const img = { name: `Im${images.length + 1}`, bytes, ...info };
+      images.push(img);
+      return img;
+    },
+
+    image(img, x, y, w, h) {
+      ops().push(`q ${num(w)} 0 0 ${num(h)} ${num(x)} ${num(height - y - h)} cm /${img.name} Do Q`);
+    },
+
+    /** Serialize to bytes. */
+    save() {
+      const enc = new TextEncoder();
+      const chunks = [];
+      const offsets = [];
+      let size = 0;
+      const push = (part) => {
+        const bytes = typeof part === "string" ? enc.encode(part) : part;
+        chunks.push(bytes);
+        size += bytes.length;
+      };
+      const object = (id, body) => {
+        offsets[id] = size;
+        push(`${id} 0 obj\n`);
+        for (const part of [].concat(body)) push(part);
+        push("\nendobj\n");
+      };
+
+      // 1 catalog, 2 pages, 3/4 fonts, 5 info, then images, then page + content pairs.
+      const imageIds = images.map((_, i) => 6 + i);
+      const firstPage = 6 + images.length;
+      const pageIds = pages.map((_, i) => firstPage + i * 2);
+
+      push("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n");
+      object(1, "<< /Type /Catalog /Pages 2 0 R >>");
+      object(2, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`);
+      object(3, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+      object(4, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+      object(5, `<< /Producer ${pdfString(toWinAnsi("ToolStack Vehicle Check-It"))} /Title ${pdfString(toWinAnsi(title))} >>`);
+
+      images.forEach((img, i) => {
+        const cs = img.components === 1 ? "/DeviceGray" : img.components === 4 ? "/DeviceCMYK" : "/DeviceRGB";
+        object(imageIds[i], [
+          `<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace ${cs} /BitsPerComponent 8 /Filter /DCTDecode /Length ${img.bytes.length} >>\nstream\n`,
+          img.bytes,
+          "\nendstream",
+        ]);
+      });
+
+      const xobjects = images.map((img, i) => `/${img.name} ${imageIds[i]} 0 R`).join(" ");
+      pages.forEach((list, i) => {
+        const content = list.join("\n");
+        object(
+          pageIds[i],
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> /XObject << ${xobjects} >> >> /Contents ${pageIds[i] + 1} 0 R >>`
+        );
+        object(pageIds[i] + 1, `<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+      });
+
+      const xref = size;
+      const count = firstPage + pages.length * 2;
+      push(`xref\n0 ${count}\n0000000000 65535 f \n`);
+      for (let id = 1; id < count; id++) push(`${String(offsets[id]).padStart(10, "0")} 00000 n \n`);
+      push(`trailer\n<< /Size ${count} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+      const out = new Uint8Array(size);
+      let at = 0;
+      for (const c of chunks) {
+        out.set(c, at);
+        at += c.length;
+      }
+      return out;
+    },
+  };
+
+  return doc;
+}
@@ -0,0 +1,84 @@
+import { useSyncExternalStore } from "react";
+
+/**
+ * Installable-app plumbing: service worker registration with an update hook,
+ * and the browser's online/offline state. The worker is src/sw.js, emitted as
+ * /sw.js by vite.config.js; nothing is registered in dev so hot reload keeps
+ * working.
+ */
+
+export const canUseServiceWorker = () => typeof navigator !== "undefined" && "serviceWorker" in navigator && import.meta.env.PROD;
+
+/**
+ * Register the service worker. `onUpdate(registration)` fires when a new build
+ * has been downloaded and is waiting; pass the registration to applyUpdate()
+ * to switch over. Returns a cleanup function.
+ */
+export function registerServiceWorker({ onUpdate } = {}) {
+  if (!canUseServiceWorker()) return () => {};
+  let active = true;
+  let reg = null;
+
+  // Only an update if a worker already controls the page; the very first
+  // install just starts serving offline.
+  const notify = (r) => {
+    if (active && r.waiting && navigator.serviceWorker.controller) onUpdate?.(r);
+  };
+  const watch = (r) => {
+    const worker = r.installing;
+    worker?.addEventListener("statechange", () => {
+      if (worker.state === "installed") notify(r);
+    });
+  };
+  // Long-running tabs check for a new build whenever they come back into view.
+  const onVisible = () => {
+    if (document.visibilityState === "visible") reg?.update().catch(() => {});
+  };
+
+  navigator.serviceWorker
+    .register(`${import.meta.env.BASE_URL}sw.js`)
+    .then((r) => {
+      if (!active) return;
+      reg = r;
+      notify(r);
+      r.addEventListener("updatefound", () => watch(r));
+      document.addEventListener("visibilitychange", onVisible);
+    })
+    .catch(() => {
+      // No worker (private mode, blocked by policy): the app still works online.
+    });
+
+  return () => {
+    active = false;
+    document.removeEventListener("visibilitychange", onVisible);
+  };
+}
+
+/** Let the waiting worker take over, then reload once it controls the page. */
+export function applyUpdate(registration) {
+  const waiting = registration?.waiting;
+  if (!waiting) {
+    window.location.reload();
+    return;
+  }
+  navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), { once: true });
+  waiting.postMessage({ type: "SKIP_WAITING" });
+}
+
+function subscribeOnline(callback) {
+  window.addEventListener("online", callback);
+  window.addEventListener("offline", callback);
+  return () => {
+    window.removeEventListener("online", callback);
+    window.removeEventListener("offline", callback);
+  };
+}
+
+/** True while the browser reports a network connection. */
+export function useOnlineStatus() {
+  return useSyncExternalStore(
+    subscribeOnline,
+    () => navigator.onLine,
+    () => true
+  );
+}
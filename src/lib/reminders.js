@@ -0,0 +1,195 @@
+import { APP_ID } from "../app/constants";
+import { formatDate, translate } from "./i18n";
+import { formatOdometer, unitForVehicle } from "./odometer";
+import { serviceStatusFor } from "./service";
+
+/**
+ * TÜV, service-due and service-interval reminders built from the vehicle
+ * profiles (and, for intervals, the odometer history of saved checks).
+ * Windows (days before the due date, distance left) come from
+ * appState.settings.reminders. Labels and texts use the optional `lang`.
+ */
+
+export const DEFAULT_REMINDER_SETTINGS = { warnDays: 30, urgentDays: 7, warnDistance: 1000 };
+
+// [kind, read]; labels come from the "reminders.kind.*" messages.
+const REMINDER_KINDS = [
+  ["tuv", (v) => v.tuvUntil],
+  ["service", (v) => v.serviceDue],
+];
+
+export const reminderStatusLabel = (status, lang) => translate(lang, `reminders.status.${status}`);
+
+export function reminderSettings(settings) {
+  const s = { ...DEFAULT_REMINDER_SETTINGS, ...(settings?.reminders || {}) };
+  const warnDays = Math.max(0, Math.round(Number(s.warnDays) || 0));
+  const urgentDays = Math.min(warnDays, Math.max(0, Math.round(Number(s.urgentDays) || 0)));
+  const warnDistance = Math.max(0, Math.round(Number(s.warnDistance) || 0));
+  return { warnDays, urgentDays, warnDistance };
+}
+
+/**
+ * Read a due date as a local day. "YYYY-MM" (as on a TÜV sticker) means the
+ * end of that month. Returns "YYYY-MM-DD" or "" when unreadable.
+ */
+export function parseDueDate(value) {
+  const s = String(value || "").trim();
+  let m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (m) return s;
+  m = s.match(/^(\d{4})-(\d{2})$/);
+  if (m) {
+    const last = new Date(Date.UTC(Number(m[1]), Number(m[2]), 0)).getUTCDate();
+    return `${m[1]}-${m[2]}-${String(last).padStart(2, "0")}`;
+  }
+  return "";
+}
+
+const dayNumber = (iso) => {
+  const [y, m, d] = iso.split("-").map(Number);
+  return Date.UTC(y, m - 1, d) / 86400000;
+};
+
+export function daysUntil(due, today) {
+  return dayNumber(due) - dayNumber(today);
+}
+
+// `remaining` is the distance left for interval rules (null for plain dates).
+export function reminderStatus(days, settings, remaining = null) {
+  const { warnDays, urgentDays, warnDistance } = reminderSettings(settings);
+  if (days < 0 || (remaining != null && remaining <= 0)) return "overdue";
+  if (days <= urgentDays) return "urgent";
+  if (days <= warnDays || (remaining != null && remaining <= warnDistance)) return "soon";
+  return "ok";
+}
+
+/**
+ * All dated reminders for the fleet, soonest first:
+ *   { id, vehicleId, vehicleLabel, kind, label, due, days, status }
+ * Interval reminders (kind "interval") also carry ruleId, by ("time" |
+ * "distance"), dueOdometer, remainingDistance and unit.
+ */
+export function buildReminders(vehicles, { today, settings, labelFor = (v) => v.id, checks = [], lang } = {}) {
+  const list = [];
+  for (const v of vehicles || []) {
+    const unit = unitForVehicle(v);
+    for (const s of serviceStatusFor(v, checks, { today, unit })) {
+      if (!s.date) continue;
+      const days = daysUntil(s.date, today);
+      list.push({
+        id: `${v.id}-interval-${s.rule.id}`,
+        vehicleId: v.id,
+        vehicleLabel: labelFor(v),
+        kind: "interval",
+        ruleId: s.rule.id,
+        label: s.rule.name || translate(lang, "reminders.kind.service"),
+        due: s.date,
+        days,
+        status: reminderStatus(days, settings, s.remainingDistance),
+        by: s.by,
+        dueOdometer: s.dueOdometer,
+        remainingDistance: s.remainingDistance,
+        unit,
+      });
+    }
+    for (const [kind, read] of REMINDER_KINDS) {
+      const due = parseDueDate(read(v));
+      if (!due) continue;
+      const days = daysUntil(due, today);
+      list.push({
+        id: `${v.id}-${kind}`,
+        vehicleId: v.id,
+        vehicleLabel: labelFor(v),
+        kind,
+        label: translate(lang, `reminders.kind.${kind}`),
+        due,
+        days,
+        status: reminderStatus(days, settings),
+      });
+    }
+  }
+  return list.sort((a, b) => a.days - b.days || a.vehicleLabel.localeCompare(b.vehicleLabel));
+}
+
+export function describeDays(days, lang) {
+  if (days < 0) return translate(lang, "reminders.daysOverdue", { n: -days });
+  if (days === 0) return translate(lang, "reminders.dueToday");
+  return translate(lang, "reminders.inDays", { n: days });
+}
+
+/** Distance part of an interval reminder, e.g. "at 45,000 km (1,200 km left)". */
+export function describeDistance(r, lang) {
+  if (r?.dueOdometer == null) return "";
+  const at = translate(lang, "common.at", { reading: formatOdometer(r.dueOdometer, r.unit) });
+  if (r.remainingDistance == null) return at;
+  if (r.remainingDistance <= 0) return translate(lang, "reminders.distanceOver", { at, distance: formatOdometer(-r.remainingDistance, r.unit) });
+  return translate(lang, "reminders.distanceLeft", { at, distance: formatOdometer(r.remainingDistance, r.unit) });
+}
+
+// --- iCalendar export (RFC 5545) ---
+
+const icsText = (s) =>
+  String(s ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets are folded with CRLF + space.
+function foldLine(line) {
+  const enc = new TextEncoder();
+  if (enc.encode(line).length <= 75) return line;
+  const out = [];
+  let cur = "";
+  let size = 0;
+  for (const ch of line) {
+    const n = enc.encode(ch).length;
+    if (size + n > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = "";
+      size = 0;
+    }
+    cur += ch;
+    size += n;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+const icsDate = (iso) => iso.replace(/-/g, "");
+
+function nextDay(iso) {
+  const d = new Date(dayNumber(iso) * 86400000 + 86400000);
+  return d.toISOString().slice(0, 10);
+}
+
+/** One all-day event per reminder, with an alarm for each warning window. */
+export function buildIcs(reminders, { settings, now = new Date(), lang } = {}) {
+  const { warnDays, urgentDays } = reminderSettings(settings);
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const alarms = [...new Set([warnDays, urgentDays].filter((d) => d > 0))];
+
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//ToolStack//Vehicle Check-It//EN", "CALSCALE:GREGORIAN", "METHOD:PUBLISH"];
+  for (const r of reminders || []) {
+    const summary = translate(lang, "reminders.ics.summary", { label: r.label, vehicle: r.vehicleLabel });
+    const vars = { label: r.label, vehicle: r.vehicleLabel, date: formatDate(r.due, lang), distance: describeDistance(r, lang) };
+    lines.push(
+      "BEGIN:VEVENT",
+      // Stable per reminder so re-importing updates the event instead of duplicating it.
+      `UID:${r.id}@toolstack.${APP_ID}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(r.due)}`,
+      `DTEND;VALUE=DATE:${icsDate(nextDay(r.due))}`,
+      `SUMMARY:${icsText(summary)}`,
+      `DESCRIPTION:${icsText(
+        translate(lang, r.kind === "interval" && r.dueOdometer != null ? "reminders.ics.descriptionDistance" : "reminders.ics.description", vars)
+      )}`,
+      "TRANSP:TRANSPARENT"
+    );
+    for (const d of alarms) {
+      lines.push("BEGIN:VALARM", "ACTION:DISPLAY", `TRIGGER:-P${d}D`, `DESCRIPTION:${icsText(summary)}`, "END:VALARM");
+    }
+    lines.push("END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
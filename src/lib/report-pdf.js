@@ -0,0 +1,263 @@
+import { labelFor } from "./core";
+import { formatChange } from "./audit";
+import { dataUrlToBlob, getPhoto } from "./attachments";
+import { formatOdometer } from "./odometer";
+import { createPdfDocument } from "./pdf";
+import { SIGNATURE_ROLES } from "./signatures";
+import { preparedByName } from "./drivers";
+import { checkTemplateName, createT, formatDate, formatDateTime, itemLabel, sectionTitle } from "./i18n";
+
+/**
+ * Vehicle check report as a PDF, laid out like ReportSheet: header with org
+ * name, address and logo, summary, general notes, findings (with photos), the full
+ * checklist, revision history and the signatures. Several checks give one
+ * combined file with each check starting on a new page. Text follows `lang`.
+ */
+
+const MARGIN = 48;
+const ACCENT = [0.835, 1, 0];
+const GREY = [0.4, 0.4, 0.4];
+const LIGHT = [0.85, 0.85, 0.85];
+const SEVERITY_COLORS = { issue: [0.7, 0.1, 0.1], note: [0.6, 0.4, 0], ok: [0.1, 0.5, 0.3] };
+const MAX_PHOTOS_PER_ITEM = 4;
+
+/**
+ * Lay out the checks. `images` holds pre-loaded JPEG bytes:
+ * { logo, photos: { [id]: bytes }, signatures: { ["<checkId>:<role>"]: bytes } }.
+ * Returns the PDF as bytes.
+ */
+export function renderChecksPdf(checks, { profile = {}, images = {}, generatedAt = new Date(), lang } = {}) {
+  const t = createT(lang);
+  const doc = createPdfDocument({ title: `${t("report.title")} — ${profile.org || "ToolStack"}` });
+  const right = doc.width - MARGIN;
+  const contentWidth = right - MARGIN;
+  const bottom = doc.height - MARGIN - 20;
+  const logo = images.logo ? doc.addJpeg(images.logo) : null;
+  const photoCache = new Map();
+  const signatureImage = (check, role) => {
+    const bytes = images.signatures?.[`${check.id}:${role}`];
+    return bytes ? doc.addJpeg(bytes) : null;
+  };
+  const photo = (id) => {
+    if (!photoCache.has(id)) photoCache.set(id, images.photos?.[id] ? doc.addJpeg(images.photos[id]) : null);
+    return photoCache.get(id);
+  };
+
+  let y = 0;
+  const ensure = (h) => {
+    if (y + h <= bottom) return;
+    doc.addPage();
+    y = MARGIN;
+  };
+  const paragraph = (text, { size = 10, bold = false, color, indent = 0, gap = 2 } = {}) => {
+    for (const line of doc.wrap(text, contentWidth - indent, size, bold)) {
+      ensure(size + gap);
+      y += size + gap;
+      doc.text(line, MARGIN + indent, y, { size, bold, color });
+    }
+  };
+  const heading = (text) => {
+    ensure(40);
+    y += 22;
+    doc.text(text, MARGIN, y, { size: 12, bold: true });
+    y += 6;
+    doc.line(MARGIN, y, right, y, { color: LIGHT });
+  };
+
+  for (const check of checks || []) {
+    doc.addPage();
+    y = MARGIN;
+
+    // Header
+    if (logo) {
+      const ratio = logo.width / logo.height;
+      const w = Math.min(140, ratio * 40);
+      doc.image(logo, right - w, y, w, w / ratio);
+    }
+    y += 20;
+    doc.text(profile.org || "ToolStack", MARGIN, y, { size: 18, bold: true });
+    for (const line of String(profile.address || "").split(/\r?\n/).filter((l) => l.trim())) {
+      y += 11;
+      doc.text(line.trim(), MARGIN, y, { size: 9, color: GREY });
+    }
+    y += 16;
+    doc.text(t("report.title"), MARGIN, y, { size: 11, color: GREY });
+    y += 8;
+    doc.rect(MARGIN, y, 200, 2, { fill: ACCENT });
+    y += 16;
+    doc.text(t("report.generated", { at: formatDateTime(generatedAt, lang) }), MARGIN, y, { size: 8, color: GREY });
+
+    // Summary
+    const s = check.summary || {};
+    const facts = [
+      [t("report.preparedBy"), preparedByName(check, profile) || "—"],
+      [t("report.vehicle"), check.vehicleLabel || check.vehicleId || "—"],
+      [t("report.date"), formatDate(check.date, lang) || "—"],
+      [t("report.odometer"), formatOdometer(check.odometer, check.odometerUnit) || check.odometerRaw || "—"],
+      [t("templates.template"), check.templateName ? `${checkTemplateName(check, lang)} (${t("templates.rev", { rev: check.templateRev ?? "-" })})` : "—"],
+      [t("report.summary"), `${t("report.done")} ${s.doneCount ?? 0}/${s.totalItems ?? 0} • ${t("report.issues")} ${s.issueCount ?? 0}`],
+    ];
+    y += 10;
+    const colWidth = contentWidth / 3;
+    facts.forEach(([label, value], i) => {
+      const col = i % 3;
+      if (col === 0) {
+        ensure(34);
+        y += 14;
+      }
+      doc.text(label, MARGIN + col * colWidth, y, { size: 8, color: GREY });
+      const [first] = doc.wrap(value, colWidth - 8, 10, true);
+      doc.text(first || "", MARGIN + col * colWidth, y + 13, { size: 10, bold: true });
+      if (col === 2 || i === facts.length - 1) y += 16;
+    });
+
+    if (check.generalNotes) {
+      heading(t("report.generalNotes"));
+      paragraph(check.generalNotes);
+    }
+
+    // Findings
+    const findings = [];
+    for (const sec of check.sections || []) for (const it of sec.items || []) if (it.severity && it.severity !== "ok") findings.push({ sec, it });
+    heading(`${t("report.findings")} (${findings.length})`);
+    if (!findings.length) paragraph(t("report.noFindings"), { color: GREY });
+    for (const { sec, it } of findings) {
+      ensure(30);
+      y += 16;
+      doc.text(labelFor(it.severity, lang).toUpperCase(), MARGIN, y, { size: 8, bold: true, color: SEVERITY_COLORS[it.severity] });
+      doc.text(`${sectionTitle(sec, lang)} › ${itemLabel(it, lang)}`, MARGIN + 48, y, { size: 10, bold: true });
+      if (it.note) paragraph(it.note, { indent: 48 });
+
+      const pics = (it.photos || []).slice(0, MAX_PHOTOS_PER_ITEM).map(photo).filter(Boolean);
+      if (pics.length) {
+        const box = 96;
+        ensure(box + 8);
+        y += 6;
+        let x = MARGIN + 48;
+        for (const img of pics) {
+          const scale = Math.min(box / img.width, box / img.height);
+          doc.image(img, x, y, img.width * scale, img.height * scale);
+          x += box + 8;
+        }
+        y += box;
+      }
+    }
+
+    // Checklist
+    heading(t("report.checklist"));
+    for (const sec of check.sections || []) {
+      ensure(36);
+      y += 16;
+      doc.text(sectionTitle(sec, lang), MARGIN, y, { size: 10, bold: true });
+      for (const it of sec.items || []) {
+        const lines = doc.wrap(`${it.done ? "[x]" : "[ ]"} ${itemLabel(it, lang)}`, contentWidth - 70, 9);
+        ensure(lines.length * 12 + 2);
+        lines.forEach((line, i) => {
+          y += 12;
+          doc.text(line, MARGIN + 8, y, { size: 9, color: it.done ? GREY : undefined });
+          if (i === 0) doc.text(labelFor(it.severity, lang), right, y, { size: 9, bold: true, color: SEVERITY_COLORS[it.severity] || SEVERITY_COLORS.ok, align: "right" });
+        });
+      }
+    }
+
+    // Revision history
+    if (check.revisions?.length) {
+      heading(t("report.revisions"));
+      for (const r of [...check.revisions].reverse()) {
+        paragraph(`${t("report.rev", { rev: r.rev })} • ${formatDateTime(r.at, lang) || "—"} • ${r.by || "—"}`, { bold: true, size: 9, gap: 4 });
+        for (const c of r.changes || []) paragraph(`• ${formatChange(c, lang)}`, { size: 9, indent: 8 });
+      }
+    }
+
+    // Signature block
+    ensure(110);
+    y += 50;
+    const half = (contentWidth - 24) / 2;
+    for (const [i, role] of SIGNATURE_ROLES.entries()) {
+      const x = MARGIN + i * (half + 24);
+      const sig = check.signatures?.[role];
+      const name = sig?.name || (role === "preparer" ? preparedByName(check, profile) : "");
+      doc.text(role === "preparer" ? t("report.preparedBy") : t("report.approvedBy"), x, y, { size: 9, color: GREY });
+      if (name) doc.text(name, x, y + 14, { size: 10 });
+      const img = sig ? signatureImage(check, role) : null;
+      if (img) {
+        const scale = Math.min(half / img.width, 34 / img.height);
+        doc.image(img, x, y + 52 - img.height * scale, img.width * scale, img.height * scale);
+      }
+      doc.line(x, y + 56, x + half, y + 56, { color: GREY });
+      doc.text(sig ? t("signature.signedAt", { at: formatDateTime(sig.at, lang) }) : t("report.signatureDate"), x, y + 68, { size: 8, color: GREY });
+    }
+    y += 72;
+  }
+
+  if (!doc.pageCount) doc.addPage();
+
+  for (let i = 0; i < doc.pageCount; i++) {
+    doc.setPage(i);
+    doc.text(`${profile.org || "ToolStack"} • Vehicle Check-It`, MARGIN, doc.height - MARGIN + 12, { size: 8, color: GREY });
+    doc.text(t("report.page", { n: i + 1, total: doc.pageCount }), right, doc.height - MARGIN + 12, { size: 8, color: GREY, align: "right" });
+  }
+
+  return doc.save();
+}
+
+// The PDF writer only embeds JPEG; anything else is re-encoded through a canvas.
+async function jpegBytes(blob) {
+  if (!blob) return null;
+  if (blob.type === "image/jpeg") return new Uint8Array(await blob.arrayBuffer());
+  if (typeof createImageBitmap === "undefined" || typeof document === "undefined") return null;
+  try {
+    const bmp = await createImageBitmap(blob);
+    const canvas = document.createElement("canvas");
+    canvas.width = bmp.width;
+    canvas.height = bmp.height;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(bmp, 0, 0);
+    bmp.close?.();
+    const jpeg = await new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", 0.85));
+    return jpeg ? new Uint8Array(await jpeg.arrayBuffer()) : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Load the logo and finding photos, then render. Resolves a PDF Blob. */
+export async function buildReportPdf(checks, { profile = {}, lang } = {}) {
+  const images = { logo: null, photos: {}, signatures: {} };
+  if (String(profile.logo || "").startsWith("data:image/")) {
+    try {
+      images.logo = await jpegBytes(await dataUrlToBlob(profile.logo));
+    } catch {
+      images.logo = null;
+    }
+  }
+
+  for (const c of checks || []) {
+    for (const role of SIGNATURE_ROLES) {
+      const image = c.signatures?.[role]?.image;
+      if (!String(image || "").startsWith("data:image/")) continue;
+      try {
+        images.signatures[`${c.id}:${role}`] = await jpegBytes(await dataUrlToBlob(image));
+      } catch {
+        // unreadable signature: the name and time are still printed
+      }
+    }
+    for (const sec of c.sections || []) {
+      for (const it of sec.items || []) {
+        if (!it.severity || it.severity === "ok") continue;
+        for (const id of (it.photos || []).slice(0, MAX_PHOTOS_PER_ITEM)) {
+          if (id in images.photos) continue;
+          try {
+            images.photos[id] = await jpegBytes((await getPhoto(id))?.blob);
+          } catch {
+            images.photos[id] = null; // missing photo: the report goes out without it
+          }
+        }
+      }
+    }
+  }
+
+  return new Blob([renderChecksPdf(checks, { profile, images, lang })], { type: "application/pdf" });
+}
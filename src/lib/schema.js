@@ -0,0 +1,252 @@
+/**
+ * JSON Schema (draft-07) for the Vehicle Check-It export format, plus a small
+ * validator for the subset it uses (type, enum, properties, required, items,
+ * $ref). EXPORT_SCHEMA is plain JSON so other ToolStack apps can reuse it with
+ * any JSON Schema library.
+ *
+ * Three payload kinds:
+ *   - backup: { exportedAt, profile, data: { meta, templates, checks, ... }, attachments }
+ *   - single check: { exportedAt, profile, check, attachments }
+ *   - check bundle: { exportedAt, kind: "checks", profile, checks, attachments }
+ * Older schema versions must still pass: migrations run after validation.
+ * Errors are { path, code, params }; schemaErrorText() words them in the
+ * user's language.
+ */
+
+import { translate } from "./i18n";
+
+const str = { type: "string" };
+const num = { type: "number" };
+const optNum = { type: ["number", "null"] };
+const ref = (name) => ({ $ref: `#/definitions/${name}` });
+const list = (items) => ({ type: "array", items });
+
+export const EXPORT_SCHEMA = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  $id: "https://toolstack.app/schemas/vehicle-check-it/export.json",
+  title: "ToolStack Vehicle Check-It export",
+  oneOf: [ref("backup"), ref("singleCheck"), ref("checksBundle")],
+  definitions: {
+    backup: {
+      type: "object",
+      required: ["data"],
+      properties: { exportedAt: str, profile: ref("profile"), data: ref("data"), attachments: ref("attachments") },
+    },
+    singleCheck: {
+      type: "object",
+      required: ["check"],
+      properties: { exportedAt: str, profile: ref("profile"), check: ref("check"), attachments: ref("attachments") },
+    },
+    checksBundle: {
+      type: "object",
+      required: ["checks"],
+      properties: { exportedAt: str, kind: { enum: ["checks"] }, profile: ref("profile"), checks: list(ref("check")), attachments: ref("attachments") },
+    },
+    attachments: { type: ["object", "null"] },
+    profile: {
+      type: ["object", "null"],
+      properties: {
+        org: str,
+        address: str,
+        user: str,
+        reviewer: str,
+        language: str,
+        logo: str,
+        vehicles: list(ref("vehicle")),
+        drivers: list({ type: "object", required: ["id"], properties: { id: str, name: str, pinHash: str } }),
+        activeDriverId: str,
+      },
+    },
+    vehicle: {
+      type: "object",
+      required: ["id"],
+      properties: {
+        id: str,
+        plate: str,
+        make: str,
+        model: str,
+        fuelType: str,
+        year: { type: ["string", "number"] },
+        vin: str,
+        tuvUntil: str,
+        serviceDue: str,
+        notes: str,
+        templateId: str,
+        odometerUnit: { enum: ["km", "mi"] },
+        serviceIntervals: list(ref("serviceInterval")),
+      },
+    },
+    serviceInterval: {
+      type: "object",
+      properties: { id: str, name: str, everyDistance: optNum, everyMonths: optNum, lastDoneDate: str, lastDoneOdometer: optNum },
+    },
+    data: {
+      type: "object",
+      required: ["checks"],
+      properties: {
+        meta: { type: "object", properties: { appId: str, version: str, schema: num, updatedAt: str } },
+        template: ref("template"),
+        templates: list(ref("template")),
+        checks: list(ref("check")),
+        defects: list({ type: "object", required: ["id"], properties: { id: str, vehicleId: str, status: { enum: ["open", "repair", "resolved"] } } }),
+        settings: { type: "object" },
+      },
+    },
+    template: {
+      type: "object",
+      required: ["sections"],
+      properties: {
+        id: str,
+        key: str,
+        name: str,
+        rev: { type: ["number", "string", "null"] },
+        sections: list({
+          type: "object",
+          required: ["items"],
+          properties: { id: str, key: str, title: str, items: list({ type: "object", required: ["label"], properties: { id: str, key: str, label: str } }) },
+        }),
+      },
+    },
+    check: {
+      type: "object",
+      required: ["id", "sections"],
+      properties: {
+        id: str,
+        createdAt: str,
+        date: str,
+        vehicleId: str,
+        vehicleLabel: str,
+        odometer: { type: ["number", "string", "null"] },
+        odometerUnit: { enum: ["km", "mi"] },
+        odometerRaw: str,
+        generalNotes: str,
+        templateId: str,
+        templateName: str,
+        templateKey: str,
+        templateRev: { type: ["number", "string", "null"] },
+        driverId: str,
+        driverName: str,
+        summary: ref("summary"),
+        sections: list(ref("section")),
+        revisions: list({ type: "object" }),
+        status: { enum: ["draft", "submitted", "approved", "rejected"] },
+        statusLog: list({ type: "object", required: ["status", "at"], properties: { status: str, at: str, by: str, comment: str } }),
+        signatures: { type: "object", properties: { preparer: ref("signature"), approver: ref("signature") } },
+      },
+    },
+    signature: {
+      type: "object",
+      required: ["name", "at"],
+      properties: { name: str, at: str, image: str },
+    },
+    summary: {
+      type: "object",
+      properties: { totalItems: num, doneCount: num, issueCount: num },
+    },
+    section: {
+      type: "object",
+      required: ["items"],
+      properties: { id: str, key: str, title: str, items: list(ref("item")) },
+    },
+    item: {
+      type: "object",
+      required: ["label"],
+      properties: {
+        id: str,
+        key: str,
+        label: str,
+        done: { type: "boolean" },
+        severity: { enum: ["ok", "note", "issue"] },
+        note: str,
+        photos: list(str),
+        defectId: str,
+      },
+    },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isFinite(value) ? "number" : "NaN";
+  return typeof value;
+}
+
+const joinPath = (path, key) => (typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+function resolve(schema, root) {
+  if (!schema?.$ref) return schema;
+  const name = schema.$ref.replace("#/definitions/", "");
+  return root.definitions[name];
+}
+
+/**
+ * Validate `value` against `schema` (a node of EXPORT_SCHEMA by default).
+ * Returns [{ path, code, params }]; empty when valid. Stops after `limit` errors.
+ */
+export function validateAgainst(value, schema, { root = EXPORT_SCHEMA, path = "", limit = 20 } = {}) {
+  const errors = [];
+
+  const walk = (val, node, at) => {
+    if (errors.length >= limit) return;
+    const s = resolve(node, root);
+    if (!s) return;
+
+    if (s.type) {
+      const types = [].concat(s.type);
+      const actual = typeOf(val);
+      const ok = types.includes(actual) || (types.includes("integer") && Number.isInteger(val));
+      if (!ok) {
+        errors.push({ path: at || "(root)", code: "type", params: { expected: types, actual } });
+        return;
+      }
+    }
+
+    if (s.enum && !s.enum.includes(val)) {
+      errors.push({ path: at || "(root)", code: "enum", params: { allowed: s.enum, actual: val } });
+      return;
+    }
+
+    if (typeOf(val) === "object") {
+      for (const key of s.required || []) {
+        if (val[key] === undefined) errors.push({ path: joinPath(at, key), code: "missing" });
+      }
+      for (const [key, child] of Object.entries(s.properties || {})) {
+        if (val[key] !== undefined) walk(val[key], child, joinPath(at, key));
+      }
+    }
+
+    if (Array.isArray(val) && s.items) val.forEach((v, i) => walk(v, s.items, joinPath(at, i)));
+  };
+
+  walk(value, schema, path);
+  return errors;
+}
+
+/** Validate an import payload. Returns { kind: "full" | "check" | "checks" | null, errors }. */
+export function validateImportPayload(payload) {
+  if (typeOf(payload) !== "object") return { kind: null, errors: [{ path: "(root)", code: "type", params: { expected: ["object"], actual: typeOf(payload) } }] };
+  if ("data" in payload) return { kind: "full", errors: validateAgainst(payload, EXPORT_SCHEMA.definitions.backup) };
+  if ("check" in payload) return { kind: "check", errors: validateAgainst(payload, EXPORT_SCHEMA.definitions.singleCheck) };
+  if ("checks" in payload) return { kind: "checks", errors: validateAgainst(payload, EXPORT_SCHEMA.definitions.checksBundle) };
+  return { kind: null, errors: [{ path: "(root)", code: "kind" }] };
+}
+
+/** One validation error in words ("expected array, got string"). */
+export function schemaErrorText(error, lang) {
+  const p = error?.params || {};
+  const or = ` ${translate(lang, "schema.or")} `;
+  const vars = {
+    expected: [].concat(p.expected || []).join(or),
+    allowed: [].concat(p.allowed || []).map((v) => JSON.stringify(v)).join(", "),
+    actual: error?.code === "enum" ? JSON.stringify(p.actual) : p.actual,
+  };
+  return translate(lang, `schema.${error?.code || "type"}`, vars);
+}
+
+/** "path: message" lines for an alert, capped at `max`. */
+export function formatSchemaErrors(errors, max = 8, lang) {
+  const lines = errors.slice(0, max).map((e) => `• ${e.path}: ${schemaErrorText(e, lang)}`);
+  if (errors.length > max) lines.push(translate(lang, "schema.more", { n: errors.length - max }));
+  return lines.join("\n");
+}
@@ -0,0 +1,112 @@
+import { uid } from "./core";
+import { mileageTimeline, parseOdometer } from "./odometer";
+
+/**
+ * Service interval rules on a vehicle profile (vehicle.serviceIntervals):
+ *   { id, name, everyDistance, everyMonths, lastDoneDate, lastDoneOdometer }
+ * Either limit may be empty. The next service is due at whichever limit is
+ * reached first; the distance limit is turned into a date by projecting the
+ * vehicle's average daily distance from its saved checks.
+ */
+
+export function createInterval(name = "Oil service") {
+  return { id: uid("si"), name, everyDistance: 15000, everyMonths: 12, lastDoneDate: "", lastDoneOdometer: null };
+}
+
+const toDay = (iso) => {
+  const [y, m, d] = String(iso).split("-").map(Number);
+  return Date.UTC(y, m - 1, d) / 86400000;
+};
+const fromDay = (n) => new Date(n * 86400000).toISOString().slice(0, 10);
+const isIsoDate = (s) => /^\d{4}-\d{2}-\d{2}$/.test(String(s || ""));
+const positive = (v) => (Number(v) > 0 ? Number(v) : null);
+
+// Clamp to the last day of the target month (31 Jan + 1 month = 28/29 Feb).
+export function addMonths(iso, months) {
+  const [y, m, d] = iso.split("-").map(Number);
+  const total = m - 1 + months;
+  const year = y + Math.floor(total / 12);
+  const month = ((total % 12) + 12) % 12;
+  const last = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return fromDay(Date.UTC(year, month, Math.min(d, last)) / 86400000);
+}
+
+/**
+ * Average distance per day over the readings of the last `windowDays` (or all
+ * readings when that span is too short). Null when it cannot be estimated.
+ */
+export function dailyDistance(timeline, windowDays = 180) {
+  if (!timeline || timeline.length < 2) return null;
+  const last = timeline[timeline.length - 1];
+  const since = toDay(last.date) - windowDays;
+  const recent = timeline.filter((e) => toDay(e.date) >= since);
+  const first = recent.length >= 2 ? recent[0] : timeline[0];
+  const days = toDay(last.date) - toDay(first.date);
+  const distance = last.value - first.value;
+  return days > 0 && distance > 0 ? distance / days : null;
+}
+
+/**
+ * Work out when a rule is next due.
+ * Returns { dueDate, dueOdometer, currentOdometer, remainingDistance,
+ *           projectedDate, date, by } where `date`/`by` ("time" | "distance")
+ * describe the limit that comes first; date is "" when nothing is known.
+ */
+export function nextServiceDue(rule, { timeline = [], today }) {
+  const everyMonths = positive(rule?.everyMonths);
+  const everyDistance = positive(rule?.everyDistance);
+  const lastDate = isIsoDate(rule?.lastDoneDate) ? rule.lastDoneDate : "";
+  const latest = timeline[timeline.length - 1] || null;
+
+  const dueDate = everyMonths && lastDate ? addMonths(lastDate, everyMonths) : "";
+
+  // Without a recorded service odometer, count from the first reading after the last service.
+  const base =
+    rule?.lastDoneOdometer != null && rule.lastDoneOdometer !== ""
+      ? Number(rule.lastDoneOdometer)
+      : (timeline.find((e) => !lastDate || e.date >= lastDate) || {}).value ?? null;
+  const dueOdometer = everyDistance && base != null ? base + everyDistance : null;
+  const currentOdometer = latest ? latest.value : null;
+  const remainingDistance = dueOdometer != null && currentOdometer != null ? dueOdometer - currentOdometer : null;
+
+  let projectedDate = "";
+  if (remainingDistance != null) {
+    const rate = dailyDistance(timeline);
+    if (remainingDistance <= 0) projectedDate = latest.date;
+    else if (rate) projectedDate = fromDay(Math.max(toDay(latest.date), toDay(today)) + Math.ceil(remainingDistance / rate));
+  }
+
+  let date = dueDate;
+  let by = dueDate ? "time" : "";
+  if (projectedDate && (!date || projectedDate < date)) {
+    date = projectedDate;
+    by = "distance";
+  }
+
+  return { dueDate, dueOdometer, currentOdometer, remainingDistance, projectedDate, date, by };
+}
+
+/** All rules of a vehicle with their next due point. */
+export function serviceStatusFor(vehicle, checks, { today, unit }) {
+  const timeline = mileageTimeline(checks, vehicle?.id, unit);
+  return (vehicle?.serviceIntervals || []).map((rule) => ({ rule, ...nextServiceDue(rule, { timeline, today }) }));
+}
+
+/** Normalise rules from the vehicle editor; rules without any limit are dropped. */
+export function cleanIntervals(list) {
+  return (list || [])
+    .map((r) => ({
+      id: r.id || uid("si"),
+      name: String(r.name || "").trim() || "Service",
+      everyDistance: positive(parseOdometer(r.everyDistance)),
+      everyMonths: positive(r.everyMonths),
+      lastDoneDate: isIsoDate(r.lastDoneDate) ? r.lastDoneDate : "",
+      lastDoneOdometer: parseOdometer(r.lastDoneOdometer),
+    }))
+    .filter((r) => r.everyDistance || r.everyMonths);
+}
+
+/** Record a service as done: resets both limits from this point. */
+export function markServiceDone(rule, { date, odometer }) {
+  return { ...rule, lastDoneDate: date, lastDoneOdometer: odometer ?? null };
+}
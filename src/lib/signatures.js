@@ -0,0 +1,44 @@
+/**
+ * On-screen signatures for saved checks, kept on the check as
+ *   signatures: { preparer?: { name, at, image }, approver?: { name, at, image } }
+ * where `image` is a JPEG data URL drawn on a canvas (JPEG so the PDF writer
+ * can embed it as is). The preparer signs first; the approver's countersignature
+ * locks the check against amendments and further signing.
+ */
+
+export const SIGNATURE_ROLES = ["preparer", "approver"];
+
+export const isCheckLocked = (check) => !!check?.signatures?.approver;
+
+/**
+ * Why `role` cannot sign `check` right now, as a message key, or null when it
+ * can: "signature.locked" after the countersignature, "signature.needsPreparer"
+ * for an approver before the preparer has signed.
+ */
+export function signBlocker(check, role) {
+  if (!SIGNATURE_ROLES.includes(role) || isCheckLocked(check)) return "signature.locked";
+  if (role === "approver" && !check?.signatures?.preparer) return "signature.needsPreparer";
+  return null;
+}
+
+/** Add a signature. Returns the check unchanged (same object) when it cannot be signed. */
+export function signCheck(check, role, { name, image, at = new Date().toISOString() }) {
+  const signer = String(name || "").trim();
+  if (signBlocker(check, role) || !signer || !image) return check;
+  return { ...check, signatures: { ...(check.signatures || {}), [role]: { name: signer, at, image } }, updatedAt: at };
+}
+
+/** Remove the preparer's signature again, as long as nobody has countersigned. */
+export function removeSignature(check, role) {
+  if (isCheckLocked(check) || !check?.signatures?.[role]) return check;
+  const signatures = { ...check.signatures };
+  delete signatures[role];
+  return { ...check, signatures, updatedAt: new Date().toISOString() };
+}
+
+/** Blank canvas check: true when any pixel is darker than the white background. */
+export function hasInk(imageData) {
+  const d = imageData?.data || [];
+  for (let i = 0; i < d.length; i += 4) if (d[i] < 200 || d[i + 1] < 200 || d[i + 2] < 200) return true;
+  return false;
+}
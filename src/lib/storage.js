@@ -0,0 +1,159 @@
+import { KEY, PROFILE_KEY } from "../app/constants";
+import { safeParse } from "./core";
+import { translate } from "./i18n";
+import { STORES, openDb, requestToPromise, withStores } from "./idb";
+
+/**
+ * Storage layer for the app state (KEY) and the shared profile (PROFILE_KEY).
+ *
+ * - App state lives in IndexedDB: the state document (everything but checks)
+ *   under kv[KEY], and each check as its own record so saves only write what
+ *   changed. Browsers without IndexedDB fall back to localStorage[KEY].
+ * - The profile stays in localStorage[PROFILE_KEY] because other ToolStack apps
+ *   read and write it there.
+ * - Write failures are rethrown with `err.code` ("quota" when the browser
+ *   refused for lack of space, else "write") and `err.what` ("checks" or
+ *   "profile"); storageErrorText() words them for the UI.
+ */
+
+export function isQuotaError(e) {
+  const name = e?.name || e?.cause?.name || "";
+  return name === "QuotaExceededError" || name === "NS_ERROR_DOM_QUOTA_REACHED" || e?.code === 22 || e?.code === 1014;
+}
+
+function storageError(e, what) {
+  const quota = isQuotaError(e);
+  const err = new Error(`${what} could not be saved: ${quota ? "storage is full" : e?.message || "unknown error"}`, { cause: e });
+  err.quota = quota;
+  err.code = quota ? "quota" : "write";
+  err.what = what;
+  return err;
+}
+
+/** Message for a failed save in `lang`; errors from elsewhere fall back to their own message. */
+export function storageErrorText(err, lang) {
+  if (err?.code !== "quota" && err?.code !== "write") return err?.message || translate(lang, "storage.saveFailed");
+  return translate(lang, `storage.${err.code}`, {
+    what: translate(lang, `storage.what.${err.what}`),
+    error: err.cause?.message || translate(lang, "common.unknownError"),
+  });
+}
+
+let idbOk = null;
+async function idbReady() {
+  if (idbOk === null) {
+    try {
+      await openDb();
+      idbOk = true;
+    } catch {
+      idbOk = false;
+    }
+  }
+  return idbOk;
+}
+
+export async function storageBackend() {
+  return (await idbReady()) ? "IndexedDB" : "localStorage";
+}
+
+// Rebuild the state from the kv document and the check records (kept in checkOrder).
+export function assembleState(doc, records) {
+  const { checkOrder, ...rest } = doc || {};
+  const byId = new Map((records || []).map((c) => [c.id, c]));
+  const ordered = (checkOrder || []).map((id) => byId.get(id)).filter(Boolean);
+  const known = new Set(ordered.map((c) => c.id));
+  const extra = (records || [])
+    .filter((c) => !known.has(c.id))
+    .sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")));
+  return { ...rest, checks: [...ordered, ...extra] };
+}
+
+/**
+ * Write the app state. With `prev` (the last persisted state) only checks whose
+ * object changed are written and removed ones are deleted.
+ */
+export async function saveStoredState(next, prev = null) {
+  if (typeof window === "undefined") return;
+
+  if (!(await idbReady())) {
+    try {
+      localStorage.setItem(KEY, JSON.stringify(next));
+    } catch (e) {
+      throw storageError(e, "checks");
+    }
+    return;
+  }
+
+  const { checks = [], ...rest } = next || {};
+  const prevById = new Map((prev?.checks || []).map((c) => [c.id, c]));
+  const nextIds = new Set(checks.map((c) => c.id));
+  const changed = checks.filter((c) => prevById.get(c.id) !== c);
+  const removed = [...prevById.keys()].filter((id) => !nextIds.has(id));
+
+  try {
+    await withStores([STORES.kv, STORES.checks], "readwrite", (s) => {
+      s.kv.put({ ...rest, checkOrder: checks.map((c) => c.id) }, KEY);
+      for (const c of changed) s.checks.put(c);
+      for (const id of removed) s.checks.delete(id);
+    });
+  } catch (e) {
+    throw storageError(e, "checks");
+  }
+}
+
+/**
+ * Read the app state. On the first run with IndexedDB, data found in
+ * localStorage[KEY] is copied over and the old entry removed.
+ * Resolves { state, migrated } — state is null when nothing is stored yet.
+ */
+export async function loadStoredState() {
+  if (typeof window === "undefined") return { state: null, migrated: false };
+
+  const legacy = () => safeParse(localStorage.getItem(KEY), null);
+  if (!(await idbReady())) return { state: legacy(), migrated: false };
+
+  const { doc, records } = await withStores([STORES.kv, STORES.checks], "readonly", (s) =>
+    Promise.all([requestToPromise(s.kv.get(KEY)), requestToPromise(s.checks.getAll())]).then(([doc, records]) => ({ doc, records }))
+  );
+  if (doc) return { state: assembleState(doc, records), migrated: false };
+
+  const old = legacy();
+  if (!old) return { state: null, migrated: false };
+
+  await saveStoredState(old, null);
+  try {
+    localStorage.removeItem(KEY);
+  } catch {
+    // ignore
+  }
+  return { state: old, migrated: true };
+}
+
+export function saveProfile(profile) {
+  try {
+    if (typeof window !== "undefined") localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+  } catch (e) {
+    throw storageError(e, "profile");
+  }
+}
+
+/** Usage/quota in bytes where the browser reports it, else null. */
+export async function storageEstimate() {
+  try {
+    if (typeof navigator === "undefined" || !navigator.storage?.estimate) return null;
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage: usage || 0, quota: quota || 0 };
+  } catch {
+    return null;
+  }
+}
+
+// Ask the browser not to evict our data under storage pressure (best effort).
+export function requestPersistentStorage() {
+  try {
+    if (typeof navigator !== "undefined" && navigator.storage?.persist) return navigator.storage.persist().catch(() => false);
+  } catch {
+    // ignore
+  }
+  return Promise.resolve(false);
+}
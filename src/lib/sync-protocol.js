@@ -0,0 +1,76 @@
+/**
+ * Wire format and conflict rule shared by the app (./sync.js) and the reference
+ * server (server/sync-server.js). No imports, so Node can load it as is.
+ *
+ * Every synced record travels as an envelope:
+ *   { kind, id, updatedAt, deviceId, hash, deleted?, data? }
+ * `updatedAt` is when the record last changed on the device that sent it,
+ * `hash` fingerprints `data` (empty for deletions), and `syncedAt` is added by
+ * the server when it stores the envelope.
+ */
+
+export const SYNC_KINDS = ["checks", "vehicles", "templates"];
+
+export const recordKey = (kind, id) => `${kind}:${id}`;
+
+// JSON with sorted keys, so key order does not change the hash.
+export function stableJson(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableJson(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// cyrb53: a fast 53-bit string hash. Only used to spot changed records.
+export function hashRecord(record) {
+  const str = stableJson(record);
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, "0");
+}
+
+/**
+ * Last writer wins, decided the same way everywhere: the later `updatedAt`,
+ * then the larger `deviceId`, then a deletion over an edit, then the larger
+ * hash. > 0 when `a` wins, < 0 when `b` wins, 0 for the same version.
+ */
+export function compareVersions(a, b) {
+  const at = String(a?.updatedAt || "");
+  const bt = String(b?.updatedAt || "");
+  if (at !== bt) return at > bt ? 1 : -1;
+  const ad = String(a?.deviceId || "");
+  const bd = String(b?.deviceId || "");
+  if (ad !== bd) return ad > bd ? 1 : -1;
+  if (!!a?.deleted !== !!b?.deleted) return a?.deleted ? 1 : -1;
+  const ah = String(a?.hash || "");
+  const bh = String(b?.hash || "");
+  return ah === bh ? 0 : ah > bh ? 1 : -1;
+}
+
+/** `now`, or 1 ms after `after` when that is not earlier, so stamps never go backwards. */
+export function nextStamp(now, after) {
+  if (!after || now > after) return now;
+  return new Date(Date.parse(after) + 1).toISOString();
+}
+
+/** Shape check for incoming envelopes; returns an error message or null. */
+export function envelopeError(env) {
+  if (!env || typeof env !== "object") return "not an object";
+  if (!SYNC_KINDS.includes(env.kind)) return `unknown kind "${env.kind}"`;
+  if (!env.id || typeof env.id !== "string") return "missing id";
+  if (!env.updatedAt || Number.isNaN(Date.parse(env.updatedAt))) return "missing updatedAt";
+  if (!env.deleted && (!env.data || typeof env.data !== "object" || env.data.id !== env.id)) return "missing data";
+  return null;
+}
@@ -0,0 +1,275 @@
+import { SCHEMA_VERSION, SYNC_KEY } from "../app/constants";
+import { safeParse } from "./core";
+import { migrateState } from "./migrate";
+import { EXPORT_SCHEMA, validateAgainst } from "./schema";
+import { SYNC_KINDS, compareVersions, envelopeError, hashRecord, nextStamp, recordKey } from "./sync-protocol";
+
+/**
+ * Optional sync of checks, vehicles and templates with a self-hosted REST
+ * endpoint (reference server: server/sync-server.js, `npm run sync-server`).
+ *
+ * Sync state is per device, in localStorage[SYNC_KEY]:
+ *   { enabled, endpoint, token, deviceId, cursor, known, outbox, lastSyncAt, lastError }
+ * - known:  the version of each record last exchanged with the server, by
+ *           recordKey → { kind, id, updatedAt, deviceId, hash, deleted? }
+ * - outbox: local changes the server has not accepted yet, same shape. Edits
+ *           made offline wait here until the next successful sync.
+ * - cursor: the server's meta.updatedAt after the last sync; the next pull only
+ *           returns records the server stored after it.
+ * A sync is one POST {endpoint}/sync carrying the outbox and the cursor; the
+ * answer says which envelopes were accepted and lists everything newer than
+ * the cursor. Both sides settle conflicts with compareVersions(), so every
+ * device ends up with the same winner. Photos stay on the device that took them.
+ * Envelopes carry the sender's SCHEMA_VERSION; pulled records are validated and
+ * migrated like an imported file before they touch the local data.
+ */
+
+export const SYNC_TIMEOUT_MS = 20000;
+export const SYNC_INTERVAL_MS = 60000;
+
+export const defaultSyncState = () => ({
+  enabled: false,
+  endpoint: "",
+  token: "",
+  deviceId: "",
+  cursor: "",
+  known: {},
+  outbox: {},
+  lastSyncAt: "",
+  lastError: "",
+});
+
+export function loadSyncState() {
+  if (typeof window === "undefined") return defaultSyncState();
+  const parsed = safeParse(localStorage.getItem(SYNC_KEY), null);
+  return parsed && typeof parsed === "object" ? { ...defaultSyncState(), ...parsed } : defaultSyncState();
+}
+
+export function saveSyncState(sync) {
+  try {
+    if (typeof window !== "undefined") localStorage.setItem(SYNC_KEY, JSON.stringify(sync));
+  } catch {
+    // ignore
+  }
+}
+
+/** Forget what was exchanged so the next sync sends everything again (new server, wiped server). */
+export const resetSyncState = (sync) => ({ ...sync, cursor: "", known: {}, outbox: {}, lastSyncAt: "", lastError: "" });
+
+export const pendingCount = (sync) => Object.keys(sync?.outbox || {}).length;
+
+// Records are replaced, never mutated, so a hash can be cached per object.
+const hashes = new WeakMap();
+function hashOf(record) {
+  let h = hashes.get(record);
+  if (!h) {
+    h = hashRecord(record);
+    hashes.set(record, h);
+  }
+  return h;
+}
+
+function localRecords(data) {
+  const map = new Map();
+  for (const kind of SYNC_KINDS) {
+    for (const r of data?.[kind] || []) if (r?.id) map.set(recordKey(kind, r.id), { kind, id: r.id, data: r });
+  }
+  return map;
+}
+
+// A record the server has never seen keeps its own timestamp, so a new device
+// (or a reset) does not outrank newer versions already on the server.
+function ownStamp(record) {
+  const at = record?.updatedAt || record?.createdAt;
+  return at && !Number.isNaN(Date.parse(at)) ? new Date(at).toISOString() : "";
+}
+
+/**
+ * Compare `data` ({ checks, vehicles, templates }) with what the server last
+ * saw and put changed, new and deleted records in the outbox, stamped `now`.
+ * Returns the same object when nothing changed.
+ */
+export function queueLocalChanges(sync, data, now = new Date().toISOString()) {
+  const records = localRecords(data);
+  const outbox = { ...sync.outbox };
+  let changed = false;
+
+  for (const [key, r] of records) {
+    const hash = hashOf(r.data);
+    const base = outbox[key] || sync.known[key];
+    if (base && !base.deleted && base.hash === hash) continue;
+    const updatedAt = base ? nextStamp(now, base.updatedAt) : ownStamp(r.data) || now;
+    outbox[key] = { kind: r.kind, id: r.id, updatedAt, deviceId: sync.deviceId, hash };
+    changed = true;
+  }
+
+  for (const key of new Set([...Object.keys(sync.known), ...Object.keys(outbox)])) {
+    const base = outbox[key] || sync.known[key];
+    if (records.has(key) || base.deleted) continue;
+    if (!sync.known[key] || sync.known[key].deleted) {
+      // Created and removed again before the server ever saw it.
+      delete outbox[key];
+    } else {
+      outbox[key] = { kind: base.kind, id: base.id, updatedAt: nextStamp(now, base.updatedAt), deviceId: sync.deviceId, hash: "", deleted: true };
+    }
+    changed = true;
+  }
+
+  return changed ? { ...sync, outbox } : sync;
+}
+
+/** Request body for postSync(): the outbox as envelopes plus the pull cursor. */
+export function buildSyncRequest(sync, data) {
+  const records = localRecords(data);
+  const changes = [];
+  for (const [key, entry] of Object.entries(sync.outbox)) {
+    if (entry.deleted) changes.push({ ...entry });
+    else if (records.has(key)) changes.push({ ...entry, schema: SCHEMA_VERSION, data: records.get(key).data });
+  }
+  return { deviceId: sync.deviceId, since: sync.cursor || "", changes };
+}
+
+/**
+ * Why a sync failed, stored as sync.lastError and shown via "sync.error.<code>":
+ * the network or server could not be reached, no answer in time, the token was
+ * refused, the request was too large, the server failed, or it answered
+ * something that is not a sync response.
+ */
+export const SYNC_ERROR_CODES = ["network", "timeout", "auth", "tooLarge", "server", "badResponse"];
+
+const syncError = (code, cause) => Object.assign(new Error(`sync failed: ${code}`, { cause }), { code });
+
+/** Message key for a stored sync.lastError; older states may hold free text. */
+export const syncErrorKey = (code) => `sync.error.${SYNC_ERROR_CODES.includes(code) ? code : "network"}`;
+
+/** POST the request to {endpoint}/sync. Rejects with an Error whose `code` is one of SYNC_ERROR_CODES. */
+export async function postSync(sync, body, fetchImpl = fetch) {
+  const url = `${String(sync.endpoint || "").trim().replace(/\/+$/, "")}/sync`;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SYNC_TIMEOUT_MS);
+  try {
+    let res;
+    try {
+      res = await fetchImpl(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(sync.token ? { Authorization: `Bearer ${sync.token}` } : {}) },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+    } catch (e) {
+      throw syncError(e?.name === "AbortError" ? "timeout" : "network", e);
+    }
+    const json = await res.json().catch(() => null);
+    if (res.status === 401 || res.status === 403) throw syncError("auth");
+    if (res.status === 413) throw syncError("tooLarge");
+    if (!res.ok) throw syncError("server", json?.error);
+    if (!json || !Array.isArray(json.changes)) throw syncError("badResponse");
+    return json;
+  } catch (e) {
+    throw e?.code ? e : syncError(e?.name === "AbortError" ? "timeout" : "network", e);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const SCHEMA_DEFINITIONS = { checks: "check", vehicles: "vehicle", templates: "template" };
+
+/**
+ * A pulled record as the local data needs it: validated against EXPORT_SCHEMA,
+ * then migrated from the schema version it was written with (older devices,
+ * older servers). Returns { record } or { errors } when it does not validate.
+ */
+export function prepareIncoming(env) {
+  const errors = validateAgainst(env.data, EXPORT_SCHEMA.definitions[SCHEMA_DEFINITIONS[env.kind]]);
+  if (errors.length) return { errors };
+  const meta = Number(env.schema) > 0 ? { schema: Number(env.schema) } : undefined;
+  if (env.kind === "checks") return { record: migrateState({ meta, checks: [env.data] }).state.checks[0] };
+  if (env.kind === "templates") {
+    return { record: migrateState({ meta, templates: [env.data] }).state.templates.find((t) => t.id === env.id) || env.data };
+  }
+  return { record: env.data };
+}
+
+const versionOf = (env, hash = env.hash || "") => ({
+  kind: env.kind,
+  id: env.id,
+  updatedAt: env.updatedAt,
+  deviceId: env.deviceId || "",
+  hash,
+  ...(env.deleted ? { deleted: true } : {}),
+});
+
+/**
+ * Fold the server's answer into the latest local data and sync state.
+ * `sent` are the envelopes of the request. Returns { sync, data, stats } where
+ * untouched lists in `data` keep their identity; stats.overwritten counts local
+ * edits that lost a conflict, stats.rejected pulled records that failed
+ * validation (they are skipped and any local edit stays queued).
+ */
+export function finishSync(sync, data, sent, response, now = new Date().toISOString()) {
+  const known = { ...sync.known };
+  const outbox = { ...sync.outbox };
+  const accepted = new Set(response?.accepted || []);
+  const stats = { pushed: 0, pulled: 0, overwritten: 0, rejected: 0 };
+
+  for (const env of sent || []) {
+    const key = recordKey(env.kind, env.id);
+    if (!accepted.has(key)) continue;
+    stats.pushed += 1;
+    known[key] = versionOf(env);
+    // Edited again while the request was out: keep the newer entry queued.
+    if (outbox[key] && compareVersions(outbox[key], env) === 0) delete outbox[key];
+  }
+
+  const lists = {};
+  const touched = new Set();
+  const listFor = (kind) => {
+    if (!lists[kind]) lists[kind] = [...(data?.[kind] || [])];
+    return lists[kind];
+  };
+  for (const env of response?.changes || []) {
+    if (envelopeError(env)) {
+      stats.rejected += 1;
+      continue;
+    }
+    const incoming = env.deleted ? null : prepareIncoming(env);
+    if (incoming?.errors) {
+      stats.rejected += 1;
+      continue;
+    }
+    const record = incoming?.record;
+    const key = recordKey(env.kind, env.id);
+    const pending = outbox[key];
+    if (pending) {
+      // A newer local edit goes out with the next sync and wins there too.
+      if (compareVersions(pending, env) > 0) continue;
+      if (pending.hash !== env.hash || !!pending.deleted !== !!env.deleted) stats.overwritten += 1;
+      delete outbox[key];
+    }
+    known[key] = versionOf(env, env.deleted ? "" : hashOf(record));
+
+    const list = listFor(env.kind);
+    const idx = list.findIndex((r) => r.id === env.id);
+    if (env.deleted) {
+      if (idx < 0) continue;
+      list.splice(idx, 1);
+    } else if (idx >= 0) {
+      if (hashOf(list[idx]) === known[key].hash) continue;
+      list[idx] = record;
+    } else if (env.kind === "checks") {
+      list.unshift(record);
+    } else {
+      list.push(record);
+    }
+    touched.add(env.kind);
+    stats.pulled += 1;
+  }
+
+  const next = {};
+  for (const kind of SYNC_KINDS) next[kind] = touched.has(kind) ? lists[kind] : data?.[kind] || [];
+  return {
+    sync: { ...sync, known, outbox, cursor: response?.meta?.updatedAt || sync.cursor, lastSyncAt: now, lastError: "" },
+    data: next,
+    stats,
+  };
+}
@@ -0,0 +1,169 @@
+import { uid } from "./core";
+
+// Pure helpers for editing checklist templates. Every op returns a new template
+// so the editor can keep a local working copy and commit it in one go.
+// Renaming a built-in section or item drops its `key`: the typed text is kept
+// as is instead of the translated wording.
+
+const mapSection = (t, sectionId, fn) => ({
+  ...t,
+  sections: (t.sections || []).map((s) => (s.id === sectionId ? fn(s) : s)),
+});
+
+function withoutKey(x) {
+  const next = { ...x };
+  delete next.key;
+  return next;
+}
+
+function moveInList(list, id, delta) {
+  const idx = list.findIndex((x) => x.id === id);
+  const to = idx + delta;
+  if (idx < 0 || to < 0 || to >= list.length) return list;
+  const next = [...list];
+  const [moved] = next.splice(idx, 1);
+  next.splice(to, 0, moved);
+  return next;
+}
+
+export function addSection(t, title = "New section") {
+  return { ...t, sections: [...(t.sections || []), { id: uid("s"), title, items: [] }] };
+}
+
+export function renameSection(t, sectionId, title) {
+  return mapSection(t, sectionId, (s) => ({ ...withoutKey(s), title }));
+}
+
+export function renameTemplate(t, name) {
+  return { ...withoutKey(t), name };
+}
+
+export function moveSection(t, sectionId, delta) {
+  return { ...t, sections: moveInList(t.sections || [], sectionId, delta) };
+}
+
+export function removeSection(t, sectionId) {
+  return { ...t, sections: (t.sections || []).filter((s) => s.id !== sectionId) };
+}
+
+export function addItem(t, sectionId, label = "New item") {
+  return mapSection(t, sectionId, (s) => ({
+    ...s,
+    items: [...(s.items || []), { id: uid("i"), label, severity: "ok" }],
+  }));
+}
+
+export function renameItem(t, sectionId, itemId, label) {
+  return mapSection(t, sectionId, (s) => ({
+    ...s,
+    items: (s.items || []).map((it) => (it.id === itemId ? { ...withoutKey(it), label } : it)),
+  }));
+}
+
+export function moveItem(t, sectionId, itemId, delta) {
+  return mapSection(t, sectionId, (s) => ({ ...s, items: moveInList(s.items || [], itemId, delta) }));
+}
+
+export function removeItem(t, sectionId, itemId) {
+  return mapSection(t, sectionId, (s) => ({ ...s, items: (s.items || []).filter((it) => it.id !== itemId) }));
+}
+
+/**
+ * Finalise an edited template: trims labels, drops blank items and marks it as
+ * customized so loadState() keeps it across TEMPLATE_REV bumps.
+ */
+export function commitTemplate(prev, edited) {
+  const sections = (edited.sections || []).map((s) => ({
+    ...s,
+    title: String(s.title || "").trim() || "Untitled section",
+    items: (s.items || [])
+      .map((it) => ({ ...it, label: String(it.label || "").trim() }))
+      .filter((it) => it.label),
+  }));
+
+  return {
+    ...edited,
+    sections,
+    customized: true,
+    rev: (Number(prev?.rev) || 0) + 1,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Build a check draft from a template. When a previous draft is passed, the
+ * state of items that still exist (matched by id) is carried over.
+ */
+export function draftFromTemplate(template, { date, vehicleId }, previous = null) {
+  const prevItems = new Map();
+  for (const s of previous?.sections || []) for (const it of s.items || []) prevItems.set(it.id, it);
+
+  return {
+    date,
+    vehicleId,
+    templateId: template?.id || "",
+    templateRev: template?.rev ?? null,
+    sections: (template?.sections || []).map((s) => ({
+      id: s.id,
+      ...(s.key ? { key: s.key } : {}),
+      title: s.title,
+      items: (s.items || []).map((it) => {
+        const prev = prevItems.get(it.id);
+        return {
+          id: it.id,
+          ...(it.key ? { key: it.key } : {}),
+          label: it.label,
+          severity: prev?.severity || "ok",
+          note: prev?.note || "",
+          done: !!prev?.done,
+          photos: prev?.photos || [],
+          ...(prev?.defectId ? { defectId: prev.defectId } : {}),
+        };
+      }),
+    })),
+  };
+}
+
+/**
+ * Resolve the template for a vehicle profile. Falls back to the default
+ * template (or the first one) when the vehicle has none or it was deleted.
+ */
+export function templateForVehicle(templates, vehicle, defaultId) {
+  const list = templates || [];
+  return (
+    list.find((t) => vehicle?.templateId && t.id === vehicle.templateId) ||
+    list.find((t) => t.id === defaultId) ||
+    list[0] ||
+    null
+  );
+}
+
+export function createTemplate(name = "New template") {
+  return { id: uid("t"), name, rev: 0, sections: [] };
+}
+
+// Item ids are kept so checks from the original and the copy stay comparable.
+export function duplicateTemplate(t, name) {
+  return {
+    ...withoutKey(t),
+    id: uid("t"),
+    name: name || `${t.name || "Template"} (copy)`,
+    rev: 0,
+    customized: false,
+    sections: (t.sections || []).map((s) => ({ ...s, items: (s.items || []).map((it) => ({ ...it })) })),
+  };
+}
+
+/**
+ * Commit an edited template library: templates that did not change are kept
+ * untouched (same rev), changed or new ones go through commitTemplate().
+ */
+export function commitTemplates(prevList, editedList) {
+  const prevById = new Map((prevList || []).map((t) => [t.id, t]));
+  return (editedList || []).map((t) => {
+    const prev = prevById.get(t.id);
+    if (prev && JSON.stringify(prev) === JSON.stringify(t)) return prev;
+    return commitTemplate(prev || t, t);
+  });
+}
+
@@ -0,0 +1,58 @@
+/**
+ * Service worker for the installable app. vite.config.js emits this file as
+ * /sw.js and prepends the build's asset list (self.__PRECACHE) and a build id
+ * (self.__BUILD_ID), so every new build ships a byte-different worker and the
+ * browser picks it up as an update.
+ *
+ * Everything is precached on install and served cache-first: hashed asset names
+ * change with every build, so a cache hit is never stale. A new worker waits
+ * until the page asks it to take over (see src/lib/pwa.js), which is when the
+ * app shows its "new version" prompt.
+ */
+
+const PREFIX = "vehicle-check-it-";
+const CACHE = `${PREFIX}${self.__BUILD_ID || "dev"}`;
+const PRECACHE = self.__PRECACHE || [];
+const shellUrl = () => new URL("index.html", self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith(PREFIX) && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  // Page loads always get the app shell of this build, online or not.
+  if (request.mode === "navigate") {
+    event.respondWith(caches.match(shellUrl(), { cacheName: CACHE }).then((hit) => hit || fetch(request)));
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { cacheName: CACHE }).then(
+      (hit) =>
+        hit ||
+        fetch(request).then((res) => {
+          if (res.ok && res.type === "basic") {
+            const copy = res.clone();
+            caches.open(CACHE).then((cache) => cache.put(request, copy));
+          }
+          return res;
+        })
+    )
+  );
+});
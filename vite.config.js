@@ -1,7 +1,38 @@
+import { createHash } from "node:crypto";
+import { readFileSync, readdirSync } from "node:fs";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import tailwindcss from "@tailwindcss/vite";
 
+// Emits src/sw.js as /sw.js with the list of files to precache: every file of
+// the build plus the public/ folder. The build id hashes the list and the
+// build's contents, so the worker changes exactly when the app does.
+function serviceWorker() {
+  let publicDir = "";
+  return {
+    name: "vehicle-check-it:service-worker",
+    apply: "build",
+    enforce: "post",
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+    generateBundle(_options, bundle) {
+      const files = new Set(["index.html", ...Object.keys(bundle).filter((f) => !f.endsWith(".map"))]);
+      for (const f of publicDir ? readdirSync(publicDir) : []) files.add(f);
+      const precache = [...files].sort();
+      const hash = createHash("sha256").update(precache.join("\n"));
+      for (const out of Object.values(bundle)) hash.update(out.type === "chunk" ? out.code : out.source);
+      const buildId = hash.digest("hex").slice(0, 12);
+      const source = readFileSync(new URL("./src/sw.js", import.meta.url), "utf8");
+      this.emitFile({
+        type: "asset",
+        fileName: "sw.js",
+        source: `self.__BUILD_ID = ${JSON.stringify(buildId)};\nself.__PRECACHE = ${JSON.stringify(precache)};\n${source}`,
+      });
+    },
+  };
+}
+
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), serviceWorker()],
 });